@@ -0,0 +1,114 @@
+/**
+ * helpers/audit.js
+ *
+ * Append-only Audit-Log für Ressourcen, Bewertungen und Feedback.
+ * Jede Änderung wird als eigener Eintrag in der Sammlung audit abgelegt: wer (actorId),
+ * wann (timestamp), was (action) und welche Felder sich wie geändert haben (changes,
+ * { feld: { from, to } }). Zusätzlich enthält jeder Eintrag den Zustand nach der Änderung
+ * (snapshot, null nach endgültigem Löschen); daraus lässt sich eine Ressource auf eine
+ * frühere Version zurücksetzen. Die Versionen werden je Datensatz ab 1 gezählt.
+ *
+ * Einträge werden nie geändert oder gelöscht, auch nicht beim Löschen des Datensatzes.
+ *
+ * @fileoverview Protokollierung von Änderungen mit Feld-Diff und Versionen.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from './data_manager.js';
+
+// Sammlung des Audit-Logs (siehe helpers/data_manager.js)
+const AUDIT = 'audit';
+
+// Protokollierte Aktionen
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+// Protokollierte Sammlungen und ihr entityType im Log
+export const AUDITED_ENTITIES = { resources: 'resource', ratings: 'rating', feedback: 'feedback' };
+
+/**
+ * Vergleicht zwei Werte inhaltlich (auch Arrays und Objekte).
+ *
+ * @param {*} a - Erster Wert
+ * @param {*} b - Zweiter Wert
+ * @returns {boolean} true, wenn beide gleich sind
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Ermittelt die geänderten Felder zwischen zwei Zuständen eines Datensatzes.
+ *
+ * @param {Object|null} before - Zustand vorher (null beim Anlegen)
+ * @param {Object|null} after - Zustand nachher (null beim endgültigen Löschen)
+ * @returns {Object<string, { from: *, to: * }>} Geänderte Felder (fehlende Werte als null)
+ */
+export function diffRecords(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        if (key === 'id') continue;
+        const from = before?.[key] ?? null;
+        const to = after?.[key] ?? null;
+        if (!sameValue(from, to)) changes[key] = { from, to };
+    }
+    return changes;
+}
+
+/**
+ * Hängt einen Eintrag an das Audit-Log an.
+ *
+ * @param {string} collection - resources, ratings oder feedback
+ * @param {string} action - create, update, delete, restore oder revert
+ * @param {Object} change - Änderung
+ * @param {Object|null} [change.before=null] - Zustand vorher
+ * @param {Object|null} [change.after=null] - Zustand nachher
+ * @param {string|null} [change.actorId=null] - ID des handelnden Nutzers (null für das System)
+ * @param {Object} [change.details] - Zusätzliche Angaben (z.B. { revertedTo })
+ * @returns {Promise<Object>} Angelegter Eintrag
+ */
+export async function recordChange(collection, action, { before = null, after = null, actorId = null, details } = {}) {
+    const entityType = AUDITED_ENTITIES[collection];
+    const record = after || before;
+    // Die Sperre hält die Versionsnummern je Datensatz lückenlos und eindeutig
+    return storage.withFileLock(`audit:${entityType}:${record.id}`, async () => {
+        const previous = await storage.find(AUDIT, { entityType, entityId: record.id });
+        const entry = {
+            id: uuidv4(),
+            entityType,
+            entityId: record.id,
+            resourceId: collection === 'resources' ? record.id : record.resourceId,
+            version: previous.length + 1,
+            action,
+            actorId,
+            timestamp: new Date().toISOString(),
+            changes: diffRecords(before, after),
+            snapshot: after
+        };
+        if (details) entry.details = details;
+        await storage.insert(AUDIT, entry);
+        return entry;
+    });
+}
+
+/**
+ * Liefert Einträge des Audit-Logs.
+ *
+ * @param {Object} [filter={}] - Gleichheitsfilter (z.B. { entityType: 'resource', entityId })
+ * @returns {Promise<Array<Object>>} Einträge in Speicherreihenfolge
+ */
+export async function findAuditEntries(filter = {}) {
+    return storage.find(AUDIT, filter);
+}
+
+/**
+ * Liefert eine bestimmte Version einer Ressource.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {number} version - Versionsnummer (ab 1)
+ * @returns {Promise<Object|null>} Audit-Eintrag der Version oder null
+ */
+export async function findResourceVersion(resourceId, version) {
+    const [entry] = await storage.find(AUDIT, { entityType: 'resource', entityId: resourceId, version });
+    return entry || null;
+}
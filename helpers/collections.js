@@ -0,0 +1,129 @@
+/**
+ * helpers/collections.js
+ *
+ * Fachlogik für Sammlungen (siehe routes/collections.js) und Lesezeichen
+ * (/users/:userId/bookmarks, siehe routes/users.js): Prüfung der referenzierten Ressourcen,
+ * Sichtbarkeit, Ressourcen-Zusammenfassungen und Bereinigung, wenn eine Ressource
+ * endgültig gelöscht wird.
+ *
+ * Eine Sammlung hat die Felder id, userId (Eigentümer), title, description, visibility
+ * (private oder public), resourceIds (geordnet), createdAt und updatedAt.
+ * Ein Lesezeichen hat die Felder id, userId, resourceId und createdAt (eines je Nutzer und
+ * Ressource).
+ *
+ * @fileoverview Prüfung, Darstellung und Pflege von Sammlungen und Lesezeichen.
+ */
+
+import * as storage from './data_manager.js';
+import * as ratingStats from './rating_stats.js';
+import { hasRole } from '../middleware/auth.js';
+import { translate, DEFAULT_LOCALE } from './messages.js';
+
+/**
+ * Prüft, ob ein Nutzer eine Sammlung sehen darf: öffentliche Sammlungen sehen alle,
+ * private nur der Eigentümer und Moderatoren.
+ *
+ * @param {Object} collection - Sammlung
+ * @param {Object|null} user - req.user
+ * @returns {boolean} true, wenn die Sammlung sichtbar ist
+ */
+export function canView(collection, user) {
+    if (collection.visibility === 'public') return true;
+    return Boolean(user) && (user.id === collection.userId || hasRole(user, 'moderator'));
+}
+
+/**
+ * Prüft die Ressourcen einer Sammlung: alle müssen existieren und dürfen nicht gelöscht sein.
+ *
+ * @param {string[]} resourceIds - Ressourcen-IDs aus dem Request-Body
+ * @returns {Promise<Array<Object>>} Einzelfehler im Format der Schema-Validierung (leer, wenn gültig)
+ */
+export async function checkCollectionResources(resourceIds) {
+    const resources = await Promise.all(resourceIds.map(id => storage.findById('resources', id)));
+    return resourceIds.flatMap((id, index) => (resources[index] && !resources[index].deletedAt ? [] : [{
+        field: `resourceIds[${index}]`,
+        code: 'unknown_resource',
+        message: translate(DEFAULT_LOCALE, 'validation.unknown_resource', { id }),
+        params: { id }
+    }]));
+}
+
+/**
+ * Liefert Zusammenfassungen der Ressourcen in der angegebenen Reihenfolge, jeweils mit
+ * averageRating wie in GET /resources/:id. Nicht mehr verfügbare (weich gelöschte)
+ * Ressourcen werden ausgelassen.
+ *
+ * @param {string[]} resourceIds - Ressourcen-IDs
+ * @returns {Promise<Array<{ id: string, title: string, type: string, url: string, averageRating: number|null }>>}
+ */
+export async function resourceSummaries(resourceIds) {
+    const [resources, averages] = await Promise.all([
+        Promise.all(resourceIds.map(id => storage.findById('resources', id))),
+        ratingStats.getAverageRatings()
+    ]);
+    return resources
+        .filter(resource => resource && !resource.deletedAt)
+        .map(resource => ({
+            id: resource.id,
+            title: resource.title,
+            type: resource.type,
+            url: resource.url,
+            averageRating: averages.get(resource.id) ?? null
+        }));
+}
+
+/**
+ * Ergänzt eine Sammlung um die Anzahl der Ressourcen (für Listen).
+ *
+ * @param {Object} collection - Gespeicherte Sammlung
+ * @returns {Object} Sammlung mit resourceCount
+ */
+export function withCount(collection) {
+    return { ...collection, resourceCount: collection.resourceIds.length };
+}
+
+/**
+ * Führt eine Änderung unter den Sperren der angegebenen Ressourcen aus (resource:<id>, wie
+ * beim Ändern und Löschen einer Ressource). Solange die Sperren gehalten werden, kann keine
+ * der Ressourcen endgültig gelöscht werden; Existenzprüfung und Speichern der Referenzen
+ * gehören deshalb gemeinsam in fn. Die Sperren werden in sortierter Reihenfolge genommen,
+ * damit sich gleichzeitige Aufrufe nicht gegenseitig blockieren.
+ *
+ * @param {string[]} resourceIds - Ressourcen-IDs
+ * @param {function(): Promise<*>} fn - Änderung
+ * @returns {Promise<*>} Ergebnis von fn
+ */
+export function withResourceLocks(resourceIds, fn) {
+    return [...new Set(resourceIds)].sort().reduceRight(
+        (inner, id) => () => storage.withFileLock(`resource:${id}`, inner),
+        fn
+    )();
+}
+
+/**
+ * Entfernt eine endgültig gelöschte Ressource aus allen Sammlungen und löscht alle
+ * Lesezeichen auf sie. Der Aufrufer hält die Sperre der Ressource; jede Sammlung wird unter
+ * ihrer Sperre (collection:<id>, wie in PUT /collections/:id) neu gelesen und geändert.
+ *
+ * @param {string} resourceId - ID der gelöschten Ressource
+ * @returns {Promise<{ collections: number, bookmarks: number }>} Anzahl geänderter Sammlungen
+ *   und gelöschter Lesezeichen
+ */
+export async function removeResourceFromCollections(resourceId) {
+    const candidates = (await storage.find('collections'))
+        .filter(collection => collection.resourceIds.includes(resourceId));
+    let changed = 0;
+    for (const { id } of candidates) {
+        await storage.withFileLock(`collection:${id}`, async () => {
+            const collection = await storage.findById('collections', id);
+            if (!collection || !collection.resourceIds.includes(resourceId)) return;
+            await storage.update('collections', id, {
+                resourceIds: collection.resourceIds.filter(other => other !== resourceId),
+                updatedAt: new Date().toISOString()
+            });
+            changed++;
+        });
+    }
+    const bookmarks = await storage.removeWhere('bookmarks', { resourceId });
+    return { collections: changed, bookmarks };
+}
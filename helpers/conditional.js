@@ -0,0 +1,107 @@
+/**
+ * helpers/conditional.js
+ *
+ * Validatoren für bedingte Anfragen auf einzelne Ressourcen (RFC 9110):
+ * GET /resources/:id liefert einen starken ETag und Last-Modified, damit Clients mit
+ * If-None-Match bzw. If-Modified-Since ein 304 Not Modified erhalten; PUT, PATCH und DELETE
+ * prüfen If-Match und lehnen Änderungen an einem inzwischen geänderten Stand mit 412 ab.
+ *
+ * Der ETag ist eine Prüfsumme des gespeicherten Datensatzes der Ressource, also genau der
+ * Felder, die PUT, PATCH, DELETE und Revert ändern. Die Aggregate averageRating und feedbacks
+ * gehören nicht dazu: Eine neue Bewertung oder ein neues Feedback anderer Nutzer lässt ein
+ * If-Match nicht scheitern. Aktuelle Aggregate liefern /resources/:id/ratings/summary und
+ * GET /resources/:id ohne If-None-Match. Last-Modified ist der jüngste Zeitpunkt aus der
+ * Ressource selbst und ihren Versionen im Audit-Log (siehe helpers/audit.js).
+ *
+ * @fileoverview ETag, Last-Modified und If-Match-Prüfung für Ressourcen.
+ */
+
+import { createHash } from 'crypto';
+import * as storage from './data_manager.js';
+import * as ratingStats from './rating_stats.js';
+import { buildThread } from './feedback.js';
+import { findAuditEntries } from './audit.js';
+import { PreconditionFailedError } from './errors.js';
+
+/**
+ * Berechnet einen starken ETag für einen JSON-Wert.
+ *
+ * @param {*} value - Darstellung
+ * @returns {string} ETag in Anführungszeichen
+ */
+export function strongEtag(value) {
+    return `"${createHash('sha256').update(JSON.stringify(value)).digest('base64url').slice(0, 27)}"`;
+}
+
+/**
+ * Baut die Darstellung einer Ressource für GET /resources/:id.
+ *
+ * @param {Object} resource - Gespeicherte Ressource
+ * @returns {Promise<Object>} Ressource mit averageRating und feedbacks (Thread)
+ */
+export async function resourceRepresentation(resource) {
+    // Durchschnittliche Bewertung aus den Aggregaten
+    let averageRating = null;
+    try {
+        ({ averageRating } = await ratingStats.getSummary(resource.id));
+    } catch (e) {
+        averageRating = null;
+    }
+    // Freigegebene Feedbacks zur Ressource als Thread laden
+    let feedbacks = [];
+    try {
+        feedbacks = buildThread(await storage.find('feedback', { resourceId: resource.id }));
+    } catch (e) {
+        feedbacks = [];
+    }
+    return { ...resource, averageRating, feedbacks };
+}
+
+/**
+ * Berechnet den ETag einer Ressource aus ihrem gespeicherten Datensatz (ohne Aggregate).
+ *
+ * @param {Object} resource - Gespeicherte Ressource
+ * @returns {string} ETag in Anführungszeichen
+ */
+export function resourceEtag(resource) {
+    return strongEtag(resource);
+}
+
+/**
+ * Ermittelt Darstellung, ETag und Änderungszeitpunkt einer Ressource.
+ *
+ * @param {Object} resource - Gespeicherte Ressource
+ * @returns {Promise<{ representation: Object, etag: string, lastModified: Date|null }>} Validatoren
+ */
+export async function resourceValidators(resource) {
+    const [representation, entries] = await Promise.all([
+        resourceRepresentation(resource),
+        findAuditEntries({ entityType: 'resource', entityId: resource.id })
+    ]);
+    const times = [resource.createdAt, resource.updatedAt, ...entries.map(entry => entry.timestamp)]
+        .filter(Boolean)
+        .map(value => new Date(value).getTime())
+        .filter(time => !isNaN(time));
+    return {
+        representation,
+        etag: resourceEtag(resource),
+        lastModified: times.length > 0 ? new Date(Math.max(...times)) : null
+    };
+}
+
+/**
+ * Prüft den If-Match-Header einer schreibenden Anfrage gegen den aktuellen Stand.
+ * Ohne Header wird nichts geprüft; "*" passt auf jede existierende Ressource.
+ * Schwache ETags (W/"...") passen nie (starker Vergleich).
+ *
+ * @param {import('express').Request} req - Express Request Objekt
+ * @param {Object} resource - Aktuell gespeicherte Ressource
+ * @throws {PreconditionFailedError} Wenn kein angegebener ETag passt (412)
+ */
+export function assertIfMatch(req, resource) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return;
+    if (!header.split(',').map(tag => tag.trim()).includes(resourceEtag(resource))) {
+        throw new PreconditionFailedError('precondition_failed');
+    }
+}
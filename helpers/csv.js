@@ -0,0 +1,135 @@
+/**
+ * helpers/csv.js
+ *
+ * Lesen und Schreiben von CSV nach RFC 4180: Felder in Anführungszeichen dürfen Trennzeichen,
+ * Zeilenumbrüche und verdoppelte Anführungszeichen enthalten. Beim Lesen wird das
+ * Trennzeichen (Komma oder Semikolon, wie bei deutschen Tabellenkalkulationen) anhand der
+ * Kopfzeile erkannt und ein UTF-8-BOM entfernt. Listen (z.B. tagIds) stehen in einer Zelle,
+ * getrennt durch CSV_LIST_SEPARATOR.
+ *
+ * @fileoverview CSV-Parser und -Formatierung für Import und Export.
+ */
+
+// Trennzeichen für Listen innerhalb einer Zelle (z.B. tag-1|tag-2)
+export const CSV_LIST_SEPARATOR = '|';
+
+/**
+ * Erkennt das Trennzeichen anhand der ersten Zeile.
+ *
+ * @param {string} text - CSV-Text
+ * @returns {string} ',' oder ';'
+ */
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const count = char => firstLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Zerlegt CSV-Text in Datensätze.
+ *
+ * @param {string} text - CSV-Text
+ * @returns {Array<{ line: number, values: string[] }>} Datensätze mit Zeilennummer (1-basiert,
+ *   Beginn des Datensatzes); leere Zeilen werden übersprungen
+ */
+function parseRecords(text) {
+    const delimiter = detectDelimiter(text);
+    const records = [];
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        values.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        if (values.length > 1 || values[0] !== '') records.push({ line: recordLine, values });
+        values = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || values.length > 0) endRecord();
+    return records;
+}
+
+/**
+ * Liest CSV mit Kopfzeile in Objekte. Spaltennamen werden getrimmt, leere Zellen
+ * werden weggelassen (gelten als nicht angegeben).
+ *
+ * @param {string} text - CSV-Text
+ * @returns {Array<{ line: number, data: Object }>} Zeilen mit Zeilennummer und Werten je Spalte
+ */
+export function parseCsv(text) {
+    const [header, ...rows] = parseRecords(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+    const columns = header.values.map(name => name.trim());
+    return rows.map(({ line, values }) => ({
+        line,
+        data: Object.fromEntries(columns
+            .map((name, i) => [name, values[i]])
+            .filter(([name, value]) => name && value !== undefined && value.trim() !== ''))
+    }));
+}
+
+/**
+ * Zerlegt eine Zelle mit einer Liste in ihre Einträge.
+ *
+ * @param {string} value - Zelle (z.B. "tag-1|tag-2")
+ * @returns {string[]} Getrimmte, nicht leere Einträge
+ */
+export function splitCsvList(value) {
+    return value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Formatiert einen Wert als CSV-Feld. Werte, die eine Tabellenkalkulation als Formel
+ * interpretieren würde (=, +, -, @ am Anfang), werden mit ' entschärft; Arrays werden mit
+ * CSV_LIST_SEPARATOR verbunden.
+ *
+ * @param {*} value - Wert (null/undefined wird zu einem leeren Feld)
+ * @returns {string} CSV-Feld
+ */
+function formatField(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join(CSV_LIST_SEPARATOR) : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formatiert eine CSV-Zeile (mit abschließendem CRLF).
+ *
+ * @param {Array<*>} values - Werte der Zeile
+ * @returns {string} CSV-Zeile
+ */
+export function formatCsvRow(values) {
+    return `${values.map(formatField).join(',')}\r\n`;
+}
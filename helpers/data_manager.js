@@ -4,51 +4,346 @@
  * Asynchroner Datenmanager für JSON-Dateizugriffe im Resource Catalog Service.
  * Kapselt alle Lese- und Schreiboperationen für resources.json, ratings.json, feedback.json.
  *
- * @fileoverview Stellt asynchrone Funktionen zum Lesen und Schreiben von JSON-Dateien bereit.
+ * Zusätzlich stellt er die Repository-Schnittstelle (findById, find, insert, update, remove)
+ * bereit, über die die Routen auf die Daten zugreifen. Das Backend wird über die
+ * Umgebungsvariable STORAGE_BACKEND gewählt: 'json' (Standard, Dateien im data-Ordner)
+ * oder 'sqlite' (eingebettete Datenbank, siehe helpers/storage/sqlite_store.js).
+ *
+ * @fileoverview Stellt asynchrone Funktionen zum Lesen und Schreiben von JSON-Dateien
+ * sowie die Repository-Schnittstelle für das austauschbare Storage-Backend bereit.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { log } from './log.js';
+import { dataFileDuration } from './metrics.js';
 
-// Basisverzeichnis für Daten
+// Basisverzeichnis für Daten (überschreibbar über DATA_DIR, z.B. für Tests)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const dataDir = path.join(__dirname, '..', 'data');
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Liefert den data-Ordner (beim Aufruf gelesen, damit DATA_DIR aus dotenv bzw. Tests gilt).
+ *
+ * @returns {string} Absoluter Pfad des data-Ordners
+ */
+export function dataDir() {
+    return process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : DEFAULT_DATA_DIR;
+}
+
+// Warteschlangen je Datei: Schreibvorgänge auf dieselbe Datei laufen nacheinander
+const fileQueues = new Map();
+// Zähler für eindeutige Namen temporärer Dateien
+let tempCounter = 0;
+
+/**
+ * Führt eine Funktion exklusiv für eine Datei aus (Mutex pro Datei).
+ * Weitere Aufrufe für dieselbe Datei warten, bis die vorherigen abgeschlossen sind.
+ *
+ * @param {string} fileName - Dateiname (z.B. 'ratings.json')
+ * @param {Function} fn - Asynchrone Funktion, die exklusiv ausgeführt wird
+ * @returns {Promise<*>} Ergebnis von fn
+ */
+export function withFileLock(fileName, fn) {
+    const previous = fileQueues.get(fileName) || Promise.resolve();
+    const result = previous.then(fn);
+    // Fehler dürfen die Warteschlange nicht blockieren
+    const queued = result.catch(() => {});
+    fileQueues.set(fileName, queued);
+    queued.then(() => {
+        if (fileQueues.get(fileName) === queued) fileQueues.delete(fileName);
+    });
+    return result;
+}
+
+/**
+ * Wartet, bis alle laufenden und eingereihten Schreibvorgänge abgeschlossen sind.
+ *
+ * @returns {Promise<void>} Promise, das aufgelöst wird, sobald keine Schreibvorgänge mehr offen sind
+ */
+export async function flushWrites() {
+    while (fileQueues.size > 0) {
+        await Promise.all([...fileQueues.values()]);
+    }
+}
+
+/**
+ * Prüft, ob der data-Ordner lesbar und beschreibbar ist (für GET /health/ready): legt eine
+ * Probedatei an, liest sie zurück und löscht sie wieder.
+ *
+ * @returns {Promise<void>} Promise, das bei Erfolg aufgelöst wird
+ * @throws {Error} Wenn der Ordner fehlt oder nicht les- bzw. beschreibbar ist
+ */
+export async function checkDataDirectory() {
+    const probe = path.join(dataDir(), `.health-${process.pid}-${++tempCounter}.tmp`);
+    try {
+        await fs.writeFile(probe, 'ok');
+        if (await fs.readFile(probe, 'utf8') !== 'ok') {
+            throw new Error('Probedatei konnte nicht zurückgelesen werden');
+        }
+    } finally {
+        await fs.rm(probe, { force: true });
+    }
+}
+
+/**
+ * Liest eine JSON-Datei und parst sie.
+ *
+ * @param {string} filePath - Absoluter Pfad
+ * @returns {Promise<*>} Geparster Inhalt
+ */
+async function readJsonFile(filePath) {
+    const stopTimer = dataFileDuration.startTimer({ operation: 'read', file: path.basename(filePath) });
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(content);
+    } finally {
+        stopTimer();
+    }
+}
+
+/**
+ * Schreibt Daten atomar: zuerst in eine temporäre Datei, die nach fsync per rename
+ * die Zieldatei ersetzt. Ein Absturz während des Schreibens hinterlässt so nie eine
+ * halb geschriebene Datei. Der bisherige, gültige Inhalt wird vorher als .bak gesichert.
+ *
+ * @param {string} filePath - Absoluter Pfad der Zieldatei
+ * @param {Array|Object} data - Zu schreibende Daten
+ * @returns {Promise<void>} Promise, das nach Abschluss aufgelöst wird
+ */
+async function writeFileAtomic(filePath, data) {
+    const stopTimer = dataFileDuration.startTimer({ operation: 'write', file: path.basename(filePath) });
+    try {
+        await replaceFile(filePath, data);
+    } finally {
+        stopTimer();
+    }
+}
+
+/**
+ * Führt den eigentlichen atomaren Schreibvorgang für writeFileAtomic aus.
+ *
+ * @param {string} filePath - Absoluter Pfad der Zieldatei
+ * @param {Array|Object} data - Zu schreibende Daten
+ * @returns {Promise<void>} Promise, das nach Abschluss aufgelöst wird
+ */
+async function replaceFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${tempCounter++}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        // Daten als JSON-String speichern (mit Einrückung)
+        await handle.writeFile(JSON.stringify(data, null, 4), 'utf8');
+        await handle.sync();
+    } catch (err) {
+        await handle.close();
+        await fs.rm(tempPath, { force: true });
+        throw err;
+    }
+    await handle.close();
+
+    // Letzten gültigen Stand als Backup behalten (ein beschädigter Stand überschreibt es nicht)
+    try {
+        await readJsonFile(filePath);
+        await fs.copyFile(filePath, `${filePath}.bak`);
+    } catch {
+        // Datei fehlt oder ist beschädigt: vorhandenes Backup bleibt unverändert
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Liest JSON-Daten und stellt eine beschädigte Datei aus dem Backup wieder her.
+ * Der Aufrufer muss die Sperre der Datei halten (siehe withFileLock).
+ *
+ * @param {string} fileName - Dateiname
+ * @returns {Promise<Array>} Geparstes Array oder leeres Array, wenn die Datei fehlt
+ */
+async function readDataUnlocked(fileName) {
+    // Pfad zur Datei im data-Ordner berechnen
+    const filePath = path.join(dataDir(), fileName);
+    try {
+        return await readJsonFile(filePath);
+    } catch (err) {
+        // Datei fehlt: leeres Array zurückgeben
+        if (err.code === 'ENOENT') return [];
+        if (!(err instanceof SyntaxError)) throw err;
+        // Ungültiges JSON: letzten gültigen Stand aus dem Backup wiederherstellen
+        let backup;
+        try {
+            backup = await readJsonFile(`${filePath}.bak`);
+        } catch {
+            throw new Error(`${fileName} ist beschädigt und es gibt kein gültiges Backup.`);
+        }
+        log.warn('Datendatei beschädigt, Backup wird wiederhergestellt', { file: fileName });
+        await writeFileAtomic(filePath, backup);
+        return backup;
+    }
+}
 
 /**
  * Liest asynchron JSON-Daten aus einer Datei im data-Ordner.
- * Gibt ein Array zurück oder ein leeres Array, wenn die Datei fehlt oder ungültig ist.
+ * Gibt ein leeres Array zurück, wenn die Datei fehlt. Ist die Datei beschädigt,
+ * wird der letzte gültige Stand aus dem Backup (.bak) wiederhergestellt.
  *
  * @param {string} fileName - Dateiname (z.B. 'resources.json')
- * @returns {Promise<Array>} Geparstes Array oder leeres Array, wenn Datei fehlt/leer/ungültig
+ * @returns {Promise<Array>} Geparstes Array oder leeres Array, wenn Datei fehlt
  */
 export async function readData(fileName) {
     try {
-        // Pfad zur Datei im data-Ordner berechnen
-        const filePath = path.join(dataDir, fileName);
-        // Datei asynchron lesen
-        const content = await fs.readFile(filePath, 'utf8');
-        // JSON parsen und zurückgeben
-        return JSON.parse(content);
+        // Pfad zur Datei im data-Ordner berechnen und JSON parsen
+        return await readJsonFile(path.join(dataDir(), fileName));
     } catch (err) {
         // Datei fehlt: leeres Array zurückgeben
         if (err.code === 'ENOENT') return [];
+        // Wiederherstellung unter Sperre, damit sie nicht mit einem Schreibvorgang kollidiert
+        if (err instanceof SyntaxError) return withFileLock(fileName, () => readDataUnlocked(fileName));
         // Fehler weiterreichen (wird von Error-Middleware gefangen)
         throw err;
     }
 }
 
 /**
- * Schreibt asynchron JSON-Daten in eine Datei im data-Ordner.
+ * Schreibt asynchron JSON-Daten atomar in eine Datei im data-Ordner.
+ * Schreibvorgänge auf dieselbe Datei werden nacheinander ausgeführt.
  *
  * @param {string} fileName - Dateiname (z.B. 'resources.json')
  * @param {Array|Object} data - Zu schreibende Daten
  * @returns {Promise<void>} Promise, das nach Abschluss aufgelöst wird
  */
 export async function writeData(fileName, data) {
-    // Pfad zur Datei im data-Ordner berechnen
-    const filePath = path.join(dataDir, fileName);
-    // Daten als JSON-String speichern (mit Einrückung)
-    await fs.writeFile(filePath, JSON.stringify(data, null, 4), 'utf8');
+    await withFileLock(fileName, () => writeFileAtomic(path.join(dataDir(), fileName), data));
+}
+
+/**
+ * Liest, verändert und schreibt eine Datei als eine exklusive Operation.
+ * Verhindert verlorene Änderungen bei gleichzeitigen Anfragen (read-modify-write).
+ *
+ * @param {string} fileName - Dateiname (z.B. 'ratings.json')
+ * @param {Function} mutate - Erhält die Daten und verändert sie direkt; der Rückgabewert
+ *   wird durchgereicht. Gibt mutate false zurück, wird nicht geschrieben.
+ * @returns {Promise<*>} Rückgabewert von mutate
+ */
+export function updateData(fileName, mutate) {
+    return withFileLock(fileName, async () => {
+        const data = await readDataUnlocked(fileName);
+        const result = await mutate(data);
+        if (result !== false) {
+            await writeFileAtomic(path.join(dataDir(), fileName), data);
+        }
+        return result;
+    });
+}
+
+// =====================
+// Repository-Schnittstelle (austauschbares Storage-Backend)
+// =====================
+
+// Verfügbare Storage-Adapter, ausgewählt über STORAGE_BACKEND (Standard: json)
+const STORE_MODULES = {
+    json: './storage/json_store.js',
+    sqlite: './storage/sqlite_store.js'
+};
+
+// Promise des aktiven Adapters (wird beim ersten Zugriff erzeugt)
+let storePromise = null;
+
+/**
+ * Liefert den konfigurierten Storage-Adapter.
+ * Die Auswahl erfolgt erst beim ersten Zugriff, damit die per dotenv in server.js
+ * geladenen Umgebungsvariablen berücksichtigt werden.
+ *
+ * @returns {Promise<Object>} Adapter mit findById, find, insert, update, remove, removeWhere und close
+ */
+export function getStore() {
+    if (!storePromise) {
+        const backend = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+        const modulePath = STORE_MODULES[backend];
+        if (!modulePath) {
+            return Promise.reject(new Error(`Unbekanntes STORAGE_BACKEND: ${backend}`));
+        }
+        storePromise = import(modulePath).then(mod => mod.createStore());
+    }
+    return storePromise;
+}
+
+/**
+ * Sucht einen Datensatz anhand seiner ID.
+ *
+ * @param {string} collection - Name der Sammlung (z.B. 'resources')
+ * @param {string} id - ID des Datensatzes
+ * @returns {Promise<Object|null>} Datensatz oder null
+ */
+export async function findById(collection, id) {
+    return (await getStore()).findById(collection, id);
+}
+
+/**
+ * Liefert alle Datensätze einer Sammlung, deren Felder den Filterwerten entsprechen.
+ *
+ * @param {string} collection - Name der Sammlung
+ * @param {Object} [filter={}] - Feld/Wert-Paare für exakte Übereinstimmung (z.B. { resourceId })
+ * @returns {Promise<Array<Object>>} Gefundene Datensätze in Einfügereihenfolge
+ */
+export async function find(collection, filter = {}) {
+    return (await getStore()).find(collection, filter);
+}
+
+/**
+ * Fügt einen neuen Datensatz (mit gesetzter id) ein.
+ *
+ * @param {string} collection - Name der Sammlung
+ * @param {Object} record - Datensatz
+ * @returns {Promise<Object>} Eingefügter Datensatz
+ */
+export async function insert(collection, record) {
+    return (await getStore()).insert(collection, record);
+}
+
+/**
+ * Aktualisiert einen Datensatz. Felder aus changes werden übernommen,
+ * Felder mit dem Wert undefined werden entfernt; die id bleibt unverändert.
+ *
+ * @param {string} collection - Name der Sammlung
+ * @param {string} id - ID des Datensatzes
+ * @param {Object} changes - Zu ändernde Felder
+ * @returns {Promise<Object|null>} Aktualisierter Datensatz oder null, wenn nicht gefunden
+ */
+export async function update(collection, id, changes) {
+    return (await getStore()).update(collection, id, changes);
+}
+
+/**
+ * Löscht einen Datensatz.
+ *
+ * @param {string} collection - Name der Sammlung
+ * @param {string} id - ID des Datensatzes
+ * @returns {Promise<boolean>} true, wenn ein Datensatz gelöscht wurde
+ */
+export async function remove(collection, id) {
+    return (await getStore()).remove(collection, id);
+}
+
+/**
+ * Löscht alle Datensätze einer Sammlung, die den Filterwerten entsprechen.
+ *
+ * @param {string} collection - Name der Sammlung
+ * @param {Object} filter - Feld/Wert-Paare für exakte Übereinstimmung (z.B. { resourceId })
+ * @returns {Promise<number>} Anzahl gelöschter Datensätze
+ */
+export async function removeWhere(collection, filter) {
+    return (await getStore()).removeWhere(collection, filter);
+}
+
+/**
+ * Schließt den aktiven Adapter (z.B. die Datenbankverbindung).
+ *
+ * @returns {Promise<void>} Promise, das nach dem Schließen aufgelöst wird
+ */
+export async function closeStore() {
+    if (!storePromise) return;
+    const store = await storePromise;
+    storePromise = null;
+    await store.close();
 }
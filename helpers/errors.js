@@ -0,0 +1,100 @@
+/**
+ * helpers/errors.js
+ *
+ * Fehlerklassen des Resource Catalog Service. Routen und Middleware werfen diese Fehler
+ * (bzw. reichen sie per next(err) weiter); die zentrale Fehlerbehandlung in
+ * middleware/error_handler.js wandelt sie in eine RFC-7807-Antwort (application/problem+json) um.
+ *
+ * Jeder Fehler trägt einen Meldungsschlüssel (code) und Parameter statt eines festen Textes,
+ * damit die Meldung in der Sprache der Anfrage erzeugt werden kann (siehe helpers/messages.js).
+ *
+ * @fileoverview Typisierte Fehler mit HTTP-Status und lokalisierbarem Meldungsschlüssel.
+ */
+
+import { translate, DEFAULT_LOCALE } from './messages.js';
+
+/**
+ * Basisklasse für alle erwarteten Fehler mit HTTP-Status.
+ */
+export class AppError extends Error {
+    /**
+     * @param {number} status - HTTP-Status
+     * @param {string} code - Meldungsschlüssel aus helpers/messages.js
+     * @param {Object} [params={}] - Werte für die Platzhalter der Meldung
+     * @param {Object} [options] - Zusätzliche Angaben
+     * @param {Array<Object>} [options.details] - Einzelfehler (z.B. je ungültigem Feld)
+     * @param {Object} [options.headers] - Zusätzliche Antwort-Header
+     */
+    constructor(status, code, params = {}, { details, headers } = {}) {
+        super(translate(DEFAULT_LOCALE, code, params));
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.params = params;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+/**
+ * 400 Bad Request: ungültige Eingaben (Schema, Listen-Parameter, kaputtes JSON).
+ */
+export class ValidationError extends AppError {
+    constructor(code = 'invalid_request', params, options) {
+        super(400, code, params, options);
+    }
+}
+
+/**
+ * 401 Unauthorized: fehlende oder ungültige Zugangsdaten.
+ */
+export class UnauthorizedError extends AppError {
+    constructor(code = 'authentication_required', params, options = {}) {
+        super(401, code, params, { ...options, headers: { 'WWW-Authenticate': 'Bearer', ...options.headers } });
+    }
+}
+
+/**
+ * 403 Forbidden: angemeldet, aber ohne ausreichende Rolle oder Eigentum.
+ */
+export class ForbiddenError extends AppError {
+    constructor(code, params, options) {
+        super(403, code, params, options);
+    }
+}
+
+/**
+ * 404 Not Found: Datensatz oder Route existiert nicht.
+ */
+export class NotFoundError extends AppError {
+    constructor(code = 'resource_not_found', params, options) {
+        super(404, code, params, options);
+    }
+}
+
+/**
+ * 409 Conflict: die Anfrage widerspricht dem aktuellen Zustand.
+ */
+export class ConflictError extends AppError {
+    constructor(code, params, options) {
+        super(409, code, params, options);
+    }
+}
+
+/**
+ * 412 Precondition Failed: If-Match passt nicht zum aktuellen Stand (gleichzeitige Änderung).
+ */
+export class PreconditionFailedError extends AppError {
+    constructor(code = 'precondition_failed', params, options) {
+        super(412, code, params, options);
+    }
+}
+
+/**
+ * 429 Too Many Requests: Rate-Limit der Route überschritten (mit Retry-After).
+ */
+export class TooManyRequestsError extends AppError {
+    constructor(code = 'rate_limited', params, options) {
+        super(429, code, params, options);
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * helpers/events.js
+ *
+ * Domain-Events des Katalogs. Die Routen melden jede fachliche Änderung über publishEvent;
+ * Abonnenten sind der Server-Sent-Events-Stream (GET /events) und die Zustellung an
+ * Webhooks (siehe helpers/webhooks.js). Ein Event hat die Form
+ *   { id, type, timestamp, actorId, resourceId, data }
+ * mit data je nach Typ { resource }, { resource, mode }, { rating } oder { feedback }.
+ *
+ * Die letzten Events werden im Speicher gehalten, damit ein SSE-Client nach einem
+ * Verbindungsabbruch über Last-Event-ID die verpassten Events nachgeliefert bekommt.
+ *
+ * @fileoverview Veröffentlichen und Abonnieren von Domain-Events.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { log } from './log.js';
+
+// Unterstützte Event-Typen
+export const EVENT_TYPES = ['resource.created', 'resource.updated', 'resource.deleted', 'rating.created', 'feedback.created'];
+
+// Anzahl der für Last-Event-ID vorgehaltenen Events
+const REPLAY_SIZE = 200;
+
+// Registrierte Abonnenten
+const listeners = new Set();
+// Zuletzt veröffentlichte Events, älteste zuerst
+const recent = [];
+
+/**
+ * Veröffentlicht ein Event an alle Abonnenten. Fehler eines Abonnenten werden geloggt und
+ * erreichen weder die übrigen Abonnenten noch die aufrufende Route.
+ *
+ * @param {string} type - Event-Typ aus EVENT_TYPES
+ * @param {Object} data - Nutzdaten (z.B. { resource })
+ * @param {Object} [options={}] - Zusätzliche Angaben
+ * @param {string|null} [options.actorId=null] - ID des handelnden Nutzers
+ * @param {string} [options.resourceId] - Betroffene Ressource
+ * @returns {Object} Veröffentlichtes Event
+ */
+export function publishEvent(type, data, { actorId = null, resourceId } = {}) {
+    const event = { id: uuidv4(), type, timestamp: new Date().toISOString(), actorId, resourceId, data };
+    recent.push(event);
+    if (recent.length > REPLAY_SIZE) recent.shift();
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch (err) {
+            log.error('Event-Abonnent fehlgeschlagen', { eventId: event.id, type, err });
+        }
+    }
+    return event;
+}
+
+/**
+ * Registriert einen Abonnenten für alle künftigen Events.
+ *
+ * @param {function(Object): void} listener - Wird je Event synchron aufgerufen
+ * @returns {function(): void} Meldet den Abonnenten wieder ab
+ */
+export function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Liefert die seit einem Event veröffentlichten Events.
+ *
+ * @param {string} lastEventId - ID des zuletzt empfangenen Events
+ * @returns {Array<Object>} Neuere Events (leer, wenn die ID nicht mehr vorgehalten wird)
+ */
+export function eventsSince(lastEventId) {
+    const index = recent.findIndex(event => event.id === lastEventId);
+    return index === -1 ? [] : recent.slice(index + 1);
+}
@@ -0,0 +1,151 @@
+/**
+ * helpers/feedback.js
+ *
+ * Hilfsfunktionen für Feedback-Objekte im Resource Catalog Service:
+ * Moderationsstatus, Normalisierung älterer Datensätze und Aufbau von Antwort-Threads.
+ *
+ * Ein Feedback hat die Felder id, resourceId, userId, parentId (Antwort auf ein anderes
+ * Feedback oder null), feedbackText, status, createdAt, updatedAt, history (frühere Texte),
+ * flags (Meldungen von Nutzern), moderation (letzte Moderationsentscheidung) und publishedAt
+ * (Zeitpunkt des Events feedback.created, null solange das Feedback nie freigegeben war).
+ *
+ * @fileoverview Feedback-Modell, Moderationsstatus und Threading.
+ */
+
+/**
+ * Liefert den Status für neues oder bearbeitetes Feedback.
+ * Bei FEEDBACK_MODERATION=pre muss jedes Feedback erst freigegeben werden,
+ * sonst (post, Standard) ist es sofort sichtbar und wird erst nach Meldungen geprüft.
+ *
+ * @returns {string} 'pending' oder 'approved'
+ */
+export function initialStatus() {
+    return (process.env.FEEDBACK_MODERATION || 'post').toLowerCase() === 'pre' ? 'pending' : 'approved';
+}
+
+/**
+ * Liefert die Anzahl offener Meldungen, ab der ein Feedback ausgeblendet wird
+ * (FEEDBACK_FLAG_THRESHOLD, Standard 3, mindestens 1). Meldungen von Moderatoren blenden
+ * sofort aus.
+ *
+ * @returns {number} Schwellwert
+ */
+export function flagThreshold() {
+    const value = Number(process.env.FEEDBACK_FLAG_THRESHOLD);
+    return Number.isInteger(value) && value >= 1 ? value : 3;
+}
+
+/**
+ * Liefert die Meldungen seit der letzten Moderationsentscheidung (noch nicht geprüft).
+ *
+ * @param {Object} feedback - Normalisiertes Feedback
+ * @returns {Array<Object>} Offene Meldungen
+ */
+export function openFlags(feedback) {
+    const decidedAt = feedback.moderation?.at;
+    return feedback.flags.filter(flag => !decidedAt || flag.createdAt > decidedAt);
+}
+
+/**
+ * Ergänzt fehlende Felder älterer Feedback-Datensätze (nur timestamp, kein Status).
+ *
+ * @param {Object} feedback - Gespeichertes Feedback
+ * @returns {Object} Feedback mit allen Feldern des aktuellen Modells
+ */
+export function normalizeFeedback(feedback) {
+    const { timestamp, ...rest } = feedback;
+    return {
+        id: feedback.id,
+        resourceId: feedback.resourceId,
+        userId: feedback.userId ?? null,
+        parentId: feedback.parentId ?? null,
+        feedbackText: feedback.feedbackText,
+        status: feedback.status || 'approved',
+        createdAt: feedback.createdAt || timestamp || null,
+        updatedAt: feedback.updatedAt || timestamp || null,
+        history: feedback.history || [],
+        flags: feedback.flags || [],
+        ...rest
+    };
+}
+
+/**
+ * Prüft, ob ein Feedback öffentlich sichtbar ist.
+ *
+ * @param {Object} feedback - Feedback
+ * @returns {boolean} true, wenn freigegeben
+ */
+export function isVisible(feedback) {
+    return normalizeFeedback(feedback).status === 'approved';
+}
+
+/**
+ * Liefert die öffentlichen Felder eines Feedbacks (für Events, Threads und die Antworten an
+ * Autoren). Meldungen (mit den IDs der meldenden Nutzer), Moderationsdetails und publishedAt
+ * sind nur für Moderatoren bestimmt.
+ *
+ * @param {Object} feedback - Feedback
+ * @returns {Object} Feedback ohne flags, moderation und publishedAt
+ */
+export function publicFeedback(feedback) {
+    const { flags, moderation, publishedAt, ...publicFields } = normalizeFeedback(feedback);
+    return publicFields;
+}
+
+/**
+ * Prüft, ob für ein Feedback jetzt das Event feedback.created veröffentlicht werden muss:
+ * beim ersten Mal, dass es freigegeben ist (sofort beim Anlegen oder nach der Moderation).
+ * Wartendes, gemeldetes und abgelehntes Feedback erreicht weder Event-Stream noch Webhooks.
+ *
+ * @param {Object|null} before - Bisheriger Stand (null beim Anlegen)
+ * @param {Object} after - Neuer Stand
+ * @returns {boolean} true, wenn das Event veröffentlicht werden muss
+ */
+export function needsPublication(before, after) {
+    if (!isVisible(after)) return false;
+    return !before || (!before.publishedAt && !isVisible(before));
+}
+
+/**
+ * Baut aus einer flachen Liste einen Thread-Baum (Antworten in replies).
+ * Es werden nur freigegebene Beiträge übernommen; Antworten auf nicht sichtbare
+ * Beiträge werden mit ausgeblendet.
+ *
+ * @param {Array<Object>} feedbacks - Feedback einer Ressource
+ * @returns {Array<Object>} Oberste Ebene, chronologisch, jeweils mit replies
+ */
+export function buildThread(feedbacks) {
+    const visible = feedbacks
+        .map(normalizeFeedback)
+        .filter(f => f.status === 'approved')
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    const nodes = new Map(visible.map(f => [f.id, { ...publicFeedback(f), replies: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        if (!node.parentId) roots.push(node);
+        else if (nodes.has(node.parentId)) nodes.get(node.parentId).replies.push(node);
+    }
+    return roots;
+}
+
+/**
+ * Ermittelt die IDs aller (auch indirekten) Antworten auf ein Feedback.
+ *
+ * @param {Array<Object>} feedbacks - Feedback einer Ressource
+ * @param {string} feedbackId - ID des Ausgangs-Feedbacks
+ * @returns {string[]} IDs der Antworten
+ */
+export function collectReplyIds(feedbacks, feedbackId) {
+    const ids = [];
+    const queue = [feedbackId];
+    while (queue.length > 0) {
+        const parentId = queue.shift();
+        for (const f of feedbacks) {
+            if (f.parentId === parentId) {
+                ids.push(f.id);
+                queue.push(f.id);
+            }
+        }
+    }
+    return ids;
+}
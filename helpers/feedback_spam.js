@@ -0,0 +1,131 @@
+/**
+ * helpers/feedback_spam.js
+ *
+ * Spam-Heuristiken für neues und bearbeitetes Feedback. Verdächtige Beiträge werden nicht
+ * abgelehnt, sondern automatisch gemeldet (Status "flagged") und landen in der
+ * Moderations-Warteschlange (GET /moderation/feedback).
+ *
+ * Prüfungen:
+ *   - duplicate_text: derselbe Text (ohne Groß-/Kleinschreibung, Satzzeichen und Leerraum)
+ *     wurde vom selben Nutzer innerhalb von FEEDBACK_SPAM_DUPLICATE_HOURS (Standard 24,
+ *     0 = aus) schon einmal abgegeben, auch zu einer anderen Ressource
+ *   - link_density: mehr als FEEDBACK_SPAM_MAX_LINKS Links (Standard 2) oder ein Anteil der
+ *     Links an allen Wörtern über FEEDBACK_SPAM_LINK_RATIO (Standard 0.3)
+ *   - profanity: ein Wort aus FEEDBACK_PROFANITY (kommagetrennt; leer = aus; ohne Angabe
+ *     eine kleine Standardliste)
+ *
+ * @fileoverview Erkennung verdächtigen Feedbacks (Duplikate, Links, Schimpfwörter).
+ */
+
+// Standardliste für die Schimpfwort-Prüfung (deutsch und englisch), ersetzbar per FEEDBACK_PROFANITY
+const DEFAULT_PROFANITY = [
+    'arschloch', 'scheiße', 'scheisse', 'wichser', 'fotze', 'hurensohn', 'schlampe', 'missgeburt',
+    'fuck', 'fucking', 'shit', 'bullshit', 'asshole', 'bitch', 'cunt', 'motherfucker'
+];
+
+// Links mit Protokoll oder beginnend mit www.
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Kennung für automatische Meldungen in feedback.flags (statt einer Nutzer-ID)
+export const SPAM_FLAG_USER = 'system:spam-check';
+
+/**
+ * Liest eine nicht negative Zahl aus einer Umgebungsvariable (beim Aufruf gelesen,
+ * damit die per dotenv in server.js geladenen Umgebungsvariablen gelten).
+ *
+ * @param {string} name - Name der Umgebungsvariable
+ * @param {number} fallback - Standardwert
+ * @returns {number} Wert
+ */
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Liefert die konfigurierte Schimpfwortliste.
+ *
+ * @returns {Set<string>} Wörter in Kleinbuchstaben
+ */
+function profanityList() {
+    const configured = process.env.FEEDBACK_PROFANITY;
+    const words = configured === undefined ? DEFAULT_PROFANITY : configured.split(',');
+    return new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Zerlegt einen Text in Wörter (Buchstaben und Ziffern, Kleinschreibung).
+ *
+ * @param {string} text - Text
+ * @returns {string[]} Wörter
+ */
+function words(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Normalisiert einen Text für den Duplikatvergleich.
+ *
+ * @param {string} text - Feedback-Text
+ * @returns {string} Wörter, durch je ein Leerzeichen getrennt
+ */
+export function normalizeText(text) {
+    return words(String(text || '')).join(' ');
+}
+
+/**
+ * Prüft einen Feedback-Text.
+ *
+ * @param {string} text - Neuer Feedback-Text
+ * @param {Object} [context={}] - Vergleichsdaten
+ * @param {Array<Object>} [context.previous=[]] - Bisheriges Feedback desselben Nutzers
+ *   (ohne das gerade bearbeitete)
+ * @param {Date} [context.now=new Date()] - Bezugszeitpunkt
+ * @returns {Array<{ check: string, [key: string]: * }>} Treffer (leer, wenn unauffällig), z.B.
+ *   { check: 'duplicate_text', feedbackId }, { check: 'link_density', links, words } oder
+ *   { check: 'profanity', words }
+ */
+export function detectSpam(text, { previous = [], now = new Date() } = {}) {
+    const findings = [];
+
+    const duplicateHours = envNumber('FEEDBACK_SPAM_DUPLICATE_HOURS', 24);
+    const normalized = normalizeText(text);
+    if (duplicateHours > 0 && normalized) {
+        const since = now.getTime() - duplicateHours * 60 * 60 * 1000;
+        const duplicate = previous.find(feedback =>
+            new Date(feedback.updatedAt || feedback.createdAt || 0).getTime() >= since
+            && normalizeText(feedback.feedbackText) === normalized);
+        if (duplicate) findings.push({ check: 'duplicate_text', feedbackId: duplicate.id });
+    }
+
+    const links = (text.match(LINK_PATTERN) || []).length;
+    if (links > 0) {
+        const totalWords = words(text.replace(LINK_PATTERN, ' ')).length + links;
+        if (links > envNumber('FEEDBACK_SPAM_MAX_LINKS', 2) || links / totalWords > envNumber('FEEDBACK_SPAM_LINK_RATIO', 0.3)) {
+            findings.push({ check: 'link_density', links, words: totalWords });
+        }
+    }
+
+    const profanity = profanityList();
+    const matched = [...new Set(words(text).filter(word => profanity.has(word)))];
+    if (matched.length > 0) findings.push({ check: 'profanity', words: matched });
+
+    return findings;
+}
+
+/**
+ * Erzeugt die automatische Meldung für feedback.flags.
+ *
+ * @param {Array<Object>} findings - Treffer aus detectSpam
+ * @param {string} createdAt - Zeitpunkt (ISO)
+ * @returns {Object} Meldung mit userId SPAM_FLAG_USER, reason und findings
+ */
+export function spamFlag(findings, createdAt) {
+    return {
+        userId: SPAM_FLAG_USER,
+        reason: `Automatische Spam-Prüfung: ${findings.map(finding => finding.check).join(', ')}`,
+        automatic: true,
+        findings,
+        createdAt
+    };
+}
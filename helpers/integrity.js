@@ -0,0 +1,207 @@
+/**
+ * helpers/integrity.js
+ *
+ * Integritätsprüfung der Datenhaltung. Findet
+ *   - verwaiste Bewertungen und Feedbacks (Ressource existiert nicht mehr),
+ *   - Antworten, deren übergeordnetes Feedback fehlt,
+ *   - doppelte IDs innerhalb einer Sammlung,
+ *   - mehrere Bewertungen desselben Nutzers für dieselbe Ressource,
+ *   - Datensätze, die nicht den Schemas aus schemas/resources.js entsprechen.
+ *
+ * Mit repair werden verwaiste Datensätze gelöscht, doppelte IDs und Bewertungen auf einen
+ * Datensatz reduziert (der zuerst gespeicherte bzw. zuletzt geänderte bleibt). Schemafehler
+ * werden nur gemeldet, da sich eine sinnvolle Korrektur nicht automatisch ableiten lässt.
+ *
+ * Die Reparatur läuft bei laufendem Server (POST /admin/integrity/repair): jeder Fund wird
+ * unter denselben Sperren wie in den Routen erneut geprüft und erst dann bereinigt
+ * (resource:<id>, bei Bewertungen zusätzlich rating:<resourceId>:<userId>). Die Sperren gelten
+ * nur innerhalb eines Prozesses; npm run integrity -- --repair darf deshalb nur bei
+ * gestopptem Server laufen.
+ *
+ * @fileoverview Prüft und repariert verwaiste, doppelte und ungültige Datensätze.
+ */
+
+import * as storage from './data_manager.js';
+import * as searchIndex from './search_index.js';
+import * as ratingStats from './rating_stats.js';
+import { validateValue } from '../middleware/validation.js';
+import { resourceBody, ratingBody, feedbackBody, FEEDBACK_STATUS_VALUES } from '../schemas/resources.js';
+
+const COLLECTIONS = ['resources', 'ratings', 'feedback'];
+
+/**
+ * Leitet aus einem Body-Schema das Schema eines gespeicherten Datensatzes ab
+ * (zusätzlich id und Pflichtfelder, weitere gespeicherte Felder sind erlaubt).
+ *
+ * @param {Object} schema - Body-Schema
+ * @param {Object} extraProperties - Zusätzliche Felder des gespeicherten Datensatzes
+ * @param {string[]} extraRequired - Zusätzliche Pflichtfelder
+ * @returns {Object} Schema für gespeicherte Datensätze
+ */
+function storedSchema(schema, extraProperties, extraRequired) {
+    return {
+        type: 'object',
+        properties: { ...schema.properties, id: { type: 'string', minLength: 1 }, ...extraProperties },
+        required: ['id', ...(schema.required || []), ...extraRequired]
+    };
+}
+
+// Schemas der gespeicherten Datensätze je Sammlung
+const RECORD_SCHEMAS = {
+    resources: storedSchema(resourceBody, {}, []),
+    ratings: storedSchema(ratingBody, { resourceId: { type: 'string', minLength: 1 } }, ['resourceId', 'userId']),
+    feedback: storedSchema(feedbackBody, {
+        resourceId: { type: 'string', minLength: 1 },
+        status: { type: 'string', enum: FEEDBACK_STATUS_VALUES }
+    }, ['resourceId'])
+};
+
+/**
+ * Sucht doppelte IDs in einer Sammlung.
+ *
+ * @param {Array<Object>} records - Datensätze
+ * @returns {string[]} Mehrfach vorkommende IDs
+ */
+function duplicateIds(records) {
+    const seen = new Set();
+    const duplicates = new Set();
+    for (const record of records) {
+        if (seen.has(record.id)) duplicates.add(record.id);
+        seen.add(record.id);
+    }
+    return [...duplicates];
+}
+
+/**
+ * Sucht mehrfache Bewertungen desselben Nutzers für dieselbe Ressource.
+ * Je Paar bleibt die zuletzt geänderte Bewertung, die übrigen werden gemeldet.
+ *
+ * @param {Array<Object>} ratings - Bewertungen
+ * @returns {Array<Object>} Überzählige Bewertungen
+ */
+function duplicateRatings(ratings) {
+    const latest = new Map();
+    const surplus = [];
+    const changedAt = r => r.updatedAt || r.createdAt || '';
+    for (const rating of ratings) {
+        if (!rating.userId) continue;
+        const key = `${rating.resourceId}\u0000${rating.userId}`;
+        const kept = latest.get(key);
+        if (!kept) {
+            latest.set(key, rating);
+        } else if (changedAt(rating) > changedAt(kept)) {
+            surplus.push(kept);
+            latest.set(key, rating);
+        } else {
+            surplus.push(rating);
+        }
+    }
+    return surplus;
+}
+
+/**
+ * Prüft die Datenhaltung und repariert optional gefundene Probleme.
+ *
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.repair=false] - Verwaiste und doppelte Datensätze bereinigen
+ * @returns {Promise<Object>} Bericht mit orphanedRatings, orphanedFeedback, orphanedReplies,
+ *   duplicateIds, duplicateRatings, schemaErrors, ok und (bei repair) repaired
+ */
+export async function checkIntegrity({ repair = false } = {}) {
+    const [resources, ratings, feedback] = await Promise.all(COLLECTIONS.map(c => storage.find(c)));
+    const data = { resources, ratings, feedback };
+    const resourceIds = new Set(resources.map(r => r.id));
+    const feedbackIds = new Set(feedback.map(f => f.id));
+
+    const report = {
+        checkedAt: new Date().toISOString(),
+        counts: Object.fromEntries(COLLECTIONS.map(c => [c, data[c].length])),
+        orphanedRatings: ratings.filter(r => !resourceIds.has(r.resourceId)).map(r => r.id),
+        orphanedFeedback: feedback.filter(f => !resourceIds.has(f.resourceId)).map(f => f.id),
+        orphanedReplies: feedback
+            .filter(f => resourceIds.has(f.resourceId) && f.parentId && !feedbackIds.has(f.parentId))
+            .map(f => f.id),
+        duplicateIds: Object.fromEntries(COLLECTIONS
+            .map(c => [c, duplicateIds(data[c])])
+            .filter(([, ids]) => ids.length > 0)),
+        duplicateRatings: duplicateRatings(ratings).map(r => r.id),
+        schemaErrors: COLLECTIONS.flatMap(collection => data[collection].flatMap(record => {
+            const { errors } = validateValue(RECORD_SCHEMAS[collection], record);
+            return errors.length > 0 ? [{ collection, id: record.id ?? null, errors: errors.map(({ params, ...e }) => e) }] : [];
+        }))
+    };
+    report.ok = report.orphanedRatings.length === 0
+        && report.orphanedFeedback.length === 0
+        && report.orphanedReplies.length === 0
+        && Object.keys(report.duplicateIds).length === 0
+        && report.duplicateRatings.length === 0
+        && report.schemaErrors.length === 0;
+
+    if (repair && !report.ok) {
+        report.repaired = await repairIntegrity(report, data);
+    }
+    return report;
+}
+
+/**
+ * Bereinigt die im Bericht gefundenen verwaisten und doppelten Datensätze. Jeder Fund wird
+ * unter der Sperre seiner Ressource mit dem aktuellen Stand erneut geprüft, damit
+ * gleichzeitige Schreibvorgänge weder verloren gehen noch fälschlich gelöscht werden.
+ *
+ * @param {Object} report - Bericht aus checkIntegrity
+ * @param {Object} data - Geladene Sammlungen
+ * @returns {Promise<Object>} Anzahl bereinigter Datensätze je Kategorie
+ */
+async function repairIntegrity(report, data) {
+    const repaired = { ratings: 0, feedback: 0, duplicateIds: 0 };
+    const ratingsById = new Map(data.ratings.map(r => [r.id, r]));
+    const feedbackById = new Map(data.feedback.map(f => [f.id, f]));
+    const lockResource = (resourceId, fn) => storage.withFileLock(`resource:${resourceId}`, fn);
+
+    // Doppelte IDs: alle Datensätze mit der ID löschen und den zuerst gespeicherten wieder anlegen
+    for (const [collection, ids] of Object.entries(report.duplicateIds)) {
+        for (const id of ids) {
+            const first = data[collection].find(record => record.id === id);
+            await lockResource(collection === 'resources' ? id : first.resourceId, async () => {
+                const current = await storage.find(collection, { id });
+                if (current.length < 2) return;
+                repaired.duplicateIds += await storage.removeWhere(collection, { id }) - 1;
+                await storage.insert(collection, current[0]);
+            });
+        }
+    }
+    // Verwaiste Bewertungen und Feedbacks: nur löschen, wenn die Ressource weiterhin fehlt
+    for (const [collection, byId, ids] of [
+        ['ratings', ratingsById, report.orphanedRatings],
+        ['feedback', feedbackById, report.orphanedFeedback]
+    ]) {
+        for (const id of ids) {
+            const { resourceId } = byId.get(id);
+            await lockResource(resourceId, async () => {
+                if (await storage.findById('resources', resourceId)) return;
+                if (await storage.remove(collection, id)) repaired[collection]++;
+            });
+        }
+    }
+    // Antworten ohne übergeordnetes Feedback: nur löschen, wenn es weiterhin fehlt
+    for (const id of report.orphanedReplies) {
+        const { resourceId, parentId } = feedbackById.get(id);
+        await lockResource(resourceId, async () => {
+            if (await storage.findById('feedback', parentId)) return;
+            if (await storage.remove('feedback', id)) repaired.feedback++;
+        });
+    }
+    // Doppelte Bewertungen: mit dem aktuellen Stand des Paares erneut bestimmen
+    for (const id of report.duplicateRatings) {
+        const { resourceId, userId } = ratingsById.get(id);
+        await lockResource(resourceId, () => storage.withFileLock(`rating:${resourceId}:${userId}`, async () => {
+            const surplus = duplicateRatings(await storage.find('ratings', { resourceId, userId }));
+            if (surplus.some(r => r.id === id) && await storage.remove('ratings', id)) repaired.ratings++;
+        }));
+    }
+
+    // Aggregate und Suchindex beim nächsten Zugriff neu aufbauen
+    ratingStats.invalidateStats();
+    searchIndex.invalidateIndex();
+    return repaired;
+}
@@ -0,0 +1,186 @@
+/**
+ * helpers/learning_paths.js
+ *
+ * Fachlogik für Lernpfade (siehe routes/paths.js): Prüfung der referenzierten Ressourcen,
+ * Reihenfolge nach Voraussetzungen (topologische Sortierung) mit Zyklenerkennung und
+ * Bereinigung, wenn eine Ressource endgültig gelöscht wird.
+ *
+ * Die Voraussetzungen bilden einen gerichteten Graphen über die Ressourcen eines Pfads.
+ * Die berechnete Reihenfolge hält die gespeicherte Reihenfolge so weit wie möglich ein
+ * (Kahn-Algorithmus, bei mehreren Kandidaten gewinnt der früheste Eintrag).
+ *
+ * @fileoverview Prüfung, Sortierung und Pflege von Lernpfaden.
+ */
+
+import * as storage from './data_manager.js';
+import { translate, DEFAULT_LOCALE } from './messages.js';
+
+/**
+ * Erzeugt einen Einzelfehler im Format der Schema-Validierung.
+ *
+ * @param {string} field - Feldpfad (z.B. sections[0].items[1].resourceId)
+ * @param {string} code - Fehlercode (Meldung unter validation.<code>)
+ * @param {Object} [params={}] - Parameter der Meldung
+ * @returns {{ field: string, code: string, message: string, params: Object }} Fehler
+ */
+function detail(field, code, params = {}) {
+    return { field, code, message: translate(DEFAULT_LOCALE, `validation.${code}`, params), params };
+}
+
+/**
+ * Liefert alle Einträge eines Pfads in gespeicherter Reihenfolge.
+ *
+ * @param {Object} path - Lernpfad
+ * @returns {Array<Object>} Einträge mit sectionIndex, sectionTitle, itemIndex und position
+ */
+export function pathItems(path) {
+    return path.sections.flatMap((section, sectionIndex) => section.items.map((item, itemIndex) => ({
+        ...item,
+        prerequisites: item.prerequisites || [],
+        sectionIndex,
+        sectionTitle: section.title,
+        itemIndex
+    }))).map((item, position) => ({ ...item, position }));
+}
+
+/**
+ * Summiert die geschätzte Dauer aller Einträge.
+ *
+ * @param {Object} path - Lernpfad
+ * @returns {number} Dauer in Minuten (Einträge ohne Schätzung zählen nicht)
+ */
+export function totalMinutes(path) {
+    return pathItems(path).reduce((sum, item) => sum + (item.estimatedMinutes || 0), 0);
+}
+
+/**
+ * Prüft die Verweise eines Pfads: Ressourcen müssen existieren und dürfen nur einmal
+ * vorkommen, Voraussetzungen müssen auf andere Ressourcen desselben Pfads verweisen.
+ *
+ * @param {Object} path - Lernpfad (nach Schema-Validierung)
+ * @returns {Promise<Array<Object>>} Einzelfehler (leer, wenn alles gültig ist)
+ */
+export async function checkPathReferences(path) {
+    const errors = [];
+    const items = pathItems(path);
+    const resourceIds = new Set(items.map(item => item.resourceId));
+    const resources = await Promise.all([...resourceIds].map(id => storage.findById('resources', id)));
+    const existing = new Set(resources.filter(r => r && !r.deletedAt).map(r => r.id));
+    const seen = new Set();
+
+    for (const item of items) {
+        const field = `sections[${item.sectionIndex}].items[${item.itemIndex}]`;
+        if (!existing.has(item.resourceId)) {
+            errors.push(detail(`${field}.resourceId`, 'unknown_resource', { id: item.resourceId }));
+        }
+        if (seen.has(item.resourceId)) {
+            errors.push(detail(`${field}.resourceId`, 'duplicate_resource', { id: item.resourceId }));
+        }
+        seen.add(item.resourceId);
+        item.prerequisites.forEach((prerequisite, k) => {
+            if (prerequisite === item.resourceId) {
+                errors.push(detail(`${field}.prerequisites[${k}]`, 'self_prerequisite'));
+            } else if (!resourceIds.has(prerequisite)) {
+                errors.push(detail(`${field}.prerequisites[${k}]`, 'unknown_prerequisite', { id: prerequisite }));
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Sucht einen Zyklus unter Einträgen, die nach dem Kahn-Algorithmus übrig geblieben sind.
+ * Jeder dieser Einträge hat mindestens eine übrige Voraussetzung, daher endet der Weg
+ * entlang der Voraussetzungen zwangsläufig in einem Zyklus.
+ *
+ * @param {Map<string, Object>} remaining - resourceId -> Eintrag
+ * @returns {string[]} Ressourcen-IDs des Zyklus, die erste ID wird am Ende wiederholt
+ */
+function findCycle(remaining) {
+    const visited = [];
+    let current = remaining.keys().next().value;
+    while (!visited.includes(current)) {
+        visited.push(current);
+        current = remaining.get(current).prerequisites.find(id => remaining.has(id));
+    }
+    return [...visited.slice(visited.indexOf(current)), current];
+}
+
+/**
+ * Berechnet eine Reihenfolge, in der jede Ressource nach ihren Voraussetzungen kommt.
+ *
+ * @param {Object} path - Lernpfad
+ * @returns {{ order: Array<Object>, cycle: string[]|null, respectsStoredOrder: boolean }}
+ *   Einträge in gültiger Reihenfolge; bei einem Zyklus ist order leer und cycle enthält ihn
+ */
+export function topologicalOrder(path) {
+    const items = pathItems(path);
+    const byId = new Map(items.map(item => [item.resourceId, item]));
+    // Voraussetzungen außerhalb des Pfads (z.B. nach dem Löschen einer Ressource) werden ignoriert
+    const pending = new Map(items.map(item => [
+        item.resourceId,
+        new Set(item.prerequisites.filter(id => byId.has(id) && id !== item.resourceId))
+    ]));
+    const dependents = new Map(items.map(item => [item.resourceId, []]));
+    for (const [id, prerequisites] of pending) {
+        for (const prerequisite of prerequisites) dependents.get(prerequisite).push(id);
+    }
+
+    // Kandidaten ohne offene Voraussetzungen, sortiert nach gespeicherter Position
+    const ready = items.filter(item => pending.get(item.resourceId).size === 0);
+    const order = [];
+    while (ready.length > 0) {
+        const item = ready.shift();
+        order.push(item);
+        for (const id of dependents.get(item.resourceId)) {
+            const open = pending.get(id);
+            open.delete(item.resourceId);
+            if (open.size === 0) {
+                const dependent = byId.get(id);
+                const index = ready.findIndex(candidate => candidate.position > dependent.position);
+                ready.splice(index === -1 ? ready.length : index, 0, dependent);
+            }
+        }
+    }
+
+    if (order.length < items.length) {
+        const placed = new Set(order.map(item => item.resourceId));
+        const remaining = new Map(items.filter(item => !placed.has(item.resourceId)).map(item => [item.resourceId, item]));
+        return { order: [], cycle: findCycle(remaining), respectsStoredOrder: false };
+    }
+    return {
+        order,
+        cycle: null,
+        respectsStoredOrder: order.every((item, index) => item.position === index)
+    };
+}
+
+/**
+ * Entfernt eine endgültig gelöschte Ressource aus allen Lernpfaden (Einträge und
+ * Voraussetzungen); leere Abschnitte entfallen.
+ *
+ * @param {string} resourceId - ID der gelöschten Ressource
+ * @returns {Promise<number>} Anzahl geänderter Lernpfade
+ */
+export async function removeResourceFromPaths(resourceId) {
+    const paths = await storage.find('paths');
+    let changed = 0;
+    for (const path of paths) {
+        if (!pathItems(path).some(item => item.resourceId === resourceId || item.prerequisites.includes(resourceId))) {
+            continue;
+        }
+        const sections = path.sections
+            .map(section => ({
+                ...section,
+                items: section.items
+                    .filter(item => item.resourceId !== resourceId)
+                    .map(item => (item.prerequisites
+                        ? { ...item, prerequisites: item.prerequisites.filter(id => id !== resourceId) }
+                        : item))
+            }))
+            .filter(section => section.items.length > 0);
+        await storage.update('paths', path.id, { sections, updatedAt: new Date().toISOString() });
+        changed++;
+    }
+    return changed;
+}
@@ -0,0 +1,36 @@
+/**
+ * helpers/lifecycle.js
+ *
+ * Lebenszyklus des Servers: Sobald das Herunterfahren beginnt (SIGTERM/SIGINT, siehe
+ * server.js), meldet GET /health/ready "nicht bereit", damit Load Balancer und Orchestrierung
+ * keine neuen Anfragen mehr schicken, während laufende Anfragen und Schreibvorgänge noch
+ * abgeschlossen werden.
+ *
+ * @fileoverview Zustand des Herunterfahrens für Readiness-Prüfung und Server.
+ */
+
+// true, sobald das Herunterfahren begonnen hat
+let shuttingDown = false;
+
+/**
+ * Markiert den Beginn des Herunterfahrens.
+ */
+export function markShuttingDown() {
+    shuttingDown = true;
+}
+
+/**
+ * Setzt den Zustand zurück (z.B. wenn in einem Prozess ein neuer Server gestartet wird).
+ */
+export function resetLifecycle() {
+    shuttingDown = false;
+}
+
+/**
+ * Prüft, ob der Server gerade herunterfährt.
+ *
+ * @returns {boolean} true während des Herunterfahrens
+ */
+export function isShuttingDown() {
+    return shuttingDown;
+}
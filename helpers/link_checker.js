@@ -0,0 +1,351 @@
+/**
+ * helpers/link_checker.js
+ *
+ * Hintergrundprüfung der Ressourcen-URLs. Jede URL wird per HEAD abgefragt (bei Fehlern oder
+ * wenn der Server HEAD nicht unterstützt, per GET), Weiterleitungen werden bis
+ * LINK_CHECK_MAX_REDIRECTS (Standard: 5) verfolgt, jede Anfrage bricht nach
+ * LINK_CHECK_TIMEOUT_MS (Standard: 10000) ab.
+ *
+ * Das Ergebnis liegt je Ressource in der Sammlung link_status (id = resourceId): status
+ * (ok, broken), httpStatus, finalUrl, error, lastChecked, lastOk und consecutiveFailures.
+ * Nach LINK_CHECK_FLAG_AFTER (Standard: 3, 0 = nie) Fehlschlägen in Folge wird die Ressource
+ * mit linkBroken markiert; sobald der Link wieder erreichbar ist, wird die Markierung entfernt.
+ * Beides erscheint im Audit-Log (actorId null).
+ *
+ * Der Hintergrundjob läuft alle LINK_CHECK_INTERVAL_MINUTES (Standard: 60, 0 = aus) und prüft
+ * höchstens LINK_CHECK_BATCH_SIZE (Standard: 50) fällige Links: noch nie oder für eine andere
+ * URL geprüfte, defekte und solche, deren letzte Prüfung älter als LINK_CHECK_MAX_AGE_HOURS
+ * (Standard: 24) ist.
+ *
+ * Der HTTP-Client ist austauschbar (Option client oder setHttpClient), z.B. für Tests gegen
+ * einen lokalen Stub-Server. Ein Client ist eine Funktion (url, { method, timeoutMs }), die
+ * { status, location } liefert, Weiterleitungen nicht selbst verfolgt und bei Netzwerkfehlern
+ * wirft (Zeitüberschreitung: Fehler mit name TimeoutError oder AbortError). Der Standard-Client
+ * fragt nur öffentliche Adressen ab (siehe helpers/url_guard.js) und verbindet sich nur mit
+ * den dabei geprüften Adressen (createGuardedAgent); da Weiterleitungen hier verfolgt werden,
+ * wird jede Station einzeln geprüft.
+ *
+ * @fileoverview Erreichbarkeitsprüfung der Ressourcen-URLs mit Hintergrundjob.
+ */
+
+import * as storage from './data_manager.js';
+import { recordChange } from './audit.js';
+import { log } from './log.js';
+import { assertFetchableUrl, createGuardedAgent, fetchPinned } from './url_guard.js';
+
+// Sammlungen (siehe helpers/data_manager.js)
+const RESOURCES = 'resources';
+const LINK_STATUS = 'link_status';
+
+// Statuscodes, bei denen der Location-Header weitergeleitet wird
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Liest eine nicht negative Zahl aus einer Umgebungsvariable (beim Aufruf gelesen,
+ * damit die per dotenv in server.js geladenen Umgebungsvariablen gelten).
+ *
+ * @param {string} name - Name der Umgebungsvariable
+ * @param {number} fallback - Standardwert
+ * @returns {number} Wert
+ */
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Erstellt den Standard-Client auf Basis von fetch.
+ *
+ * @param {Object} [options={}] - Optionen
+ * @param {string} [options.userAgent] - User-Agent der Anfragen
+ * @param {string[]} [options.allowedHosts=[]] - Hosts ohne Adressprüfung (z.B. ein lokaler Stub in Tests)
+ * @param {function(string): Promise<Array<{ address: string }>>} [options.lookup] - Namensauflösung
+ *   (Standard: dns.lookup, siehe helpers/url_guard.js)
+ * @returns {function(string, { method: string, timeoutMs: number }): Promise<{ status: number, location: string|null }>} Client,
+ *   wirft bei gesperrten Adressen (code blocked_url)
+ */
+export function createFetchClient({ userAgent = 'ResourceCatalogLinkChecker/1.0', allowedHosts = [], lookup } = {}) {
+    const agent = createGuardedAgent({ allowedHosts, lookup });
+    return async (url, { method, timeoutMs }) => {
+        await assertFetchableUrl(url, { allowedHosts, lookup });
+        const response = await fetchPinned(url, {
+            method,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(timeoutMs),
+            headers: { 'User-Agent': userAgent }
+        }, agent);
+        // Der Inhalt wird nicht benötigt
+        await response.body?.cancel();
+        return { status: response.status, location: response.headers.get('location') };
+    };
+}
+
+// Client für Prüfungen ohne eigene client-Option
+let httpClient = createFetchClient();
+
+/**
+ * Ersetzt den Standard-Client, z.B. durch einen Stub in Tests.
+ *
+ * @param {Function} client - Neuer Client
+ * @returns {Function} Bisheriger Client
+ */
+export function setHttpClient(client) {
+    const previous = httpClient;
+    httpClient = client;
+    return previous;
+}
+
+/**
+ * Führt eine Anfrage aus und wandelt Netzwerkfehler in einen Fehlercode um.
+ *
+ * @param {Function} client - HTTP-Client
+ * @param {string} url - URL
+ * @param {string} method - HEAD oder GET
+ * @param {number} timeoutMs - Zeitlimit
+ * @returns {Promise<{ status: number|null, location: string|null, error: string|null }>} Antwort
+ */
+async function request(client, url, method, timeoutMs) {
+    try {
+        const { status, location = null } = await client(url, { method, timeoutMs });
+        return { status, location, error: null };
+    } catch (err) {
+        if (err?.code === 'blocked_url') return { status: null, location: null, error: 'blocked_url' };
+        const error = err?.name === 'TimeoutError' || err?.name === 'AbortError' ? 'timeout' : 'network_error';
+        return { status: null, location: null, error };
+    }
+}
+
+/**
+ * Prüft, ob eine URL erreichbar ist, und verfolgt dabei Weiterleitungen.
+ *
+ * @param {string} url - Zu prüfende URL
+ * @param {Object} [options={}] - Optionen
+ * @param {Function} [options.client] - HTTP-Client (Standard: setHttpClient bzw. fetch)
+ * @param {number} [options.timeoutMs] - Zeitlimit je Anfrage
+ * @param {number} [options.maxRedirects] - Höchstzahl verfolgter Weiterleitungen
+ * @returns {Promise<{ ok: boolean, httpStatus: number|null, finalUrl: string, redirects: number, error: string|null }>}
+ *   Ergebnis; error ist invalid_url, blocked_url, timeout, network_error, too_many_redirects oder http_error
+ */
+export async function checkUrl(url, options = {}) {
+    const {
+        client = httpClient,
+        timeoutMs = envNumber('LINK_CHECK_TIMEOUT_MS', 10000),
+        maxRedirects = envNumber('LINK_CHECK_MAX_REDIRECTS', 5)
+    } = options;
+    let current = url;
+    let redirects = 0;
+    for (;;) {
+        let parsed;
+        try {
+            parsed = new URL(current);
+        } catch {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            return { ok: false, httpStatus: null, finalUrl: current, redirects, error: 'invalid_url' };
+        }
+        let response = await request(client, current, 'HEAD', timeoutMs);
+        // Manche Server unterstützen HEAD nicht oder beantworten es anders als GET
+        if ((response.error && response.error !== 'blocked_url') || response.status >= 400) {
+            response = await request(client, current, 'GET', timeoutMs);
+        }
+        if (response.error) {
+            return { ok: false, httpStatus: null, finalUrl: current, redirects, error: response.error };
+        }
+        if (REDIRECT_STATUSES.has(response.status) && response.location) {
+            if (redirects >= maxRedirects) {
+                return { ok: false, httpStatus: response.status, finalUrl: current, redirects, error: 'too_many_redirects' };
+            }
+            current = new URL(response.location, current).href;
+            redirects++;
+            continue;
+        }
+        const ok = response.status < 400;
+        return { ok, httpStatus: response.status, finalUrl: current, redirects, error: ok ? null : 'http_error' };
+    }
+}
+
+/**
+ * Setzt oder entfernt die Markierung linkBroken einer Ressource.
+ *
+ * @param {Object} resource - Geprüfte Ressource
+ * @param {Object} status - Gespeicherter Linkstatus
+ */
+async function updateLinkFlag(resource, status) {
+    const flagAfter = envNumber('LINK_CHECK_FLAG_AFTER', 3);
+    // Dieselbe Sperre wie die Änderungsrouten in routes/resources.js
+    await storage.withFileLock(`resource:${resource.id}`, async () => {
+        const current = await storage.findById(RESOURCES, resource.id);
+        // Inzwischen gelöscht oder mit neuer URL gespeichert: Ergebnis gilt nicht mehr
+        if (!current || current.deletedAt || current.url !== status.url) return;
+        let changes = null;
+        if (status.status === 'ok' && current.linkBroken) {
+            changes = { linkBroken: undefined, linkBrokenSince: undefined };
+        } else if (flagAfter > 0 && status.consecutiveFailures >= flagAfter && !current.linkBroken) {
+            changes = { linkBroken: true, linkBrokenSince: status.lastChecked };
+        }
+        if (!changes) return;
+        const updated = await storage.update(RESOURCES, current.id, changes);
+        await recordChange(RESOURCES, 'update', { before: current, after: updated, actorId: null });
+        log.info(updated.linkBroken ? 'Ressource als defekt markiert' : 'Defekt-Markierung entfernt', {
+            resourceId: current.id,
+            url: status.url
+        });
+    });
+}
+
+/**
+ * Prüft den Link einer Ressource, speichert das Ergebnis und aktualisiert die Markierung.
+ *
+ * @param {Object} resource - Ressource mit id und url
+ * @param {Object} [options={}] - Optionen wie bei checkUrl
+ * @returns {Promise<Object>} Gespeicherter Linkstatus
+ */
+export async function checkResourceLink(resource, options = {}) {
+    // Gleichzeitige Prüfungen derselben Ressource zählen Fehlschläge sonst doppelt
+    const status = await storage.withFileLock(`link_status:${resource.id}`, async () => {
+        const previous = await storage.findById(LINK_STATUS, resource.id);
+        const result = await checkUrl(resource.url, options);
+        const now = new Date().toISOString();
+        const sameUrl = previous?.url === resource.url;
+        const record = {
+            id: resource.id,
+            resourceId: resource.id,
+            url: resource.url,
+            status: result.ok ? 'ok' : 'broken',
+            httpStatus: result.httpStatus,
+            finalUrl: result.finalUrl,
+            redirects: result.redirects,
+            error: result.error,
+            lastChecked: now,
+            lastOk: result.ok ? now : (sameUrl ? previous.lastOk : null),
+            consecutiveFailures: result.ok ? 0 : (sameUrl ? previous.consecutiveFailures : 0) + 1
+        };
+        return previous ? storage.update(LINK_STATUS, resource.id, record) : storage.insert(LINK_STATUS, record);
+    });
+    await updateLinkFlag(resource, status);
+    return status;
+}
+
+/**
+ * Liefert den gespeicherten Linkstatus einer Ressource. Wurde die aktuelle URL noch nicht
+ * geprüft, ist status unchecked.
+ *
+ * @param {Object} resource - Ressource mit id und url
+ * @returns {Promise<Object>} Linkstatus mit flagged (Markierung linkBroken der Ressource)
+ */
+export async function getLinkStatus(resource) {
+    const record = await storage.findById(LINK_STATUS, resource.id);
+    const flagged = Boolean(resource.linkBroken);
+    if (!record || record.url !== resource.url) {
+        return {
+            resourceId: resource.id,
+            url: resource.url,
+            status: 'unchecked',
+            lastChecked: null,
+            consecutiveFailures: 0,
+            flagged
+        };
+    }
+    const { id, ...status } = record;
+    return { ...status, flagged };
+}
+
+/**
+ * Liefert die defekten Links aktiver Ressourcen mit einer Kurzfassung der Ressource.
+ *
+ * @returns {Promise<Array<Object>>} Linkstatus mit flagged und resource ({ id, title, type, authorId })
+ */
+export async function findBrokenLinks() {
+    const [records, resources] = await Promise.all([
+        storage.find(LINK_STATUS, { status: 'broken' }),
+        storage.find(RESOURCES, { deletedAt: null })
+    ]);
+    const byId = new Map(resources.map(r => [r.id, r]));
+    return records
+        .filter(record => byId.get(record.resourceId)?.url === record.url)
+        .map(({ id, ...status }) => {
+            const { title, type, authorId, linkBroken } = byId.get(status.resourceId);
+            return { ...status, flagged: Boolean(linkBroken), resource: { id, title, type, authorId } };
+        });
+}
+
+/**
+ * Prüft alle fälligen Links (höchstens LINK_CHECK_BATCH_SIZE), die am längsten nicht
+ * geprüften zuerst.
+ *
+ * @param {Object} [options={}] - Optionen wie bei checkUrl
+ * @returns {Promise<{ checked: number, broken: number }>} Anzahl geprüfter und defekter Links
+ */
+export async function runLinkCheck(options = {}) {
+    const intervalMs = envNumber('LINK_CHECK_INTERVAL_MINUTES', 60) * 60 * 1000;
+    const maxAgeMs = envNumber('LINK_CHECK_MAX_AGE_HOURS', 24) * 60 * 60 * 1000;
+    const [resources, records] = await Promise.all([
+        storage.find(RESOURCES, { deletedAt: null }),
+        storage.find(LINK_STATUS)
+    ]);
+    const byId = new Map(records.map(record => [record.resourceId, record]));
+    const now = Date.now();
+    const lastChecked = resource => {
+        const record = byId.get(resource.id);
+        return record && record.url === resource.url ? new Date(record.lastChecked).getTime() : 0;
+    };
+    const due = resources
+        .filter(resource => resource.url)
+        .filter(resource => {
+            const record = byId.get(resource.id);
+            if (!record || record.url !== resource.url) return true;
+            // Defekte Links werden in jedem Durchlauf erneut geprüft
+            const maxAge = record.status === 'broken' ? intervalMs : maxAgeMs;
+            return now - lastChecked(resource) >= maxAge;
+        })
+        .sort((a, b) => lastChecked(a) - lastChecked(b))
+        .slice(0, envNumber('LINK_CHECK_BATCH_SIZE', 50));
+    let broken = 0;
+    for (const resource of due) {
+        try {
+            const status = await checkResourceLink(resource, options);
+            if (status.status === 'broken') broken++;
+        } catch (err) {
+            log.error('Linkprüfung fehlgeschlagen', { resourceId: resource.id, err });
+        }
+    }
+    return { checked: due.length, broken };
+}
+
+/**
+ * Startet den Hintergrundjob. Der erste Durchlauf beginnt sofort; ein Durchlauf startet
+ * nicht, solange der vorherige noch läuft.
+ *
+ * @param {Object} [options={}] - Optionen wie bei checkUrl
+ * @returns {function(): Promise<void>} Stoppt den Job und wartet auf einen laufenden Durchlauf
+ */
+export function startLinkChecker(options = {}) {
+    const intervalMs = envNumber('LINK_CHECK_INTERVAL_MINUTES', 60) * 60 * 1000;
+    if (intervalMs === 0) {
+        log.info('Linkprüfung deaktiviert (LINK_CHECK_INTERVAL_MINUTES=0)');
+        return async () => {};
+    }
+    let running = null;
+    const tick = () => {
+        if (running) return;
+        running = runLinkCheck(options)
+            .then(({ checked, broken }) => {
+                if (checked > 0) log.info('Linkprüfung abgeschlossen', { checked, broken });
+            })
+            .catch(err => log.error('Linkprüfung abgebrochen', { err }))
+            .finally(() => {
+                running = null;
+            });
+    };
+    // Der Job soll das Beenden des Prozesses nicht verhindern
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    const initial = setTimeout(tick, 0);
+    initial.unref();
+    return async () => {
+        clearInterval(timer);
+        clearTimeout(initial);
+        if (running) await running;
+    };
+}
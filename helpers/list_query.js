@@ -0,0 +1,219 @@
+/**
+ * helpers/list_query.js
+ *
+ * Hilfsfunktionen für paginierte Listen im Resource Catalog Service.
+ * Wertet die Query-Parameter limit, offset, cursor, sort und fields aus und
+ * wendet Sortierung, Paginierung und Feldauswahl auf ein Array an.
+ *
+ * @fileoverview Paginierung (Offset und Cursor), Sortierung, Feldauswahl und Link-Header.
+ */
+
+import { ValidationError } from './errors.js';
+
+// Standard- und Maximalgröße einer Seite
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+/**
+ * Fehler für ungültige Listen-Parameter (400, siehe middleware/error_handler.js).
+ */
+export class ListQueryError extends ValidationError {}
+
+/**
+ * Kodiert einen Cursor als base64url-String.
+ *
+ * @param {Object} payload - Zu kodierende Daten
+ * @returns {string} Cursor
+ */
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Dekodiert einen Cursor.
+ *
+ * @param {string} cursor - Cursor aus dem Query-Parameter
+ * @returns {Object} Dekodierte Daten
+ * @throws {ListQueryError} Bei ungültigem Cursor
+ */
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || !Array.isArray(payload.v)) throw new Error('invalid');
+        return payload;
+    } catch {
+        throw new ListQueryError('invalid_cursor');
+    }
+}
+
+/**
+ * Liest eine nicht-negative Ganzzahl aus einem Query-Parameter.
+ *
+ * @param {string|undefined} value - Rohwert
+ * @param {string} name - Parametername für die Fehlermeldung
+ * @param {number} fallback - Wert, wenn der Parameter fehlt
+ * @returns {number} Ganzzahl
+ * @throws {ListQueryError} Bei ungültigem Wert
+ */
+function parseNonNegativeInt(value, name, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new ListQueryError('invalid_non_negative_int', { name });
+    }
+    return number;
+}
+
+/**
+ * Wertet die Listen-Parameter einer Anfrage aus.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} options - Erlaubte Felder
+ * @param {string[]} options.sortable - Felder, nach denen sortiert werden darf
+ * @param {string[]} options.selectable - Felder, die über fields ausgewählt werden dürfen
+ * @param {string} [options.defaultSort] - Sortierung, wenn sort fehlt
+ * @returns {{ limit: number, offset: number, cursor: Object|null, sort: Array<{ field: string, direction: number }>, fields: string[]|null }}
+ * @throws {ListQueryError} Bei ungültigen Parametern
+ */
+export function parseListQuery(query, { sortable, selectable, defaultSort = '' }) {
+    const limit = parseNonNegativeInt(query.limit, 'limit', DEFAULT_LIMIT);
+    if (limit < 1 || limit > MAX_LIMIT) {
+        throw new ListQueryError('invalid_limit', { max: MAX_LIMIT });
+    }
+    if (query.cursor !== undefined && query.offset !== undefined) {
+        throw new ListQueryError('cursor_offset_conflict');
+    }
+    const offset = parseNonNegativeInt(query.offset, 'offset', 0);
+    const cursor = query.cursor ? decodeCursor(String(query.cursor)) : null;
+
+    const sort = String(query.sort || defaultSort)
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const direction = part.startsWith('-') ? -1 : 1;
+            const field = part.replace(/^[-+]/, '');
+            if (!sortable.includes(field)) {
+                throw new ListQueryError('invalid_sort_field', { field });
+            }
+            return { field, direction };
+        });
+    // Die ID als letzter Sortierschlüssel macht die Reihenfolge eindeutig (nötig für Cursor)
+    if (!sort.some(s => s.field === 'id')) sort.push({ field: 'id', direction: 1 });
+
+    let fields = null;
+    if (query.fields) {
+        fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+        const unknown = fields.filter(f => !selectable.includes(f));
+        if (unknown.length > 0) {
+            throw new ListQueryError('unknown_fields', { fields: unknown.join(', ') });
+        }
+    }
+
+    return { limit, offset, cursor, sort, fields };
+}
+
+/**
+ * Vergleicht zwei Werte; fehlende Werte (null/undefined) gelten als kleinster Wert.
+ *
+ * @param {*} a - Erster Wert
+ * @param {*} b - Zweiter Wert
+ * @returns {number} Negativ, 0 oder positiv
+ */
+function compareValues(a, b) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+    if (typeof a === 'string' && typeof b === 'string') {
+        return a.localeCompare(b, 'de', { sensitivity: 'base' }) || (a < b ? -1 : a > b ? 1 : 0);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Vergleicht zwei Sortierschlüssel (Arrays von Werten) gemäß der Sortierung.
+ *
+ * @param {Array} a - Schlüssel des ersten Elements
+ * @param {Array} b - Schlüssel des zweiten Elements
+ * @param {Array<{ direction: number }>} sort - Sortierung
+ * @returns {number} Negativ, 0 oder positiv
+ */
+function compareKeys(a, b, sort) {
+    for (let i = 0; i < sort.length; i++) {
+        const result = compareValues(a[i], b[i]) * sort[i].direction;
+        if (result !== 0) return result;
+    }
+    return 0;
+}
+
+/**
+ * Sortiert, paginiert und reduziert ein Array gemäß der ausgewerteten Listen-Parameter.
+ *
+ * @param {Array<Object>} items - Bereits gefilterte Elemente
+ * @param {Object} listQuery - Ergebnis von parseListQuery
+ * @returns {{ data: Array<Object>, pagination: Object }} Seite und Paginierungs-Metadaten
+ */
+export function paginate(items, { limit, offset, cursor, sort, fields }) {
+    const keyOf = item => sort.map(s => item[s.field]);
+    const sorted = items
+        .map(item => ({ item, key: keyOf(item) }))
+        .sort((a, b) => compareKeys(a.key, b.key, sort));
+
+    // Beim Cursor beginnt die Seite direkt hinter dem zuletzt gelieferten Element
+    let start = offset;
+    if (cursor) {
+        start = sorted.findIndex(entry => compareKeys(entry.key, cursor.v, sort) > 0);
+        if (start === -1) start = sorted.length;
+    }
+    const page = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+
+    const data = page.map(({ item }) => {
+        if (!fields) return item;
+        return Object.fromEntries(fields.filter(f => f in item).map(f => [f, item[f]]));
+    });
+
+    return {
+        data,
+        pagination: {
+            total: sorted.length,
+            limit,
+            offset: start,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor({ v: page[page.length - 1].key }) : null
+        }
+    };
+}
+
+/**
+ * Erzeugt den Wert des Link-Headers (RFC 8288) für eine paginierte Antwort.
+ *
+ * @param {import('express').Request} req - Express Request Objekt
+ * @param {Object} pagination - Paginierungs-Metadaten aus paginate
+ * @returns {string} Link-Header (leer, wenn keine Links vorhanden sind)
+ */
+export function buildLinkHeader(req, pagination) {
+    const { total, limit, offset, nextCursor } = pagination;
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+    const linkTo = (params, rel) => {
+        const search = new URLSearchParams(req.query);
+        search.delete('cursor');
+        search.delete('offset');
+        for (const [key, value] of Object.entries(params)) search.set(key, String(value));
+        return `<${base}?${search.toString()}>; rel="${rel}"`;
+    };
+
+    const links = [linkTo({ offset: 0 }, 'first')];
+    if (nextCursor) {
+        links.push(req.query.cursor !== undefined
+            ? linkTo({ cursor: nextCursor }, 'next')
+            : linkTo({ offset: offset + limit }, 'next'));
+    }
+    if (offset > 0 && req.query.cursor === undefined) {
+        links.push(linkTo({ offset: Math.max(0, offset - limit) }, 'prev'));
+    }
+    if (total > 0) {
+        links.push(linkTo({ offset: Math.floor((total - 1) / limit) * limit }, 'last'));
+    }
+    return links.join(', ');
+}
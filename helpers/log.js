@@ -0,0 +1,70 @@
+/**
+ * helpers/log.js
+ *
+ * Strukturiertes Logging für den Resource Catalog Service. Jede Zeile ist ein JSON-Objekt
+ * mit time, level, msg und weiteren Feldern (z.B. requestId), damit sich die Logs
+ * maschinell auswerten und über Dienste hinweg korrelieren lassen.
+ *
+ * Die Mindeststufe wird über LOG_LEVEL gesetzt (debug, info, warn, error; Standard: info).
+ * warn und error gehen nach stderr, alles andere nach stdout.
+ *
+ * @fileoverview JSON-Logger mit Stufen und Kontextfeldern.
+ */
+
+// Log-Stufen in aufsteigender Wichtigkeit
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Liefert den Index der konfigurierten Mindeststufe (beim Aufruf gelesen,
+ * damit die per dotenv in server.js geladenen Umgebungsvariablen gelten).
+ *
+ * @returns {number} Index in LEVELS
+ */
+function minLevel() {
+    const index = LEVELS.indexOf(String(process.env.LOG_LEVEL || 'info').toLowerCase());
+    return index === -1 ? 1 : index;
+}
+
+/**
+ * Wandelt einen Fehler in loggbare Felder um.
+ *
+ * @param {Error} err - Fehler
+ * @returns {Object} { name, message, code, stack }
+ */
+function serializeError(err) {
+    if (!(err instanceof Error)) return err;
+    return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+/**
+ * Schreibt eine Log-Zeile.
+ *
+ * @param {string} level - Stufe aus LEVELS
+ * @param {Object} context - Kontextfelder des Loggers
+ * @param {string} msg - Nachricht
+ * @param {Object} [fields] - Zusätzliche Felder (err wird als Fehlerobjekt serialisiert)
+ */
+function write(level, context, msg, fields = {}) {
+    if (LEVELS.indexOf(level) < minLevel()) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...context, ...fields };
+    if (entry.err) entry.err = serializeError(entry.err);
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Erzeugt einen Logger mit festen Kontextfeldern.
+ *
+ * @param {Object} [context={}] - Felder, die jeder Zeile hinzugefügt werden (z.B. { requestId })
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function }}
+ */
+export function createLogger(context = {}) {
+    const logger = { child: fields => createLogger({ ...context, ...fields }) };
+    for (const level of LEVELS) {
+        logger[level] = (msg, fields) => write(level, context, msg, fields);
+    }
+    return logger;
+}
+
+// Logger ohne Anfragebezug (Start, Datenhaltung, Hintergrundaufgaben)
+export const log = createLogger();
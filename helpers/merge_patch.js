@@ -0,0 +1,39 @@
+/**
+ * helpers/merge_patch.js
+ *
+ * JSON Merge Patch (RFC 7396) für Teilaktualisierungen wie PATCH /resources/:id:
+ * übergebene Felder ersetzen die bestehenden, null entfernt ein Feld, Objekte werden
+ * rekursiv zusammengeführt, Arrays vollständig ersetzt.
+ *
+ * @fileoverview Anwenden eines JSON Merge Patch.
+ */
+
+// Content-Types, unter denen ein Merge Patch angenommen wird
+export const MERGE_PATCH_CONTENT_TYPES = ['application/merge-patch+json', 'application/json'];
+
+/**
+ * Prüft, ob ein Wert ein einfaches Objekt (kein Array, nicht null) ist.
+ *
+ * @param {*} value - Wert
+ * @returns {boolean} true bei einem Objekt
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Wendet einen Merge Patch auf ein Dokument an, ohne es zu verändern.
+ *
+ * @param {*} target - Bestehendes Dokument
+ * @param {*} patch - Merge Patch
+ * @returns {*} Neues Dokument
+ */
+export function applyMergePatch(target, patch) {
+    if (!isObject(patch)) return patch;
+    const result = isObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) delete result[key];
+        else result[key] = applyMergePatch(result[key], value);
+    }
+    return result;
+}
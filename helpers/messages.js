@@ -0,0 +1,307 @@
+/**
+ * helpers/messages.js
+ *
+ * Meldungskatalog für Fehlerantworten in Deutsch (Standard) und Englisch.
+ * Fehler tragen nur einen Meldungsschlüssel und Parameter (siehe helpers/errors.js);
+ * der Text wird erst beim Antworten in der per Accept-Language gewünschten Sprache erzeugt.
+ * Platzhalter wie {name} werden durch die gleichnamigen Parameter ersetzt.
+ *
+ * @fileoverview Lokalisierte Fehlermeldungen und Auswahl der Sprache.
+ */
+
+// Unterstützte Sprachen; die erste ist der Standard
+export const SUPPORTED_LOCALES = ['de', 'en'];
+export const DEFAULT_LOCALE = SUPPORTED_LOCALES[0];
+
+const MESSAGES = {
+    de: {
+        // Titel je HTTP-Status (RFC 7807 "title")
+        'status.400': 'Ungültige Anfrage',
+        'status.401': 'Nicht angemeldet',
+        'status.403': 'Keine Berechtigung',
+        'status.404': 'Nicht gefunden',
+        'status.409': 'Konflikt',
+        'status.412': 'Vorbedingung fehlgeschlagen',
+        'status.413': 'Anfrage zu groß',
+        'status.415': 'Nicht unterstützter Medientyp',
+        'status.429': 'Zu viele Anfragen',
+        'status.500': 'Interner Serverfehler',
+
+        // Allgemein
+        internal_error: 'Ein unerwarteter Fehler ist aufgetreten.',
+        route_not_found: 'Die Route {method} {path} existiert nicht.',
+        malformed_json: 'Der Request-Body ist kein gültiges JSON.',
+        payload_too_large: 'Der Request-Body ist zu groß.',
+        unsupported_media_type: 'Der Medientyp des Request-Bodys wird nicht unterstützt.',
+        request_rejected: 'Die Anfrage wurde abgelehnt.',
+        invalid_request: 'Die Anfrage ist ungültig.',
+        precondition_failed: 'Der Datensatz wurde inzwischen geändert (If-Match passt nicht zum aktuellen ETag).',
+        rate_limited: 'Zu viele Anfragen. Bitte in {retryAfter} Sekunden erneut versuchen.',
+
+        // Authentifizierung und Berechtigung
+        authentication_required: 'Anmeldung erforderlich.',
+        invalid_api_key: 'Ungültiger API-Key.',
+        token_missing: 'Token fehlt.',
+        token_auth_not_configured: 'Token-Authentifizierung ist nicht konfiguriert.',
+        token_missing_sub: 'Token enthält keine Nutzer-ID (sub).',
+        token_expired: 'Token ist abgelaufen.',
+        token_invalid: 'Ungültiges Token.',
+        role_required: 'Keine Berechtigung (erforderliche Rolle: {role}).',
+
+        // Ressourcen, Bewertungen und Feedback
+        resource_not_found: 'Ressource nicht gefunden.',
+        resource_not_deleted: 'Ressource ist nicht gelöscht.',
+        resource_own_name_only: 'Ressourcen können nur im eigenen Namen angelegt werden.',
+        resource_update_forbidden: 'Nur der Autor oder ein Moderator darf diese Ressource bearbeiten.',
+        resource_delete_forbidden: 'Nur der Autor oder ein Moderator darf diese Ressource löschen.',
+        resource_version_not_found: 'Version {version} der Ressource nicht gefunden.',
+        resource_version_not_revertible: 'Version {version} ist eine Löschung und kann nicht wiederhergestellt werden.',
+        resource_duplicate_url: 'Eine Ressource mit dieser URL existiert bereits ({id}).',
+        rating_not_found: 'Rating nicht gefunden.',
+        rating_own_name_only: 'Bewertungen können nur im eigenen Namen abgegeben werden.',
+        rating_update_forbidden: 'Nur der Autor oder ein Moderator darf diese Bewertung ändern.',
+        user_data_forbidden: 'Bewertungen und Empfehlungen sind nur für den eigenen Nutzer abrufbar.',
+        rating_delete_forbidden: 'Nur der Autor oder ein Moderator darf diese Bewertung löschen.',
+        feedback_not_found: 'Feedback nicht gefunden.',
+        parent_feedback_not_found: 'Übergeordnetes Feedback nicht gefunden.',
+        feedback_own_name_only: 'Feedback kann nur im eigenen Namen abgegeben werden.',
+        feedback_update_forbidden: 'Nur der Autor darf dieses Feedback bearbeiten.',
+        feedback_delete_forbidden: 'Nur der Autor oder ein Moderator darf dieses Feedback löschen.',
+
+        // Listen-Parameter
+        invalid_cursor: 'cursor ist ungültig.',
+        invalid_non_negative_int: '{name} muss eine nicht-negative Ganzzahl sein.',
+        invalid_limit: 'limit muss zwischen 1 und {max} liegen.',
+        cursor_offset_conflict: 'cursor und offset können nicht kombiniert werden.',
+        invalid_sort_field: 'Sortierung nach "{field}" ist nicht möglich.',
+        unknown_fields: 'Unbekannte Felder: {fields}.',
+        invalid_date: '{name} muss ein gültiges Datum (ISO 8601) sein.',
+
+        // Import und Export (POST /resources/import, GET /resources/export)
+        import_unsupported_format: 'Das Importformat konnte nicht erkannt werden (csv, ndjson oder json).',
+        import_invalid_body: 'Der Import erwartet ein JSON-Array, NDJSON oder CSV mit Kopfzeile.',
+        import_empty: 'Der Import enthält keine Zeilen.',
+        import_too_many_rows: 'Ein Import darf höchstens {max} Zeilen enthalten.',
+
+        // Lernpfade
+        path_not_found: 'Lernpfad nicht gefunden.',
+        path_own_name_only: 'Lernpfade können nur im eigenen Namen angelegt werden.',
+        path_update_forbidden: 'Nur der Autor oder ein Moderator darf diesen Lernpfad bearbeiten.',
+        path_delete_forbidden: 'Nur der Autor oder ein Moderator darf diesen Lernpfad löschen.',
+        path_cycle: 'Die Voraussetzungen des Lernpfads bilden einen Zyklus.',
+
+        // Sammlungen und Lesezeichen
+        collection_not_found: 'Sammlung nicht gefunden.',
+        collection_own_name_only: 'Sammlungen können nur im eigenen Namen angelegt werden.',
+        collection_update_forbidden: 'Nur der Eigentümer oder ein Moderator darf diese Sammlung bearbeiten.',
+        collection_delete_forbidden: 'Nur der Eigentümer oder ein Moderator darf diese Sammlung löschen.',
+        bookmark_not_found: 'Lesezeichen nicht gefunden.',
+        bookmark_forbidden: 'Lesezeichen können nur für den eigenen Nutzer verwaltet werden.',
+
+        // Tags und Kategorien
+        tag_not_found: 'Tag nicht gefunden.',
+        tag_slug_taken: 'Der Slug "{slug}" wird bereits von einem anderen Tag verwendet.',
+        category_not_found: 'Kategorie nicht gefunden.',
+        category_slug_taken: 'Der Slug "{slug}" wird bereits von einer anderen Kategorie verwendet.',
+        category_cycle: 'Eine Kategorie kann nicht unter sich selbst oder einer ihrer Unterkategorien liegen.',
+        category_has_children: 'Die Kategorie hat Unterkategorien und kann nicht gelöscht werden.',
+
+        // Webhooks
+        webhook_not_found: 'Webhook nicht gefunden.',
+
+        // Begründungen der Empfehlungen (siehe helpers/recommendations.js)
+        'recommendation.collaborative': 'Weil Sie {titles} gut bewertet haben: Nutzer mit ähnlichem Geschmack mochten auch diese Ressource.',
+        'recommendation.content': 'Ähnlich zu Ressourcen, die Sie gut bewertet haben: {titles}.',
+        'recommendation.popular': 'Beliebt: durchschnittlich {averageRating} von 5 Sternen (Bewertungen: {count}).',
+        'recommendation.recent': 'Neu im Katalog.',
+
+        // Schema-Validierung (Codes aus middleware/validation.js)
+        'validation.required': 'Pflichtfeld fehlt.',
+        'validation.invalid_type': 'Erwartet: {type}.',
+        'validation.invalid_enum': 'Erlaubte Werte: {values}.',
+        'validation.too_short': 'Mindestens {min} Zeichen.',
+        'validation.too_long': 'Höchstens {max} Zeichen.',
+        'validation.pattern_mismatch': 'Der Wert hat ein ungültiges Format.',
+        'validation.invalid_format': 'Erwartetes Format: {format}.',
+        'validation.too_small': 'Mindestwert: {min}.',
+        'validation.too_large': 'Höchstwert: {max}.',
+        'validation.too_few_items': 'Mindestens {min} Einträge.',
+        'validation.too_many_items': 'Höchstens {max} Einträge.',
+        'validation.duplicate_items': 'Einträge müssen eindeutig sein.',
+        'validation.unknown_field': 'Unbekanntes Feld.',
+        'validation.invalid_json': 'Die Zeile ist kein gültiges JSON.',
+        'validation.invalid_row': 'Die Zeile muss ein Objekt sein.',
+        'validation.foreign_author': 'Ressourcen können nur im eigenen Namen angelegt werden.',
+        'validation.not_owner': 'Nur der Autor oder ein Moderator darf diese Ressource bearbeiten.',
+        'validation.duplicate_url': 'Eine Ressource mit dieser URL existiert bereits ({id}).',
+        'validation.duplicate_in_file': 'Die URL kommt bereits in Zeile {row} vor.',
+        'validation.metadata_unavailable': 'Die Metadaten der Seite konnten nicht geladen werden ({reason}).',
+        'validation.unknown_resource': 'Ressource {id} existiert nicht.',
+        'validation.duplicate_resource': 'Ressource {id} kommt im Lernpfad mehrfach vor.',
+        'validation.unknown_prerequisite': 'Voraussetzung {id} ist nicht Teil des Lernpfads.',
+        'validation.self_prerequisite': 'Eine Ressource kann nicht ihre eigene Voraussetzung sein.',
+        'validation.prerequisite_cycle': 'Die Voraussetzungen bilden einen Zyklus: {cycle}.',
+        'validation.unknown_tag': 'Tag {id} existiert nicht.',
+        'validation.unknown_category': 'Kategorie {id} existiert nicht.',
+        'validation.slug_not_derivable': 'Aus dem Namen lässt sich kein Slug ableiten; bitte slug angeben.'
+    },
+    en: {
+        'status.400': 'Bad Request',
+        'status.401': 'Unauthorized',
+        'status.403': 'Forbidden',
+        'status.404': 'Not Found',
+        'status.409': 'Conflict',
+        'status.412': 'Precondition Failed',
+        'status.413': 'Payload Too Large',
+        'status.415': 'Unsupported Media Type',
+        'status.429': 'Too Many Requests',
+        'status.500': 'Internal Server Error',
+
+        internal_error: 'An unexpected error occurred.',
+        route_not_found: 'The route {method} {path} does not exist.',
+        malformed_json: 'The request body is not valid JSON.',
+        payload_too_large: 'The request body is too large.',
+        unsupported_media_type: 'The media type of the request body is not supported.',
+        request_rejected: 'The request was rejected.',
+        invalid_request: 'The request is invalid.',
+        precondition_failed: 'The record has been modified in the meantime (If-Match does not match the current ETag).',
+        rate_limited: 'Too many requests. Please try again in {retryAfter} seconds.',
+
+        authentication_required: 'Authentication required.',
+        invalid_api_key: 'Invalid API key.',
+        token_missing: 'Token missing.',
+        token_auth_not_configured: 'Token authentication is not configured.',
+        token_missing_sub: 'Token does not contain a user ID (sub).',
+        token_expired: 'Token has expired.',
+        token_invalid: 'Invalid token.',
+        role_required: 'Permission denied (required role: {role}).',
+
+        resource_not_found: 'Resource not found.',
+        resource_not_deleted: 'Resource is not deleted.',
+        resource_own_name_only: 'Resources can only be created on your own behalf.',
+        resource_update_forbidden: 'Only the author or a moderator may edit this resource.',
+        resource_delete_forbidden: 'Only the author or a moderator may delete this resource.',
+        resource_version_not_found: 'Version {version} of the resource not found.',
+        resource_version_not_revertible: 'Version {version} is a deletion and cannot be restored.',
+        resource_duplicate_url: 'A resource with this URL already exists ({id}).',
+        rating_not_found: 'Rating not found.',
+        rating_own_name_only: 'Ratings can only be submitted on your own behalf.',
+        rating_update_forbidden: 'Only the author or a moderator may change this rating.',
+        user_data_forbidden: 'Ratings and recommendations are only available for your own user.',
+        rating_delete_forbidden: 'Only the author or a moderator may delete this rating.',
+        feedback_not_found: 'Feedback not found.',
+        parent_feedback_not_found: 'Parent feedback not found.',
+        feedback_own_name_only: 'Feedback can only be submitted on your own behalf.',
+        feedback_update_forbidden: 'Only the author may edit this feedback.',
+        feedback_delete_forbidden: 'Only the author or a moderator may delete this feedback.',
+
+        invalid_cursor: 'cursor is invalid.',
+        invalid_non_negative_int: '{name} must be a non-negative integer.',
+        invalid_limit: 'limit must be between 1 and {max}.',
+        cursor_offset_conflict: 'cursor and offset cannot be combined.',
+        invalid_sort_field: 'Sorting by "{field}" is not supported.',
+        unknown_fields: 'Unknown fields: {fields}.',
+        invalid_date: '{name} must be a valid date (ISO 8601).',
+
+        import_unsupported_format: 'The import format could not be detected (csv, ndjson or json).',
+        import_invalid_body: 'The import expects a JSON array, NDJSON or CSV with a header row.',
+        import_empty: 'The import contains no rows.',
+        import_too_many_rows: 'An import may contain at most {max} rows.',
+
+        path_not_found: 'Learning path not found.',
+        path_own_name_only: 'Learning paths can only be created on your own behalf.',
+        path_update_forbidden: 'Only the author or a moderator may edit this learning path.',
+        path_delete_forbidden: 'Only the author or a moderator may delete this learning path.',
+        path_cycle: 'The prerequisites of the learning path form a cycle.',
+
+        collection_not_found: 'Collection not found.',
+        collection_own_name_only: 'Collections can only be created on your own behalf.',
+        collection_update_forbidden: 'Only the owner or a moderator may edit this collection.',
+        collection_delete_forbidden: 'Only the owner or a moderator may delete this collection.',
+        bookmark_not_found: 'Bookmark not found.',
+        bookmark_forbidden: 'Bookmarks can only be managed for your own user.',
+
+        tag_not_found: 'Tag not found.',
+        tag_slug_taken: 'The slug "{slug}" is already used by another tag.',
+        category_not_found: 'Category not found.',
+        category_slug_taken: 'The slug "{slug}" is already used by another category.',
+        category_cycle: 'A category cannot be placed below itself or one of its subcategories.',
+        category_has_children: 'The category has subcategories and cannot be deleted.',
+
+        // Webhooks
+        webhook_not_found: 'Webhook not found.',
+
+        'recommendation.collaborative': 'Because you rated {titles} highly: users with similar taste also liked this resource.',
+        'recommendation.content': 'Similar to resources you rated highly: {titles}.',
+        'recommendation.popular': 'Popular: {averageRating} of 5 stars on average (ratings: {count}).',
+        'recommendation.recent': 'New in the catalog.',
+
+        'validation.required': 'Required field is missing.',
+        'validation.invalid_type': 'Expected: {type}.',
+        'validation.invalid_enum': 'Allowed values: {values}.',
+        'validation.too_short': 'At least {min} characters.',
+        'validation.too_long': 'At most {max} characters.',
+        'validation.pattern_mismatch': 'The value has an invalid format.',
+        'validation.invalid_format': 'Expected format: {format}.',
+        'validation.too_small': 'Minimum value: {min}.',
+        'validation.too_large': 'Maximum value: {max}.',
+        'validation.too_few_items': 'At least {min} items.',
+        'validation.too_many_items': 'At most {max} items.',
+        'validation.duplicate_items': 'Items must be unique.',
+        'validation.unknown_field': 'Unknown field.',
+        'validation.invalid_json': 'The line is not valid JSON.',
+        'validation.invalid_row': 'The row must be an object.',
+        'validation.foreign_author': 'Resources can only be created on your own behalf.',
+        'validation.not_owner': 'Only the author or a moderator may edit this resource.',
+        'validation.duplicate_url': 'A resource with this URL already exists ({id}).',
+        'validation.duplicate_in_file': 'The URL already appears in row {row}.',
+        'validation.metadata_unavailable': 'The page metadata could not be loaded ({reason}).',
+        'validation.unknown_resource': 'Resource {id} does not exist.',
+        'validation.duplicate_resource': 'Resource {id} appears more than once in the learning path.',
+        'validation.unknown_prerequisite': 'Prerequisite {id} is not part of the learning path.',
+        'validation.self_prerequisite': 'A resource cannot be its own prerequisite.',
+        'validation.prerequisite_cycle': 'The prerequisites form a cycle: {cycle}.',
+        'validation.unknown_tag': 'Tag {id} does not exist.',
+        'validation.unknown_category': 'Category {id} does not exist.',
+        'validation.slug_not_derivable': 'No slug can be derived from the name; please provide slug.'
+    }
+};
+
+/**
+ * Liefert die Meldung zu einem Schlüssel in der gewünschten Sprache.
+ * Fehlt die Übersetzung, wird die Standardsprache und zuletzt der Schlüssel selbst verwendet.
+ *
+ * @param {string} locale - Sprache (de, en)
+ * @param {string} key - Meldungsschlüssel (z.B. 'resource_not_found')
+ * @param {Object} [params={}] - Werte für die Platzhalter
+ * @returns {string} Meldungstext
+ */
+export function translate(locale, key, params = {}) {
+    const template = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Übersetzt Einzelfehler (z.B. aus der Schema-Validierung) in die gewünschte Sprache.
+ * Die Parameter der Übersetzung werden aus der Ausgabe entfernt.
+ *
+ * @param {Array<{ code: string, params?: Object }>} details - Einzelfehler mit Code aus validation.*
+ * @param {string} locale - Sprache (de, en)
+ * @returns {Array<Object>} Einzelfehler mit übersetzter message
+ */
+export function localizeDetails(details, locale) {
+    return details.map(({ params, ...detail }) => ({
+        ...detail,
+        message: translate(locale, `validation.${detail.code}`, params)
+    }));
+}
+
+/**
+ * Ermittelt die Sprache einer Anfrage aus dem Accept-Language-Header.
+ *
+ * @param {import('express').Request} req - Express Request Objekt
+ * @returns {string} Unterstützte Sprache (Standard: de)
+ */
+export function resolveLocale(req) {
+    return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
@@ -0,0 +1,177 @@
+/**
+ * helpers/metrics.js
+ *
+ * Einfache Metrik-Registry im Prometheus-Textformat (Version 0.0.4).
+ * Unterstützt Zähler (counter) und Histogramme (histogram) mit Labels; die Werte
+ * liegen im Speicher des Prozesses und werden über GET /metrics ausgeliefert.
+ *
+ * Erfasst werden:
+ *   - http_requests_total{method, route, status}: Anzahl der Anfragen
+ *   - http_request_duration_seconds{method, route, status}: Antwortzeiten
+ *   - data_file_operation_duration_seconds{operation, file}: Lese-/Schreibdauer der Datendateien
+ *
+ * @fileoverview Zähler, Histogramme und Prometheus-Ausgabe.
+ */
+
+// Standard-Buckets für Latenzen in Sekunden (wie in den offiziellen Prometheus-Clients)
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Alle registrierten Metriken in Registrierungsreihenfolge
+const registry = [];
+
+/**
+ * Maskiert einen Label-Wert für das Textformat.
+ *
+ * @param {*} value - Label-Wert
+ * @returns {string} Maskierter Wert
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formatiert Labels als {name="wert",...}.
+ *
+ * @param {Object} labels - Label-Paare
+ * @returns {string} Label-Block (leer, wenn keine Labels vorhanden sind)
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Bildet einen stabilen Schlüssel für eine Label-Kombination.
+ *
+ * @param {string[]} labelNames - Erlaubte Labels in fester Reihenfolge
+ * @param {Object} labels - Label-Werte
+ * @returns {string} Schlüssel
+ */
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+/**
+ * Registriert einen Zähler.
+ *
+ * @param {Object} options - Definition
+ * @param {string} options.name - Metrikname
+ * @param {string} options.help - Beschreibung
+ * @param {string[]} [options.labelNames=[]] - Labels
+ * @returns {{ inc: Function }} Zähler mit inc(labels, wert = 1)
+ */
+export function counter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    registry.push({
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+            return lines;
+        }
+    });
+    return {
+        inc(labels = {}, value = 1) {
+            const key = seriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                series.set(key, { labels: Object.fromEntries(labelNames.map(n => [n, labels[n] ?? ''])), value: 0 });
+            }
+            series.get(key).value += value;
+        }
+    };
+}
+
+/**
+ * Registriert ein Histogramm.
+ *
+ * @param {Object} options - Definition
+ * @param {string} options.name - Metrikname
+ * @param {string} options.help - Beschreibung
+ * @param {string[]} [options.labelNames=[]] - Labels
+ * @param {number[]} [options.buckets=DEFAULT_BUCKETS] - Obergrenzen der Buckets (aufsteigend)
+ * @returns {{ observe: Function, startTimer: Function }} Histogramm mit observe(labels, wert)
+ *   und startTimer(labels), das eine Funktion zum Beenden der Messung liefert
+ */
+export function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = new Map();
+    registry.push({
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((le, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        }
+    });
+
+    const observe = (labels, value) => {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+            series.set(key, {
+                labels: Object.fromEntries(labelNames.map(n => [n, labels[n] ?? ''])),
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            });
+        }
+        const entry = series.get(key);
+        // Kumulative Buckets: der Wert zählt in jedem Bucket, dessen Obergrenze er nicht überschreitet
+        buckets.forEach((le, i) => {
+            if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    };
+
+    return {
+        observe,
+        startTimer(labels = {}) {
+            const start = process.hrtime.bigint();
+            return (extraLabels = {}) => {
+                observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+            };
+        }
+    };
+}
+
+/**
+ * Gibt alle Metriken im Prometheus-Textformat aus.
+ *
+ * @returns {string} Metriken für GET /metrics
+ */
+export function renderMetrics() {
+    return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+// Content-Type des Prometheus-Textformats
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// =====================
+// Metriken des Dienstes
+// =====================
+
+export const httpRequestsTotal = counter({
+    name: 'http_requests_total',
+    help: 'Anzahl der HTTP-Anfragen nach Methode, Route und Status.',
+    labelNames: ['method', 'route', 'status']
+});
+
+export const httpRequestDuration = histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Antwortzeit der HTTP-Anfragen in Sekunden nach Methode, Route und Status.',
+    labelNames: ['method', 'route', 'status']
+});
+
+export const dataFileDuration = histogram({
+    name: 'data_file_operation_duration_seconds',
+    help: 'Dauer von Lese- und Schreibvorgängen auf den Datendateien in Sekunden.',
+    labelNames: ['operation', 'file'],
+    buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+});
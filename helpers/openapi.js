@@ -0,0 +1,513 @@
+/**
+ * helpers/openapi.js
+ *
+ * OpenAPI-3.1-Beschreibung der Ressourcen-, Bewertungs- und Feedback-Routen, ausgeliefert
+ * unter GET /openapi.json und dargestellt unter /docs. Parameter und Request-Bodies werden
+ * aus denselben Schemas erzeugt, mit denen middleware/validation.js die Anfragen prüft
+ * (schemas/resources.js), die Antworten stammen aus schemas/responses.js. Wer eine Route
+ * ändert, passt den Eintrag in OPERATIONS an.
+ *
+ * Fehler werden einheitlich als application/problem+json beschrieben: 400 für jede Route
+ * (Schema-Validierung), 401 und 403 für Routen mit Mindestrolle, 404 für Routen mit
+ * Pfadparametern und 500 für alle.
+ *
+ * @fileoverview Erzeugt das OpenAPI-Dokument aus Request- und Antwort-Schemas.
+ */
+
+import fs from 'fs';
+import { ROLES } from '../middleware/auth.js';
+import {
+    idParams, userParams, resourceBody, resourceDraftBody, resourceCreateQuery, enrichBody, ratingBody, ratingUpdateBody,
+    feedbackBody, feedbackUpdateBody, feedbackFlagBody, moderationDecisionBody, moderationQueueQuery,
+    resourceListQuery, ratingListQuery, recommendationQuery, searchQuery, topRatedQuery, brokenLinksQuery,
+    resourceDeleteQuery, resourceImportQuery, resourceExportQuery, historyListQuery, revertBody, emptyQuery
+} from '../schemas/resources.js';
+import * as responses from '../schemas/responses.js';
+
+// Komponenten-Schemas (alle benannten Exporte aus schemas/responses.js außer Hilfsfunktionen)
+const SCHEMAS = Object.fromEntries(Object.entries(responses).filter(([, value]) => typeof value === 'object'));
+
+// Beschreibung der Fehlerantworten je Status
+const ERROR_RESPONSES = {
+    400: ['BadRequest', 'Ungültige Anfrage (Schema-Validierung; details nennt jedes fehlerhafte Feld)'],
+    401: ['Unauthorized', 'Fehlende oder ungültige Zugangsdaten'],
+    403: ['Forbidden', 'Rolle reicht nicht aus oder der Nutzer ist nicht Eigentümer'],
+    404: ['NotFound', 'Datensatz nicht gefunden'],
+    409: ['Conflict', 'Konflikt mit dem aktuellen Zustand'],
+    412: ['PreconditionFailed', 'If-Match passt nicht zum aktuellen ETag'],
+    413: ['PayloadTooLarge', 'Request-Body zu groß'],
+    415: ['UnsupportedMediaType', 'Medientyp des Request-Bodys nicht unterstützt'],
+    429: ['TooManyRequests', 'Rate-Limit überschritten; Retry-After nennt die Wartezeit in Sekunden'],
+    500: ['InternalError', 'Unerwarteter Fehler']
+};
+
+// Wiederverwendete Header
+const HEADERS = {
+    Link: {
+        description: 'Links auf benachbarte Seiten (RFC 8288: first, prev, next)',
+        schema: { type: 'string' }
+    },
+    ETag: {
+        description: 'Starker ETag des gespeicherten Datensatzes (ohne averageRating und feedbacks); als If-Match für die nächste Änderung verwenden',
+        schema: { type: 'string' }
+    },
+    LastModified: {
+        description: 'Zeitpunkt der letzten Änderung (Ressource oder Bewertungen/Feedback)',
+        schema: { type: 'string' }
+    },
+    RetryAfter: {
+        description: 'Sekunden bis zur nächsten erlaubten Anfrage',
+        schema: { type: 'integer' }
+    },
+    RateLimitPolicy: {
+        description: 'Limit der Route als "anzahl;w=sekunden" (Token-Bucket je Aufrufer)',
+        schema: { type: 'string' }
+    },
+    RateLimitRemaining: {
+        description: 'Verbleibende Anfragen im aktuellen Kontingent',
+        schema: { type: 'integer' }
+    },
+    RateLimitReset: {
+        description: 'Sekunden, bis das Kontingent wieder voll ist',
+        schema: { type: 'integer' }
+    }
+};
+
+// Header der Routen mit Rate-Limit (middleware/rate_limit.js)
+const RATE_LIMIT_HEADERS = {
+    'RateLimit-Policy': { $ref: '#/components/headers/RateLimitPolicy' },
+    'RateLimit-Remaining': { $ref: '#/components/headers/RateLimitRemaining' },
+    'RateLimit-Reset': { $ref: '#/components/headers/RateLimitReset' }
+};
+
+// Optionaler If-Match-Header für Änderungen an Ressourcen
+const IF_MATCH = {
+    name: 'If-Match',
+    in: 'header',
+    required: false,
+    description: 'ETag aus GET /resources/{id}; bei Abweichung antwortet der Server mit 412',
+    schema: { type: 'string' }
+};
+
+// Body für PATCH /resources/{id}: jedes Feld aus resourceBody, null entfernt optionale Felder
+const mergePatchBody = {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(resourceBody.properties)
+        .map(([name, schema]) => [name, { ...schema, type: [schema.type, 'null'] }])),
+    additionalProperties: false
+};
+
+/**
+ * Antwort mit JSON-Body.
+ *
+ * @param {string} description - Beschreibung
+ * @param {Object} schema - Schema oder $ref
+ * @param {Object} [headers] - Header (Name -> $ref-Name aus components.headers)
+ * @returns {Object} Response Object
+ */
+function json(description, schema, headers) {
+    const response = { description, content: { 'application/json': { schema } } };
+    if (headers) {
+        response.headers = Object.fromEntries(headers.map(name => [name === 'LastModified' ? 'Last-Modified' : name, { $ref: `#/components/headers/${name}` }]));
+    }
+    return response;
+}
+
+/**
+ * Verweis auf ein Komponenten-Schema.
+ *
+ * @param {string} name - Name unter components.schemas
+ * @returns {{ $ref: string }} Verweis
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+// Beschreibung aller Operationen: method, path (OpenAPI-Form), tag, summary, optional description,
+// role (Mindestrolle), params/query/body (Request-Schemas), bodyTypes (Medientypen, Standard JSON),
+// headers (zusätzliche Request-Header), responses, errors (zusätzliche Fehlerstatus) und
+// notFound: false für Routen, die bei unbekannten Pfadparametern nicht mit 404 antworten
+const OPERATIONS = [
+    // Ressourcen
+    {
+        method: 'get', path: '/resources', tag: 'Ressourcen', operationId: 'listResources',
+        summary: 'Ressourcen seitenweise auflisten, filtern und sortieren',
+        description: 'sort: kommagetrennte Felder (id, title, type, authorId, averageRating, createdAt, updatedAt), "-" für absteigend. '
+            + 'fields: Feldauswahl. type: kommagetrennte Typen. tag: IDs oder Slugs, category: ID oder Slug einschließlich Unterkategorien.',
+        query: resourceListQuery,
+        responses: { 200: json('Seite von Ressourcen mit averageRating', responses.pageOf('ResourceSummary'), ['Link']) }
+    },
+    {
+        method: 'post', path: '/resources', tag: 'Ressourcen', operationId: 'createResource', role: 'contributor',
+        summary: 'Ressource anlegen',
+        description: 'Mit enrich=true genügt die URL; fehlende title, type und description werden aus den Metadaten der Seite ergänzt. '
+            + 'Eine bekannte (normalisierte oder kanonische) URL ergibt 409, mit onDuplicate=warn einen Hinweis unter warnings.',
+        query: resourceCreateQuery, body: resourceDraftBody,
+        responses: { 201: json('Angelegte Ressource', ref('CreatedResource')) },
+        errors: [409]
+    },
+    {
+        method: 'get', path: '/resources/search', tag: 'Ressourcen', operationId: 'searchResources',
+        summary: 'Volltextsuche über Titel, Beschreibung, Typ, URL-Host und Feedback',
+        query: searchQuery,
+        responses: { 200: json('Treffer nach Relevanz mit Facetten', ref('SearchResult')) }
+    },
+    {
+        method: 'get', path: '/resources/top-rated', tag: 'Bewertungen', operationId: 'listTopRatedResources',
+        summary: 'Am besten bewertete Ressourcen nach Bayes-Score',
+        query: topRatedQuery,
+        responses: { 200: json('Ressourcen mit ratingSummary, beste zuerst', { type: 'array', items: ref('TopRatedResource') }) }
+    },
+    {
+        method: 'post', path: '/resources/enrich', tag: 'Ressourcen', operationId: 'enrichUrl', role: 'contributor',
+        summary: 'Titel, Typ und Beschreibung für eine URL vorschlagen',
+        query: emptyQuery, body: enrichBody,
+        responses: { 200: json('Vorschläge, Metadaten und vorhandene Ressourcen mit derselben URL', ref('Enrichment')) }
+    },
+    {
+        method: 'post', path: '/resources/import', tag: 'Ressourcen', operationId: 'importResources', role: 'contributor',
+        summary: 'Ressourcen aus CSV, NDJSON oder einem JSON-Array importieren',
+        description: 'CSV mit Kopfzeile title,type,url[,description][,authorId][,tagIds][,categoryId] (Komma oder Semikolon, '
+            + 'mehrere Tag-IDs durch | getrennt). '
+            + 'Das Format ergibt sich aus dem Content-Type oder aus format.',
+        query: resourceImportQuery,
+        body: { type: 'array', items: resourceBody },
+        bodyTypes: {
+            'application/json': null,
+            'text/csv': { type: 'string' },
+            'application/x-ndjson': { type: 'string' }
+        },
+        responses: { 200: json('Bericht mit Ergebnis je Zeile', ref('ImportReport')) },
+        errors: [413, 415]
+    },
+    {
+        method: 'get', path: '/resources/export', tag: 'Ressourcen', operationId: 'exportResources',
+        summary: 'Alle Ressourcen als Download exportieren',
+        query: resourceExportQuery,
+        responses: {
+            200: {
+                description: 'Datei resources-JJJJ-MM-TT.<format> (Content-Disposition attachment)',
+                content: {
+                    'application/json': { schema: { type: 'array', items: ref('Resource') } },
+                    'text/csv': { schema: { type: 'string' } },
+                    'application/x-ndjson': { schema: { type: 'string' } }
+                }
+            }
+        }
+    },
+    {
+        method: 'get', path: '/resources/{id}', tag: 'Ressourcen', operationId: 'getResource',
+        summary: 'Ressource mit Durchschnittsbewertung und Feedback-Thread',
+        description: 'Mit If-None-Match bzw. If-Modified-Since antwortet der Server bei unverändertem Stand mit 304.',
+        params: idParams('id'), query: emptyQuery,
+        headers: [
+            { name: 'If-None-Match', in: 'header', required: false, schema: { type: 'string' } },
+            { name: 'If-Modified-Since', in: 'header', required: false, schema: { type: 'string' } }
+        ],
+        responses: {
+            200: json('Ressource', ref('ResourceDetail'), ['ETag', 'LastModified']),
+            304: { description: 'Nicht geändert (ohne Body)' }
+        }
+    },
+    {
+        method: 'put', path: '/resources/{id}', tag: 'Ressourcen', operationId: 'replaceResource', role: 'contributor',
+        summary: 'Ressource vollständig ersetzen',
+        description: 'Nicht übergebene optionale Felder werden entfernt. Nur Autor oder Moderator; den Autor ändern nur Moderatoren.',
+        params: idParams('id'), query: emptyQuery, body: resourceBody, headers: [IF_MATCH],
+        responses: { 200: json('Aktualisierte Ressource', ref('Resource'), ['ETag']) },
+        errors: [412]
+    },
+    {
+        method: 'patch', path: '/resources/{id}', tag: 'Ressourcen', operationId: 'patchResource', role: 'contributor',
+        summary: 'Einzelne Felder per JSON Merge Patch (RFC 7396) ändern',
+        description: 'null entfernt ein optionales Feld; das Ergebnis muss dem Schema von PUT entsprechen.',
+        params: idParams('id'), query: emptyQuery, body: mergePatchBody, headers: [IF_MATCH],
+        bodyTypes: { 'application/merge-patch+json': null, 'application/json': null },
+        responses: { 200: json('Aktualisierte Ressource', ref('Resource'), ['ETag']) },
+        errors: [412, 415]
+    },
+    {
+        method: 'delete', path: '/resources/{id}', tag: 'Ressourcen', operationId: 'deleteResource', role: 'contributor',
+        summary: 'Ressource löschen (hard samt Bewertungen und Feedback, soft wiederherstellbar)',
+        params: idParams('id'), query: resourceDeleteQuery, headers: [IF_MATCH],
+        responses: { 204: { description: 'Gelöscht' } },
+        errors: [412]
+    },
+    {
+        method: 'post', path: '/resources/{id}/restore', tag: 'Ressourcen', operationId: 'restoreResource', role: 'moderator',
+        summary: 'Weich gelöschte Ressource wiederherstellen',
+        params: idParams('id'), query: emptyQuery,
+        responses: { 200: json('Wiederhergestellte Ressource', ref('Resource')) },
+        errors: [409]
+    },
+    {
+        method: 'get', path: '/resources/{id}/history', tag: 'Ressourcen', operationId: 'listResourceHistory',
+        summary: 'Versionen einer Ressource aus dem Audit-Log',
+        params: idParams('id'), query: historyListQuery,
+        responses: { 200: json('Seite von Versionen', responses.pageOf('AuditEntry'), ['Link']) }
+    },
+    {
+        method: 'post', path: '/resources/{id}/revert', tag: 'Ressourcen', operationId: 'revertResource', role: 'contributor',
+        summary: 'Inhaltsfelder auf eine frühere Version zurücksetzen',
+        params: idParams('id'), query: emptyQuery, body: revertBody, headers: [IF_MATCH],
+        responses: { 200: json('Aktualisierte Ressource', ref('Resource'), ['ETag']) },
+        errors: [409, 412]
+    },
+
+    // Linkprüfung
+    {
+        method: 'get', path: '/resources/broken', tag: 'Linkprüfung', operationId: 'listBrokenLinks',
+        summary: 'Ressourcen mit nicht erreichbarem Link',
+        query: brokenLinksQuery,
+        responses: { 200: json('Seite von defekten Links', responses.pageOf('BrokenLink'), ['Link']) }
+    },
+    {
+        method: 'get', path: '/resources/{id}/link-status', tag: 'Linkprüfung', operationId: 'getLinkStatus',
+        summary: 'Ergebnis der letzten Linkprüfung',
+        params: idParams('id'), query: emptyQuery,
+        responses: { 200: json('Linkstatus', ref('LinkStatus')) }
+    },
+    {
+        method: 'post', path: '/resources/{id}/link-status', tag: 'Linkprüfung', operationId: 'checkLink', role: 'moderator',
+        summary: 'Link sofort prüfen',
+        params: idParams('id'), query: emptyQuery,
+        responses: { 200: json('Neuer Linkstatus', ref('LinkStatus')) }
+    },
+
+    // Bewertungen
+    {
+        method: 'post', path: '/resources/{id}/rating', tag: 'Bewertungen', operationId: 'rateResource', role: 'reader',
+        summary: 'Ressource bewerten (eine Bewertung je Nutzer; erneutes Bewerten aktualisiert sie)',
+        description: 'userId dürfen nur Services und Admins angeben. Rate-Limit je Aufrufer (RATE_LIMIT_RATING).',
+        params: idParams('id'), query: emptyQuery, body: ratingBody,
+        responses: {
+            201: json('Neue Bewertung', ref('Rating')),
+            200: json('Bestehende Bewertung aktualisiert', ref('Rating'))
+        },
+        errors: [429]
+    },
+    {
+        method: 'get', path: '/resources/{id}/ratings', tag: 'Bewertungen', operationId: 'listResourceRatings',
+        summary: 'Bewertungen einer Ressource',
+        params: idParams('id'), query: ratingListQuery,
+        responses: { 200: json('Seite von Bewertungen', responses.pageOf('Rating'), ['Link']) }
+    },
+    {
+        method: 'get', path: '/resources/{id}/ratings/summary', tag: 'Bewertungen', operationId: 'getRatingSummary',
+        summary: 'Bewertungsstatistik mit Histogramm und Bayes-Score',
+        params: idParams('id'), query: emptyQuery,
+        responses: { 200: json('Statistik', ref('RatingSummary')) }
+    },
+    {
+        method: 'get', path: '/resources/{resourceId}/rating/{ratingId}', tag: 'Bewertungen', operationId: 'getRating',
+        summary: 'Einzelne Bewertung',
+        params: idParams('resourceId', 'ratingId'), query: emptyQuery,
+        responses: { 200: json('Bewertung', ref('Rating')) }
+    },
+    {
+        method: 'put', path: '/resources/{resourceId}/rating/{ratingId}', tag: 'Bewertungen', operationId: 'updateRating', role: 'reader',
+        summary: 'Bewertung ändern (Autor oder Moderator)',
+        params: idParams('resourceId', 'ratingId'), query: emptyQuery, body: ratingUpdateBody,
+        responses: { 200: json('Aktualisierte Bewertung', ref('Rating')) }
+    },
+    {
+        method: 'delete', path: '/resources/{resourceId}/rating/{ratingId}', tag: 'Bewertungen', operationId: 'deleteRating', role: 'reader',
+        summary: 'Bewertung löschen (Autor oder Moderator)',
+        params: idParams('resourceId', 'ratingId'), query: emptyQuery,
+        responses: { 204: { description: 'Gelöscht' } }
+    },
+    {
+        method: 'get', path: '/users/{userId}/ratings', tag: 'Bewertungen', operationId: 'listUserRatings', role: 'reader',
+        summary: 'Bewertungen eines Nutzers (nur eigene; Services und Admins alle)',
+        params: userParams(), query: ratingListQuery,
+        responses: { 200: json('Seite von Bewertungen', responses.pageOf('Rating'), ['Link']) },
+        notFound: false
+    },
+    {
+        method: 'get', path: '/users/{userId}/recommendations', tag: 'Bewertungen', operationId: 'listRecommendations', role: 'reader',
+        summary: 'Empfehlungen für noch nicht bewertete Ressourcen mit Begründung (nur für den eigenen Nutzer; Services und Admins alle)',
+        description: 'Kollaboratives Filtern über Bewertungen, dann Inhaltsähnlichkeit (Typ, Tags, Titel), '
+            + 'dann Beliebtheit, zuletzt die neuesten Ressourcen. Die Begründung (explanation.message) folgt Accept-Language.',
+        params: userParams(), query: recommendationQuery,
+        responses: {
+            200: json('Empfehlungen, beste zuerst', {
+                type: 'object',
+                properties: {
+                    userId: { type: 'string' },
+                    data: { type: 'array', items: ref('Recommendation') }
+                },
+                required: ['userId', 'data'],
+                additionalProperties: false
+            })
+        },
+        notFound: false
+    },
+
+    // Feedback
+    {
+        method: 'post', path: '/resources/{resourceId}/feedback', tag: 'Feedback', operationId: 'createFeedback', role: 'reader',
+        summary: 'Feedback oder Antwort (parentId) anlegen',
+        description: 'Bei FEEDBACK_MODERATION=pre wartet das Feedback als pending auf Freigabe. '
+            + 'Verdächtige Texte (Duplikat, viele Links, Schimpfwörter) werden automatisch gemeldet (flagged). '
+            + 'Rate-Limit je Aufrufer (RATE_LIMIT_FEEDBACK).',
+        params: idParams('resourceId'), query: emptyQuery, body: feedbackBody,
+        responses: { 201: json('Angelegtes Feedback', ref('Feedback')) },
+        errors: [429]
+    },
+    {
+        method: 'put', path: '/resources/{resourceId}/feedback/{feedbackId}', tag: 'Feedback', operationId: 'updateFeedback', role: 'reader',
+        summary: 'Feedback-Text ändern (nur Autor; der alte Text landet in history)',
+        description: 'Verdächtige Texte werden wie beim Anlegen automatisch gemeldet (flagged).',
+        params: idParams('resourceId', 'feedbackId'), query: emptyQuery, body: feedbackUpdateBody,
+        responses: { 200: json('Aktualisiertes Feedback', ref('Feedback')) }
+    },
+    {
+        method: 'delete', path: '/resources/{resourceId}/feedback/{feedbackId}', tag: 'Feedback', operationId: 'deleteFeedback', role: 'reader',
+        summary: 'Feedback samt Antworten löschen (Autor oder Moderator)',
+        params: idParams('resourceId', 'feedbackId'), query: emptyQuery,
+        responses: { 204: { description: 'Gelöscht' } }
+    },
+    {
+        method: 'post', path: '/resources/{resourceId}/feedback/{feedbackId}/flag', tag: 'Feedback', operationId: 'flagFeedback', role: 'reader',
+        summary: 'Feedback zur Moderation melden',
+        description: 'Ausgeblendet (flagged) wird erst ab FEEDBACK_FLAG_THRESHOLD offenen Meldungen oder sofort bei einer Meldung durch einen Moderator.',
+        params: idParams('resourceId', 'feedbackId'), query: emptyQuery, body: feedbackFlagBody,
+        responses: { 202: json('Meldung angenommen', ref('FlagResult')) }
+    },
+    {
+        method: 'get', path: '/moderation/feedback', tag: 'Feedback', operationId: 'listModerationQueue', role: 'moderator',
+        summary: 'Moderations-Warteschlange (ohne status: pending, flagged und sichtbare mit offenen Meldungen)',
+        query: moderationQueueQuery,
+        responses: { 200: json('Seite von Feedbacks, älteste zuerst', responses.pageOf('Feedback'), ['Link']) }
+    },
+    {
+        method: 'put', path: '/moderation/feedback/{feedbackId}', tag: 'Feedback', operationId: 'moderateFeedback', role: 'moderator',
+        summary: 'Feedback freigeben oder ablehnen',
+        params: idParams('feedbackId'), query: emptyQuery, body: moderationDecisionBody,
+        responses: { 200: json('Feedback mit moderation', ref('Feedback')) }
+    }
+];
+
+/**
+ * Wandelt ein Objekt-Schema aus schemas/ in OpenAPI-Parameter um.
+ *
+ * @param {Object|undefined} schema - Schema für req.params oder req.query
+ * @param {string} location - path oder query
+ * @returns {Array<Object>} Parameter Objects
+ */
+function toParameters(schema, location) {
+    if (!schema) return [];
+    const required = schema.required || [];
+    return Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === 'path' || required.includes(name),
+        schema: property
+    }));
+}
+
+/**
+ * Erzeugt das Operation Object einer Route.
+ *
+ * @param {Object} operation - Eintrag aus OPERATIONS
+ * @returns {Object} Operation Object
+ */
+function buildOperation(operation) {
+    const { tag, operationId, summary, description, role, params, query, body, bodyTypes, headers = [], errors = [] } = operation;
+    const result = { tags: [tag], operationId, summary };
+    if (description) result.description = description;
+
+    const parameters = [...toParameters(params, 'path'), ...toParameters(query, 'query'), ...headers];
+    if (parameters.length > 0) result.parameters = parameters;
+
+    if (body) {
+        const types = bodyTypes || { 'application/json': null };
+        result.requestBody = {
+            required: true,
+            content: Object.fromEntries(Object.entries(types).map(([type, schema]) => [type, { schema: schema || body }]))
+        };
+    }
+
+    const statuses = [400];
+    if (role) {
+        result.security = [{ bearerAuth: [] }, { apiKey: [] }];
+        result['x-required-role'] = role;
+        statuses.push(401, 403);
+    } else {
+        // Ohne Zugangsdaten erlaubt; ungültige Zugangsdaten ergeben trotzdem 401
+        result.security = [{}, { bearerAuth: [] }, { apiKey: [] }];
+        statuses.push(401);
+    }
+    if (params && operation.notFound !== false) statuses.push(404);
+    statuses.push(...errors, 500);
+
+    result.responses = { ...operation.responses };
+    for (const status of [...new Set(statuses)].sort()) {
+        result.responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` };
+    }
+    return result;
+}
+
+/**
+ * Liest die Version des Dienstes aus package.json.
+ *
+ * @returns {string} Version
+ */
+function serviceVersion() {
+    try {
+        return JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+    } catch {
+        return '0.0.0';
+    }
+}
+
+// Einmal erzeugtes Dokument (die Beschreibung ändert sich zur Laufzeit nicht)
+let cachedDocument = null;
+
+/**
+ * Liefert das OpenAPI-Dokument.
+ *
+ * @returns {Object} OpenAPI-3.1-Dokument
+ */
+export function getOpenApiDocument() {
+    if (cachedDocument) return cachedDocument;
+    const paths = {};
+    for (const operation of OPERATIONS) {
+        paths[operation.path] = paths[operation.path] || {};
+        paths[operation.path][operation.method] = buildOperation(operation);
+    }
+    cachedDocument = {
+        openapi: '3.1.0',
+        info: {
+            title: 'Resource Catalog Service',
+            version: serviceVersion(),
+            description: 'Ressourcen, Bewertungen und Feedback für den Learning-Path-Generator. '
+                + `Rollen (aufsteigend): ${ROLES.join(' < ')}; die Mindestrolle einer Operation steht in x-required-role. `
+                + 'Fehler werden als application/problem+json (RFC 7807) beantwortet; die Meldungen folgen Accept-Language (de, en). '
+                + 'Die Pfade ohne Versionspräfix sind veraltet (Deprecation- und Sunset-Header).'
+        },
+        // Alle Pfade liegen unter dem Versionspräfix (API_PREFIX in server.js)
+        servers: [{ url: '/v1', description: 'API-Version 1' }],
+        tags: [
+            { name: 'Ressourcen', description: 'Anlegen, Ändern, Löschen, Suche, Import und Export' },
+            { name: 'Bewertungen', description: 'Sterne-Bewertungen, Statistik und Empfehlungen' },
+            { name: 'Feedback', description: 'Feedback-Threads, Meldungen und Moderation' },
+            { name: 'Linkprüfung', description: 'Erreichbarkeit der Ressourcen-URLs' }
+        ],
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [name, {
+                description,
+                ...(name === 'TooManyRequests' ? { headers: { 'Retry-After': { $ref: '#/components/headers/RetryAfter' }, ...RATE_LIMIT_HEADERS } } : {}),
+                content: { 'application/problem+json': { schema: ref('Problem') } }
+            }])),
+            headers: HEADERS,
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Nutzer-ID aus sub, Rolle aus role bzw. roles' },
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Statischer Schlüssel für Service-zu-Service-Aufrufe (API_KEYS)' }
+            }
+        }
+    };
+    return cachedDocument;
+}
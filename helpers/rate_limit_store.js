@@ -0,0 +1,86 @@
+/**
+ * helpers/rate_limit_store.js
+ *
+ * Speicher für die Token-Buckets des Rate-Limiters (middleware/rate_limit.js).
+ *
+ * Ein Store implementiert nur consume(key, limit): Bucket auffüllen, einen Token entnehmen und
+ * das Ergebnis liefern, als eine atomare Operation. So kann ein gemeinsamer Store für mehrere
+ * Instanzen (z.B. Redis mit einem Lua-Skript) dieselbe Schnittstelle erfüllen; der Standard
+ * ist der In-Memory-Store (Zähler gelten je Prozess und gehen beim Neustart verloren).
+ *
+ * Ein Bucket fasst limit.capacity Token und füllt sich gleichmäßig in limit.windowMs wieder
+ * vollständig auf; jede Anfrage verbraucht einen Token.
+ *
+ * @fileoverview Token-Bucket-Store-Schnittstelle und In-Memory-Implementierung.
+ */
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} capacity - Größe des Buckets (maximale Anfragen am Stück)
+ * @property {number} windowMs - Dauer, in der sich ein leerer Bucket vollständig auffüllt
+ */
+
+/**
+ * @typedef {Object} ConsumeResult
+ * @property {boolean} allowed - true, wenn ein Token entnommen wurde
+ * @property {number} remaining - Verbleibende ganze Token
+ * @property {number} resetMs - Zeit bis der Bucket wieder voll ist
+ * @property {number} retryAfterMs - Zeit bis zum nächsten Token (0, wenn allowed)
+ */
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @property {function(string, RateLimit): Promise<ConsumeResult>} consume - Entnimmt einen Token
+ * @property {function(): Promise<void>} [reset] - Leert alle Buckets
+ */
+
+// Abstand, in dem volle (also nicht mehr benötigte) Buckets entfernt werden
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Erzeugt einen In-Memory-Store.
+ *
+ * @param {Object} [options={}] - Optionen
+ * @param {function(): number} [options.now=Date.now] - Zeitquelle (für Tests)
+ * @returns {RateLimitStore} Store
+ */
+export function createMemoryStore({ now = Date.now } = {}) {
+    // key -> { tokens, updatedAt, fullAt }
+    const buckets = new Map();
+    let lastSweep = now();
+
+    // Entfernt Buckets, die inzwischen wieder voll wären
+    function sweep(time) {
+        if (time - lastSweep < SWEEP_INTERVAL_MS) return;
+        lastSweep = time;
+        for (const [key, bucket] of buckets) {
+            if (bucket.fullAt <= time) buckets.delete(key);
+        }
+    }
+
+    return {
+        async consume(key, { capacity, windowMs }) {
+            const time = now();
+            sweep(time);
+            const ratePerMs = capacity / windowMs;
+            const bucket = buckets.get(key);
+            let tokens = bucket
+                ? Math.min(capacity, bucket.tokens + (time - bucket.updatedAt) * ratePerMs)
+                : capacity;
+            const allowed = tokens >= 1;
+            if (allowed) tokens -= 1;
+            const resetMs = Math.ceil((capacity - tokens) / ratePerMs);
+            buckets.set(key, { tokens, updatedAt: time, fullAt: time + resetMs });
+            return {
+                allowed,
+                remaining: Math.floor(tokens),
+                resetMs,
+                retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / ratePerMs)
+            };
+        },
+
+        async reset() {
+            buckets.clear();
+        }
+    };
+}
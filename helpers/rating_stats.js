@@ -0,0 +1,265 @@
+/**
+ * helpers/rating_stats.js
+ *
+ * Inkrementell gepflegte Bewertungs-Aggregate je Ressource im Resource Catalog Service.
+ * Die Aggregate (Anzahl, Summe, 1-5-Sterne-Histogramm) werden beim ersten Zugriff einmalig
+ * aus der Sammlung ratings aufgebaut und danach von den Rating-Routen bei jeder Änderung
+ * fortgeschrieben, statt bei jeder Anfrage alle Bewertungen neu zu lesen.
+ *
+ * Der Bayes-Score gewichtet den Durchschnitt einer Ressource mit dem globalen Durchschnitt:
+ *   score = (C * m + Summe) / (C + Anzahl)
+ * mit m = globaler Durchschnitt und C = RATING_PRIOR_WEIGHT (Standard: 5). So überholt eine
+ * einzelne 5-Sterne-Bewertung keine Ressource mit fünfzig 4-Sterne-Bewertungen.
+ * Bewertungen weich gelöschter Ressourcen zählen nicht zum globalen Durchschnitt; ihre
+ * Aggregate bleiben für eine Wiederherstellung erhalten.
+ *
+ * @fileoverview Bewertungsstatistik, Histogramm und Bayes-Score je Ressource.
+ */
+
+import { find } from './data_manager.js';
+
+// Neutraler Durchschnitt, solange es noch keine Bewertungen gibt
+const DEFAULT_MEAN = 3;
+
+// Aggregate je Ressource: resourceId -> { count, sum, histogram }
+const statsByResource = new Map();
+// Globale Summen über alle Bewertungen aktiver (nicht weich gelöschter) Ressourcen
+const totals = { count: 0, sum: 0 };
+// IDs der weich gelöschten Ressourcen
+const deletedResources = new Set();
+// Promise des initialen Aufbaus (wird nur einmal ausgeführt)
+let buildPromise = null;
+// true, sobald der Aufbau abgeschlossen ist und Änderungen direkt fortgeschrieben werden
+let ready = false;
+// Änderung während des Aufbaus: Aufbau muss wiederholt werden
+let rebuildRequested = false;
+
+/**
+ * Liefert das Gewicht des Priors für den Bayes-Score.
+ *
+ * @returns {number} Gewicht C (Anzahl "virtueller" Bewertungen)
+ */
+function priorWeight() {
+    const weight = Number(process.env.RATING_PRIOR_WEIGHT);
+    return Number.isFinite(weight) && weight >= 0 ? weight : 5;
+}
+
+/**
+ * Liefert die Aggregate einer Ressource und legt sie bei Bedarf an.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @returns {{ count: number, sum: number, histogram: Object }} Aggregate
+ */
+function statsFor(resourceId) {
+    if (!statsByResource.has(resourceId)) {
+        statsByResource.set(resourceId, { count: 0, sum: 0, histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+    }
+    return statsByResource.get(resourceId);
+}
+
+/**
+ * Addiert eine Bewertung zu den Aggregaten (delta = 1) oder zieht sie ab (delta = -1).
+ *
+ * @param {Object} rating - Bewertung mit resourceId und ratingValue
+ * @param {number} delta - 1 oder -1
+ */
+function apply(rating, delta) {
+    const stats = statsFor(rating.resourceId);
+    stats.count += delta;
+    stats.sum += delta * rating.ratingValue;
+    stats.histogram[rating.ratingValue] += delta;
+    if (!deletedResources.has(rating.resourceId)) {
+        totals.count += delta;
+        totals.sum += delta * rating.ratingValue;
+    }
+    if (stats.count === 0) statsByResource.delete(rating.resourceId);
+}
+
+/**
+ * Baut die Aggregate einmalig aus den Sammlungen ratings und resources auf.
+ *
+ * @returns {Promise<void>} Promise, das nach dem Aufbau aufgelöst wird
+ */
+export function ensureStats() {
+    if (!buildPromise) {
+        buildPromise = (async () => {
+            do {
+                rebuildRequested = false;
+                statsByResource.clear();
+                deletedResources.clear();
+                totals.count = 0;
+                totals.sum = 0;
+                const [ratings, resources] = await Promise.all([find('ratings'), find('resources')]);
+                resources.filter(resource => resource.deletedAt).forEach(resource => deletedResources.add(resource.id));
+                ratings.forEach(rating => apply(rating, 1));
+            } while (rebuildRequested);
+            ready = true;
+        })().catch(err => {
+            // Beim nächsten Zugriff erneut versuchen
+            buildPromise = null;
+            throw err;
+        });
+    }
+    return buildPromise;
+}
+
+/**
+ * Verwirft die Aggregate, damit sie beim nächsten Zugriff neu aufgebaut werden
+ * (z.B. nach einer Datenreparatur außerhalb der Rating-Routen).
+ */
+export function invalidateStats() {
+    if (!buildPromise) return;
+    if (!ready) {
+        rebuildRequested = true;
+        return;
+    }
+    ready = false;
+    buildPromise = null;
+}
+
+/**
+ * Schreibt eine Änderung fort. Läuft gerade der Aufbau, wird er stattdessen wiederholt,
+ * da nicht feststeht, ob die Änderung beim Lesen schon enthalten war.
+ *
+ * @param {Object} rating - Bewertung
+ * @param {number} delta - 1 oder -1
+ */
+function change(rating, delta) {
+    if (ready) apply(rating, delta);
+    else if (buildPromise) rebuildRequested = true;
+}
+
+/**
+ * Trägt eine neue Bewertung in die Aggregate ein.
+ * Vor dem ersten Aufbau ist nichts zu tun, der Aufbau liest die Bewertung dann selbst.
+ *
+ * @param {Object} rating - Neue Bewertung
+ */
+export function recordRating(rating) {
+    change(rating, 1);
+}
+
+/**
+ * Entfernt eine gelöschte Bewertung aus den Aggregaten.
+ *
+ * @param {Object} rating - Gelöschte Bewertung
+ */
+export function removeRating(rating) {
+    change(rating, -1);
+}
+
+/**
+ * Schreibt eine geänderte Bewertung (neuer ratingValue) in die Aggregate fort.
+ *
+ * @param {Object} previous - Bewertung vor der Änderung
+ * @param {Object} current - Bewertung nach der Änderung
+ */
+export function changeRating(previous, current) {
+    change(previous, -1);
+    change(current, 1);
+}
+
+/**
+ * Vermerkt, dass eine Ressource weich gelöscht (deleted = true) oder wiederhergestellt wurde,
+ * und nimmt ihre Bewertungen aus dem globalen Durchschnitt heraus bzw. wieder auf.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {boolean} deleted - true nach dem weichen Löschen, false nach der Wiederherstellung
+ */
+export function setResourceDeleted(resourceId, deleted) {
+    if (!ready) {
+        if (buildPromise) rebuildRequested = true;
+        return;
+    }
+    if (deletedResources.has(resourceId) === deleted) return;
+    const stats = statsByResource.get(resourceId);
+    const sign = deleted ? -1 : 1;
+    if (stats) {
+        totals.count += sign * stats.count;
+        totals.sum += sign * stats.sum;
+    }
+    if (deleted) deletedResources.add(resourceId);
+    else deletedResources.delete(resourceId);
+}
+
+/**
+ * Liefert den globalen Durchschnitt aller Bewertungen aktiver Ressourcen.
+ *
+ * @returns {number} Durchschnitt (oder 3, wenn es keine Bewertungen gibt)
+ */
+function globalMean() {
+    return totals.count > 0 ? totals.sum / totals.count : DEFAULT_MEAN;
+}
+
+/**
+ * Rundet auf die angegebene Zahl an Nachkommastellen.
+ *
+ * @param {number} value - Wert
+ * @param {number} digits - Nachkommastellen
+ * @returns {number} Gerundeter Wert
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Berechnet die Zusammenfassung aus den Aggregaten einer Ressource.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {Object|undefined} stats - Aggregate (undefined = keine Bewertungen)
+ * @returns {Object} Zusammenfassung
+ */
+function summarize(resourceId, stats) {
+    const count = stats ? stats.count : 0;
+    const sum = stats ? stats.sum : 0;
+    const weight = priorWeight();
+    return {
+        resourceId,
+        count,
+        mean: count > 0 ? round(sum / count, 2) : null,
+        averageRating: count > 0 ? round(sum / count, 1) : null,
+        histogram: stats ? { ...stats.histogram } : { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+        bayesianScore: round((weight * globalMean() + sum) / (weight + count), 3)
+    };
+}
+
+/**
+ * Liefert die Bewertungsstatistik einer Ressource.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @returns {Promise<{ resourceId: string, count: number, mean: number|null, averageRating: number|null, histogram: Object, bayesianScore: number }>}
+ */
+export async function getSummary(resourceId) {
+    await ensureStats();
+    return summarize(resourceId, statsByResource.get(resourceId));
+}
+
+/**
+ * Liefert die gerundeten Durchschnittsbewertungen aller bewerteten Ressourcen.
+ *
+ * @returns {Promise<Map<string, number>>} resourceId -> averageRating (eine Nachkommastelle)
+ */
+export async function getAverageRatings() {
+    await ensureStats();
+    const averages = new Map();
+    for (const [resourceId, stats] of statsByResource) {
+        averages.set(resourceId, round(stats.sum / stats.count, 1));
+    }
+    return averages;
+}
+
+/**
+ * Liefert die bewerteten Ressourcen absteigend nach Bayes-Score.
+ *
+ * @param {Object} [options] - Optionen
+ * @param {number} [options.minCount=1] - Mindestanzahl an Bewertungen
+ * @returns {Promise<Array<Object>>} Zusammenfassungen, beste zuerst
+ */
+export async function getRanking({ minCount = 1 } = {}) {
+    await ensureStats();
+    return [...statsByResource.entries()]
+        .filter(([, stats]) => stats.count >= minCount)
+        .map(([resourceId, stats]) => summarize(resourceId, stats))
+        .sort((a, b) => b.bayesianScore - a.bayesianScore || b.count - a.count);
+}
@@ -0,0 +1,305 @@
+/**
+ * helpers/recommendations.js
+ *
+ * Empfehlungen für GET /users/:userId/recommendations: Ressourcen, die der Nutzer noch nicht
+ * bewertet hat, in drei Stufen, bis die gewünschte Anzahl erreicht ist:
+ *
+ *   1. collaborative: Item-basiertes kollaboratives Filtern über alle Bewertungen. Die
+ *      Ähnlichkeit zweier Ressourcen ist die Kosinus-Ähnlichkeit ihrer um den Nutzerschnitt
+ *      bereinigten Bewertungen (adjusted cosine), gedämpft bei wenigen gemeinsamen Bewertern.
+ *      Vorhergesagt wird der Nutzerschnitt plus das ähnlichkeitsgewichtete Mittel der eigenen
+ *      Abweichungen; empfohlen wird nur, was über dem Nutzerschnitt liegt und einer
+ *      überdurchschnittlich bewerteten Ressource ähnelt (diese nennt die Begründung).
+ *   2. content: Inhaltliche Ähnlichkeit zu den gut bewerteten Ressourcen des Nutzers
+ *      (gleicher Typ, gemeinsame Tags, gemeinsame Begriffe im Titel).
+ *   3. popular: Beliebteste Ressourcen nach Bayes-Score (siehe helpers/rating_stats.js) mit
+ *      mindestens 3 Sternen im Schnitt, auch für Nutzer ohne Bewertungen (Kaltstart).
+ *   4. recent: Die neuesten Ressourcen, damit auch ein Katalog ohne (gute) Bewertungen
+ *      Empfehlungen liefert; score ist der Anteil am Altersbereich (1 = neueste).
+ *
+ * Jede Empfehlung trägt eine Begründung (explanation) mit Code, den Ressourcen, auf denen
+ * sie beruht, und einer lokalisierten Meldung (recommendation.<code>).
+ *
+ * @fileoverview Personalisierte Ressourcen-Empfehlungen mit Begründung.
+ */
+
+import * as storage from './data_manager.js';
+import { getRanking } from './rating_stats.js';
+import { tokenize } from './search_index.js';
+import { translate } from './messages.js';
+
+// Ab dieser Bewertung gilt eine Ressource als "gut bewertet" (Grundlage der Inhaltsähnlichkeit)
+const LIKED_RATING = 4;
+// Dämpfung der Ähnlichkeit bei wenigen gemeinsamen Bewertern: n / (n + SHRINKAGE)
+const SHRINKAGE = 2;
+// Gewichte der Inhaltsähnlichkeit (Summe 1)
+const CONTENT_WEIGHTS = { type: 0.3, tags: 0.4, title: 0.3 };
+// Mindestähnlichkeit für inhaltliche Empfehlungen
+const MIN_CONTENT_SIMILARITY = 0.2;
+// Mindestdurchschnitt für Empfehlungen nach Beliebtheit
+const MIN_POPULAR_RATING = 3;
+// Höchstzahl der Ressourcen, die in einer Begründung genannt werden
+const MAX_REASONS = 3;
+
+/**
+ * Rundet einen Wert auf die angegebene Anzahl Nachkommastellen.
+ *
+ * @param {number} value - Wert
+ * @param {number} digits - Nachkommastellen
+ * @returns {number} Gerundeter Wert
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Jaccard-Ähnlichkeit zweier Mengen.
+ *
+ * @param {Set<string>} a - Erste Menge
+ * @param {Set<string>} b - Zweite Menge
+ * @returns {number} Ähnlichkeit zwischen 0 und 1 (0, wenn beide leer sind)
+ */
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const value of a) {
+        if (b.has(value)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Gruppiert Bewertungen nach Nutzer: userId -> Map(resourceId -> ratingValue).
+ *
+ * @param {Array<Object>} ratings - Alle Bewertungen
+ * @returns {Map<string, Map<string, number>>} Bewertungen je Nutzer
+ */
+function ratingsByUser(ratings) {
+    const byUser = new Map();
+    for (const { userId, resourceId, ratingValue } of ratings) {
+        if (!byUser.has(userId)) byUser.set(userId, new Map());
+        byUser.get(userId).set(resourceId, ratingValue);
+    }
+    return byUser;
+}
+
+/**
+ * Berechnet die Item-Ähnlichkeit zwischen den vom Nutzer bewerteten Ressourcen und allen
+ * übrigen Ressourcen (adjusted cosine über die um den Nutzerschnitt bereinigten Bewertungen).
+ *
+ * @param {Map<string, Map<string, number>>} byUser - Bewertungen je Nutzer
+ * @param {Set<string>} ratedIds - Vom Nutzer bewertete Ressourcen
+ * @returns {Map<string, Map<string, number>>} candidateId -> Map(ratedId -> Ähnlichkeit)
+ */
+function itemSimilarities(byUser, ratedIds) {
+    // Bereinigte Bewertungen je Ressource: resourceId -> Map(userId -> Abweichung)
+    const centered = new Map();
+    for (const [userId, userRatings] of byUser) {
+        const values = [...userRatings.values()];
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        for (const [resourceId, value] of userRatings) {
+            if (!centered.has(resourceId)) centered.set(resourceId, new Map());
+            centered.get(resourceId).set(userId, value - mean);
+        }
+    }
+    const norm = vector => Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+
+    const similarities = new Map();
+    for (const ratedId of ratedIds) {
+        const ratedVector = centered.get(ratedId);
+        const ratedNorm = norm(ratedVector);
+        if (ratedNorm === 0) continue;
+        for (const [candidateId, candidateVector] of centered) {
+            if (ratedIds.has(candidateId)) continue;
+            let dot = 0;
+            let shared = 0;
+            for (const [userId, value] of candidateVector) {
+                if (!ratedVector.has(userId)) continue;
+                dot += value * ratedVector.get(userId);
+                shared++;
+            }
+            const candidateNorm = norm(candidateVector);
+            if (shared === 0 || dot === 0 || candidateNorm === 0) continue;
+            const similarity = (dot / (ratedNorm * candidateNorm)) * (shared / (shared + SHRINKAGE));
+            if (!similarities.has(candidateId)) similarities.set(candidateId, new Map());
+            similarities.get(candidateId).set(ratedId, similarity);
+        }
+    }
+    return similarities;
+}
+
+/**
+ * Stufe 1: kollaboratives Filtern.
+ *
+ * @param {Map<string, number>} own - Eigene Bewertungen: resourceId -> ratingValue
+ * @param {Map<string, Map<string, number>>} byUser - Bewertungen je Nutzer
+ * @returns {Array<{ resourceId: string, score: number, basedOn: string[] }>} Kandidaten, beste zuerst
+ */
+function collaborativeCandidates(own, byUser) {
+    const values = [...own.values()];
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const candidates = [];
+    for (const [resourceId, neighbours] of itemSimilarities(byUser, new Set(own.keys()))) {
+        let weighted = 0;
+        let total = 0;
+        const reasons = [];
+        for (const [ratedId, similarity] of neighbours) {
+            const deviation = own.get(ratedId) - mean;
+            weighted += similarity * deviation;
+            total += Math.abs(similarity);
+            // Begründet wird mit überdurchschnittlich bewerteten, ähnlichen Ressourcen
+            if (similarity > 0 && deviation > 0) reasons.push({ ratedId, contribution: similarity * deviation });
+        }
+        if (total === 0 || weighted <= 0 || reasons.length === 0) continue;
+        const predicted = Math.min(5, Math.max(1, mean + weighted / total));
+        candidates.push({
+            resourceId,
+            score: predicted,
+            basedOn: reasons.sort((a, b) => b.contribution - a.contribution).slice(0, MAX_REASONS).map(reason => reason.ratedId)
+        });
+    }
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Merkmale einer Ressource für die Inhaltsähnlichkeit.
+ *
+ * @param {Object} resource - Ressource
+ * @returns {{ type: string|undefined, tags: Set<string>, terms: Set<string> }} Merkmale
+ */
+function contentFeatures(resource) {
+    return {
+        type: resource.type,
+        tags: new Set(resource.tagIds || []),
+        terms: new Set(tokenize(resource.title))
+    };
+}
+
+/**
+ * Inhaltliche Ähnlichkeit zweier Ressourcen aus Typ, Tags und Titelbegriffen.
+ *
+ * @param {Object} a - Merkmale der ersten Ressource (siehe contentFeatures)
+ * @param {Object} b - Merkmale der zweiten Ressource
+ * @returns {number} Ähnlichkeit zwischen 0 und 1
+ */
+function contentSimilarity(a, b) {
+    return CONTENT_WEIGHTS.type * (a.type && a.type === b.type ? 1 : 0)
+        + CONTENT_WEIGHTS.tags * jaccard(a.tags, b.tags)
+        + CONTENT_WEIGHTS.title * jaccard(a.terms, b.terms);
+}
+
+/**
+ * Stufe 2: Inhaltsähnlichkeit zu den gut bewerteten Ressourcen des Nutzers (ohne gut
+ * bewertete die bestbewerteten, damit auch mittelmäßige Bewertungen ein Profil ergeben).
+ *
+ * @param {Map<string, number>} own - Eigene Bewertungen: resourceId -> ratingValue
+ * @param {Map<string, Object>} resourcesById - Nicht gelöschte Ressourcen
+ * @returns {Array<{ resourceId: string, score: number, basedOn: string[] }>} Kandidaten, beste zuerst
+ */
+function contentCandidates(own, resourcesById) {
+    const best = Math.max(...own.values());
+    const profile = [...own.entries()]
+        .filter(([resourceId, value]) => resourcesById.has(resourceId) && value >= Math.min(LIKED_RATING, best))
+        .map(([resourceId]) => ({ resourceId, features: contentFeatures(resourcesById.get(resourceId)) }));
+    if (profile.length === 0) return [];
+
+    const candidates = [];
+    for (const [resourceId, resource] of resourcesById) {
+        if (own.has(resourceId)) continue;
+        const features = contentFeatures(resource);
+        const matches = profile
+            .map(entry => ({ resourceId: entry.resourceId, similarity: contentSimilarity(features, entry.features) }))
+            .filter(match => match.similarity >= MIN_CONTENT_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity);
+        if (matches.length === 0) continue;
+        candidates.push({
+            resourceId,
+            score: matches[0].similarity,
+            basedOn: matches.slice(0, MAX_REASONS).map(match => match.resourceId)
+        });
+    }
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Erzeugt die Begründung einer Empfehlung.
+ *
+ * @param {string} code - collaborative, content, popular oder recent
+ * @param {Array<Object>} basedOn - Ressourcen, auf denen die Empfehlung beruht
+ * @param {Object} params - Weitere Parameter der Meldung
+ * @param {string} locale - Sprache (de, en)
+ * @returns {{ code: string, message: string, basedOn: Array<{ id: string, title: string }> }} Begründung
+ */
+function explain(code, basedOn, params, locale) {
+    const titles = basedOn.map(resource => `"${resource.title}"`).join(', ');
+    return {
+        code,
+        message: translate(locale, `recommendation.${code}`, { titles, ...params }),
+        basedOn: basedOn.map(resource => ({ id: resource.id, title: resource.title }))
+    };
+}
+
+/**
+ * Ermittelt Empfehlungen für einen Nutzer.
+ *
+ * @param {string} userId - ID des Nutzers
+ * @param {Object} [options={}] - Optionen
+ * @param {number} [options.limit=10] - Höchstzahl der Empfehlungen
+ * @param {string} [options.type] - Nur Ressourcen dieses Typs
+ * @param {string} [options.locale] - Sprache der Begründungen
+ * @returns {Promise<Array<{ resource: Object, source: string, score: number, explanation: Object }>>} Empfehlungen
+ */
+export async function recommendForUser(userId, { limit = 10, type, locale } = {}) {
+    const [ratings, resources, ranking] = await Promise.all([
+        storage.find('ratings'),
+        storage.find('resources', { deletedAt: null }),
+        getRanking()
+    ]);
+    const resourcesById = new Map(resources.map(resource => [resource.id, resource]));
+    const byUser = ratingsByUser(ratings.filter(rating => resourcesById.has(rating.resourceId)));
+    const own = byUser.get(userId) || new Map();
+    const rankingById = new Map(ranking.map(summary => [summary.resourceId, summary]));
+
+    const recommendations = [];
+    const chosen = new Set(own.keys());
+    const add = (resourceId, source, score, explanation) => {
+        const resource = resourcesById.get(resourceId);
+        if (recommendations.length >= limit || chosen.has(resourceId) || !resource) return;
+        if (type && resource.type !== type) return;
+        chosen.add(resourceId);
+        const summary = rankingById.get(resourceId);
+        recommendations.push({
+            resource: summary ? { ...resource, averageRating: summary.averageRating } : resource,
+            source,
+            score: round(score, 3),
+            explanation
+        });
+    };
+    const resourcesOf = ids => ids.map(id => resourcesById.get(id));
+
+    if (own.size > 0) {
+        for (const candidate of collaborativeCandidates(own, byUser)) {
+            add(candidate.resourceId, 'collaborative', candidate.score,
+                explain('collaborative', resourcesOf(candidate.basedOn), {}, locale));
+        }
+        for (const candidate of contentCandidates(own, resourcesById)) {
+            add(candidate.resourceId, 'content', candidate.score,
+                explain('content', resourcesOf(candidate.basedOn), {}, locale));
+        }
+    }
+    for (const summary of ranking.filter(entry => entry.averageRating >= MIN_POPULAR_RATING)) {
+        add(summary.resourceId, 'popular', summary.bayesianScore,
+            explain('popular', [], { averageRating: summary.averageRating, count: summary.count }, locale));
+    }
+    const recent = resources
+        .map(resource => ({ resource, time: new Date(resource.createdAt).getTime() || 0 }))
+        .sort((a, b) => b.time - a.time);
+    const newest = recent[0]?.time || 0;
+    const oldest = recent[recent.length - 1]?.time || 0;
+    for (const { resource, time } of recent) {
+        add(resource.id, 'recent', newest > oldest ? (time - oldest) / (newest - oldest) : 1,
+            explain('recent', [], {}, locale));
+    }
+    return recommendations;
+}
@@ -0,0 +1,73 @@
+/**
+ * helpers/resource_export.js
+ *
+ * Export des Katalogs als CSV, NDJSON oder JSON-Array. Die Ausgabe wird als Folge von
+ * Textstücken erzeugt, damit die Route sie direkt in die Antwort streamen kann, ohne
+ * das gesamte Dokument im Speicher aufzubauen. Optional enthält jede Ressource
+ * averageRating, ratingCount und feedbackCount (nur freigegebenes Feedback).
+ *
+ * @fileoverview Erzeugt den Katalog-Export in CSV, NDJSON und JSON.
+ */
+
+import * as storage from './data_manager.js';
+import * as ratingStats from './rating_stats.js';
+import { isVisible } from './feedback.js';
+import { formatCsvRow } from './csv.js';
+
+// Content-Type und Dateiendung je Exportformat
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Exportierte Felder (Reihenfolge der CSV-Spalten)
+const COLUMNS = ['id', 'title', 'type', 'url', 'description', 'authorId', 'tagIds', 'categoryId', 'createdAt', 'updatedAt'];
+const STATS_COLUMNS = ['averageRating', 'ratingCount', 'feedbackCount'];
+
+/**
+ * Zählt das freigegebene Feedback je Ressource.
+ *
+ * @returns {Promise<Map<string, number>>} resourceId -> Anzahl
+ */
+async function countFeedback() {
+    const counts = new Map();
+    for (const feedback of (await storage.find('feedback')).filter(isVisible)) {
+        counts.set(feedback.resourceId, (counts.get(feedback.resourceId) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Erzeugt den Export Stück für Stück.
+ *
+ * @param {string} format - csv, ndjson oder json
+ * @param {Object} [options] - Optionen
+ * @param {boolean} [options.includeStats=false] - averageRating, ratingCount und feedbackCount ergänzen
+ * @returns {AsyncGenerator<string>} Textstücke der Ausgabe
+ */
+export async function* exportResources(format, { includeStats = false } = {}) {
+    const resources = await storage.find('resources', { deletedAt: null });
+    const feedbackCounts = includeStats ? await countFeedback() : null;
+    const columns = includeStats ? [...COLUMNS, ...STATS_COLUMNS] : COLUMNS;
+
+    if (format === 'csv') yield formatCsvRow(columns);
+    if (format === 'json') yield '[';
+
+    for (const [index, resource] of resources.entries()) {
+        const record = Object.fromEntries(COLUMNS.filter(c => resource[c] !== undefined).map(c => [c, resource[c]]));
+        if (includeStats) {
+            const { averageRating, count } = await ratingStats.getSummary(resource.id);
+            Object.assign(record, { averageRating, ratingCount: count, feedbackCount: feedbackCounts.get(resource.id) || 0 });
+        }
+        if (format === 'csv') {
+            yield formatCsvRow(columns.map(c => record[c]));
+        } else if (format === 'ndjson') {
+            yield `${JSON.stringify(record)}\n`;
+        } else {
+            yield `${index > 0 ? ',' : ''}\n  ${JSON.stringify(record)}`;
+        }
+    }
+
+    if (format === 'json') yield resources.length > 0 ? '\n]\n' : ']\n';
+}
@@ -0,0 +1,251 @@
+/**
+ * helpers/resource_import.js
+ *
+ * Massenimport von Ressourcen aus CSV, NDJSON oder einem JSON-Array.
+ * Jede Zeile wird einzeln gegen das Ressourcen-Schema geprüft; gültige Zeilen werden
+ * angelegt (mode=create) oder anhand der normalisierten URL mit einer bestehenden
+ * Ressource abgeglichen und aktualisiert (mode=upsert). Bei dryRun wird nur geprüft.
+ * Ungültige Zeilen verhindern den Import der übrigen nicht; der Bericht listet je Zeile
+ * das Ergebnis und die Fehler.
+ *
+ * Tags und Kategorie (tagIds, categoryId) werden wie bei POST /resources gegen die Taxonomie
+ * geprüft; in CSV stehen die Tag-IDs in einer Zelle, getrennt durch "|".
+ * Spalten aus dem Export (id, createdAt, updatedAt, averageRating, ratingCount,
+ * feedbackCount) werden ignoriert, damit ein Export direkt wieder importiert werden kann.
+ *
+ * @fileoverview Parsen, Prüfen und Übernehmen von Ressourcen-Importen.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from './data_manager.js';
+import * as searchIndex from './search_index.js';
+import { recordChange } from './audit.js';
+import { parseCsv, splitCsvList } from './csv.js';
+import { normalizeUrl } from './url.js';
+import { checkTaxonomyReferences } from './taxonomy.js';
+import { ValidationError } from './errors.js';
+import { translate, DEFAULT_LOCALE } from './messages.js';
+import { validateValue } from '../middleware/validation.js';
+import { hasRole, isOwnerOrHasRole } from '../middleware/auth.js';
+import { resourceBody } from '../schemas/resources.js';
+
+// Unterstützte Formate und ihre Content-Types
+export const IMPORT_CONTENT_TYPES = {
+    csv: ['text/csv'],
+    ndjson: ['application/x-ndjson', 'application/ndjson'],
+    json: ['application/json']
+};
+
+// Höchstzahl an Zeilen je Import
+export const MAX_IMPORT_ROWS = 5000;
+
+// Felder aus dem Export, die beim Import ignoriert werden
+const EXPORT_ONLY_FIELDS = ['id', 'createdAt', 'updatedAt', 'averageRating', 'ratingCount', 'feedbackCount'];
+
+/**
+ * Erzeugt einen Zeilenfehler im Format der Schema-Validierung.
+ *
+ * @param {string} field - Betroffenes Feld ('' für die ganze Zeile)
+ * @param {string} code - Fehlercode (Meldung unter validation.<code>)
+ * @param {Object} [params={}] - Parameter der Meldung
+ * @returns {{ field: string, code: string, message: string, params: Object }} Fehler
+ */
+function rowError(field, code, params = {}) {
+    return { field, code, message: translate(DEFAULT_LOCALE, `validation.${code}`, params), params };
+}
+
+/**
+ * Ermittelt das Importformat aus dem Content-Type.
+ *
+ * @param {string|undefined} contentType - Content-Type der Anfrage
+ * @returns {string|null} csv, ndjson, json oder null, wenn unbekannt
+ */
+export function detectFormat(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const match = Object.entries(IMPORT_CONTENT_TYPES).find(([, types]) => types.includes(type));
+    return match ? match[0] : null;
+}
+
+/**
+ * Zerlegt den Request-Body in Zeilen.
+ *
+ * @param {*} body - Geparster Body (JSON) oder Text (CSV, NDJSON)
+ * @param {string} format - csv, ndjson oder json
+ * @returns {Array<{ row: number, data?: Object, errors?: Array<Object> }>} Zeilen mit Nummer
+ *   (Zeile in CSV/NDJSON, Position im JSON-Array ab 1)
+ * @throws {ValidationError} Wenn der Body nicht zum Format passt, leer oder zu groß ist
+ */
+export function parseImport(body, format) {
+    let rows;
+    if (format === 'json') {
+        if (!Array.isArray(body)) throw new ValidationError('import_invalid_body');
+        rows = body.map((data, i) => ({ row: i + 1, data }));
+    } else {
+        if (typeof body !== 'string') throw new ValidationError('import_invalid_body');
+        if (format === 'csv') {
+            rows = parseCsv(body).map(({ line, data }) => ({
+                row: line,
+                data: data.tagIds !== undefined ? { ...data, tagIds: splitCsvList(data.tagIds) } : data
+            }));
+        } else {
+            rows = body.split(/\r?\n/)
+                .map((line, i) => ({ row: i + 1, line: line.trim() }))
+                .filter(({ line }) => line !== '')
+                .map(({ row, line }) => {
+                    try {
+                        return { row, data: JSON.parse(line) };
+                    } catch {
+                        return { row, errors: [rowError('', 'invalid_json')] };
+                    }
+                });
+        }
+    }
+    if (rows.length === 0) throw new ValidationError('import_empty');
+    if (rows.length > MAX_IMPORT_ROWS) throw new ValidationError('import_too_many_rows', { max: MAX_IMPORT_ROWS });
+    return rows.map(entry => (
+        entry.data !== undefined && (typeof entry.data !== 'object' || entry.data === null || Array.isArray(entry.data))
+            ? { row: entry.row, errors: [rowError('', 'invalid_row')] }
+            : entry
+    ));
+}
+
+/**
+ * Entfernt Felder ohne Wert (z.B. eine fehlende description).
+ *
+ * @param {Object} record - Datensatz
+ * @returns {Object} Datensatz ohne undefined-Felder
+ */
+function withoutEmpty(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Vergleicht zwei Tag-Listen (fehlend und leer gelten als gleich).
+ *
+ * @param {string[]|undefined} a - Tag-IDs
+ * @param {string[]|undefined} b - Tag-IDs
+ * @returns {boolean} true, wenn beide dieselben Tags in derselben Reihenfolge enthalten
+ */
+function sameTags(a = [], b = []) {
+    return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+/**
+ * Prüft eine Zeile und bestimmt die auszuführende Änderung.
+ *
+ * @param {Object} data - Werte der Zeile
+ * @param {Object} context - Importkontext
+ * @returns {Promise<{ errors: Array<Object> } | { action: string, resource: Object, key: string, existing?: Object }>}
+ *   Fehler oder Änderung (existing: bisheriger Stand bei updated und unchanged)
+ */
+async function planRow(data, { mode, user, existingByUrl, seenUrls }) {
+    const input = Object.fromEntries(Object.entries(data).filter(([name]) => !EXPORT_ONLY_FIELDS.includes(name)));
+    const { value, errors } = validateValue(resourceBody, input);
+    if (errors.length > 0) return { errors };
+    const taxonomyErrors = await checkTaxonomyReferences(value);
+    if (taxonomyErrors.length > 0) return { errors: taxonomyErrors };
+    const tagIds = value.tagIds && value.tagIds.length > 0 ? value.tagIds : undefined;
+
+    const mayActForOthers = user.type === 'service' || hasRole(user, 'admin');
+    if (value.authorId && value.authorId !== user.id && !mayActForOthers) {
+        return { errors: [rowError('authorId', 'foreign_author')] };
+    }
+    const key = normalizeUrl(value.url);
+    if (seenUrls.has(key)) {
+        return { errors: [rowError('url', 'duplicate_in_file', { row: seenUrls.get(key) })] };
+    }
+
+    const existing = existingByUrl.get(key);
+    if (!existing) {
+        return {
+            action: 'created',
+            key,
+            resource: withoutEmpty({
+                id: uuidv4(),
+                title: value.title,
+                type: value.type,
+                url: value.url,
+                description: value.description,
+                authorId: value.authorId || user.id,
+                tagIds,
+                categoryId: value.categoryId
+            })
+        };
+    }
+    if (mode === 'create') {
+        return { errors: [rowError('url', 'duplicate_url', { id: existing.id })] };
+    }
+    if (!isOwnerOrHasRole(user, existing.authorId)) {
+        return { errors: [rowError('url', 'not_owner')] };
+    }
+    // Wie bei PUT /resources/:id: den Autor ändern nur Moderatoren
+    const authorId = hasRole(user, 'moderator') && value.authorId ? value.authorId : existing.authorId;
+    const unchanged = existing.title === value.title && existing.type === value.type
+        && existing.url === value.url && existing.description === value.description && existing.authorId === authorId
+        && sameTags(existing.tagIds, tagIds) && existing.categoryId === value.categoryId;
+    return {
+        action: unchanged ? 'unchanged' : 'updated',
+        key,
+        existing,
+        resource: {
+            ...existing,
+            title: value.title,
+            type: value.type,
+            url: value.url,
+            description: value.description,
+            authorId,
+            tagIds,
+            categoryId: value.categoryId
+        }
+    };
+}
+
+/**
+ * Importiert die Zeilen eines Imports.
+ *
+ * @param {Array<Object>} rows - Zeilen aus parseImport
+ * @param {Object} options - Optionen
+ * @param {string} [options.mode='create'] - create (nur neue URLs) oder upsert (bestehende aktualisieren)
+ * @param {boolean} [options.dryRun=false] - Nur prüfen, nichts speichern
+ * @param {Object} options.user - Importierender Nutzer (req.user)
+ * @returns {Promise<Object>} Bericht { mode, dryRun, total, created, updated, unchanged, failed, rows }
+ */
+export async function importResources(rows, { mode = 'create', dryRun = false, user }) {
+    // Imports laufen nacheinander, damit der Abgleich nach URL nicht mit einem parallelen Import kollidiert
+    return storage.withFileLock('resources:import', async () => {
+        const existingByUrl = new Map(
+            (await storage.find('resources', { deletedAt: null })).map(r => [normalizeUrl(r.url), r])
+        );
+        const seenUrls = new Map();
+        const report = { mode, dryRun, total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0, rows: [] };
+
+        for (const { row, data, errors } of rows) {
+            const plan = errors ? { errors } : await planRow(data, { mode, user, existingByUrl, seenUrls });
+            if (plan.errors) {
+                report.failed++;
+                report.rows.push({ row, status: 'failed', errors: plan.errors });
+                continue;
+            }
+            seenUrls.set(plan.key, row);
+            report[plan.action]++;
+            report.rows.push({ row, status: plan.action, id: plan.resource.id });
+            if (dryRun || plan.action === 'unchanged') continue;
+
+            const now = new Date().toISOString();
+            let saved;
+            if (plan.action === 'created') {
+                saved = { ...plan.resource, createdAt: now };
+                await storage.insert('resources', saved);
+                await recordChange('resources', 'create', { after: saved, actorId: user.id });
+            } else {
+                const { title, type, url, description, authorId, tagIds, categoryId } = plan.resource;
+                saved = await storage.update('resources', plan.resource.id, {
+                    title, type, url, description, authorId, tagIds, categoryId, updatedAt: now
+                });
+                await recordChange('resources', 'update', { before: plan.existing, after: saved, actorId: user.id });
+            }
+            searchIndex.indexResource(saved);
+        }
+        return report;
+    });
+}
@@ -0,0 +1,141 @@
+/**
+ * helpers/resource_lifecycle.js
+ *
+ * Löschen und Wiederherstellen von Ressourcen samt abhängiger Daten.
+ *
+ * Endgültiges Löschen entfernt eine Ressource kaskadierend mit allen Bewertungen, allem
+ * Feedback, ihrem Linkstatus und allen Lesezeichen, damit keine verwaisten Einträge bleiben,
+ * und nimmt sie aus allen Lernpfaden und Sammlungen heraus.
+ * Beim weichen Löschen erhält die Ressource einen Grabstein (deletedAt, deletedBy) und wird
+ * überall ausgeblendet (auch im globalen Bewertungsdurchschnitt); Bewertungen und Feedback
+ * bleiben für eine Wiederherstellung erhalten.
+ * Alle Änderungen werden im Audit-Log festgehalten (siehe helpers/audit.js); daraus lässt
+ * sich eine Ressource auch auf eine frühere Version zurücksetzen.
+ *
+ * @fileoverview Kaskadierendes Löschen, weiches Löschen und Wiederherstellen von Ressourcen.
+ */
+
+import * as storage from './data_manager.js';
+import * as searchIndex from './search_index.js';
+import * as ratingStats from './rating_stats.js';
+import { removeResourceFromPaths } from './learning_paths.js';
+import { removeResourceFromCollections } from './collections.js';
+import { recordChange } from './audit.js';
+
+/**
+ * Prüft, ob eine Ressource aktiv (nicht weich gelöscht) ist.
+ *
+ * @param {Object|null} resource - Ressource
+ * @returns {boolean} true, wenn die Ressource existiert und nicht gelöscht ist
+ */
+export function isActive(resource) {
+    return Boolean(resource) && !resource.deletedAt;
+}
+
+/**
+ * Liefert eine aktive Ressource anhand ihrer ID.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @returns {Promise<Object|null>} Ressource oder null, wenn sie fehlt oder gelöscht ist
+ */
+export async function findActiveResource(resourceId) {
+    const resource = await storage.findById('resources', resourceId);
+    return isActive(resource) ? resource : null;
+}
+
+/**
+ * Löscht eine Ressource endgültig mit allen Bewertungen, allem Feedback, ihrem Linkstatus
+ * und allen Lesezeichen und entfernt sie aus den Lernpfaden und Sammlungen.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {string|null} [actorId=null] - ID des löschenden Nutzers (für das Audit-Log)
+ * @returns {Promise<{ ratings: number, feedback: number, paths: number, collections: number, bookmarks: number }>}
+ *   Anzahl mitgelöschter bzw. geänderter Datensätze
+ */
+export async function deleteResourceCascade(resourceId, actorId = null) {
+    const ratings = await storage.find('ratings', { resourceId });
+    for (const rating of ratings) {
+        await storage.remove('ratings', rating.id);
+        ratingStats.removeRating(rating);
+        await recordChange('ratings', 'delete', { before: rating, actorId });
+    }
+    const feedback = await storage.find('feedback', { resourceId });
+    await storage.removeWhere('feedback', { resourceId });
+    for (const entry of feedback) {
+        await recordChange('feedback', 'delete', { before: entry, actorId });
+    }
+    const paths = await removeResourceFromPaths(resourceId);
+    const { collections, bookmarks } = await removeResourceFromCollections(resourceId);
+    await storage.removeWhere('link_status', { resourceId });
+    const resource = await storage.findById('resources', resourceId);
+    await storage.remove('resources', resourceId);
+    searchIndex.removeResource(resourceId);
+    if (resource) await recordChange('resources', 'delete', { before: resource, actorId });
+    return { ratings: ratings.length, feedback: feedback.length, paths, collections, bookmarks };
+}
+
+/**
+ * Löscht eine Ressource weich (Grabstein mit deletedAt und deletedBy).
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {string} actorId - ID des löschenden Nutzers
+ * @returns {Promise<Object>} Aktualisierte Ressource
+ */
+export async function softDeleteResource(resourceId, actorId) {
+    const before = await storage.findById('resources', resourceId);
+    const resource = await storage.update('resources', resourceId, {
+        deletedAt: new Date().toISOString(),
+        deletedBy: actorId
+    });
+    searchIndex.indexResource(resource);
+    ratingStats.setResourceDeleted(resourceId, true);
+    await recordChange('resources', 'delete', { before, after: resource, actorId });
+    return resource;
+}
+
+/**
+ * Stellt eine weich gelöschte Ressource wieder her.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {string|null} [actorId=null] - ID des wiederherstellenden Nutzers
+ * @returns {Promise<Object>} Wiederhergestellte Ressource
+ */
+export async function restoreResource(resourceId, actorId = null) {
+    const before = await storage.findById('resources', resourceId);
+    const resource = await storage.update('resources', resourceId, {
+        deletedAt: undefined,
+        deletedBy: undefined
+    });
+    searchIndex.indexResource(resource);
+    ratingStats.setResourceDeleted(resourceId, false);
+    await recordChange('resources', 'restore', { before, after: resource, actorId });
+    return resource;
+}
+
+/**
+ * Setzt die Inhaltsfelder einer Ressource auf den Stand einer früheren Version zurück.
+ * Tags und Kategorien, die es inzwischen nicht mehr gibt, entfallen; Erstellungszeitpunkt
+ * und Löschmarkierung bleiben unverändert.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {Object} entry - Audit-Eintrag der Zielversion (mit snapshot)
+ * @param {string[]} fields - Inhaltsfelder, die zurückgesetzt werden (z.B. title, type, url)
+ * @param {string|null} actorId - ID des handelnden Nutzers
+ * @returns {Promise<Object>} Aktualisierte Ressource
+ */
+export async function revertResource(resourceId, entry, fields, actorId) {
+    const before = await storage.findById('resources', resourceId);
+    const changes = Object.fromEntries(fields.map(field => [field, entry.snapshot[field]]));
+    if (changes.tagIds) {
+        const known = new Set((await storage.find('tags')).map(tag => tag.id));
+        const tagIds = changes.tagIds.filter(id => known.has(id));
+        changes.tagIds = tagIds.length > 0 ? tagIds : undefined;
+    }
+    if (changes.categoryId && !(await storage.findById('categories', changes.categoryId))) {
+        changes.categoryId = undefined;
+    }
+    const resource = await storage.update('resources', resourceId, { ...changes, updatedAt: new Date().toISOString() });
+    searchIndex.indexResource(resource);
+    await recordChange('resources', 'revert', { before, after: resource, actorId, details: { revertedTo: entry.version } });
+    return resource;
+}
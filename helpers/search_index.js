@@ -0,0 +1,400 @@
+/**
+ * helpers/search_index.js
+ *
+ * In-Memory-Volltextindex für die Ressourcensuche im Resource Catalog Service.
+ * Indexiert Titel, Typ, Beschreibung, URL-Host und Feedback-Texte jeder Ressource in einem
+ * invertierten Index und bewertet Treffer nach Relevanz (BM25).
+ *
+ * Der Index wird beim ersten Zugriff aus den Sammlungen resources und feedback aufgebaut
+ * und danach von den Routen bei jedem Schreibvorgang aktualisiert.
+ *
+ * @fileoverview Tokenizer für deutsche Texte, invertierter Index, Ranking und Snippets.
+ */
+
+import { find } from './data_manager.js';
+import { isVisible } from './feedback.js';
+
+// Gewichtung der einzelnen Felder beim Ranking
+const FIELD_WEIGHTS = {
+    title: 3,
+    type: 2,
+    host: 1.5,
+    description: 1,
+    feedback: 1
+};
+
+// BM25-Parameter
+const K1 = 1.2;
+const B = 0.75;
+
+// Treffer über Präfixe zählen weniger als exakte Treffer
+const PREFIX_FACTOR = 0.5;
+
+// Häufige deutsche und englische Wörter ohne Suchwert
+const STOP_WORDS = new Set([
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einer', 'eines', 'einem', 'einen',
+    'und', 'oder', 'aber', 'in', 'im', 'ins', 'an', 'am', 'auf', 'aus', 'bei', 'mit', 'nach',
+    'von', 'vom', 'zu', 'zum', 'zur', 'fur', 'uber', 'ist', 'sind', 'war', 'nicht', 'auch',
+    'es', 'sie', 'er', 'wir', 'ich', 'sehr', 'wie', 'was', 'so',
+    'the', 'a', 'an', 'and', 'or', 'of', 'to', 'for', 'on', 'with', 'is'
+]);
+
+// Endungen für das einfache Stemming, längste zuerst
+const SUFFIXES = [
+    'ungen', 'heiten', 'keiten', 'ung', 'heit', 'keit', 'lich', 'isch',
+    'ern', 'em', 'en', 'er', 'es', 'e', 'n', 's'
+];
+
+// Mindestlänge des Wortstamms nach dem Abschneiden einer Endung
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Faltet Umlaute und ß und wandelt in Kleinbuchstaben um.
+ *
+ * @param {string} text - Eingabetext
+ * @returns {string} Normalisierter Text
+ */
+export function foldText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/ä/g, 'a')
+        .replace(/ö/g, 'o')
+        .replace(/ü/g, 'u')
+        .replace(/ß/g, 'ss')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Reduziert ein (bereits gefaltetes) Wort auf einen einfachen Wortstamm.
+ *
+ * @param {string} word - Gefaltetes Wort
+ * @returns {string} Wortstamm
+ */
+export function stem(word) {
+    for (const suffix of SUFFIXES) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH) {
+            return word.slice(0, -suffix.length);
+        }
+    }
+    return word;
+}
+
+/**
+ * Zerlegt einen Text in normalisierte, gestemmte Suchbegriffe (ohne Stoppwörter).
+ *
+ * @param {string} text - Eingabetext
+ * @returns {string[]} Liste der Suchbegriffe (mit Wiederholungen)
+ */
+export function tokenize(text) {
+    if (!text) return [];
+    return foldText(text)
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+/**
+ * Ermittelt den Host einer URL ohne "www." (leer bei ungültiger URL).
+ *
+ * @param {string} url - URL der Ressource
+ * @returns {string} Hostname
+ */
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+// Invertierter Index: Begriff -> Map(resourceId -> gewichtete Häufigkeit)
+const postings = new Map();
+// Dokumente: resourceId -> { resource, feedbacks: Map(feedbackId -> Text), terms: Map, length }
+const documents = new Map();
+// Summe aller Dokumentlängen (für die durchschnittliche Länge in BM25)
+let totalLength = 0;
+// Promise des initialen Aufbaus (wird nur einmal ausgeführt)
+let buildPromise = null;
+
+/**
+ * Entfernt die Postings eines Dokuments aus dem Index.
+ *
+ * @param {string} resourceId - ID der Ressource
+ */
+function unindexDocument(resourceId) {
+    const doc = documents.get(resourceId);
+    if (!doc || !doc.terms) return;
+    for (const term of doc.terms.keys()) {
+        const list = postings.get(term);
+        if (!list) continue;
+        list.delete(resourceId);
+        if (list.size === 0) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    doc.terms = null;
+    doc.length = 0;
+}
+
+/**
+ * Berechnet die Begriffe eines Dokuments neu und trägt sie in den Index ein.
+ *
+ * @param {string} resourceId - ID der Ressource
+ */
+function reindexDocument(resourceId) {
+    unindexDocument(resourceId);
+    const doc = documents.get(resourceId);
+    if (!doc || !doc.resource) return;
+
+    const fields = {
+        title: doc.resource.title,
+        type: doc.resource.type,
+        description: doc.resource.description,
+        host: hostOf(doc.resource.url),
+        feedback: [...doc.feedbacks.values()].join(' ')
+    };
+    const terms = new Map();
+    let length = 0;
+    for (const [field, text] of Object.entries(fields)) {
+        for (const term of tokenize(text)) {
+            terms.set(term, (terms.get(term) || 0) + FIELD_WEIGHTS[field]);
+            length += 1;
+        }
+    }
+    for (const [term, weight] of terms) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        postings.get(term).set(resourceId, weight);
+    }
+    doc.terms = terms;
+    doc.length = length;
+    totalLength += length;
+}
+
+/**
+ * Liefert das Dokument zu einer Ressource und legt es bei Bedarf an.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @returns {Object} Dokument-Eintrag
+ */
+function documentFor(resourceId) {
+    if (!documents.has(resourceId)) {
+        documents.set(resourceId, { resource: null, feedbacks: new Map(), terms: null, length: 0 });
+    }
+    return documents.get(resourceId);
+}
+
+/**
+ * Nimmt eine Ressource in den Index auf oder aktualisiert sie.
+ * Gelöschte Ressourcen (deletedAt gesetzt) werden aus dem Index entfernt.
+ *
+ * @param {Object} resource - Ressourcen-Objekt
+ */
+export function indexResource(resource) {
+    if (resource.deletedAt) {
+        unindexDocument(resource.id);
+        documentFor(resource.id).resource = null;
+        return;
+    }
+    documentFor(resource.id).resource = resource;
+    reindexDocument(resource.id);
+}
+
+/**
+ * Entfernt eine Ressource samt ihrem Feedback aus dem Index.
+ *
+ * @param {string} resourceId - ID der Ressource
+ */
+export function removeResource(resourceId) {
+    unindexDocument(resourceId);
+    documents.delete(resourceId);
+}
+
+/**
+ * Nimmt ein Feedback in den Index auf oder aktualisiert es.
+ * Nicht freigegebenes Feedback (pending, flagged, rejected) wird aus dem Index entfernt.
+ *
+ * @param {Object} feedback - Feedback-Objekt mit resourceId und feedbackText
+ */
+export function indexFeedback(feedback) {
+    if (!isVisible(feedback)) {
+        removeFeedback(feedback);
+        return;
+    }
+    documentFor(feedback.resourceId).feedbacks.set(feedback.id, feedback.feedbackText);
+    reindexDocument(feedback.resourceId);
+}
+
+/**
+ * Entfernt ein Feedback aus dem Index.
+ *
+ * @param {Object} feedback - Feedback-Objekt mit id und resourceId
+ */
+export function removeFeedback(feedback) {
+    const doc = documents.get(feedback.resourceId);
+    if (!doc) return;
+    doc.feedbacks.delete(feedback.id);
+    reindexDocument(feedback.resourceId);
+}
+
+/**
+ * Baut den Index einmalig aus den Sammlungen resources und feedback auf.
+ *
+ * @returns {Promise<void>} Promise, das nach dem Aufbau aufgelöst wird
+ */
+export function ensureIndex() {
+    if (!buildPromise) {
+        buildPromise = (async () => {
+            const [resources, feedbacks] = await Promise.all([
+                find('resources'),
+                find('feedback')
+            ]);
+            for (const resource of resources.filter(r => !r.deletedAt)) {
+                documentFor(resource.id).resource = resource;
+            }
+            for (const feedback of feedbacks.filter(isVisible)) {
+                documentFor(feedback.resourceId).feedbacks.set(feedback.id, feedback.feedbackText);
+            }
+            for (const resourceId of documents.keys()) {
+                reindexDocument(resourceId);
+            }
+        })().catch(err => {
+            // Beim nächsten Zugriff erneut versuchen
+            buildPromise = null;
+            throw err;
+        });
+    }
+    return buildPromise;
+}
+
+/**
+ * Verwirft den Index, damit er beim nächsten Zugriff neu aufgebaut wird
+ * (z.B. nach einer Datenreparatur außerhalb der Routen).
+ */
+export function invalidateIndex() {
+    postings.clear();
+    documents.clear();
+    totalLength = 0;
+    buildPromise = null;
+}
+
+/**
+ * Sucht alle Indexbegriffe, die exakt oder per Präfix zu einem Suchbegriff passen.
+ *
+ * @param {string} queryTerm - Gestemmter Suchbegriff
+ * @returns {Array<[string, number]>} Paare aus Indexbegriff und Gewichtungsfaktor
+ */
+function expandTerm(queryTerm) {
+    const matches = [];
+    if (postings.has(queryTerm)) matches.push([queryTerm, 1]);
+    if (queryTerm.length >= MIN_STEM_LENGTH) {
+        for (const term of postings.keys()) {
+            if (term !== queryTerm && term.startsWith(queryTerm)) matches.push([term, PREFIX_FACTOR]);
+        }
+    }
+    return matches;
+}
+
+// Zeichen, die in HTML maskiert werden müssen
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Maskiert HTML-Sonderzeichen, damit gespeicherte Texte in den Markierungen nicht als
+ * HTML ausgeführt werden.
+ *
+ * @param {string} text - Text
+ * @returns {string} Maskierter Text
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Markiert alle Wörter eines Textes, deren Stamm zu den Suchbegriffen passt, mit <mark>.
+ * Der übrige Text wird HTML-maskiert; das Ergebnis enthält als HTML nur die <mark>-Tags.
+ *
+ * @param {string} text - Originaltext
+ * @param {Set<string>} terms - Gefundene Indexbegriffe
+ * @returns {{ text: string, first: number }} Markierter Text und Position des ersten Treffers
+ *   im Originaltext (-1 = keiner)
+ */
+function highlight(text, terms) {
+    let first = -1;
+    let marked = '';
+    let last = 0;
+    const source = String(text);
+    for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const word = match[0];
+        if (!terms.has(stem(foldText(word)))) continue;
+        if (first === -1) first = match.index;
+        marked += `${escapeHtml(source.slice(last, match.index))}<mark>${escapeHtml(word)}</mark>`;
+        last = match.index + word.length;
+    }
+    return { text: marked + escapeHtml(source.slice(last)), first };
+}
+
+/**
+ * Schneidet einen Textausschnitt rund um den ersten Treffer aus und markiert die Treffer.
+ *
+ * @param {string} text - Originaltext
+ * @param {Set<string>} terms - Gefundene Indexbegriffe
+ * @param {number} [radius=60] - Anzahl Zeichen vor und nach dem Treffer
+ * @returns {string|null} Markierter Ausschnitt oder null ohne Treffer
+ */
+function snippet(text, terms, radius = 60) {
+    const { first } = highlight(text, terms);
+    if (first === -1) return null;
+    const start = Math.max(0, first - radius);
+    const end = Math.min(text.length, first + radius);
+    const excerpt = highlight(text.slice(start, end), terms).text;
+    return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Durchsucht den Index und liefert nach Relevanz sortierte Treffer mit Snippets.
+ *
+ * @param {string} query - Suchanfrage
+ * @returns {Promise<Array<{ resource: Object, score: number, highlights: Object }>>} Treffer, beste zuerst
+ */
+export async function search(query) {
+    await ensureIndex();
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const docCount = [...documents.values()].filter(doc => doc.resource).length;
+    const avgLength = docCount > 0 ? totalLength / docCount : 0;
+    const scores = new Map();
+    const matchedTerms = new Map();
+
+    for (const queryTerm of queryTerms) {
+        for (const [term, factor] of expandTerm(queryTerm)) {
+            const list = postings.get(term);
+            const idf = Math.log(1 + (docCount - list.size + 0.5) / (list.size + 0.5));
+            for (const [resourceId, weight] of list) {
+                const doc = documents.get(resourceId);
+                const norm = avgLength > 0 ? doc.length / avgLength : 1;
+                const score = idf * (weight * (K1 + 1)) / (weight + K1 * (1 - B + B * norm));
+                scores.set(resourceId, (scores.get(resourceId) || 0) + score * factor);
+                if (!matchedTerms.has(resourceId)) matchedTerms.set(resourceId, new Set());
+                matchedTerms.get(resourceId).add(term);
+            }
+        }
+    }
+
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([resourceId, score]) => {
+            const doc = documents.get(resourceId);
+            const terms = matchedTerms.get(resourceId);
+            const feedbackSnippets = [...doc.feedbacks.values()]
+                .map(text => snippet(text, terms))
+                .filter(Boolean);
+            return {
+                resource: doc.resource,
+                score: Math.round(score * 1000) / 1000,
+                highlights: {
+                    title: highlight(doc.resource.title, terms).text,
+                    feedback: feedbackSnippets
+                }
+            };
+        });
+}
@@ -0,0 +1,89 @@
+/**
+ * helpers/storage/json_store.js
+ *
+ * Storage-Adapter auf Basis der JSON-Dateien im data-Ordner.
+ * Jede Sammlung liegt in einer eigenen Datei (z.B. resources -> resources.json).
+ * Änderungen laufen über updateData, sind also pro Datei serialisiert und atomar.
+ *
+ * @fileoverview JSON-Adapter der Repository-Schnittstelle (Standard-Backend).
+ */
+
+import { readData, updateData } from '../data_manager.js';
+import { mergeRecord } from './merge_record.js';
+
+/**
+ * Liefert den Dateinamen einer Sammlung.
+ *
+ * @param {string} collection - Name der Sammlung
+ * @returns {string} Dateiname im data-Ordner
+ */
+function fileOf(collection) {
+    return `${collection}.json`;
+}
+
+/**
+ * Prüft, ob ein Datensatz allen Filterwerten entspricht.
+ *
+ * @param {Object} record - Datensatz
+ * @param {Object} filter - Feld/Wert-Paare
+ * @returns {boolean} true bei Übereinstimmung
+ */
+function matches(record, filter) {
+    return Object.entries(filter).every(([key, value]) => (record[key] ?? null) === value);
+}
+
+/**
+ * Erzeugt den JSON-Adapter.
+ *
+ * @returns {Object} Adapter mit findById, find, insert, update, remove, removeWhere und close
+ */
+export function createStore() {
+    return {
+        async findById(collection, id) {
+            const records = await readData(fileOf(collection));
+            return records.find(r => r.id === id) || null;
+        },
+
+        async find(collection, filter = {}) {
+            const records = await readData(fileOf(collection));
+            return records.filter(r => matches(r, filter));
+        },
+
+        async insert(collection, record) {
+            await updateData(fileOf(collection), records => {
+                records.push(record);
+            });
+            return record;
+        },
+
+        async update(collection, id, changes) {
+            return updateData(fileOf(collection), records => {
+                const idx = records.findIndex(r => r.id === id);
+                if (idx === -1) return false;
+                records[idx] = mergeRecord(records[idx], changes);
+                return records[idx];
+            }).then(result => result || null);
+        },
+
+        async remove(collection, id) {
+            return updateData(fileOf(collection), records => {
+                const idx = records.findIndex(r => r.id === id);
+                if (idx === -1) return false;
+                records.splice(idx, 1);
+                return true;
+            });
+        },
+
+        async removeWhere(collection, filter) {
+            return updateData(fileOf(collection), records => {
+                const remaining = records.filter(r => !matches(r, filter));
+                const removed = records.length - remaining.length;
+                if (removed === 0) return false;
+                records.splice(0, records.length, ...remaining);
+                return removed;
+            }).then(result => result || 0);
+        },
+
+        async close() {}
+    };
+}
@@ -0,0 +1,25 @@
+/**
+ * helpers/storage/merge_record.js
+ *
+ * Gemeinsame Hilfsfunktion der Storage-Adapter für Aktualisierungen.
+ *
+ * @fileoverview Übernimmt Änderungen in einen Datensatz (undefined entfernt ein Feld).
+ */
+
+/**
+ * Übernimmt die Änderungen in eine Kopie des Datensatzes.
+ * Felder mit dem Wert undefined werden entfernt, die id bleibt unverändert.
+ *
+ * @param {Object} record - Bestehender Datensatz
+ * @param {Object} changes - Zu ändernde Felder
+ * @returns {Object} Neuer Datensatz
+ */
+export function mergeRecord(record, changes) {
+    const merged = { ...record };
+    for (const [key, value] of Object.entries(changes)) {
+        if (key === 'id') continue;
+        if (value === undefined) delete merged[key];
+        else merged[key] = value;
+    }
+    return merged;
+}
@@ -0,0 +1,184 @@
+/**
+ * helpers/storage/sqlite_store.js
+ *
+ * Storage-Adapter auf Basis einer eingebetteten SQLite-Datenbank (better-sqlite3).
+ * Jede Sammlung ist eine Tabelle mit der id als Primärschlüssel, dem vollständigen
+ * Datensatz als JSON sowie indizierten Spalten für resourceId und userId,
+ * damit Bewertungen und Feedback pro Ressource oder Nutzer schnell gefunden werden.
+ *
+ * @fileoverview SQLite-Adapter der Repository-Schnittstelle (STORAGE_BACKEND=sqlite).
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { mergeRecord } from './merge_record.js';
+
+// Standardpfad der Datenbankdatei (überschreibbar über SQLITE_FILE)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DB_FILE = path.join(__dirname, '..', '..', 'data', 'catalog.db');
+
+// Felder, die als eigene Spalte mit Index gespeichert werden
+const INDEXED_FIELDS = ['resourceId', 'userId'];
+
+/**
+ * Prüft den Namen einer Sammlung, da er als Tabellenname verwendet wird.
+ *
+ * @param {string} collection - Name der Sammlung
+ * @returns {string} Geprüfter Tabellenname
+ * @throws {Error} Bei ungültigem Namen
+ */
+function tableOf(collection) {
+    if (!/^[a-z][a-z0-9_]*$/.test(collection)) {
+        throw new Error(`Ungültiger Sammlungsname: ${collection}`);
+    }
+    return collection;
+}
+
+/**
+ * Wandelt einen Filterwert in einen SQLite-Parameter um.
+ *
+ * @param {*} value - Filterwert
+ * @returns {*} Parameterwert
+ */
+function toSqlValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+/**
+ * Erzeugt den SQLite-Adapter.
+ *
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.file] - Pfad der Datenbankdatei (Standard: SQLITE_FILE oder data/catalog.db)
+ * @returns {Object} Adapter mit findById, find, insert, update, remove, removeWhere, importRecords und close
+ */
+export function createStore({ file = process.env.SQLITE_FILE || DEFAULT_DB_FILE } = {}) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    const ensured = new Set();
+
+    /**
+     * Legt die Tabelle einer Sammlung samt Indizes an, falls sie noch fehlt.
+     *
+     * @param {string} collection - Name der Sammlung
+     * @returns {string} Tabellenname
+     */
+    function ensureTable(collection) {
+        const table = tableOf(collection);
+        if (ensured.has(table)) return table;
+        db.exec(`CREATE TABLE IF NOT EXISTS "${table}" (
+            id TEXT PRIMARY KEY,
+            resourceId TEXT,
+            userId TEXT,
+            data TEXT NOT NULL
+        )`);
+        for (const field of INDEXED_FIELDS) {
+            db.exec(`CREATE INDEX IF NOT EXISTS "${table}_${field}" ON "${table}" (${field})`);
+        }
+        ensured.add(table);
+        return table;
+    }
+
+    /**
+     * Liefert die Spaltenwerte eines Datensatzes für INSERT/UPDATE.
+     *
+     * @param {Object} record - Datensatz
+     * @returns {Object} Benannte Parameter
+     */
+    function rowOf(record) {
+        return {
+            id: record.id,
+            resourceId: record.resourceId ?? null,
+            userId: record.userId ?? null,
+            data: JSON.stringify(record)
+        };
+    }
+
+    /**
+     * Baut die WHERE-Klausel für einen Filter (indizierte Spalten direkt, sonst per json_extract).
+     *
+     * @param {Object} filter - Feld/Wert-Paare
+     * @returns {{ where: string, params: Array }} Klausel und Parameter
+     */
+    function whereOf(filter) {
+        const conditions = [];
+        const params = [];
+        for (const [key, value] of Object.entries(filter)) {
+            if (!/^[A-Za-z0-9_]+$/.test(key)) throw new Error(`Ungültiges Filterfeld: ${key}`);
+            const column = key === 'id' || INDEXED_FIELDS.includes(key) ? key : `json_extract(data, '$.${key}')`;
+            if (value === null || value === undefined) {
+                conditions.push(`${column} IS NULL`);
+            } else {
+                conditions.push(`${column} = ?`);
+                params.push(toSqlValue(value));
+            }
+        }
+        return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    return {
+        async findById(collection, id) {
+            const table = ensureTable(collection);
+            const row = db.prepare(`SELECT data FROM "${table}" WHERE id = ?`).get(id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async find(collection, filter = {}) {
+            const table = ensureTable(collection);
+            const { where, params } = whereOf(filter);
+            return db.prepare(`SELECT data FROM "${table}" ${where} ORDER BY rowid`)
+                .all(...params)
+                .map(row => JSON.parse(row.data));
+        },
+
+        async insert(collection, record) {
+            const table = ensureTable(collection);
+            db.prepare(`INSERT INTO "${table}" (id, resourceId, userId, data) VALUES (@id, @resourceId, @userId, @data)`)
+                .run(rowOf(record));
+            return record;
+        },
+
+        async update(collection, id, changes) {
+            const table = ensureTable(collection);
+            const row = db.prepare(`SELECT data FROM "${table}" WHERE id = ?`).get(id);
+            if (!row) return null;
+            const updated = mergeRecord(JSON.parse(row.data), changes);
+            db.prepare(`UPDATE "${table}" SET resourceId = @resourceId, userId = @userId, data = @data WHERE id = @id`)
+                .run(rowOf(updated));
+            return updated;
+        },
+
+        async remove(collection, id) {
+            const table = ensureTable(collection);
+            return db.prepare(`DELETE FROM "${table}" WHERE id = ?`).run(id).changes > 0;
+        },
+
+        async removeWhere(collection, filter) {
+            const table = ensureTable(collection);
+            const { where, params } = whereOf(filter);
+            return db.prepare(`DELETE FROM "${table}" ${where}`).run(...params).changes;
+        },
+
+        /**
+         * Übernimmt Datensätze in einer Transaktion (bestehende IDs werden ersetzt und behalten
+         * ihre Position in der Einfügereihenfolge). Wird vom Migrationsskript verwendet.
+         *
+         * @param {string} collection - Name der Sammlung
+         * @param {Array<Object>} records - Datensätze
+         * @returns {Promise<number>} Anzahl übernommener Datensätze
+         */
+        async importRecords(collection, records) {
+            const table = ensureTable(collection);
+            const statement = db.prepare(`INSERT INTO "${table}" (id, resourceId, userId, data) VALUES (@id, @resourceId, @userId, @data)
+                ON CONFLICT(id) DO UPDATE SET resourceId = excluded.resourceId, userId = excluded.userId, data = excluded.data`);
+            db.transaction(rows => rows.forEach(row => statement.run(rowOf(row))))(records);
+            return records.length;
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
@@ -0,0 +1,292 @@
+/**
+ * helpers/taxonomy.js
+ *
+ * Fachlogik für Tags und Kategorien (siehe routes/tags.js und routes/categories.js):
+ * Slugs, Prüfung der Zuordnungen einer Ressource (tagIds, categoryId), Filter nach Tag
+ * oder Kategorie-Teilbaum, Facetten für die Suche und Bereinigung der Ressourcen, wenn
+ * ein Tag oder eine Kategorie gelöscht wird.
+ *
+ * Kategorien bilden über parentId einen Baum. Ein Filter nach einer Kategorie trifft
+ * auch alle Ressourcen ihrer Unterkategorien; resourceCount zählt ebenso den Teilbaum.
+ *
+ * @fileoverview Zuordnung, Filter und Facetten für Tags und Kategorien.
+ */
+
+import * as storage from './data_manager.js';
+import { foldText } from './search_index.js';
+import { ConflictError, ValidationError } from './errors.js';
+import { recordChange } from './audit.js';
+import { translate, DEFAULT_LOCALE } from './messages.js';
+
+/**
+ * Erzeugt einen Einzelfehler im Format der Schema-Validierung.
+ *
+ * @param {string} field - Feldpfad (z.B. tagIds[1])
+ * @param {string} code - Fehlercode (Meldung unter validation.<code>)
+ * @param {Object} [params={}] - Parameter der Meldung
+ * @returns {{ field: string, code: string, message: string, params: Object }} Fehler
+ */
+function detail(field, code, params = {}) {
+    return { field, code, message: translate(DEFAULT_LOCALE, `validation.${code}`, params), params };
+}
+
+/**
+ * Leitet einen Slug aus einem Namen ab (z.B. "Web-Entwicklung & Übersicht" -> "web-entwicklung-ubersicht").
+ *
+ * @param {string} name - Name des Tags oder der Kategorie
+ * @returns {string} Slug (leer, wenn der Name keine Buchstaben oder Ziffern enthält)
+ */
+export function slugify(name) {
+    return foldText(name)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 100)
+        .replace(/-+$/, '');
+}
+
+/**
+ * Bestimmt den Slug eines Tags oder einer Kategorie aus dem Request-Body.
+ *
+ * @param {{ name: string, slug?: string }} body - Request-Body
+ * @returns {string} Angegebener oder aus dem Namen abgeleiteter Slug
+ * @throws {ValidationError} Wenn sich aus dem Namen kein Slug ableiten lässt
+ */
+export function slugFor({ name, slug }) {
+    const value = slug || slugify(name);
+    if (!value) {
+        throw new ValidationError('invalid_request', {}, { details: [detail('name', 'slug_not_derivable')] });
+    }
+    return value;
+}
+
+/**
+ * Stellt sicher, dass ein Slug in der Sammlung noch frei ist.
+ *
+ * @param {string} collection - tags oder categories
+ * @param {string} slug - Gewünschter Slug
+ * @param {string|null} ownId - ID des bearbeiteten Eintrags (darf den Slug behalten)
+ * @throws {ConflictError} Wenn ein anderer Eintrag den Slug bereits verwendet (409)
+ */
+export async function assertSlugAvailable(collection, slug, ownId) {
+    const [existing] = await storage.find(collection, { slug });
+    if (existing && existing.id !== ownId) {
+        throw new ConflictError(collection === 'tags' ? 'tag_slug_taken' : 'category_slug_taken', { slug });
+    }
+}
+
+/**
+ * Sucht einen Tag oder eine Kategorie anhand von ID oder Slug.
+ *
+ * @param {Array<Object>} entries - Tags oder Kategorien
+ * @param {string} value - ID oder Slug
+ * @returns {Object|undefined} Gefundener Eintrag
+ */
+function findByIdOrSlug(entries, value) {
+    return entries.find(entry => entry.id === value) || entries.find(entry => entry.slug === value.toLowerCase());
+}
+
+/**
+ * Liefert die IDs einer Kategorie und aller ihrer Unterkategorien.
+ *
+ * @param {Array<Object>} categories - Alle Kategorien
+ * @param {string} rootId - ID der Kategorie
+ * @returns {Set<string>} IDs des Teilbaums (einschließlich rootId)
+ */
+export function subtreeIds(categories, rootId) {
+    const ids = new Set([rootId]);
+    let added = true;
+    while (added) {
+        added = false;
+        for (const category of categories) {
+            if (category.parentId && ids.has(category.parentId) && !ids.has(category.id)) {
+                ids.add(category.id);
+                added = true;
+            }
+        }
+    }
+    return ids;
+}
+
+/**
+ * Prüft die übergeordnete Kategorie vor dem Speichern.
+ *
+ * @param {Array<Object>} categories - Alle Kategorien
+ * @param {string|undefined} parentId - Gewünschte übergeordnete Kategorie
+ * @param {string|null} ownId - ID der bearbeiteten Kategorie (null beim Anlegen)
+ * @throws {ValidationError} Wenn die übergeordnete Kategorie nicht existiert (400)
+ * @throws {ConflictError} Wenn die Kategorie unter sich selbst oder einer Unterkategorie läge (409)
+ */
+export function assertValidParent(categories, parentId, ownId) {
+    if (!parentId) return;
+    if (!categories.some(c => c.id === parentId)) {
+        throw new ValidationError('invalid_request', {}, {
+            details: [detail('parentId', 'unknown_category', { id: parentId })]
+        });
+    }
+    if (ownId && subtreeIds(categories, ownId).has(parentId)) {
+        throw new ConflictError('category_cycle');
+    }
+}
+
+/**
+ * Liefert den Pfad von der obersten Kategorie bis zur angegebenen (Breadcrumbs).
+ *
+ * @param {Array<Object>} categories - Alle Kategorien
+ * @param {string} categoryId - ID der Kategorie
+ * @returns {Array<{ id: string, name: string, slug: string }>} Kategorien, oberste zuerst
+ */
+export function categoryPath(categories, categoryId) {
+    const byId = new Map(categories.map(c => [c.id, c]));
+    const path = [];
+    let current = byId.get(categoryId);
+    while (current && !path.some(entry => entry.id === current.id)) {
+        path.unshift({ id: current.id, name: current.name, slug: current.slug });
+        current = current.parentId ? byId.get(current.parentId) : null;
+    }
+    return path;
+}
+
+/**
+ * Baut den Kategoriebaum mit der Anzahl aktiver Ressourcen je Teilbaum.
+ *
+ * @param {Array<Object>} categories - Alle Kategorien
+ * @param {Array<Object>} resources - Aktive Ressourcen
+ * @returns {Array<Object>} Oberste Kategorien mit children und resourceCount, nach Name sortiert
+ */
+export function buildCategoryTree(categories, resources) {
+    const direct = new Map();
+    for (const resource of resources) {
+        if (resource.categoryId) direct.set(resource.categoryId, (direct.get(resource.categoryId) || 0) + 1);
+    }
+    const children = new Map();
+    for (const category of categories) {
+        const parentId = category.parentId || null;
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(category);
+    }
+    const byName = (a, b) => a.name.localeCompare(b.name, 'de', { sensitivity: 'base' });
+    const node = category => {
+        const nested = (children.get(category.id) || []).sort(byName).map(node);
+        const resourceCount = nested.reduce((sum, child) => sum + child.resourceCount, direct.get(category.id) || 0);
+        return { ...category, resourceCount, children: nested };
+    };
+    return (children.get(null) || []).sort(byName).map(node);
+}
+
+/**
+ * Prüft die Zuordnungen einer Ressource: alle Tags und die Kategorie müssen existieren.
+ *
+ * @param {{ tagIds?: string[], categoryId?: string }} resource - Ressource aus dem Request-Body
+ * @returns {Promise<Array<Object>>} Einzelfehler (leer, wenn alles gültig ist)
+ */
+export async function checkTaxonomyReferences({ tagIds = [], categoryId }) {
+    const errors = [];
+    if (tagIds.length > 0) {
+        const known = new Set((await storage.find('tags')).map(tag => tag.id));
+        tagIds.forEach((id, i) => {
+            if (!known.has(id)) errors.push(detail(`tagIds[${i}]`, 'unknown_tag', { id }));
+        });
+    }
+    if (categoryId && !(await storage.findById('categories', categoryId))) {
+        errors.push(detail('categoryId', 'unknown_category', { id: categoryId }));
+    }
+    return errors;
+}
+
+/**
+ * Erstellt einen Filter für Ressourcen nach Tags und Kategorie.
+ * Unbekannte Tags oder Kategorien treffen keine Ressource (wie ein unbekannter Typ).
+ *
+ * @param {Object} query - Validierte Query
+ * @param {string} [query.tag] - Kommagetrennte Tag-IDs oder -Slugs (mindestens einer muss passen)
+ * @param {string} [query.category] - Kategorie-ID oder -Slug (einschließlich Unterkategorien)
+ * @returns {Promise<function(Object): boolean>} Prädikat für Ressourcen
+ */
+export async function taxonomyFilter({ tag, category }) {
+    let tagIds = null;
+    let categoryIds = null;
+    if (tag) {
+        const tags = await storage.find('tags');
+        tagIds = new Set(tag.split(',').map(value => findByIdOrSlug(tags, value.trim())?.id).filter(Boolean));
+    }
+    if (category) {
+        const categories = await storage.find('categories');
+        const root = findByIdOrSlug(categories, category);
+        categoryIds = root ? subtreeIds(categories, root.id) : new Set();
+    }
+    return resource => (!tagIds || (resource.tagIds || []).some(id => tagIds.has(id)))
+        && (!categoryIds || categoryIds.has(resource.categoryId));
+}
+
+/**
+ * Zählt Treffer je Tag und je Typ (Facetten für die Suche).
+ *
+ * @param {Array<Object>} resources - Gefundene Ressourcen
+ * @returns {Promise<{ tags: Array<Object>, types: Array<{ value: string, count: number }> }>}
+ *   Facetten, häufigste zuerst
+ */
+export async function facetCounts(resources) {
+    const tagCounts = new Map();
+    const typeCounts = new Map();
+    for (const resource of resources) {
+        for (const id of resource.tagIds || []) tagCounts.set(id, (tagCounts.get(id) || 0) + 1);
+        if (resource.type) typeCounts.set(resource.type, (typeCounts.get(resource.type) || 0) + 1);
+    }
+    const tags = tagCounts.size > 0 ? await storage.find('tags') : [];
+    const byCount = (a, b) => b.count - a.count || String(a.name ?? a.value).localeCompare(String(b.name ?? b.value), 'de');
+    return {
+        tags: tags
+            .filter(tag => tagCounts.has(tag.id))
+            .map(({ id, slug, name }) => ({ id, slug, name, count: tagCounts.get(id) }))
+            .sort(byCount),
+        types: [...typeCounts].map(([value, count]) => ({ value, count })).sort(byCount)
+    };
+}
+
+/**
+ * Zählt aktive Ressourcen je Tag.
+ *
+ * @returns {Promise<Map<string, number>>} tagId -> Anzahl
+ */
+export async function countResourcesByTag() {
+    const counts = new Map();
+    for (const resource of await storage.find('resources', { deletedAt: null })) {
+        for (const id of resource.tagIds || []) counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Entfernt einen gelöschten Tag aus allen Ressourcen (auch weich gelöschten).
+ *
+ * @param {string} tagId - ID des Tags
+ * @param {string|null} actorId - ID des löschenden Nutzers (für das Audit-Log)
+ * @returns {Promise<number>} Anzahl geänderter Ressourcen
+ */
+export async function removeTagFromResources(tagId, actorId) {
+    const resources = (await storage.find('resources')).filter(r => (r.tagIds || []).includes(tagId));
+    for (const resource of resources) {
+        const tagIds = resource.tagIds.filter(id => id !== tagId);
+        const after = await storage.update('resources', resource.id, { tagIds: tagIds.length > 0 ? tagIds : undefined });
+        await recordChange('resources', 'update', { before: resource, after, actorId });
+    }
+    return resources.length;
+}
+
+/**
+ * Verschiebt die Ressourcen einer gelöschten Kategorie in die übergeordnete Kategorie
+ * (bei einer obersten Kategorie verlieren sie die Zuordnung).
+ *
+ * @param {string} categoryId - ID der gelöschten Kategorie
+ * @param {string|undefined} parentId - ID der übergeordneten Kategorie
+ * @param {string|null} actorId - ID des löschenden Nutzers (für das Audit-Log)
+ * @returns {Promise<number>} Anzahl geänderter Ressourcen
+ */
+export async function moveCategoryResources(categoryId, parentId, actorId) {
+    const resources = await storage.find('resources', { categoryId });
+    for (const resource of resources) {
+        const after = await storage.update('resources', resource.id, { categoryId: parentId || undefined });
+        await recordChange('resources', 'update', { before: resource, after, actorId });
+    }
+    return resources.length;
+}
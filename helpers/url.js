@@ -0,0 +1,28 @@
+/**
+ * helpers/url.js
+ *
+ * Normalisierung von Ressourcen-URLs, damit dieselbe Adresse in unterschiedlicher
+ * Schreibweise (Groß-/Kleinschreibung des Hosts, Standardport, abschließender Schrägstrich,
+ * Fragment) als gleich erkannt wird, z.B. beim Import mit Upsert nach URL.
+ *
+ * @fileoverview Vergleichbare Schreibweise von URLs.
+ */
+
+/**
+ * Normalisiert eine URL für Vergleiche.
+ *
+ * @param {string} url - URL
+ * @returns {string} Normalisierte URL (bei ungültiger URL der getrimmte Eingabewert)
+ */
+export function normalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url).trim());
+    } catch {
+        return String(url).trim();
+    }
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+    const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : '';
+    return `${parsed.protocol}//${parsed.host}${pathname}${parsed.search}`;
+}
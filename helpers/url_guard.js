@@ -0,0 +1,210 @@
+/**
+ * helpers/url_guard.js
+ *
+ * Schutz vor Server-Side Request Forgery (SSRF) für ausgehende Anfragen an URLs, die Nutzer
+ * angeben (Linkprüfung, Metadaten-Anreicherung). Erlaubt sind nur http und https; der Host
+ * wird aufgelöst und abgelehnt, sobald eine seiner Adressen nicht öffentlich ist: Loopback
+ * (localhost, 127.0.0.0/8, ::1), private Netze (10/8, 172.16/12, 192.168/16, fc00::/7),
+ * Link-Local (169.254/16 mit den Metadaten-Diensten der Cloud-Anbieter, fe80::/10) sowie
+ * unspezifizierte, Multicast- und reservierte Bereiche.
+ *
+ * Adressen mit eingebetteter IPv4-Adresse (IPv4-kompatibel ::a.b.c.d, 6to4 2002::/16) werden
+ * nach der eingebetteten Adresse beurteilt bzw. ganz gesperrt.
+ *
+ * Die Prüfung gilt für jede einzelne Anfrage; Weiterleitungen müssen deshalb manuell
+ * verfolgt und jede Station erneut geprüft werden. Damit ein Host zwischen Prüfung und
+ * Verbindung nicht auf eine andere Adresse aufgelöst werden kann (DNS-Rebinding), bauen die
+ * Clients ihre Verbindungen über createGuardedAgent() auf: die Namensauflösung beim
+ * Verbindungsaufbau prüft die Adressen selbst und gibt nur geprüfte an den Socket weiter.
+ *
+ * Für Tests gegen einen lokalen Stub-Server lassen sich einzelne Hosts von der Adressprüfung
+ * ausnehmen (Option allowedHosts der HTTP-Clients).
+ *
+ * @fileoverview Prüft, ob eine URL abgerufen werden darf (Protokoll, öffentliche Adresse).
+ */
+
+import dns from 'dns/promises';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+// Erlaubte Protokolle
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Nicht öffentliche Adressbereiche (IPv4-gemappte IPv6-Adressen prüft BlockList gegen die IPv4-Regeln)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], // "dieses" Netz, unspezifiziert
+    ['10.0.0.0', 8], // privat
+    ['100.64.0.0', 10], // Carrier-Grade NAT
+    ['127.0.0.0', 8], // Loopback
+    ['169.254.0.0', 16], // Link-Local, u.a. 169.254.169.254
+    ['172.16.0.0', 12], // privat
+    ['192.0.0.0', 24], // IETF-Protokollzuweisungen
+    ['192.168.0.0', 16], // privat
+    ['198.18.0.0', 15], // Benchmark-Netze
+    ['224.0.0.0', 4], // Multicast
+    ['240.0.0.0', 4] // reserviert, Broadcast
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 96], // unspezifiziert, Loopback (::1) und IPv4-kompatibel (::127.0.0.1, veraltet)
+    ['64:ff9b::', 96], // NAT64 (eingebettete IPv4-Adresse)
+    ['fc00::', 7], // Unique Local
+    ['fe80::', 10], // Link-Local
+    ['ff00::', 8] // Multicast
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// 6to4-Präfix: die folgenden 32 Bit sind eine IPv4-Adresse
+const SIX_TO_FOUR = new net.BlockList();
+SIX_TO_FOUR.addSubnet('2002::', 16, 'ipv6');
+
+/**
+ * Fehler für URLs, die nicht abgerufen werden dürfen (code: blocked_url).
+ */
+export class BlockedUrlError extends Error {
+    /**
+     * @param {string} url - Abgelehnte URL
+     * @param {string} reason - Grund (protocol oder address)
+     */
+    constructor(url, reason) {
+        super(`URL darf nicht abgerufen werden (${reason}): ${url}`);
+        this.name = 'BlockedUrlError';
+        this.code = 'blocked_url';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Prüft, ob eine IP-Adresse öffentlich erreichbar ist.
+ *
+ * @param {string} address - IPv4- oder IPv6-Adresse
+ * @returns {boolean} true, wenn die Adresse in keinem gesperrten Bereich liegt
+ */
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    if (BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6')) return false;
+    if (family === 6 && SIX_TO_FOUR.check(address, 'ipv6')) return isPublicAddress(embeddedIpv4(address));
+    return true;
+}
+
+/**
+ * Liest die in eine 6to4-Adresse (2002:aabb:ccdd::/48) eingebettete IPv4-Adresse.
+ *
+ * @param {string} address - IPv6-Adresse aus 2002::/16
+ * @returns {string} IPv4-Adresse a.b.c.d
+ */
+function embeddedIpv4(address) {
+    // Die ersten drei Gruppen stehen auch in verkürzter Schreibweise vor einem "::"
+    const groups = address.split('::')[0].split(':').concat(['0', '0']).slice(1, 3);
+    return groups.flatMap(group => {
+        const value = parseInt(group || '0', 16);
+        return [value >> 8, value & 0xff];
+    }).join('.');
+}
+
+/**
+ * Standard-Namensauflösung: alle Adressen des Hosts in der Reihenfolge des Resolvers.
+ *
+ * @param {string} host - Hostname
+ * @returns {Promise<Array<{ address: string, family: number }>>} Adressen
+ */
+function defaultLookup(host) {
+    return dns.lookup(host, { all: true, verbatim: true });
+}
+
+/**
+ * Löst einen Host auf und prüft alle seine Adressen.
+ *
+ * @param {string} host - Hostname oder IP-Adresse (IPv6 ohne eckige Klammern)
+ * @param {Object} options - Optionen
+ * @param {string[]} options.allowedHosts - Hosts ohne Adressprüfung
+ * @param {function(string): Promise<Array<{ address: string }>>} options.lookup - Namensauflösung
+ * @returns {Promise<Array<{ address: string, family: number }>>} Geprüfte Adressen
+ * @throws {BlockedUrlError} Wenn eine der Adressen nicht öffentlich ist
+ */
+async function resolveFetchableAddresses(host, { allowedHosts, lookup }) {
+    const entries = net.isIP(host) ? [{ address: host }] : await lookup(host);
+    const addresses = entries.map(({ address }) => ({ address, family: net.isIP(address) }));
+    if (allowedHosts.includes(host)) return addresses;
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+        throw new BlockedUrlError(host, 'address');
+    }
+    return addresses;
+}
+
+/**
+ * Stellt sicher, dass eine URL abgerufen werden darf: Protokoll http oder https und
+ * ausschließlich öffentliche Adressen des Hosts.
+ *
+ * @param {string} url - URL
+ * @param {Object} [options={}] - Optionen
+ * @param {string[]} [options.allowedHosts=[]] - Hosts ohne Adressprüfung (z.B. 127.0.0.1 in Tests)
+ * @param {function(string): Promise<Array<{ address: string }>>} [options.lookup] - Namensauflösung
+ *   (Standard: dns.lookup mit allen Adressen)
+ * @returns {Promise<URL>} Geparste URL
+ * @throws {BlockedUrlError} Bei anderem Protokoll oder nicht öffentlicher Adresse
+ * @throws {Error} Wenn die URL ungültig ist oder der Host nicht aufgelöst werden kann
+ */
+export async function assertFetchableUrl(url, { allowedHosts = [], lookup = defaultLookup } = {}) {
+    const parsed = new URL(url);
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+        throw new BlockedUrlError(url, 'protocol');
+    }
+    // IPv6-Literale stehen in eckigen Klammern ([::1])
+    const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    try {
+        await resolveFetchableAddresses(host, { allowedHosts, lookup });
+    } catch (err) {
+        throw err instanceof BlockedUrlError ? new BlockedUrlError(url, err.reason) : err;
+    }
+    return parsed;
+}
+
+/**
+ * Erstellt einen Dispatcher (undici Agent) für fetchPinned(), der Verbindungen nur zu
+ * geprüften Adressen aufbaut: die Namensauflösung beim Verbindungsaufbau prüft alle
+ * Adressen (wie assertFetchableUrl) und übergibt dem Socket nur diese. Eine zweite,
+ * ungeprüfte Auflösung durch fetch gibt es damit nicht.
+ *
+ * @param {Object} [options={}] - Optionen
+ * @param {string[]} [options.allowedHosts=[]] - Hosts ohne Adressprüfung (z.B. 127.0.0.1 in Tests)
+ * @param {function(string): Promise<Array<{ address: string }>>} [options.lookup] - Namensauflösung
+ *   (Standard: dns.lookup mit allen Adressen)
+ * @returns {Agent} Dispatcher
+ */
+export function createGuardedAgent({ allowedHosts = [], lookup = defaultLookup } = {}) {
+    return new Agent({
+        connect: {
+            // Signatur von dns.lookup, wie sie net.connect erwartet
+            lookup(hostname, options, callback) {
+                resolveFetchableAddresses(hostname, { allowedHosts, lookup }).then(addresses => {
+                    if (options.all) callback(null, addresses);
+                    else callback(null, addresses[0].address, addresses[0].family);
+                }, callback);
+            }
+        }
+    });
+}
+
+/**
+ * Ruft eine URL über einen Dispatcher aus createGuardedAgent() ab. Eine beim
+ * Verbindungsaufbau gesperrte Adresse wird als BlockedUrlError geworfen.
+ *
+ * @param {string} url - Bereits mit assertFetchableUrl geprüfte URL
+ * @param {Object} init - Optionen für fetch (method, headers, signal, redirect)
+ * @param {Agent} agent - Dispatcher aus createGuardedAgent()
+ * @returns {Promise<Response>} Antwort
+ * @throws {BlockedUrlError} Wenn der Host beim Verbindungsaufbau auf eine gesperrte Adresse zeigt
+ */
+export async function fetchPinned(url, init, agent) {
+    try {
+        return await fetch(url, { ...init, dispatcher: agent });
+    } catch (err) {
+        if (err?.cause instanceof BlockedUrlError) throw new BlockedUrlError(url, err.cause.reason);
+        throw err;
+    }
+}
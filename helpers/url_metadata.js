@@ -0,0 +1,375 @@
+/**
+ * helpers/url_metadata.js
+ *
+ * Anreicherung neuer Ressourcen mit Metadaten ihrer Seite. Die Seite wird geladen
+ * (höchstens 512 KB, Zeitlimit METADATA_TIMEOUT_MS, Standard: 5000) und aus Open Graph,
+ * Twitter Cards, HTML-Meta-Tags und, falls die Seite darauf verweist, oEmbed ausgewertet:
+ * title, description, thumbnailUrl, language, durationSeconds, siteName und canonicalUrl.
+ * Daraus ergeben sich Vorschläge für title, type und description einer Ressource.
+ *
+ * Der HTTP-Client ist wie in helpers/link_checker.js austauschbar (Option client oder
+ * setHttpClient). Ein Client ist eine Funktion (url, { timeoutMs }), die Weiterleitungen
+ * verfolgt und { status, url, contentType, body } liefert (url: Adresse nach Weiterleitungen).
+ * Der Standard-Client ruft nur öffentliche http(s)-Adressen ab (siehe helpers/url_guard.js)
+ * und prüft dabei jede Weiterleitung (höchstens MAX_REDIRECTS) und den oEmbed-Endpunkt; die
+ * Verbindungen gehen nur an die dabei geprüften Adressen (createGuardedAgent).
+ *
+ * @fileoverview Open-Graph-, oEmbed- und HTML-Metadaten einer URL und Vorschläge daraus.
+ */
+
+import { RESOURCE_TYPES } from '../schemas/resources.js';
+import { assertFetchableUrl, createGuardedAgent, fetchPinned } from './url_guard.js';
+
+// Höchstlänge der Vorschläge (wie im Schema der Ressource)
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Höchstzahl gelesener Bytes je Antwort
+const MAX_BODY_BYTES = 512 * 1024;
+
+// Höchstzahl verfolgter Weiterleitungen je Abruf
+const MAX_REDIRECTS = 5;
+
+// Statuscodes, bei denen der Location-Header weitergeleitet wird
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Fehlercodes der Clients, die load() unverändert übernimmt
+const CLIENT_ERROR_CODES = ['blocked_url', 'too_many_redirects'];
+
+// Hosts, deren Seiten in der Regel Videos sind
+const VIDEO_HOSTS = ['youtube.com', 'youtu.be', 'vimeo.com', 'dailymotion.com', 'twitch.tv'];
+
+// Benannte HTML-Entities, die in Meta-Tags häufig vorkommen
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß',
+    eacute: 'é', egrave: 'è', agrave: 'à', ndash: '–', mdash: '—', hellip: '…',
+    laquo: '«', raquo: '»', bdquo: '„', ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’', copy: '©'
+};
+
+/**
+ * Liest höchstens maxBytes einer Antwort als UTF-8-Text.
+ *
+ * @param {Response} response - fetch-Antwort
+ * @param {number} maxBytes - Höchstzahl Bytes
+ * @returns {Promise<string>} Text
+ */
+async function readLimited(response, maxBytes) {
+    if (!response.body) return '';
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    while (size < maxBytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        size += value.length;
+    }
+    await reader.cancel();
+    return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, maxBytes));
+}
+
+/**
+ * Erstellt den Standard-Client auf Basis von fetch. Weiterleitungen werden manuell verfolgt,
+ * damit jede Station vor dem Abruf geprüft wird; das Zeitlimit gilt für den ganzen Abruf.
+ *
+ * @param {Object} [options={}] - Optionen
+ * @param {string} [options.userAgent] - User-Agent der Anfragen
+ * @param {string[]} [options.allowedHosts=[]] - Hosts ohne Adressprüfung (z.B. ein lokaler Stub in Tests)
+ * @param {function(string): Promise<Array<{ address: string }>>} [options.lookup] - Namensauflösung
+ *   (Standard: dns.lookup, siehe helpers/url_guard.js)
+ * @returns {function(string, { timeoutMs: number }): Promise<{ status: number, url: string, contentType: string, body: string }>} Client,
+ *   wirft bei gesperrten Adressen (code blocked_url) und zu vielen Weiterleitungen (code too_many_redirects)
+ */
+export function createFetchClient({ userAgent = 'ResourceCatalogMetadata/1.0', allowedHosts = [], lookup } = {}) {
+    const agent = createGuardedAgent({ allowedHosts, lookup });
+    return async (url, { timeoutMs }) => {
+        const signal = AbortSignal.timeout(timeoutMs);
+        let current = url;
+        for (let redirects = 0; ; redirects++) {
+            await assertFetchableUrl(current, { allowedHosts, lookup });
+            const response = await fetchPinned(current, {
+                redirect: 'manual',
+                signal,
+                headers: { 'User-Agent': userAgent, Accept: 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.5' }
+            }, agent);
+            const location = response.headers.get('location');
+            if (REDIRECT_STATUSES.has(response.status) && location) {
+                await response.body?.cancel();
+                if (redirects >= MAX_REDIRECTS) {
+                    throw Object.assign(new Error(`Zu viele Weiterleitungen: ${url}`), { code: 'too_many_redirects' });
+                }
+                current = new URL(location, current).href;
+                continue;
+            }
+            return {
+                status: response.status,
+                url: current,
+                contentType: response.headers.get('content-type') || '',
+                body: await readLimited(response, MAX_BODY_BYTES)
+            };
+        }
+    };
+}
+
+// Client für Abrufe ohne eigene client-Option
+let httpClient = createFetchClient();
+
+/**
+ * Ersetzt den Standard-Client, z.B. durch einen Stub in Tests.
+ *
+ * @param {Function} client - Neuer Client
+ * @returns {Function} Bisheriger Client
+ */
+export function setHttpClient(client) {
+    const previous = httpClient;
+    httpClient = client;
+    return previous;
+}
+
+/**
+ * Ersetzt HTML-Entities durch die entsprechenden Zeichen.
+ *
+ * @param {string} text - Text aus HTML
+ * @returns {string} Dekodierter Text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') return ENTITIES[entity] ?? ENTITIES[entity.toLowerCase()] ?? match;
+        const hex = entity[1] === 'x' || entity[1] === 'X';
+        const code = parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+}
+
+/**
+ * Bereinigt einen Text aus HTML (Entities, Leerraum) und kürzt ihn.
+ *
+ * @param {string|undefined} text - Rohtext
+ * @param {number} [max] - Höchstlänge
+ * @returns {string|undefined} Text oder undefined, wenn er leer ist
+ */
+function cleanText(text, max) {
+    if (typeof text !== 'string') return undefined;
+    const clean = decodeEntities(text).replace(/\s+/g, ' ').trim();
+    if (!clean) return undefined;
+    return max && clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+}
+
+/**
+ * Liest die Attribute eines HTML-Tags.
+ *
+ * @param {string} tag - Tag, z.B. <meta property="og:title" content="...">
+ * @returns {Object<string, string>} Attribute (Namen kleingeschrieben)
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /([a-zA-Z_:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    for (const [, name, double, single, bare] of tag.matchAll(pattern)) {
+        attributes[name.toLowerCase()] = double ?? single ?? bare;
+    }
+    return attributes;
+}
+
+/**
+ * Löst eine URL relativ zur Seite auf.
+ *
+ * @param {string|undefined} value - Absolute oder relative URL
+ * @param {string} base - URL der Seite
+ * @returns {string|undefined} Absolute http(s)-URL oder undefined
+ */
+function resolveUrl(value, base) {
+    if (!value) return undefined;
+    try {
+        const url = new URL(decodeEntities(value.trim()), base);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Wandelt eine Dauer in Sekunden um: Zahl (og:video:duration) oder ISO 8601 (PT1H2M3S).
+ *
+ * @param {string|number|undefined} value - Dauer
+ * @returns {number|undefined} Sekunden
+ */
+export function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Math.round(Number(value));
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(String(value).trim());
+    if (!match || match.slice(1).every(part => part === undefined)) return undefined;
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+    return Math.round(((days * 24 + hours) * 60 + minutes) * 60 + seconds);
+}
+
+/**
+ * Liest die Metadaten aus dem HTML einer Seite.
+ *
+ * @param {string} html - HTML der Seite
+ * @param {string} pageUrl - URL der Seite (für relative Verweise)
+ * @returns {{ metadata: Object, oembedUrl: string|undefined }} Metadaten (ohne leere Felder)
+ *   und der oEmbed-Endpunkt, falls die Seite einen angibt
+ */
+export function extractMetadata(html, pageUrl) {
+    // Die Angaben stehen im head; der Rest der Seite wird nicht durchsucht
+    const headEnd = html.search(/<\/head\s*>/i);
+    const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+    const meta = {};
+    for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const key = (attributes.property || attributes.name || attributes.itemprop || attributes['http-equiv'] || '').toLowerCase();
+        if (key && attributes.content !== undefined && !(key in meta)) meta[key] = attributes.content;
+    }
+    const links = [...head.matchAll(/<link\b[^>]*>/gi)].map(([tag]) => parseAttributes(tag));
+    const linkHref = predicate => links.find(link => predicate(String(link.rel || '').toLowerCase().split(/\s+/), link))?.href;
+    const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i.exec(head)?.[1];
+    const htmlLang = /<html\b[^>]*>/i.exec(html)?.[0];
+    const locale = (htmlLang && parseAttributes(htmlLang).lang) || meta['content-language'] || meta['og:locale'];
+
+    const metadata = {
+        title: cleanText(meta['og:title'] || meta['twitter:title'] || titleTag, MAX_TITLE_LENGTH),
+        description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+        thumbnailUrl: resolveUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'], pageUrl),
+        language: cleanText(locale)?.split(/[,;\s]/)[0].replace(/_/g, '-'),
+        durationSeconds: parseDuration(meta['og:video:duration'] || meta['video:duration'] || meta.duration),
+        siteName: cleanText(meta['og:site_name']),
+        canonicalUrl: resolveUrl(linkHref(rel => rel.includes('canonical')) || meta['og:url'], pageUrl),
+        ogType: cleanText(meta['og:type'])?.toLowerCase()
+    };
+    const oembedUrl = resolveUrl(
+        linkHref((rel, link) => rel.includes('alternate') && String(link.type).toLowerCase() === 'application/json+oembed'),
+        pageUrl
+    );
+    return { metadata: withoutEmpty(metadata), oembedUrl };
+}
+
+/**
+ * Entfernt Felder ohne Wert.
+ *
+ * @param {Object} object - Objekt
+ * @returns {Object} Objekt ohne undefined-Felder
+ */
+function withoutEmpty(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Übernimmt die Angaben einer oEmbed-Antwort, soweit die Seite sie nicht selbst liefert.
+ *
+ * @param {Object} metadata - Metadaten der Seite
+ * @param {Object} oembed - oEmbed-Antwort (title, type, thumbnail_url, provider_name, duration)
+ * @param {string} pageUrl - URL der Seite
+ * @returns {Object} Ergänzte Metadaten
+ */
+function mergeOembed(metadata, oembed, pageUrl) {
+    return withoutEmpty({
+        title: cleanText(oembed.title, MAX_TITLE_LENGTH),
+        thumbnailUrl: resolveUrl(oembed.thumbnail_url, pageUrl),
+        durationSeconds: parseDuration(oembed.duration),
+        siteName: cleanText(oembed.provider_name),
+        authorName: cleanText(oembed.author_name),
+        oembedType: cleanText(oembed.type)?.toLowerCase(),
+        ...metadata
+    });
+}
+
+/**
+ * Schlägt einen Ressourcentyp anhand der Metadaten und der URL vor.
+ *
+ * @param {Object} metadata - Metadaten
+ * @param {string} url - URL der Seite
+ * @returns {string} Typ aus RESOURCE_TYPES
+ */
+export function suggestType(metadata, url) {
+    let host = '';
+    let pathname = '';
+    try {
+        ({ hostname: host, pathname } = new URL(url));
+    } catch {
+        // Ohne gültige URL zählen nur die Metadaten
+    }
+    host = host.toLowerCase().replace(/^www\./, '');
+    const ogType = metadata.ogType || '';
+    const text = `${metadata.siteName || ''} ${metadata.title || ''}`.toLowerCase();
+    let type = 'Artikel';
+    if (ogType.startsWith('video') || metadata.oembedType === 'video'
+        || VIDEO_HOSTS.some(videoHost => host === videoHost || host.endsWith(`.${videoHost}`))) {
+        type = 'Video';
+    } else if (ogType.startsWith('music') || /podcast/.test(`${host} ${text}`)) {
+        type = 'Podcast';
+    } else if (ogType === 'book' || ogType.startsWith('books')) {
+        type = 'Buch';
+    } else if (/^(docs|developer|devdocs)\./.test(host) || /\/(docs?|documentation|reference|api)(\/|$)/i.test(pathname)) {
+        type = 'Dokumentation';
+    } else if (/(kurs|course)/.test(`${host} ${pathname.toLowerCase()} ${text}`)) {
+        type = 'Kurs';
+    } else if (/tutorial/.test(`${pathname.toLowerCase()} ${text}`)) {
+        type = 'Tutorial';
+    } else if (/blog/.test(`${host} ${pathname.toLowerCase()}`)) {
+        type = 'Blogpost';
+    }
+    return RESOURCE_TYPES.includes(type) ? type : 'Artikel';
+}
+
+/**
+ * Lädt eine Seite und wandelt Netzwerkfehler in einen Fehlercode um.
+ *
+ * @param {Function} client - HTTP-Client
+ * @param {string} url - URL
+ * @param {number} timeoutMs - Zeitlimit
+ * @returns {Promise<{ response: Object|null, error: string|null }>} Antwort oder Fehlercode
+ */
+async function load(client, url, timeoutMs) {
+    try {
+        const response = await client(url, { timeoutMs });
+        if (response.status >= 400) return { response: null, error: 'http_error' };
+        return { response, error: null };
+    } catch (err) {
+        if (CLIENT_ERROR_CODES.includes(err?.code)) return { response: null, error: err.code };
+        return { response: null, error: err?.name === 'TimeoutError' || err?.name === 'AbortError' ? 'timeout' : 'network_error' };
+    }
+}
+
+/**
+ * Lädt die Metadaten einer URL und leitet Vorschläge für eine Ressource ab.
+ * Ist die Seite nicht erreichbar oder kein HTML, enthält error den Grund (blocked_url,
+ * timeout, network_error, too_many_redirects, http_error, not_html); die Vorschläge stützen
+ * sich dann nur auf die URL.
+ *
+ * @param {string} url - URL der Ressource
+ * @param {Object} [options={}] - Optionen
+ * @param {Function} [options.client] - HTTP-Client (Standard: setHttpClient bzw. fetch)
+ * @param {number} [options.timeoutMs] - Zeitlimit je Anfrage
+ * @returns {Promise<{ metadata: Object|null, suggestion: { title?: string, type: string, description?: string }, error: string|null }>}
+ *   Metadaten (mit finalUrl und fetchedAt), Vorschläge und Fehlercode
+ */
+export async function enrichUrl(url, options = {}) {
+    const timeout = Number(process.env.METADATA_TIMEOUT_MS);
+    const { client = httpClient, timeoutMs = Number.isFinite(timeout) && timeout > 0 ? timeout : 5000 } = options;
+
+    const { response, error } = await load(client, url, timeoutMs);
+    const isHtml = response && /html/i.test(response.contentType);
+    if (!isHtml) {
+        return { metadata: null, suggestion: { type: suggestType({}, url) }, error: error || 'not_html' };
+    }
+    const finalUrl = response.url || url;
+    let { metadata, oembedUrl } = extractMetadata(response.body, finalUrl);
+    if (oembedUrl) {
+        const oembed = await load(client, oembedUrl, timeoutMs);
+        try {
+            const data = oembed.response && JSON.parse(oembed.response.body);
+            if (data && typeof data === 'object') metadata = mergeOembed(metadata, data, finalUrl);
+        } catch {
+            // Eine ungültige oEmbed-Antwort ändert die Metadaten der Seite nicht
+        }
+    }
+    metadata = { ...metadata, finalUrl, fetchedAt: new Date().toISOString() };
+    const suggestion = withoutEmpty({
+        title: metadata.title,
+        type: suggestType(metadata, finalUrl),
+        description: metadata.description
+    });
+    return { metadata, suggestion, error: null };
+}
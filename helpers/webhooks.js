@@ -0,0 +1,251 @@
+/**
+ * helpers/webhooks.js
+ *
+ * Zustellung der Domain-Events (siehe helpers/events.js) an registrierte Webhooks.
+ * Für jedes Event und jeden aktiven Webhook, der den Event-Typ abonniert hat, entsteht ein
+ * Eintrag im Zustellungsprotokoll (Sammlung webhook_deliveries) mit allen Versuchen.
+ *
+ * Jede Zustellung ist ein POST mit dem Event als JSON-Body und den Headern
+ *   X-Webhook-Id, X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp und
+ *   X-Webhook-Signature: sha256=<HMAC-SHA256 über "<timestamp>.<body>" mit dem Secret, hex>.
+ * Empfänger prüfen die Signatur mit dem Secret aus POST /webhooks und verwerfen alte Zeitstempel.
+ *
+ * Nur 2xx gilt als zugestellt. Sonst wird mit exponentiellem Backoff erneut versucht
+ * (WEBHOOK_RETRY_BASE_MS, Standard: 1000, verdoppelt je Versuch, höchstens eine Stunde), bis
+ * WEBHOOK_MAX_ATTEMPTS (Standard: 5) erreicht ist. Offene Zustellungen werden beim Start des
+ * Dispatchers wieder aufgenommen.
+ *
+ * Der HTTP-Client ist wie in helpers/link_checker.js austauschbar (setHttpClient). Ein Client
+ * ist eine Funktion (url, { method, headers, body, timeoutMs }), die { status } liefert und bei
+ * Netzwerkfehlern wirft.
+ *
+ * @fileoverview Webhook-Zustellung mit HMAC-Signatur, Wiederholungen und Protokoll.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from './data_manager.js';
+import { subscribe } from './events.js';
+import { log } from './log.js';
+
+// Sammlungen (siehe helpers/data_manager.js)
+const WEBHOOKS = 'webhooks';
+const DELIVERIES = 'webhook_deliveries';
+
+// Zeitlimit je Zustellversuch
+const DELIVERY_TIMEOUT_MS = 10000;
+// Längste Wartezeit zwischen zwei Versuchen
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Liest eine positive Zahl aus einer Umgebungsvariable (beim Aufruf gelesen).
+ *
+ * @param {string} name - Name der Umgebungsvariable
+ * @param {number} fallback - Standardwert
+ * @returns {number} Wert
+ */
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Standard-Client auf Basis von fetch.
+ *
+ * @param {string} url - Ziel-URL
+ * @param {{ method: string, headers: Object, body: string, timeoutMs: number }} request - Anfrage
+ * @returns {Promise<{ status: number }>} Antwortstatus
+ */
+async function fetchClient(url, { method, headers, body, timeoutMs }) {
+    const response = await fetch(url, { method, headers, body, redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+    // Der Inhalt der Antwort wird nicht benötigt
+    await response.body?.cancel();
+    return { status: response.status };
+}
+
+// Client für Zustellungen
+let httpClient = fetchClient;
+
+/**
+ * Ersetzt den HTTP-Client, z.B. durch einen Stub in Tests.
+ *
+ * @param {Function} client - Neuer Client
+ * @returns {Function} Bisheriger Client
+ */
+export function setHttpClient(client) {
+    const previous = httpClient;
+    httpClient = client;
+    return previous;
+}
+
+/**
+ * Erzeugt ein zufälliges Secret für einen neuen Webhook.
+ *
+ * @returns {string} Secret (base64url)
+ */
+export function generateSecret() {
+    return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Berechnet die Signatur einer Zustellung.
+ *
+ * @param {string} secret - Secret des Webhooks
+ * @param {number} timestamp - Unix-Zeit in Sekunden (X-Webhook-Timestamp)
+ * @param {string} body - JSON-Body
+ * @returns {string} Wert für X-Webhook-Signature
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Entfernt das Secret aus einem Webhook für Antworten.
+ *
+ * @param {Object} webhook - Gespeicherter Webhook
+ * @returns {Object} Webhook ohne secret
+ */
+export function withoutSecret(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+// Geplante Versuche: deliveryId -> Timer
+const timers = new Map();
+
+/**
+ * Plant einen Zustellversuch.
+ *
+ * @param {string} deliveryId - ID der Zustellung
+ * @param {number} delayMs - Wartezeit
+ */
+function schedule(deliveryId, delayMs) {
+    clearTimeout(timers.get(deliveryId));
+    const timer = setTimeout(() => {
+        timers.delete(deliveryId);
+        attemptDelivery(deliveryId).catch(err => log.error('Webhook-Zustellung abgebrochen', { deliveryId, err }));
+    }, Math.max(0, delayMs));
+    // Offene Versuche sollen das Beenden des Prozesses nicht verhindern
+    timer.unref();
+    timers.set(deliveryId, timer);
+}
+
+/**
+ * Führt einen Zustellversuch aus und plant bei Misserfolg den nächsten.
+ *
+ * @param {string} deliveryId - ID der Zustellung
+ * @returns {Promise<Object|null>} Aktualisierte Zustellung oder null, wenn nichts zu tun war
+ */
+async function attemptDelivery(deliveryId) {
+    return storage.withFileLock(`webhook_delivery:${deliveryId}`, async () => {
+        const delivery = await storage.findById(DELIVERIES, deliveryId);
+        if (!delivery || delivery.status !== 'pending') return null;
+        const webhook = await storage.findById(WEBHOOKS, delivery.webhookId);
+        const now = new Date();
+        if (!webhook || !webhook.active) {
+            return storage.update(DELIVERIES, deliveryId, {
+                status: 'cancelled',
+                nextAttemptAt: undefined,
+                updatedAt: now.toISOString()
+            });
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(now.getTime() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'ResourceCatalogWebhooks/1.0',
+            'X-Webhook-Id': webhook.id,
+            'X-Webhook-Event': delivery.eventType,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        };
+        const started = process.hrtime.bigint();
+        let responseStatus = null;
+        let error = null;
+        try {
+            ({ status: responseStatus } = await httpClient(webhook.url, { method: 'POST', headers, body, timeoutMs: DELIVERY_TIMEOUT_MS }));
+            if (responseStatus < 200 || responseStatus >= 300) error = 'http_error';
+        } catch (err) {
+            error = err?.name === 'TimeoutError' || err?.name === 'AbortError' ? 'timeout' : 'network_error';
+        }
+        const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+        const attempts = [...delivery.attempts, { attempt: delivery.attempts.length + 1, at: now.toISOString(), responseStatus, error, durationMs }];
+
+        const changes = { attempts, responseStatus, error, updatedAt: new Date().toISOString() };
+        if (!error) {
+            Object.assign(changes, { status: 'succeeded', deliveredAt: changes.updatedAt, nextAttemptAt: undefined });
+        } else if (attempts.length >= envNumber('WEBHOOK_MAX_ATTEMPTS', 5)) {
+            Object.assign(changes, { status: 'failed', nextAttemptAt: undefined });
+            log.warn('Webhook-Zustellung endgültig fehlgeschlagen', { webhookId: webhook.id, deliveryId, error, responseStatus });
+        } else {
+            const delayMs = Math.min(envNumber('WEBHOOK_RETRY_BASE_MS', 1000) * 2 ** (attempts.length - 1), MAX_BACKOFF_MS);
+            changes.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+            schedule(deliveryId, delayMs);
+        }
+        return storage.update(DELIVERIES, deliveryId, changes);
+    });
+}
+
+/**
+ * Legt für ein Event die Zustellungen an alle passenden aktiven Webhooks an.
+ *
+ * @param {Object} event - Event aus helpers/events.js
+ * @returns {Promise<Array<Object>>} Angelegte Zustellungen
+ */
+export async function dispatchEvent(event) {
+    const webhooks = (await storage.find(WEBHOOKS, { active: true }))
+        .filter(webhook => webhook.events.includes(event.type));
+    const deliveries = [];
+    for (const webhook of webhooks) {
+        const now = new Date().toISOString();
+        const delivery = {
+            id: uuidv4(),
+            webhookId: webhook.id,
+            eventId: event.id,
+            eventType: event.type,
+            payload: event,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: now,
+            createdAt: now,
+            updatedAt: now
+        };
+        await storage.insert(DELIVERIES, delivery);
+        schedule(delivery.id, 0);
+        deliveries.push(delivery);
+    }
+    return deliveries;
+}
+
+// Abmeldung vom Event-Bus, solange der Dispatcher läuft
+let unsubscribe = null;
+
+/**
+ * Startet die Zustellung: abonniert alle Events und nimmt offene Zustellungen wieder auf.
+ *
+ * @returns {Promise<void>} Promise, das nach dem Einplanen offener Zustellungen aufgelöst wird
+ */
+export async function startWebhookDispatcher() {
+    if (unsubscribe) return;
+    unsubscribe = subscribe(event => {
+        dispatchEvent(event).catch(err => log.error('Webhook-Zustellungen konnten nicht angelegt werden', { eventId: event.id, err }));
+    });
+    const pending = await storage.find(DELIVERIES, { status: 'pending' });
+    for (const delivery of pending) {
+        schedule(delivery.id, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    }
+    if (pending.length > 0) log.info('Offene Webhook-Zustellungen wieder aufgenommen', { count: pending.length });
+}
+
+/**
+ * Stoppt die Zustellung. Offene Zustellungen bleiben gespeichert und werden beim nächsten
+ * Start fortgesetzt.
+ */
+export function stopWebhookDispatcher() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+}
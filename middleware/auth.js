@@ -0,0 +1,214 @@
+/**
+ * middleware/auth.js
+ *
+ * Authentifizierung und rollenbasierte Autorisierung für den Resource Catalog Service.
+ *
+ * Unterstützte Verfahren:
+ *   - Bearer-Token (JWT): "Authorization: Bearer <token>", geprüft gegen JWT_SECRET (HS256)
+ *     oder einen öffentlichen Schlüssel aus JWT_PUBLIC_KEY bzw. JWT_PUBLIC_KEY_FILE (RS256/ES256).
+ *     Ohne öffentlichen Schlüssel startet der Server nur mit einem JWT_SECRET von mindestens
+ *     32 Bytes, das kein bekannter Platzhalter ist (siehe assertAuthConfig).
+ *     Optional werden JWT_ISSUER und JWT_AUDIENCE geprüft. Die Nutzer-ID stammt aus "sub",
+ *     die Rolle aus "role" oder "roles".
+ *   - Statische API-Keys für Service-zu-Service-Aufrufe: "X-API-Key: <key>" oder
+ *     "Authorization: ApiKey <key>", konfiguriert als API_KEYS=key:name:rolle,key2:name2:rolle2.
+ *
+ * Rollen (aufsteigend): reader < contributor < moderator < admin.
+ *
+ * @fileoverview Middleware für Authentifizierung (JWT, API-Keys) und Rollenprüfung.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import { UnauthorizedError, ForbiddenError } from '../helpers/errors.js';
+
+// Rollen in aufsteigender Reihenfolge der Berechtigungen
+export const ROLES = ['reader', 'contributor', 'moderator', 'admin'];
+
+// Mindestlänge des HS256-Secrets in Bytes (256 Bit, Länge der Signatur)
+const MIN_SECRET_BYTES = 32;
+
+// Platzhalter aus Beispielkonfigurationen und Anleitungen, die nie als Secret gelten dürfen
+const PLACEHOLDER_SECRETS = new Set([
+    'change-me', 'changeme', 'change_me', 'secret', 'jwt-secret', 'jwt_secret', 'your-secret',
+    'your_secret', 'your-jwt-secret', 'your_jwt_secret', 'mysecret', 'supersecret', 'test-secret',
+    'testsecret', 'please-change-me', 'replace-me', 'change-this-secret-in-production',
+    'your-256-bit-secret'
+]);
+
+// Konfiguration wird beim ersten Zugriff gelesen (nach dotenv.config() in server.js)
+let config = null;
+
+/**
+ * Liest die Authentifizierungs-Konfiguration aus den Umgebungsvariablen.
+ *
+ * @returns {{ jwtKey: string|null, algorithms: string[], issuer?: string, audience?: string, apiKeys: Array<{ key: string, name: string, role: string }> }}
+ */
+function getConfig() {
+    if (config) return config;
+    let jwtKey = null;
+    let algorithms = ['HS256'];
+    if (process.env.JWT_PUBLIC_KEY_FILE) {
+        jwtKey = fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, 'utf8');
+        algorithms = ['RS256', 'ES256'];
+    } else if (process.env.JWT_PUBLIC_KEY) {
+        jwtKey = process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n');
+        algorithms = ['RS256', 'ES256'];
+    } else if (process.env.JWT_SECRET) {
+        jwtKey = process.env.JWT_SECRET;
+    }
+    const apiKeys = (process.env.API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [key, name, role = 'reader'] = entry.split(':');
+            return { key, name: name || 'service', role: ROLES.includes(role) ? role : 'reader' };
+        });
+    config = {
+        jwtKey,
+        algorithms,
+        issuer: process.env.JWT_ISSUER || undefined,
+        audience: process.env.JWT_AUDIENCE || undefined,
+        apiKeys
+    };
+    return config;
+}
+
+/**
+ * Prüft beim Start, ob die JWT-Prüfung sicher konfiguriert ist. Ohne öffentlichen Schlüssel
+ * (JWT_PUBLIC_KEY, JWT_PUBLIC_KEY_FILE) gilt HS256; dann muss JWT_SECRET gesetzt, mindestens
+ * 32 Bytes lang und kein bekannter Platzhalter sein, sonst könnte jeder, der das Secret
+ * kennt oder errät, Tokens mit beliebiger Rolle ausstellen.
+ *
+ * @throws {Error} Wenn das Secret fehlt, zu kurz oder ein Platzhalter ist
+ */
+export function assertAuthConfig() {
+    if (process.env.JWT_PUBLIC_KEY_FILE || process.env.JWT_PUBLIC_KEY) return;
+    const secret = process.env.JWT_SECRET || '';
+    if (!secret) {
+        throw new Error('JWT_SECRET fehlt: ein zufälliges Secret mit mindestens 32 Bytes setzen (z.B. openssl rand -hex 32) oder JWT_PUBLIC_KEY_FILE konfigurieren.');
+    }
+    if (PLACEHOLDER_SECRETS.has(secret.trim().toLowerCase())) {
+        throw new Error('JWT_SECRET ist ein bekannter Platzhalter: ein zufälliges Secret setzen (z.B. openssl rand -hex 32).');
+    }
+    if (Buffer.byteLength(secret, 'utf8') < MIN_SECRET_BYTES) {
+        throw new Error(`JWT_SECRET ist zu kurz: mindestens ${MIN_SECRET_BYTES} Bytes erforderlich (z.B. openssl rand -hex 32).`);
+    }
+}
+
+/**
+ * Vergleicht zwei Strings in konstanter Zeit.
+ *
+ * @param {string} a - Erster String
+ * @param {string} b - Zweiter String
+ * @returns {boolean} true bei Gleichheit
+ */
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Ermittelt die höchste bekannte Rolle aus den Claims eines Tokens.
+ *
+ * @param {Object} payload - JWT-Payload
+ * @returns {string} Rolle (Standard: reader)
+ */
+function roleFromClaims(payload) {
+    const claimed = [].concat(payload.roles || [], payload.role || []);
+    return claimed.reduce((best, role) => (
+        ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best
+    ), 'reader');
+}
+
+/**
+ * Authentifizierungs-Middleware. Liest Bearer-Token oder API-Key und setzt req.user
+ * auf { id, role, type: 'user' | 'service' }. Ohne Zugangsdaten ist req.user null
+ * (anonymer Lesezugriff); ungültige Zugangsdaten werden mit UnauthorizedError (401) abgelehnt.
+ *
+ * @param {import('express').Request} req - Express Request Objekt
+ * @param {import('express').Response} res - Express Response Objekt
+ * @param {Function} next - Nächste Middleware
+ */
+export function authenticate(req, res, next) {
+    const { jwtKey, algorithms, issuer, audience, apiKeys } = getConfig();
+    const header = req.get('Authorization') || '';
+    const [scheme, credentials] = header.split(' ');
+    const apiKey = req.get('X-API-Key') || (/^ApiKey$/i.test(scheme) ? credentials : null);
+    req.user = null;
+
+    if (apiKey) {
+        const match = apiKeys.find(entry => safeEqual(entry.key, apiKey));
+        if (!match) return next(new UnauthorizedError('invalid_api_key'));
+        req.user = { id: match.name, role: match.role, type: 'service' };
+        return next();
+    }
+
+    if (/^Bearer$/i.test(scheme)) {
+        if (!credentials) return next(new UnauthorizedError('token_missing'));
+        if (!jwtKey) return next(new UnauthorizedError('token_auth_not_configured'));
+        try {
+            const payload = jwt.verify(credentials, jwtKey, { algorithms, issuer, audience });
+            if (!payload.sub) return next(new UnauthorizedError('token_missing_sub'));
+            req.user = { id: String(payload.sub), role: roleFromClaims(payload), type: 'user' };
+        } catch (err) {
+            return next(new UnauthorizedError(err.name === 'TokenExpiredError' ? 'token_expired' : 'token_invalid'));
+        }
+    }
+    next();
+}
+
+/**
+ * Prüft, ob ein Nutzer mindestens die angegebene Rolle hat.
+ *
+ * @param {Object|null} user - req.user
+ * @param {string} role - Mindestrolle
+ * @returns {boolean} true, wenn die Rolle ausreicht
+ */
+export function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Erzeugt eine Middleware, die eine Anmeldung mit mindestens der angegebenen Rolle verlangt.
+ * Fehler: UnauthorizedError (401) ohne Anmeldung, ForbiddenError (403) bei unzureichender Rolle.
+ *
+ * @param {string} [role='reader'] - Mindestrolle
+ * @returns {Function} Express-Middleware
+ */
+export function requireRole(role = 'reader') {
+    return function roleMiddleware(req, res, next) {
+        if (!req.user) return next(new UnauthorizedError('authentication_required'));
+        if (!hasRole(req.user, role)) return next(new ForbiddenError('role_required', { role }));
+        next();
+    };
+}
+
+/**
+ * Ermittelt, in wessen Namen eine Anfrage handelt. Nutzer handeln immer für sich selbst;
+ * Services (API-Key) und Admins dürfen eine andere Nutzer-ID angeben.
+ *
+ * @param {import('express').Request} req - Express Request Objekt (nach authenticate)
+ * @param {string|undefined} requestedUserId - Nutzer-ID aus dem Body
+ * @returns {string|null} Handelnde Nutzer-ID oder null, wenn die Angabe nicht erlaubt ist
+ */
+export function resolveActingUserId(req, requestedUserId) {
+    if (!requestedUserId || requestedUserId === req.user.id) return req.user.id;
+    if (req.user.type === 'service' || hasRole(req.user, 'admin')) return requestedUserId;
+    return null;
+}
+
+/**
+ * Prüft, ob ein Nutzer Eigentümer eines Datensatzes ist oder mindestens die angegebene Rolle hat.
+ *
+ * @param {Object|null} user - req.user
+ * @param {string|undefined} ownerId - Nutzer-ID des Eigentümers (authorId, userId)
+ * @param {string} [role='moderator'] - Rolle, die auch ohne Eigentum ausreicht
+ * @returns {boolean} true, wenn der Zugriff erlaubt ist
+ */
+export function isOwnerOrHasRole(user, ownerId, role = 'moderator') {
+    return Boolean(user) && ((ownerId !== undefined && user.id === ownerId) || hasRole(user, role));
+}
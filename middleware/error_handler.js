@@ -0,0 +1,94 @@
+/**
+ * middleware/error_handler.js
+ *
+ * Zentrale Fehlerbehandlung für den Resource Catalog Service. Alle Fehler werden als
+ * RFC 7807 "Problem Details" (application/problem+json) beantwortet:
+ *
+ *   { type, title, status, detail, instance, code, requestId, details? }
+ *
+ * title und detail werden per Accept-Language auf Deutsch (Standard) oder Englisch erzeugt.
+ * Fehler aus helpers/errors.js behalten ihren Status; Parserfehler von express.json()
+ * (kaputtes JSON, zu großer Body) werden als 4xx beantwortet, alle übrigen als 500.
+ *
+ * @fileoverview Middleware für unbekannte Routen (404) und einheitliche Fehlerantworten.
+ */
+
+import { AppError, ValidationError, NotFoundError } from '../helpers/errors.js';
+import { translate, localizeDetails, resolveLocale } from '../helpers/messages.js';
+import { log } from '../helpers/log.js';
+
+// Meldungsschlüssel für Fehler des Body-Parsers (nach HTTP-Status)
+const PARSER_ERROR_CODES = {
+    413: 'payload_too_large',
+    415: 'unsupported_media_type'
+};
+
+/**
+ * Wandelt einen beliebigen Fehler in einen AppError um.
+ *
+ * @param {Error} err - Aufgetretener Fehler
+ * @returns {AppError} Fehler mit Status und Meldungsschlüssel
+ */
+function toAppError(err) {
+    if (err instanceof AppError) return err;
+    if (err.type === 'entity.parse.failed') return new ValidationError('malformed_json');
+    // Fehler des Body-Parsers mit Client-Status (expose = Meldung darf an den Client)
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new AppError(err.status, PARSER_ERROR_CODES[err.status] || 'request_rejected');
+    }
+    return new AppError(500, 'internal_error');
+}
+
+/**
+ * Beantwortet Anfragen ohne passende Route mit 404.
+ * Wird nach allen Routern registriert.
+ *
+ * @param {import('express').Request} req - Express Request Objekt
+ * @param {import('express').Response} res - Express Response Objekt
+ * @param {Function} next - Nächste Middleware
+ */
+export function notFoundHandler(req, res, next) {
+    next(new NotFoundError('route_not_found', { method: req.method, path: req.path }));
+}
+
+/**
+ * Fehler-Middleware: loggt den Fehler (5xx als error, sonst debug) mit Request-ID und
+ * antwortet mit application/problem+json in der Sprache der Anfrage.
+ *
+ * @param {Error} err - Aufgetretener Fehler
+ * @param {import('express').Request} req - Express Request Objekt
+ * @param {import('express').Response} res - Express Response Objekt
+ * @param {Function} next - Nächste Middleware
+ */
+export function errorHandler(err, req, res, next) {
+    const error = toAppError(err);
+    const logger = req.log || log;
+    if (error.status >= 500) {
+        logger.error('Unbehandelter Fehler', { err });
+    } else {
+        logger.debug('Anfrage abgelehnt', { status: error.status, code: error.code });
+    }
+    // Antwort bereits begonnen: Express beendet die Verbindung
+    if (res.headersSent) return next(err);
+
+    const locale = resolveLocale(req);
+    const problem = {
+        type: `/problems/${error.code.replace(/_/g, '-')}`,
+        title: translate(locale, `status.${error.status}`),
+        status: error.status,
+        detail: translate(locale, error.code, error.params),
+        instance: req.originalUrl,
+        code: error.code,
+        requestId: req.id
+    };
+    if (error.details) {
+        problem.details = localizeDetails(error.details, locale);
+    }
+
+    res.status(error.status)
+        .set(error.headers || {})
+        .set('Content-Language', locale)
+        .vary('Accept-Language')
+        .type('application/problem+json')
+        .json(problem);
+}
@@ -2,30 +2,78 @@
  * middleware/logger.js
  *
  * Logging-Middleware für alle API-Anfragen und Antworten im Resource Catalog Service.
- * Loggt HTTP-Methode, Pfad, Statuscode und Dauer jeder Anfrage im Terminal.
+ * Vergibt jeder Anfrage eine Korrelations-ID (aus dem Header X-Request-Id oder neu erzeugt),
+ * gibt sie im Antwort-Header zurück und stellt unter req.log einen Logger bereit, der die ID
+ * in jede Zeile schreibt (siehe helpers/log.js). Nach der Antwort werden Status und Dauer
+ * als JSON-Zeile geloggt und in die Metriken für GET /metrics übernommen.
  *
- * @fileoverview Middleware für zentrales Logging von Requests und Responses.
+ * @fileoverview Middleware für strukturiertes Logging, Request-IDs und HTTP-Metriken.
  */
 
+import { v4 as uuidv4 } from 'uuid';
+import { log } from '../helpers/log.js';
+import { httpRequestsTotal, httpRequestDuration } from '../helpers/metrics.js';
+
+// Übernommene Request-IDs: druckbare Zeichen, begrenzte Länge (verhindert Log-Injection)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Merkt sich beim Zuordnen einer Route (Express setzt req.route) das Routenmuster samt
+ * Mount-Pfad. Später ist req.baseUrl nicht mehr verlässlich, da Express es beim Verlassen
+ * eines Routers per next(err) zurücksetzt.
+ *
+ * @param {import('express').Request} req - Express Request Objekt
+ * @returns {Function} Liefert das Routenmuster (z.B. /resources/:id) oder "unmatched",
+ *   damit die Metriken nicht je ID eine eigene Zeitreihe anlegen
+ */
+function trackRoute(req) {
+    let route;
+    let pattern = 'unmatched';
+    Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set(value) {
+            route = value;
+            const routePath = value.path === '/' && req.baseUrl ? '' : value.path;
+            pattern = `${req.baseUrl}${routePath}`;
+        }
+    });
+    return () => pattern;
+}
+
 /**
  * Logging-Middleware für Express.
- * Loggt zu Beginn der Anfrage Methode und Pfad, nach Antwort Status und Dauer.
+ * Setzt req.id und req.log, loggt zu Beginn der Anfrage Methode und Pfad (Stufe debug),
+ * nach der Antwort Status und Dauer (Stufe info, bei 5xx error) und erfasst die Metriken.
  *
  * @param {import('express').Request} req - Express Request Objekt
  * @param {import('express').Response} res - Express Response Objekt
  * @param {Function} next - Nächste Middleware
  */
 function logger(req, res, next) {
-    // Startzeit merken
-    const start = Date.now();
-    // Request loggen
-    console.log(`[Request] ${req.method} ${req.url}`);
-    // Nach Antwort: Status und Dauer loggen
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+    req.log = log.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const routeOf = trackRoute(req);
+    const start = process.hrtime.bigint();
+    req.log.debug('Anfrage empfangen', { method: req.method, path: req.originalUrl });
     res.on('finish', () => {
-        const duration = Date.now() - start;
-        console.log(`[Response] ${req.method} ${req.url} - Status: ${res.statusCode} - Dauer: ${duration}ms`);
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const labels = { method: req.method, route: routeOf(), status: res.statusCode };
+        httpRequestsTotal.inc(labels);
+        httpRequestDuration.observe(labels, seconds);
+        req.log[res.statusCode >= 500 ? 'error' : 'info']('Anfrage abgeschlossen', {
+            method: req.method,
+            path: req.originalUrl,
+            route: labels.route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000 * 10) / 10,
+            userId: req.user?.id
+        });
     });
-    // Weiter zur nächsten Middleware
     next();
 }
 
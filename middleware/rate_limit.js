@@ -0,0 +1,151 @@
+/**
+ * middleware/rate_limit.js
+ *
+ * Rate-Limiting für schreibende Routen, die sich zum Fluten eignen (Bewertungen, Feedback).
+ *
+ * Jede Route hat ein eigenes Limit (Token-Bucket, siehe helpers/rate_limit_store.js), getrennt
+ * je handelndem Nutzer: Gezählt wird die geprüfte Nutzer-ID aus resolveActingUserId (bei
+ * Services und Admins also die im Body angegebene userId), anonyme Aufrufe nach IP-Adresse.
+ * Handelt ein Aufrufer für einen anderen Nutzer, gilt zusätzlich ein eigenes, höheres Limit je
+ * Aufrufer (Service nach API-Key-Name), damit ein Service mit wechselnden userIds nicht
+ * unbegrenzt schreiben kann. Das Limit einer Route kann über RATE_LIMIT_<NAME> als
+ * "anzahl/sekunden" überschrieben werden (z.B. RATE_LIMIT_RATING=10/60, 0 = kein Limit), das
+ * Limit je Aufrufer über RATE_LIMIT_<NAME>_CLIENT (Standard: zehnfaches Routen-Limit).
+ *
+ * Antworten tragen RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining und RateLimit-Reset
+ * (draft-ietf-httpapi-ratelimit-headers); bei erschöpftem Limit folgt 429 mit Retry-After.
+ *
+ * @fileoverview Token-Bucket-Rate-Limiter je Route und Aufrufer mit austauschbarem Store.
+ */
+
+import { TooManyRequestsError } from '../helpers/errors.js';
+import { createMemoryStore } from '../helpers/rate_limit_store.js';
+import { log } from '../helpers/log.js';
+import { resolveActingUserId } from './auth.js';
+
+// Aktiver Store (austauschbar, z.B. für mehrere Instanzen oder Tests)
+let store = createMemoryStore();
+
+/**
+ * Ersetzt den Store der Token-Buckets.
+ *
+ * @param {import('../helpers/rate_limit_store.js').RateLimitStore} newStore - Store mit consume()
+ */
+export function setRateLimitStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Liefert das Limit einer Route: RATE_LIMIT_<NAME> ("anzahl/sekunden") oder den Standard.
+ * Zur Laufzeit gelesen, damit Tests und Betrieb es ohne Neustart des Moduls setzen können.
+ *
+ * @param {string} name - Name des Limits (z.B. 'rating' oder 'rating_client')
+ * @param {{ capacity: number, windowSeconds: number }} fallback - Standardlimit
+ * @returns {{ capacity: number, windowSeconds: number }|null} Limit oder null (deaktiviert)
+ */
+function limitFor(name, fallback) {
+    const value = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    if (value === undefined || value.trim() === '') return fallback;
+    if (value.trim() === '0') return null;
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value);
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+        log.warn('Ungültiges Rate-Limit, Standard wird verwendet', { name, value });
+        return fallback;
+    }
+    return { capacity: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+// Faktor des Standardlimits je Aufrufer gegenüber dem Limit je handelndem Nutzer
+const CLIENT_LIMIT_FACTOR = 10;
+
+/**
+ * Ermittelt den Schlüssel des Aufrufers (des angemeldeten Clients).
+ *
+ * @param {import('express').Request} req - Anfrage (nach authenticate)
+ * @returns {string} z.B. 'user:alice', 'service:learning-path-generator' oder 'ip:127.0.0.1'
+ */
+function callerKey(req) {
+    if (req.user) return `${req.user.type}:${req.user.id}`;
+    return `ip:${req.ip}`;
+}
+
+/**
+ * Ermittelt den Schlüssel des handelnden Nutzers (userId im Body, wie ihn die Route prüft).
+ *
+ * @param {import('express').Request} req - Anfrage (nach validate)
+ * @returns {string|null} z.B. 'user:alice' oder 'ip:127.0.0.1'; null, wenn der Aufrufer nicht
+ *   für die angegebene userId handeln darf (die Route antwortet dann mit 403)
+ */
+function actingKey(req) {
+    if (!req.user) return `ip:${req.ip}`;
+    const userId = resolveActingUserId(req, req.body?.userId);
+    return userId ? `user:${userId}` : null;
+}
+
+/**
+ * Entnimmt einen Token aus dem Bucket eines Schlüssels.
+ *
+ * @param {string} key - Bucket-Schlüssel
+ * @param {{ capacity: number, windowSeconds: number }} limit - Limit
+ * @returns {Promise<import('../helpers/rate_limit_store.js').ConsumeResult>} Ergebnis
+ */
+function consume(key, limit) {
+    return store.consume(key, { capacity: limit.capacity, windowMs: limit.windowSeconds * 1000 });
+}
+
+/**
+ * Erzeugt die Middleware für ein Route-Limit. Nach requireRole und validate einbinden, damit
+ * Anfragen ohne Berechtigung oder mit ungültigem Body keine Token verbrauchen und die userId
+ * im Body geprüft ist. Anfragen für eine fremde userId ohne Berechtigung werden nicht gezählt.
+ *
+ * Ist der Store nicht erreichbar, wird die Anfrage durchgelassen (und der Fehler geloggt),
+ * statt die Route ganz zu sperren.
+ *
+ * @param {string} name - Name des Limits (Teil des Bucket-Schlüssels und der Umgebungsvariable)
+ * @param {Object} fallback - Standardlimit
+ * @param {number} fallback.capacity - Anfragen am Stück
+ * @param {number} fallback.windowSeconds - Sekunden, in denen sich das Kontingent erneuert
+ * @returns {Function} Express-Middleware
+ */
+export function rateLimit(name, fallback) {
+    return async (req, res, next) => {
+        const limit = limitFor(name, fallback);
+        if (!limit) return next();
+        const acting = actingKey(req);
+        if (!acting) return next();
+        const caller = callerKey(req);
+        let result;
+        let applied = limit;
+        try {
+            result = await consume(`${name}:${acting}`, limit);
+            // Wer für andere Nutzer handelt, hat zusätzlich ein Kontingent je Aufrufer
+            const clientLimit = req.user && acting !== `user:${req.user.id}`
+                ? limitFor(`${name}_client`, { capacity: limit.capacity * CLIENT_LIMIT_FACTOR, windowSeconds: limit.windowSeconds })
+                : null;
+            if (result.allowed && clientLimit) {
+                const clientResult = await consume(`${name}:client:${caller}`, clientLimit);
+                if (!clientResult.allowed) {
+                    result = clientResult;
+                    applied = clientLimit;
+                }
+            }
+        } catch (err) {
+            req.log.error('Rate-Limit-Store nicht verfügbar, Anfrage wird durchgelassen', { limit: name, err });
+            return next();
+        }
+        res.set({
+            'RateLimit-Policy': `${applied.capacity};w=${applied.windowSeconds}`,
+            'RateLimit-Limit': String(applied.capacity),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+        });
+        if (!result.allowed) {
+            const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+            req.log.warn('Rate-Limit überschritten', { limit: name, caller, acting });
+            return next(new TooManyRequestsError('rate_limited', { retryAfter }, {
+                headers: { 'Retry-After': String(retryAfter) }
+            }));
+        }
+        next();
+    };
+}
@@ -1,52 +1,222 @@
 /**
  * middleware/validation.js
  *
- * Validierungs-Middleware für Bewertungen und Feedback im Resource Catalog Service.
+ * Schema-basierte Validierungs-Middleware für den Resource Catalog Service.
+ * Prüft Body, Query und Pfadparameter gegen deklarative Schemas (Teilmenge von JSON Schema,
+ * siehe schemas/) und lehnt ungültige Anfragen mit einem ValidationError (400) ab,
+ * der jedes fehlerhafte Feld mit einem maschinenlesbaren Code auflistet.
  *
- * @fileoverview Stellt Middleware für die Validierung von ratingValue und feedbackText bereit.
+ * @fileoverview Stellt validate() und validateValue() für schema-basierte Validierung bereit.
  */
 
+import { ValidationError } from '../helpers/errors.js';
+import { translate, DEFAULT_LOCALE } from '../helpers/messages.js';
+
+// Einfache, bewusst großzügige Prüfung für ISO-8601-Datumsangaben (Datum oder Datum mit Uhrzeit)
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
- * Middleware zur Validierung von ratingValue für Bewertungen.
- * Prüft, ob ratingValue vorhanden, eine Ganzzahl und zwischen 1 und 5 ist.
- * Setzt ratingValue als Integer im Request-Body.
+ * Prüft ein Stringformat.
  *
- * @param {import('express').Request} req - Express Request Objekt
- * @param {import('express').Response} res - Express Response Objekt
- * @param {Function} next - Nächste Middleware
+ * @param {string} format - Formatname (uri, date-time, uuid)
+ * @param {string} value - Zu prüfender Wert
+ * @returns {boolean} true, wenn der Wert dem Format entspricht
  */
-export function validateRating(req, res, next) {
-    const value = req.body.ratingValue;
-    // In Integer umwandeln und prüfen
-    const ratingInt = parseInt(value, 10);
-    if (value === undefined || isNaN(ratingInt) || !Number.isInteger(ratingInt) || ratingInt < 1 || ratingInt > 5) {
-        return res.status(400).json({ error: 'ratingValue muss eine Ganzzahl zwischen 1 und 5 sein.' });
-    }
-    req.body.ratingValue = ratingInt; // Typ sicherstellen
-    next();
+function matchesFormat(format, value) {
+    switch (format) {
+        case 'uri':
+            try {
+                const url = new URL(value);
+                return (url.protocol === 'http:' || url.protocol === 'https:') && Boolean(url.hostname);
+            } catch {
+                return false;
+            }
+        case 'date-time':
+            return DATE_TIME_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+        case 'uuid':
+            return UUID_PATTERN.test(value);
+        default:
+            return true;
+    }
 }
 
 /**
- * Middleware zur Validierung von feedbackText für Feedback.
- * Prüft, ob feedbackText vorhanden, ein nicht-leerer String und zwischen 10 und 500 Zeichen lang ist.
- * Setzt feedbackText als getrimmten String im Request-Body.
+ * Wandelt einen String aus Query oder Pfad in den im Schema erwarteten Typ um.
  *
- * @param {import('express').Request} req - Express Request Objekt
- * @param {import('express').Response} res - Express Response Objekt
- * @param {Function} next - Nächste Middleware
+ * @param {Object} schema - Schema des Werts
+ * @param {*} value - Rohwert
+ * @returns {*} Umgewandelter Wert (oder der Rohwert, wenn keine Umwandlung möglich ist)
  */
-export function validateFeedback(req, res, next) {
-    const text = req.body.feedbackText;
-    // String prüfen und trimmen
-    if (typeof text !== 'string' || !text.trim()) {
-        return res.status(400).json({ error: 'feedbackText darf nicht leer sein.' });
+function coerce(schema, value) {
+    if (typeof value !== 'string') return value;
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
     }
-    if (text.trim().length < 10) {
-        return res.status(400).json({ error: 'feedbackText ist zu kurz (mindestens 10 Zeichen).' });
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
     }
-    if (text.trim().length > 500) {
-        return res.status(400).json({ error: 'feedbackText ist zu lang (maximal 500 Zeichen).' });
+    return value;
+}
+
+/**
+ * Liefert den JSON-Typnamen eines Werts.
+ *
+ * @param {*} value - Wert
+ * @returns {string} Typname (null, array, integer, number, string, boolean, object)
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Prüft einen Wert gegen ein Schema und sammelt alle Fehler.
+ * Strings werden getrimmt, bei options.coerce werden Strings in Zahlen/Booleans umgewandelt.
+ *
+ * @param {Object} schema - Schema (Teilmenge von JSON Schema)
+ * @param {*} value - Zu prüfender Wert
+ * @param {Object} [options] - Optionen
+ * @param {string} [options.path=''] - Feldpfad für Fehlermeldungen
+ * @param {boolean} [options.coerce=false] - Strings in den Schematyp umwandeln (Query/Pfad)
+ * @returns {{ value: *, errors: Array<{ field: string, code: string, message: string, params: Object }> }} Normalisierter Wert
+ *   und Fehler (message in der Standardsprache, params für die Übersetzung, siehe helpers/messages.js)
+ */
+export function validateValue(schema, value, { path = '', coerce: shouldCoerce = false } = {}) {
+    const errors = [];
+    const fail = (code, params = {}, field = path) => errors.push({
+        field,
+        code,
+        message: translate(DEFAULT_LOCALE, `validation.${code}`, params),
+        params
+    });
+
+    if (shouldCoerce) value = coerce(schema, value);
+    if (typeof value === 'string') value = value.trim();
+
+    const actual = typeOf(value);
+    const typeMatches = !schema.type
+        || actual === schema.type
+        || (schema.type === 'number' && actual === 'integer');
+    if (!typeMatches) {
+        fail('invalid_type', { type: schema.type });
+        return { value, errors };
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail('invalid_enum', { values: schema.enum.join(', ') });
     }
-    req.body.feedbackText = text.trim(); // Typ und Länge sicherstellen
-    next();
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(value.length === 0 ? 'required' : 'too_short', { min: schema.minLength });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail('too_long', { max: schema.maxLength });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail('pattern_mismatch');
+        }
+        if (schema.format && !matchesFormat(schema.format, value)) {
+            fail('invalid_format', { format: schema.format });
+        }
+    }
+
+    if (actual === 'integer' || actual === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail('too_small', { min: schema.minimum });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail('too_large', { max: schema.maximum });
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail('too_few_items', { min: schema.minItems });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail('too_many_items', { max: schema.maxItems });
+        }
+        if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+            fail('duplicate_items');
+        }
+        if (schema.items) {
+            value = value.map((item, i) => {
+                const result = validateValue(schema.items, item, { path: `${path}[${i}]`, coerce: shouldCoerce });
+                errors.push(...result.errors);
+                return result.value;
+            });
+        }
+    }
+
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        const normalized = {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null) {
+                fail('required', {}, path ? `${path}.${name}` : name);
+            }
+        }
+        for (const [name, fieldValue] of Object.entries(value)) {
+            const fieldPath = path ? `${path}.${name}` : name;
+            const propertySchema = properties[name];
+            if (!propertySchema) {
+                if (schema.additionalProperties === false) {
+                    fail('unknown_field', {}, fieldPath);
+                } else {
+                    normalized[name] = fieldValue;
+                }
+                continue;
+            }
+            if (fieldValue === undefined || fieldValue === null) {
+                normalized[name] = fieldValue;
+                continue;
+            }
+            const result = validateValue(propertySchema, fieldValue, { path: fieldPath, coerce: shouldCoerce });
+            errors.push(...result.errors);
+            normalized[name] = result.value;
+        }
+        value = normalized;
+    }
+
+    return { value, errors };
+}
+
+/**
+ * Erzeugt eine Middleware, die Body, Query und Pfadparameter gegen Schemas prüft.
+ * Bei Erfolg werden req.body und req.params durch die normalisierten Werte ersetzt,
+ * die umgewandelten Query-Parameter stehen in req.validatedQuery.
+ * Bei Fehlern wird ein ValidationError mit details: [{ location, field, code, message }]
+ * weitergereicht (Antwort siehe middleware/error_handler.js).
+ *
+ * @param {Object} schemas - Schemas je Bereich
+ * @param {Object} [schemas.body] - Schema für req.body
+ * @param {Object} [schemas.query] - Schema für req.query
+ * @param {Object} [schemas.params] - Schema für req.params
+ * @returns {Function} Express-Middleware
+ */
+export function validate({ body, query, params }) {
+    return function validationMiddleware(req, res, next) {
+        const details = [];
+        const check = (location, schema, value, coerceStrings) => {
+            const result = validateValue(schema, value ?? {}, { coerce: coerceStrings });
+            details.push(...result.errors.map(e => ({ location, ...e })));
+            return result.value;
+        };
+
+        const validatedParams = params ? check('params', params, req.params, true) : req.params;
+        const validatedQuery = query ? check('query', query, req.query, true) : req.query;
+        const validatedBody = body ? check('body', body, req.body, false) : req.body;
+
+        if (details.length > 0) {
+            return next(new ValidationError('invalid_request', {}, { details }));
+        }
+        if (params) req.params = validatedParams;
+        if (body) req.body = validatedBody;
+        req.validatedQuery = validatedQuery;
+        next();
+    };
 }
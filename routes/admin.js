@@ -0,0 +1,82 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import { checkIntegrity } from '../helpers/integrity.js';
+import { findAuditEntries } from '../helpers/audit.js';
+import { parseListQuery, paginate, buildLinkHeader } from '../helpers/list_query.js';
+import { validate } from '../middleware/validation.js';
+import { requireRole } from '../middleware/auth.js';
+import { emptyQuery, auditLogQuery } from '../schemas/resources.js';
+
+// Router-Instanz für alle /admin-Routen (nur für Admins)
+const router = express.Router();
+router.use(requireRole('admin'));
+
+// =====================
+// Integritäts-Endpunkte
+// =====================
+
+/**
+ * GET /admin/integrity
+ * Prüft die Datenhaltung auf verwaiste Bewertungen und Feedbacks, doppelte IDs,
+ * doppelte Bewertungen und schemawidrige Datensätze (siehe helpers/integrity.js).
+ * Berechtigung: admin
+ * Antwort: 200 OK mit Bericht ({ ok, counts, orphanedRatings, orphanedFeedback, ... })
+ */
+router.get('/integrity', validate({ query: emptyQuery }), async (req, res, next) => {
+    try {
+        res.json(await checkIntegrity());
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /admin/integrity/repair
+ * Prüft die Datenhaltung und bereinigt verwaiste und doppelte Datensätze.
+ * Schemafehler werden nur gemeldet.
+ * Berechtigung: admin
+ * Antwort: 200 OK mit Bericht inklusive repaired (Anzahl bereinigter Datensätze)
+ */
+router.post('/integrity/repair', validate({ query: emptyQuery }), async (req, res, next) => {
+    try {
+        res.json(await checkIntegrity({ repair: true }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =====================
+// Audit-Log
+// =====================
+
+/**
+ * GET /admin/audit
+ * Durchsucht das Audit-Log aller Ressourcen, Bewertungen und Feedbacks (auch gelöschter).
+ * Berechtigung: admin
+ * Query: Filter entityType (resource, rating, feedback), entityId, resourceId, actorId, action;
+ *   limit, offset oder cursor, sort (timestamp, version; Standard: -timestamp)
+ * Antwort: { data, pagination } und Link-Header
+ */
+router.get('/audit', validate({ query: auditLogQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, {
+            sortable: ['timestamp', 'version'],
+            selectable: [],
+            defaultSort: '-timestamp'
+        });
+        const { entityType, entityId, resourceId, actorId, action } = req.validatedQuery;
+        const filter = Object.fromEntries(
+            Object.entries({ entityType, entityId, resourceId, actorId, action }).filter(([, value]) => value !== undefined)
+        );
+        const page = paginate(await findAuditEntries(filter), listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
@@ -0,0 +1,183 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from '../helpers/data_manager.js';
+import {
+    slugFor, assertSlugAvailable, assertValidParent, subtreeIds, categoryPath, buildCategoryTree, moveCategoryResources
+} from '../helpers/taxonomy.js';
+import { validate } from '../middleware/validation.js';
+import { ConflictError, NotFoundError } from '../helpers/errors.js';
+import { requireRole } from '../middleware/auth.js';
+import { idParams, emptyQuery } from '../schemas/resources.js';
+import { categoryBody } from '../schemas/taxonomy.js';
+
+// Router-Instanz für alle /categories-Routen (hierarchische Kategorien für Ressourcen)
+const router = express.Router();
+
+// Sammlung der Kategorien (siehe helpers/data_manager.js)
+const CATEGORIES = 'categories';
+
+/**
+ * Ergänzt eine Kategorie um Breadcrumbs, direkte Unterkategorien und die Anzahl
+ * aktiver Ressourcen im Teilbaum.
+ *
+ * @param {Object} category - Gespeicherte Kategorie
+ * @param {Array<Object>} categories - Alle Kategorien
+ * @returns {Promise<Object>} Kategorie mit path, children und resourceCount
+ */
+async function withDetails(category, categories) {
+    const resources = await storage.find('resources', { deletedAt: null });
+    const ids = subtreeIds(categories, category.id);
+    return {
+        ...category,
+        path: categoryPath(categories, category.id),
+        children: categories
+            .filter(c => c.parentId === category.id)
+            .map(({ id, name, slug }) => ({ id, name, slug }))
+            .sort((a, b) => a.name.localeCompare(b.name, 'de', { sensitivity: 'base' })),
+        resourceCount: resources.filter(r => ids.has(r.categoryId)).length
+    };
+}
+
+// =====================
+// Kategorie-Endpunkte
+// =====================
+
+/**
+ * GET /categories
+ * Liefert den Kategoriebaum für die Navigation; jede Kategorie enthält children und
+ * resourceCount (aktive Ressourcen einschließlich aller Unterkategorien).
+ * Antwort: Array der obersten Kategorien, jeweils nach Name sortiert
+ */
+router.get('/', validate({ query: emptyQuery }), async (req, res, next) => {
+    try {
+        const [categories, resources] = await Promise.all([
+            storage.find(CATEGORIES),
+            storage.find('resources', { deletedAt: null })
+        ]);
+        res.json(buildCategoryTree(categories, resources));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /categories
+ * Legt eine Kategorie an (ohne parentId auf oberster Ebene); ohne slug wird er aus dem
+ * Namen abgeleitet.
+ * Berechtigung: moderator
+ * Erwartet: { name, slug (optional), description (optional), parentId (optional) }
+ * Antwort:
+ *   - 201 Created mit der Kategorie (inkl. path, children, resourceCount)
+ *   - 400 bei ungültigen Feldern oder unbekannter parentId
+ *   - 409 wenn der Slug bereits vergeben ist
+ */
+router.post('/', requireRole('moderator'), validate({ query: emptyQuery, body: categoryBody }), async (req, res, next) => {
+    try {
+        const slug = slugFor(req.body);
+        // Die Sperre verhindert doppelte Slugs und Zyklen bei gleichzeitigen Änderungen
+        const { category, categories } = await storage.withFileLock('categories:tree', async () => {
+            const all = await storage.find(CATEGORIES);
+            assertValidParent(all, req.body.parentId, null);
+            await assertSlugAvailable(CATEGORIES, slug, null);
+            const now = new Date().toISOString();
+            const { name, description, parentId } = req.body;
+            const newCategory = { id: uuidv4(), name, slug, description, parentId, createdAt: now, updatedAt: now };
+            await storage.insert(CATEGORIES, newCategory);
+            return { category: newCategory, categories: [...all, newCategory] };
+        });
+        res.status(201).json(await withDetails(category, categories));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /categories/:id
+ * Gibt eine Kategorie mit Breadcrumbs (path, oberste zuerst), direkten Unterkategorien
+ * (children) und der Anzahl aktiver Ressourcen im Teilbaum zurück.
+ * Antwort: 200 OK, 404 wenn die Kategorie nicht existiert
+ */
+router.get('/:id', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const categories = await storage.find(CATEGORIES);
+        const category = categories.find(c => c.id === req.params.id);
+        if (!category) {
+            throw new NotFoundError('category_not_found');
+        }
+        res.json(await withDetails(category, categories));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /categories/:id
+ * Ersetzt eine Kategorie; über parentId lässt sie sich samt Unterkategorien verschieben
+ * (ohne parentId auf die oberste Ebene).
+ * Berechtigung: moderator
+ * Antwort:
+ *   - 200 OK mit der Kategorie
+ *   - 400 bei ungültigen Feldern oder unbekannter parentId
+ *   - 404 wenn die Kategorie nicht existiert
+ *   - 409 wenn der Slug vergeben ist oder die Kategorie unter sich selbst läge
+ */
+router.put('/:id', requireRole('moderator'), validate({ params: idParams('id'), query: emptyQuery, body: categoryBody }), async (req, res, next) => {
+    try {
+        const slug = slugFor(req.body);
+        const { category, categories } = await storage.withFileLock('categories:tree', async () => {
+            const all = await storage.find(CATEGORIES);
+            const existing = all.find(c => c.id === req.params.id);
+            if (!existing) {
+                throw new NotFoundError('category_not_found');
+            }
+            assertValidParent(all, req.body.parentId, existing.id);
+            await assertSlugAvailable(CATEGORIES, slug, existing.id);
+            const { name, description, parentId } = req.body;
+            const updated = await storage.update(CATEGORIES, existing.id, {
+                name,
+                slug,
+                description,
+                parentId,
+                updatedAt: new Date().toISOString()
+            });
+            return { category: updated, categories: all.map(c => (c.id === updated.id ? updated : c)) };
+        });
+        res.json(await withDetails(category, categories));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /categories/:id
+ * Löscht eine Kategorie ohne Unterkategorien. Ihre Ressourcen wandern in die
+ * übergeordnete Kategorie (bei einer obersten Kategorie verlieren sie die Zuordnung).
+ * Berechtigung: moderator
+ * Antwort: 204 No Content, 404 wenn die Kategorie nicht existiert,
+ *   409 wenn sie noch Unterkategorien hat
+ */
+router.delete('/:id', requireRole('moderator'), validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        await storage.withFileLock('categories:tree', async () => {
+            const all = await storage.find(CATEGORIES);
+            const existing = all.find(c => c.id === req.params.id);
+            if (!existing) {
+                throw new NotFoundError('category_not_found');
+            }
+            if (all.some(c => c.parentId === existing.id)) {
+                throw new ConflictError('category_has_children');
+            }
+            await moveCategoryResources(existing.id, existing.parentId, req.user.id);
+            await storage.remove(CATEGORIES, existing.id);
+        });
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
@@ -0,0 +1,199 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from '../helpers/data_manager.js';
+import { parseListQuery, paginate, buildLinkHeader } from '../helpers/list_query.js';
+import { canView, checkCollectionResources, resourceSummaries, withCount, withResourceLocks } from '../helpers/collections.js';
+import { validate } from '../middleware/validation.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../helpers/errors.js';
+import { requireRole, hasRole, isOwnerOrHasRole, resolveActingUserId } from '../middleware/auth.js';
+import { idParams, emptyQuery } from '../schemas/resources.js';
+import { collectionBody, collectionListQuery, COLLECTION_SORTABLE_FIELDS } from '../schemas/collections.js';
+
+// Router-Instanz für alle /collections-Routen (Sammlungen von Katalog-Ressourcen)
+const router = express.Router();
+
+// Sammlung der Sammlungen (siehe helpers/data_manager.js)
+const COLLECTIONS = 'collections';
+
+/**
+ * Prüft die Ressourcen einer Sammlung vor dem Speichern.
+ *
+ * @param {string[]} resourceIds - Ressourcen-IDs aus dem Request-Body
+ * @throws {ValidationError} Bei unbekannten oder gelöschten Ressourcen (400)
+ */
+async function assertValidResources(resourceIds) {
+    const details = await checkCollectionResources(resourceIds);
+    if (details.length > 0) {
+        throw new ValidationError('invalid_request', {}, { details });
+    }
+}
+
+/**
+ * Lädt eine Sammlung, die der Nutzer sehen darf. Private Sammlungen anderer Nutzer
+ * werden wie fehlende behandelt, damit ihre Existenz nicht erkennbar ist.
+ *
+ * @param {string} id - ID der Sammlung
+ * @param {Object|null} user - req.user
+ * @returns {Promise<Object>} Sammlung
+ * @throws {NotFoundError} Wenn die Sammlung fehlt oder nicht sichtbar ist (404)
+ */
+async function findVisibleCollection(id, user) {
+    const collection = await storage.findById(COLLECTIONS, id);
+    if (!collection || !canView(collection, user)) {
+        throw new NotFoundError('collection_not_found');
+    }
+    return collection;
+}
+
+/**
+ * Ergänzt eine Sammlung um resourceCount und die Zusammenfassungen ihrer Ressourcen.
+ *
+ * @param {Object} collection - Gespeicherte Sammlung
+ * @returns {Promise<Object>} Sammlung mit resourceCount und resources
+ */
+async function withResources(collection) {
+    return { ...withCount(collection), resources: await resourceSummaries(collection.resourceIds) };
+}
+
+// =====================
+// Sammlungs-Endpunkte
+// =====================
+
+/**
+ * GET /collections
+ * Listet die sichtbaren Sammlungen (öffentliche, eigene und für Moderatoren alle) mit
+ * Anzahl der Ressourcen (resourceCount).
+ * Query: limit, offset oder cursor, sort (title, resourceCount, createdAt, updatedAt),
+ *   Filter userId, visibility, resourceId (Sammlungen, die die Ressource enthalten)
+ * Antwort: { data, pagination } und Link-Header
+ */
+router.get('/', validate({ query: collectionListQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, {
+            sortable: COLLECTION_SORTABLE_FIELDS,
+            selectable: [],
+            defaultSort: 'createdAt'
+        });
+        const { userId, visibility, resourceId } = req.validatedQuery;
+        const collections = (await storage.find(COLLECTIONS, userId ? { userId } : {}))
+            .filter(c => canView(c, req.user))
+            .filter(c => !visibility || c.visibility === visibility)
+            .filter(c => !resourceId || c.resourceIds.includes(resourceId))
+            .map(withCount);
+        const page = paginate(collections, listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /collections
+ * Legt eine Sammlung an. Alle Ressourcen müssen existieren; die Reihenfolge von
+ * resourceIds bleibt erhalten.
+ * Berechtigung: angemeldeter Nutzer (reader); userId nur für Services und Admins
+ * Erwartet: { title, description (optional), visibility (private oder public, Standard: private),
+ *   resourceIds (optional) }
+ * Antwort:
+ *   - 201 Created mit der Sammlung samt resources (id, title, type, url, averageRating)
+ *   - 400 bei ungültigen Feldern oder unbekannten Ressourcen
+ */
+router.post('/', requireRole('reader'), validate({ query: emptyQuery, body: collectionBody }), async (req, res, next) => {
+    try {
+        const userId = resolveActingUserId(req, req.body.userId);
+        if (!userId) {
+            throw new ForbiddenError('collection_own_name_only');
+        }
+        const { title, description, visibility = 'private', resourceIds = [] } = req.body;
+        // Unter den Sperren der Ressourcen, damit keine während der Prüfung endgültig gelöscht wird
+        const collection = await withResourceLocks(resourceIds, async () => {
+            await assertValidResources(resourceIds);
+            const now = new Date().toISOString();
+            const created = { id: uuidv4(), userId, title, description, visibility, resourceIds, createdAt: now, updatedAt: now };
+            await storage.insert(COLLECTIONS, created);
+            return created;
+        });
+        res.status(201).json(await withResources(collection));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /collections/:id
+ * Gibt eine Sammlung mit den Zusammenfassungen ihrer Ressourcen in gespeicherter
+ * Reihenfolge zurück (averageRating wie in GET /resources/:id); gelöschte Ressourcen
+ * werden ausgelassen.
+ * Berechtigung: öffentliche Sammlungen alle, private nur Eigentümer und Moderatoren
+ * Antwort: 200 OK, 404 wenn die Sammlung nicht existiert oder nicht sichtbar ist
+ */
+router.get('/:id', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const collection = await findVisibleCollection(req.params.id, req.user);
+        res.json(await withResources(collection));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /collections/:id
+ * Ersetzt eine Sammlung vollständig; nicht übergebene optionale Felder werden entfernt bzw.
+ * zurückgesetzt (visibility: private, resourceIds: leer). Bereits enthaltene, inzwischen
+ * weich gelöschte Ressourcen dürfen erhalten bleiben.
+ * Berechtigung: Eigentümer (userId) oder moderator
+ * Antwort: 200 OK mit der Sammlung samt resources, 400 wie bei POST, 404 wenn sie nicht existiert
+ */
+router.put('/:id', requireRole('reader'), validate({ params: idParams('id'), query: emptyQuery, body: collectionBody }), async (req, res, next) => {
+    try {
+        const { title, description, visibility = 'private', resourceIds = [] } = req.body;
+        // Erst die Sperren der Ressourcen, dann die der Sammlung (dieselbe Reihenfolge wie
+        // beim endgültigen Löschen einer Ressource, siehe removeResourceFromCollections)
+        const updated = await withResourceLocks(resourceIds, () => storage.withFileLock(`collection:${req.params.id}`, async () => {
+            const existing = await findVisibleCollection(req.params.id, req.user);
+            if (!isOwnerOrHasRole(req.user, existing.userId)) {
+                throw new ForbiddenError('collection_update_forbidden');
+            }
+            await assertValidResources(resourceIds.filter(id => !existing.resourceIds.includes(id)));
+            // Den Eigentümer ändern nur Moderatoren
+            const userId = hasRole(req.user, 'moderator') && req.body.userId ? req.body.userId : existing.userId;
+            return storage.update(COLLECTIONS, existing.id, {
+                title,
+                description,
+                visibility,
+                resourceIds,
+                userId,
+                updatedAt: new Date().toISOString()
+            });
+        }));
+        res.json(await withResources(updated));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /collections/:id
+ * Löscht eine Sammlung (die Ressourcen bleiben erhalten).
+ * Berechtigung: Eigentümer (userId) oder moderator
+ * Antwort: 204 No Content, 404 wenn die Sammlung nicht existiert
+ */
+router.delete('/:id', requireRole('reader'), validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const existing = await findVisibleCollection(req.params.id, req.user);
+        if (!isOwnerOrHasRole(req.user, existing.userId)) {
+            throw new ForbiddenError('collection_delete_forbidden');
+        }
+        await storage.remove(COLLECTIONS, existing.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
@@ -0,0 +1,120 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import * as storage from '../helpers/data_manager.js';
+import { EVENT_TYPES, subscribe, eventsSince } from '../helpers/events.js';
+import { isVisible } from '../helpers/feedback.js';
+import { validate } from '../middleware/validation.js';
+import { ValidationError } from '../helpers/errors.js';
+import { requireRole } from '../middleware/auth.js';
+import { eventStreamQuery } from '../schemas/webhooks.js';
+
+// Router-Instanz für den Event-Stream unter /events
+const router = express.Router();
+
+// Abstand der Keep-Alive-Kommentare, damit Proxys die Verbindung nicht schließen
+const HEARTBEAT_MS = 25000;
+
+// Offene Streams, damit sie beim Herunterfahren beendet werden können
+const openStreams = new Set();
+
+/**
+ * Beendet alle offenen Event-Streams (beim Herunterfahren des Servers). Clients verbinden
+ * sich nach retry neu und erhalten verpasste Events über Last-Event-ID.
+ */
+export function closeEventStreams() {
+    for (const res of openStreams) res.end();
+    openStreams.clear();
+}
+
+/**
+ * Schreibt ein Event im Server-Sent-Events-Format.
+ *
+ * @param {import('express').Response} res - Express Response Objekt
+ * @param {Object} event - Event aus helpers/events.js
+ */
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Prüft beim Senden, ob ein Event noch sichtbar ist: feedback.created nur, solange das
+ * Feedback existiert und freigegeben ist (wichtig für nachgelieferte Events nach
+ * Last-Event-ID, wenn das Feedback inzwischen gemeldet, abgelehnt oder gelöscht wurde).
+ *
+ * @param {Object} event - Event aus helpers/events.js
+ * @returns {Promise<boolean>} true, wenn das Event gesendet werden darf
+ */
+async function isVisibleEvent(event) {
+    if (event.type !== 'feedback.created') return true;
+    const feedback = await storage.findById('feedback', event.data.feedback.id);
+    return Boolean(feedback) && isVisible(feedback);
+}
+
+// =====================
+// Event-Stream
+// =====================
+
+/**
+ * GET /events
+ * Server-Sent-Events-Stream aller Katalogänderungen (resource.created, resource.updated,
+ * resource.deleted, rating.created, feedback.created). Jedes Event wird mit id, event (Typ)
+ * und data (Event als JSON) gesendet; mit dem Header Last-Event-ID werden die seither
+ * verpassten Events nachgeliefert, soweit sie noch vorgehalten werden. feedback.created wird
+ * nur für freigegebenes Feedback gesendet.
+ * Berechtigung: angemeldeter Nutzer (reader)
+ * Query: types (kommagetrennte Event-Typen, Standard: alle)
+ * Antwort: 200 OK mit Content-Type text/event-stream (die Verbindung bleibt offen),
+ *   400 bei unbekanntem Event-Typ
+ */
+router.get('/', requireRole('reader'), validate({ query: eventStreamQuery }), (req, res, next) => {
+    try {
+        const types = req.validatedQuery.types ? req.validatedQuery.types.split(',') : null;
+        const unknown = (types || []).filter(type => !EVENT_TYPES.includes(type));
+        if (unknown.length > 0) {
+            throw new ValidationError('invalid_request', {}, {
+                details: [{ location: 'query', field: 'types', code: 'invalid_enum', params: { values: EVENT_TYPES.join(', ') } }]
+            });
+        }
+        const wanted = event => !types || types.includes(event.type);
+
+        res.set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        // Die Sichtbarkeit wird asynchron geprüft; die Kette hält die Reihenfolge der Events
+        let sending = Promise.resolve();
+        const send = event => {
+            if (!wanted(event)) return;
+            sending = sending
+                .then(async () => {
+                    if (await isVisibleEvent(event) && !res.writableEnded) writeEvent(res, event);
+                })
+                .catch(err => req.log.error('Event konnte nicht gesendet werden', { eventId: event.id, err }));
+        };
+        const lastEventId = req.get('Last-Event-ID');
+        if (lastEventId) {
+            eventsSince(lastEventId).forEach(send);
+        }
+        const unsubscribe = subscribe(send);
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+        heartbeat.unref();
+        openStreams.add(res);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            openStreams.delete(res);
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
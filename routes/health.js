@@ -0,0 +1,75 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import { checkDataDirectory, getStore } from '../helpers/data_manager.js';
+import { isShuttingDown } from '../helpers/lifecycle.js';
+import { log } from '../helpers/log.js';
+
+// Router-Instanz für die Health-Checks unter /health (ohne Anmeldung, nicht versioniert)
+const router = express.Router();
+
+// Health-Checks sollen nie aus einem Cache beantwortet werden
+router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+/**
+ * Führt eine Einzelprüfung aus.
+ *
+ * @param {string} name - Name der Prüfung (für das Log)
+ * @param {function(): Promise<void>} check - Wirft bei Fehlschlag
+ * @returns {Promise<{ status: string, error?: string }>} Ergebnis
+ */
+async function runCheck(name, check) {
+    try {
+        await check();
+        return { status: 'ok' };
+    } catch (err) {
+        log.warn('Readiness-Prüfung fehlgeschlagen', { check: name, err });
+        return { status: 'failed', error: err.code || err.message };
+    }
+}
+
+// =====================
+// Health-Endpunkte
+// =====================
+
+/**
+ * GET /health/live
+ * Liveness: Der Prozess läuft und beantwortet Anfragen (keine Prüfung von Abhängigkeiten,
+ * damit ein voller Datenträger nicht zu Neustarts führt).
+ * Antwort: 200 OK mit { status: 'ok', uptime } (Sekunden)
+ */
+router.get('/live', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+/**
+ * GET /health/ready
+ * Readiness: Der data-Ordner ist les- und beschreibbar, das Storage-Backend ist geöffnet und
+ * der Server fährt nicht gerade herunter.
+ * Antwort:
+ *   - 200 OK mit { status: 'ready', checks: { dataDirectory, storage } }
+ *   - 503 Service Unavailable mit { status: 'unavailable', checks } (shuttingDown: true beim Herunterfahren)
+ */
+router.get('/ready', async (req, res, next) => {
+    try {
+        const [dataDirectory, storage] = await Promise.all([
+            runCheck('dataDirectory', checkDataDirectory),
+            runCheck('storage', getStore)
+        ]);
+        const checks = { dataDirectory, storage };
+        const shuttingDown = isShuttingDown();
+        const ready = !shuttingDown && Object.values(checks).every(check => check.status === 'ok');
+        const body = { status: ready ? 'ready' : 'unavailable', checks };
+        if (shuttingDown) body.shuttingDown = true;
+        res.status(ready ? 200 : 503).json(body);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
@@ -0,0 +1,85 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import * as storage from '../helpers/data_manager.js';
+import * as searchIndex from '../helpers/search_index.js';
+import { normalizeFeedback, publicFeedback, needsPublication, openFlags } from '../helpers/feedback.js';
+import { publishEvent } from '../helpers/events.js';
+import { recordChange } from '../helpers/audit.js';
+import { parseListQuery, paginate, buildLinkHeader } from '../helpers/list_query.js';
+import { validate } from '../middleware/validation.js';
+import { NotFoundError } from '../helpers/errors.js';
+import { requireRole } from '../middleware/auth.js';
+import { idParams, moderationQueueQuery, moderationDecisionBody, emptyQuery } from '../schemas/resources.js';
+
+// Router-Instanz für alle /moderation-Routen (nur für Moderatoren)
+const router = express.Router();
+router.use(requireRole('moderator'));
+
+// =====================
+// Moderations-Endpunkte
+// =====================
+
+/**
+ * GET /moderation/feedback
+ * Listet die Moderations-Warteschlange: ohne status alle wartenden und gemeldeten
+ * Feedbacks (pending, flagged) sowie sichtbare mit offenen Meldungen unterhalb von
+ * FEEDBACK_FLAG_THRESHOLD, sonst alle mit dem angegebenen Status.
+ * Berechtigung: moderator
+ * Query: status, resourceId, limit, offset oder cursor
+ * Antwort: { data, pagination } und Link-Header, älteste zuerst
+ */
+router.get('/feedback', validate({ query: moderationQueueQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, { sortable: ['createdAt'], selectable: [], defaultSort: 'createdAt' });
+        const { status, resourceId } = req.validatedQuery;
+        const statuses = status ? [status] : ['pending', 'flagged'];
+        const feedbacks = (await storage.find('feedback', resourceId ? { resourceId } : {}))
+            .map(normalizeFeedback)
+            .filter(f => statuses.includes(f.status) || (!status && f.status === 'approved' && openFlags(f).length > 0));
+        const page = paginate(feedbacks, listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /moderation/feedback/:feedbackId
+ * Gibt ein Feedback frei oder lehnt es ab. Bei der ersten Freigabe wird feedback.created
+ * veröffentlicht (Event-Stream und Webhooks).
+ * Berechtigung: moderator
+ * Erwartet: { status: 'approved' | 'rejected', note (optional) }
+ * Antwort:
+ *   - 200 OK, aktualisiertes Feedback-Objekt mit moderation { by, at, note }
+ *   - 404 wenn Feedback nicht existiert
+ */
+router.put('/feedback/:feedbackId', validate({ params: idParams('feedbackId'), query: emptyQuery, body: moderationDecisionBody }), async (req, res, next) => {
+    try {
+        const { feedbackId } = req.params;
+        const { status, note = null } = req.body;
+        const feedback = await storage.findById('feedback', feedbackId);
+        if (!feedback) {
+            throw new NotFoundError('feedback_not_found');
+        }
+        const now = new Date().toISOString();
+        const decided = { ...normalizeFeedback(feedback), status, moderation: { by: req.user.id, at: now, note }, timestamp: undefined };
+        const publish = needsPublication(feedback, decided);
+        if (publish) decided.publishedAt = now;
+        const updated = await storage.update('feedback', feedbackId, decided);
+        searchIndex.indexFeedback(updated);
+        await recordChange('feedback', 'update', { before: feedback, after: updated, actorId: req.user.id });
+        if (publish) {
+            publishEvent('feedback.created', { feedback: publicFeedback(updated) }, { actorId: req.user.id, resourceId: updated.resourceId });
+        }
+        res.json(updated);
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
@@ -0,0 +1,241 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from '../helpers/data_manager.js';
+import { parseListQuery, paginate, buildLinkHeader } from '../helpers/list_query.js';
+import { pathItems, totalMinutes, checkPathReferences, topologicalOrder } from '../helpers/learning_paths.js';
+import { validate } from '../middleware/validation.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../helpers/errors.js';
+import { requireRole, hasRole, isOwnerOrHasRole, resolveActingUserId } from '../middleware/auth.js';
+import { idParams, emptyQuery } from '../schemas/resources.js';
+import { pathBody, pathListQuery, PATH_SORTABLE_FIELDS } from '../schemas/paths.js';
+
+// Router-Instanz für alle /paths-Routen (Lernpfade aus Katalog-Ressourcen)
+const router = express.Router();
+
+// Sammlung der Lernpfade (siehe helpers/data_manager.js)
+const PATHS = 'paths';
+
+/**
+ * Prüft Verweise und Voraussetzungen eines Lernpfads vor dem Speichern.
+ *
+ * @param {Object} path - Lernpfad aus dem Request-Body
+ * @throws {ValidationError} Bei unbekannten Ressourcen oder Voraussetzungen (400)
+ * @throws {ConflictError} Wenn die Voraussetzungen einen Zyklus bilden (409)
+ */
+async function assertValidPath(path) {
+    const details = await checkPathReferences(path);
+    if (details.length > 0) {
+        throw new ValidationError('invalid_request', {}, { details });
+    }
+    assertAcyclic(topologicalOrder(path));
+}
+
+/**
+ * Wirft einen ConflictError, wenn die berechnete Reihenfolge einen Zyklus enthält.
+ *
+ * @param {{ cycle: string[]|null }} result - Ergebnis von topologicalOrder
+ * @throws {ConflictError} Bei einem Zyklus (Einzelfehler mit den beteiligten resourceIds)
+ */
+function assertAcyclic({ cycle }) {
+    if (!cycle) return;
+    throw new ConflictError('path_cycle', {}, {
+        details: [{ field: 'sections', code: 'prerequisite_cycle', params: { cycle: cycle.join(' → ') }, resourceIds: cycle }]
+    });
+}
+
+/**
+ * Ergänzt einen Lernpfad um die Gesamtdauer und die Anzahl der Einträge.
+ *
+ * @param {Object} path - Gespeicherter Lernpfad
+ * @returns {Object} Lernpfad mit estimatedMinutes und itemCount
+ */
+function withTotals(path) {
+    return { ...path, estimatedMinutes: totalMinutes(path), itemCount: pathItems(path).length };
+}
+
+// =====================
+// Lernpfad-Endpunkte
+// =====================
+
+/**
+ * GET /paths
+ * Listet Lernpfade mit Gesamtdauer (estimatedMinutes) und Anzahl der Einträge (itemCount).
+ * Query: limit, offset oder cursor, sort (title, difficulty, estimatedMinutes, createdAt, updatedAt),
+ *   Filter difficulty, authorId, resourceId (Pfade, die die Ressource enthalten)
+ * Antwort: { data, pagination } und Link-Header
+ */
+router.get('/', validate({ query: pathListQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, {
+            sortable: PATH_SORTABLE_FIELDS,
+            selectable: [],
+            defaultSort: 'createdAt'
+        });
+        const { difficulty, authorId, resourceId } = req.validatedQuery;
+        const paths = (await storage.find(PATHS))
+            .filter(p => !difficulty || p.difficulty === difficulty)
+            .filter(p => !authorId || p.authorId === authorId)
+            .filter(p => !resourceId || pathItems(p).some(item => item.resourceId === resourceId))
+            .map(withTotals);
+        const page = paginate(paths, listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /paths
+ * Legt einen Lernpfad an. Alle Ressourcen müssen existieren, Voraussetzungen müssen
+ * auf Ressourcen desselben Pfads verweisen und dürfen keinen Zyklus bilden.
+ * Berechtigung: contributor; authorId ist der angemeldete Nutzer
+ * Erwartet: { title, description, difficulty, sections: [{ title, description, items:
+ *   [{ resourceId, estimatedMinutes, difficulty, prerequisites, note }] }] }
+ * Antwort:
+ *   - 201 Created mit dem Lernpfad
+ *   - 400 bei ungültigen Feldern oder unbekannten Ressourcen
+ *   - 409 wenn die Voraussetzungen einen Zyklus bilden
+ */
+router.post('/', requireRole('contributor'), validate({ query: emptyQuery, body: pathBody }), async (req, res, next) => {
+    try {
+        const authorId = resolveActingUserId(req, req.body.authorId);
+        if (!authorId) {
+            throw new ForbiddenError('path_own_name_only');
+        }
+        await assertValidPath(req.body);
+        const now = new Date().toISOString();
+        const path = { id: uuidv4(), ...req.body, authorId, createdAt: now, updatedAt: now };
+        await storage.insert(PATHS, path);
+        res.status(201).json(withTotals(path));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /paths/:id
+ * Gibt einen Lernpfad zurück; jeder Eintrag enthält die Ressource (id, title, type, url)
+ * oder null, wenn sie nicht mehr verfügbar ist.
+ * Antwort: 200 OK, 404 wenn der Lernpfad nicht existiert
+ */
+router.get('/:id', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const path = await storage.findById(PATHS, req.params.id);
+        if (!path) {
+            throw new NotFoundError('path_not_found');
+        }
+        const resources = new Map();
+        for (const { resourceId } of pathItems(path)) {
+            const resource = await storage.findById('resources', resourceId);
+            resources.set(resourceId, resource && !resource.deletedAt
+                ? { id: resource.id, title: resource.title, type: resource.type, url: resource.url }
+                : null);
+        }
+        res.json(withTotals({
+            ...path,
+            sections: path.sections.map(section => ({
+                ...section,
+                items: section.items.map(item => ({ ...item, resource: resources.get(item.resourceId) }))
+            }))
+        }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /paths/:id/order
+ * Berechnet eine Reihenfolge der Ressourcen, in der jede nach ihren Voraussetzungen kommt
+ * (topologische Sortierung, die gespeicherte Reihenfolge bleibt so weit wie möglich erhalten).
+ * Antwort:
+ *   - 200 OK, { pathId, respectsStoredOrder, estimatedMinutes, order: [{ position, resourceId,
+ *     sectionTitle, estimatedMinutes, prerequisites }] }
+ *   - 404 wenn der Lernpfad nicht existiert
+ *   - 409 wenn die Voraussetzungen einen Zyklus bilden (details[0].resourceIds)
+ */
+router.get('/:id/order', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const path = await storage.findById(PATHS, req.params.id);
+        if (!path) {
+            throw new NotFoundError('path_not_found');
+        }
+        const result = topologicalOrder(path);
+        assertAcyclic(result);
+        res.json({
+            pathId: path.id,
+            respectsStoredOrder: result.respectsStoredOrder,
+            estimatedMinutes: totalMinutes(path),
+            order: result.order.map((item, position) => ({
+                position,
+                resourceId: item.resourceId,
+                sectionTitle: item.sectionTitle,
+                estimatedMinutes: item.estimatedMinutes ?? null,
+                prerequisites: item.prerequisites
+            }))
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /paths/:id
+ * Ersetzt einen Lernpfad vollständig (gleiche Prüfungen wie POST /paths).
+ * Berechtigung: Autor (authorId) mit Rolle contributor oder moderator
+ * Antwort: 200 OK mit dem Lernpfad, 400/409 wie bei POST, 404 wenn er nicht existiert
+ */
+router.put('/:id', requireRole('contributor'), validate({ params: idParams('id'), query: emptyQuery, body: pathBody }), async (req, res, next) => {
+    try {
+        const existing = await storage.findById(PATHS, req.params.id);
+        if (!existing) {
+            throw new NotFoundError('path_not_found');
+        }
+        if (!isOwnerOrHasRole(req.user, existing.authorId)) {
+            throw new ForbiddenError('path_update_forbidden');
+        }
+        await assertValidPath(req.body);
+        // Den Autor ändern nur Moderatoren; nicht übergebene optionale Felder werden entfernt
+        const { title, description, difficulty, sections } = req.body;
+        const authorId = hasRole(req.user, 'moderator') && req.body.authorId ? req.body.authorId : existing.authorId;
+        const updated = await storage.update(PATHS, existing.id, {
+            title,
+            description,
+            difficulty,
+            sections,
+            authorId,
+            updatedAt: new Date().toISOString()
+        });
+        res.json(withTotals(updated));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /paths/:id
+ * Löscht einen Lernpfad (die Ressourcen bleiben erhalten).
+ * Berechtigung: Autor (authorId) mit Rolle contributor oder moderator
+ * Antwort: 204 No Content, 404 wenn der Lernpfad nicht existiert
+ */
+router.delete('/:id', requireRole('contributor'), validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const existing = await storage.findById(PATHS, req.params.id);
+        if (!existing) {
+            throw new NotFoundError('path_not_found');
+        }
+        if (!isOwnerOrHasRole(req.user, existing.authorId)) {
+            throw new ForbiddenError('path_delete_forbidden');
+        }
+        await storage.remove(PATHS, existing.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
@@ -4,9 +4,40 @@
 // =====================
 import express from 'express';
 // Importiere zentrale Dateioperationen und Middleware
-import { readData, writeData } from '../helpers/data_manager.js';
-import logger from '../middleware/logger.js';
-import { validateRating, validateFeedback } from '../middleware/validation.js';
+import * as storage from '../helpers/data_manager.js';
+import { withFileLock } from '../helpers/data_manager.js';
+import { validate, validateValue } from '../middleware/validation.js';
+import { AppError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../helpers/errors.js';
+import { recordChange, findAuditEntries, findResourceVersion } from '../helpers/audit.js';
+import { MERGE_PATCH_CONTENT_TYPES, applyMergePatch } from '../helpers/merge_patch.js';
+import { resourceValidators, resourceEtag, assertIfMatch } from '../helpers/conditional.js';
+import { localizeDetails, resolveLocale } from '../helpers/messages.js';
+import { requireRole, hasRole, isOwnerOrHasRole, resolveActingUserId } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate_limit.js';
+import {
+    idParams, resourceBody, resourceDraftBody, resourceCreateQuery, enrichBody, ratingBody, ratingUpdateBody, feedbackBody, feedbackUpdateBody, feedbackFlagBody,
+    resourceListQuery, ratingListQuery, searchQuery, topRatedQuery, resourceDeleteQuery, resourceImportQuery,
+    resourceExportQuery, historyListQuery, revertBody, brokenLinksQuery, emptyQuery,
+    RATING_SORTABLE_FIELDS
+} from '../schemas/resources.js';
+import * as searchIndex from '../helpers/search_index.js';
+import * as ratingStats from '../helpers/rating_stats.js';
+import {
+    initialStatus, normalizeFeedback, collectReplyIds, publicFeedback, needsPublication, flagThreshold, openFlags
+} from '../helpers/feedback.js';
+import { detectSpam, spamFlag } from '../helpers/feedback_spam.js';
+import {
+    findActiveResource, deleteResourceCascade, softDeleteResource, restoreResource, revertResource
+} from '../helpers/resource_lifecycle.js';
+import { checkTaxonomyReferences, taxonomyFilter, facetCounts } from '../helpers/taxonomy.js';
+import { parseListQuery, paginate, buildLinkHeader, ListQueryError } from '../helpers/list_query.js';
+import { IMPORT_CONTENT_TYPES, detectFormat, parseImport, importResources } from '../helpers/resource_import.js';
+import { EXPORT_FORMATS, exportResources } from '../helpers/resource_export.js';
+import { checkResourceLink, getLinkStatus, findBrokenLinks } from '../helpers/link_checker.js';
+import { enrichUrl } from '../helpers/url_metadata.js';
+import { normalizeUrl } from '../helpers/url.js';
+import { publishEvent } from '../helpers/events.js';
+import { once } from 'events';
 import path from 'path'; // Nur für __dirname
 import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
@@ -18,62 +49,220 @@ const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Dateinamen für zentrale Datenhaltung
-const RESOURCES_FILE = 'resources.json';
-const RATINGS_FILE = 'ratings.json';
-const FEEDBACK_FILE = 'feedback.json';
+// Sammlungen der zentralen Datenhaltung (siehe helpers/data_manager.js)
+const RESOURCES = 'resources';
+const RATINGS = 'ratings';
+const FEEDBACK = 'feedback';
 
+// Erlaubte Felder für Sortierung und Feldauswahl in GET /resources
+const SORTABLE_FIELDS = ['id', 'title', 'type', 'authorId', 'averageRating', 'createdAt', 'updatedAt'];
+const SELECTABLE_FIELDS = ['id', 'title', 'type', 'authorId', 'url', 'description', 'tagIds', 'categoryId', 'averageRating', 'createdAt', 'updatedAt'];
 
-// =====================
-// Middleware: Logging für alle Requests
-// =====================
-router.use(logger); // Protokolliert alle Anfragen und Antworten
+// Standard-Rate-Limits je handelndem Nutzer (überschreibbar per RATE_LIMIT_RATING bzw. RATE_LIMIT_FEEDBACK)
+const RATING_RATE_LIMIT = { capacity: 30, windowSeconds: 60 };
+const FEEDBACK_RATE_LIMIT = { capacity: 5, windowSeconds: 60 };
 
-// =====================
-// Ressourcen-Endpunkte
-// =====================
+// Inhaltsfelder einer Ressource (PATCH und Zurücksetzen auf eine frühere Version)
+const CONTENT_FIELDS = Object.keys(resourceBody.properties);
 
+/**
+ * Liest ein Datum aus einem Query-Parameter.
+ *
+ * @param {string|undefined} value - Rohwert (ISO-8601)
+ * @param {string} name - Parametername für die Fehlermeldung
+ * @returns {Date|null} Datum oder null, wenn der Parameter fehlt
+ * @throws {ListQueryError} Bei ungültigem Datum
+ */
+function parseDateParam(value, name) {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ListQueryError('invalid_date', { name });
+    }
+    return date;
+}
 
+/**
+ * Prüft, ob die Tags und die Kategorie einer Ressource existieren.
+ *
+ * @param {Object} body - Ressource aus dem Request-Body
+ * @throws {ValidationError} Bei unbekannten Tags oder unbekannter Kategorie (400)
+ */
+async function assertValidTaxonomy(body) {
+    const details = await checkTaxonomyReferences(body);
+    if (details.length > 0) {
+        throw new ValidationError('invalid_request', {}, { details });
+    }
+}
 
+/**
+ * Sucht aktive Ressourcen mit derselben normalisierten oder kanonischen URL
+ * (siehe helpers/url.js und helpers/url_metadata.js).
+ *
+ * @param {string} url - URL der neuen Ressource
+ * @param {string} [canonicalUrl] - Kanonische URL aus den Metadaten der Seite
+ * @returns {Promise<Array<Object>>} Gefundene Ressourcen
+ */
+async function findDuplicates(url, canonicalUrl) {
+    const keys = new Set([url, canonicalUrl].filter(Boolean).map(normalizeUrl));
+    const resources = await storage.find(RESOURCES, { deletedAt: null });
+    return resources.filter(r => keys.has(normalizeUrl(r.url))
+        || (r.metadata?.canonicalUrl && keys.has(normalizeUrl(r.metadata.canonicalUrl))));
+}
 
 /**
- * POST /resources/:resourceId/feedback
- * Legt ein neues Feedback für eine Ressource an.
- * Erwartet: { feedbackText }
- * Antwort:
- *   - 201 Created, Feedback-Objekt mit id und timestamp
- *   - 400 bei ungültigem Text oder fehlenden Feldern
- *   - 404 wenn Ressource nicht existiert
+ * Ersetzt die Inhaltsfelder einer Ressource (PUT und PATCH) und protokolliert die Änderung.
+ * Nicht übergebene optionale Felder (auch description) werden entfernt; den Autor ändern nur Moderatoren,
+ * ohne authorId bleibt er erhalten. Erstellungszeitpunkt und Löschmarkierung bleiben unverändert.
+ *
+ * @param {Object} existing - Gespeicherte Ressource
+ * @param {Object} content - Neue Inhaltsfelder (nach Schema-Validierung)
+ * @param {Object} user - Handelnder Nutzer (req.user)
+ * @returns {Promise<Object>} Aktualisierte Ressource
+ * @throws {ValidationError} Bei unbekannten Tags oder unbekannter Kategorie (400)
+ */
+async function replaceContent(existing, content, user) {
+    await assertValidTaxonomy(content);
+    const { title, type, url, description, tagIds, categoryId } = content;
+    const authorId = hasRole(user, 'moderator') && content.authorId ? content.authorId : existing.authorId;
+    const updated = await storage.update(RESOURCES, existing.id, {
+        title,
+        type,
+        url,
+        description,
+        authorId: authorId || undefined,
+        tagIds: tagIds && tagIds.length > 0 ? tagIds : undefined,
+        categoryId,
+        updatedAt: new Date().toISOString()
+    });
+    searchIndex.indexResource(updated);
+    await recordChange(RESOURCES, 'update', { before: existing, after: updated, actorId: user.id });
+    return updated;
+}
+
+/**
+ * Führt eine Änderung an einer aktiven Ressource aus. Existenz, Berechtigung und If-Match
+ * werden unter einer Sperre je Ressource geprüft, damit von zwei gleichzeitigen Änderungen
+ * mit demselben ETag nur die erste gelingt.
+ *
+ * @param {import('express').Request} req - Express Request Objekt (params.id, user, If-Match)
+ * @param {string} forbiddenCode - Meldungsschlüssel, wenn der Nutzer nicht Autor oder Moderator ist
+ * @param {function(Object): Promise<*>} change - Änderung, erhält die aktuelle Ressource
+ * @returns {Promise<*>} Ergebnis der Änderung
+ * @throws {NotFoundError|ForbiddenError|PreconditionFailedError} 404, 403 oder 412
+ */
+async function modifyResource(req, forbiddenCode, change) {
+    return withFileLock(`resource:${req.params.id}`, async () => {
+        const existing = await findActiveResource(req.params.id);
+        if (!existing) {
+            throw new NotFoundError('resource_not_found');
+        }
+        // Nur der Autor oder ein Moderator darf ändern
+        if (!isOwnerOrHasRole(req.user, existing.authorId)) {
+            throw new ForbiddenError(forbiddenCode);
+        }
+        assertIfMatch(req, existing);
+        return change(existing);
+    });
+}
+
+/**
+ * Führt einen Schreibvorgang für eine aktive Ressource unter ihrer Sperre aus (dieselbe wie
+ * beim Löschen in modifyResource), damit die Ressource zwischen Existenzprüfung und
+ * Speichern nicht endgültig gelöscht werden kann und keine verwaisten Bewertungen oder
+ * Feedbacks entstehen.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {function(Object): Promise<*>} write - Schreibvorgang, erhält die aktuelle Ressource
+ * @returns {Promise<*>} Ergebnis des Schreibvorgangs
+ * @throws {NotFoundError} Wenn die Ressource nicht existiert oder gelöscht ist (404)
  */
+async function withActiveResource(resourceId, write) {
+    return withFileLock(`resource:${resourceId}`, async () => {
+        const resource = await findActiveResource(resourceId);
+        if (!resource) {
+            throw new NotFoundError('resource_not_found');
+        }
+        return write(resource);
+    });
+}
+
+/**
+ * Antwortet mit einer geänderten Ressource und ihrem neuen ETag, damit der Client ohne
+ * erneutes GET die nächste Änderung mit If-Match senden kann.
+ *
+ * @param {import('express').Response} res - Express Response Objekt
+ * @param {Object} resource - Gespeicherte Ressource
+ */
+function sendWithEtag(res, resource) {
+    res.set('ETag', resourceEtag(resource)).json(resource);
+}
+
+// =====================
+// Feedback-Endpunkte
+// =====================
+
 /**
  * POST /resources/:resourceId/feedback
- * Legt ein neues Feedback für eine Ressource an.
- * Erwartet: { feedbackText }
+ * Legt ein neues Feedback oder eine Antwort (parentId) für eine Ressource an.
+ * Das Feedback ist sofort freigegeben oder wartet bei FEEDBACK_MODERATION=pre auf Moderation.
+ * Verdächtige Texte (siehe helpers/feedback_spam.js) werden automatisch gemeldet (flagged).
+ * Berechtigung: angemeldeter Nutzer (reader); Rate-Limit je handelndem Nutzer (RATE_LIMIT_FEEDBACK),
+ * ungültige Anfragen zählen nicht
+ * Erwartet: { feedbackText, parentId (optional) }
  * Antwort:
- *   - 201 Created, Feedback-Objekt mit id und timestamp
+ *   - 201 Created, Feedback-Objekt mit id, userId, status, createdAt und updatedAt
+ *     (ohne flags und moderation, siehe publicFeedback)
  *   - 400 bei ungültigem Text oder fehlenden Feldern
- *   - 404 wenn Ressource nicht existiert
+ *   - 404 wenn Ressource oder übergeordnetes Feedback nicht existiert
+ *   - 429 wenn das Rate-Limit erschöpft ist (Retry-After)
  */
-router.post('/:resourceId/feedback', validateFeedback, async (req, res, next) => {
+router.post('/:resourceId/feedback', requireRole('reader'), validate({ params: idParams('resourceId'), query: emptyQuery, body: feedbackBody }), rateLimit('feedback', FEEDBACK_RATE_LIMIT), async (req, res, next) => {
     try {
         const { resourceId } = req.params;
-        const { feedbackText } = req.body;
-        // Existiert die Ressource?
-        const resources = await readData(RESOURCES_FILE);
-        const resource = resources.find(r => r.id === resourceId);
-        if (!resource) {
-            return res.status(404).json({ error: 'Ressource nicht gefunden.' });
-        }
-        const feedbacks = await readData(FEEDBACK_FILE);
-        const newFeedback = {
-            id: uuidv4(),
-            resourceId,
-            feedbackText: feedbackText.trim(),
-            timestamp: new Date().toISOString()
-        };
-        feedbacks.push(newFeedback);
-        await writeData(FEEDBACK_FILE, feedbacks);
-        res.status(201).json(newFeedback);
+        const { feedbackText, parentId = null } = req.body;
+        const userId = resolveActingUserId(req, req.body.userId);
+        if (!userId) {
+            throw new ForbiddenError('feedback_own_name_only');
+        }
+        const newFeedback = await withActiveResource(resourceId, async () => {
+            // Antworten sind nur auf sichtbares Feedback derselben Ressource möglich
+            if (parentId) {
+                const parent = await storage.findById(FEEDBACK, parentId);
+                if (!parent || parent.resourceId !== resourceId || normalizeFeedback(parent).status !== 'approved') {
+                    throw new NotFoundError('parent_feedback_not_found');
+                }
+            }
+            const now = new Date().toISOString();
+            // Verdächtiges Feedback wird angenommen, aber direkt zur Moderation gemeldet
+            const findings = detectSpam(feedbackText, { previous: await storage.find(FEEDBACK, { userId }) });
+            const status = findings.length > 0 ? 'flagged' : initialStatus();
+            const created = {
+                id: uuidv4(),
+                resourceId,
+                userId,
+                parentId,
+                feedbackText,
+                status,
+                createdAt: now,
+                updatedAt: now,
+                history: [],
+                flags: findings.length > 0 ? [spamFlag(findings, now)] : [],
+                publishedAt: status === 'approved' ? now : null
+            };
+            await storage.insert(FEEDBACK, created);
+            if (findings.length > 0) {
+                req.log.info('Feedback automatisch gemeldet', { feedbackId: created.id, checks: findings.map(f => f.check) });
+            }
+            return created;
+        });
+        searchIndex.indexFeedback(newFeedback);
+        await recordChange(FEEDBACK, 'create', { after: newFeedback, actorId: req.user.id });
+        // Wartendes und gemeldetes Feedback wird erst nach der Freigabe veröffentlicht
+        if (needsPublication(null, newFeedback)) {
+            publishEvent('feedback.created', { feedback: publicFeedback(newFeedback) }, { actorId: req.user.id, resourceId });
+        }
+        res.status(201).json(publicFeedback(newFeedback));
     } catch (err) {
         next(err);
     }
@@ -81,41 +270,54 @@ router.post('/:resourceId/feedback', validateFeedback, async (req, res, next) =>
 
 /**
  * PUT /resources/:resourceId/feedback/:feedbackId
- * Aktualisiert ein bestehendes Feedback.
- * Erwartet: { feedbackText }
- * Antwort:
- *   - 200 OK, aktualisiertes Feedback-Objekt
- *   - 400 bei ungültigem Text oder fehlenden Feldern
- *   - 404 wenn Ressource oder Feedback nicht existiert
- */
-/**
- * PUT /resources/:resourceId/feedback/:feedbackId
- * Aktualisiert ein bestehendes Feedback.
+ * Aktualisiert den Text eines bestehenden Feedbacks. Der bisherige Text wird in history
+ * abgelegt, createdAt bleibt erhalten.
+ * Berechtigung: nur der Autor des Feedbacks
  * Erwartet: { feedbackText }
  * Antwort:
- *   - 200 OK, aktualisiertes Feedback-Objekt
+ *   - 200 OK, aktualisiertes Feedback-Objekt (ohne flags und moderation)
  *   - 400 bei ungültigem Text oder fehlenden Feldern
  *   - 404 wenn Ressource oder Feedback nicht existiert
  */
-router.put('/:resourceId/feedback/:feedbackId', validateFeedback, async (req, res, next) => {
+router.put('/:resourceId/feedback/:feedbackId', requireRole('reader'), validate({ params: idParams('resourceId', 'feedbackId'), query: emptyQuery, body: feedbackUpdateBody }), async (req, res, next) => {
     try {
         const { resourceId, feedbackId } = req.params;
         const { feedbackText } = req.body;
         // Existiert die Ressource?
-        const resources = await readData(RESOURCES_FILE);
-        const resource = resources.find(r => r.id === resourceId);
+        const resource = await findActiveResource(resourceId);
         if (!resource) {
-            return res.status(404).json({ error: 'Ressource nicht gefunden.' });
+            throw new NotFoundError('resource_not_found');
         }
-        const feedbacks = await readData(FEEDBACK_FILE);
-        const idx = feedbacks.findIndex(f => f.id === feedbackId && f.resourceId === resourceId);
-        if (idx === -1) {
-            return res.status(404).json({ error: 'Feedback nicht gefunden.' });
+        const feedback = await storage.findById(FEEDBACK, feedbackId);
+        if (!feedback || feedback.resourceId !== resourceId) {
+            throw new NotFoundError('feedback_not_found');
         }
-        feedbacks[idx].feedbackText = feedbackText.trim();
-        feedbacks[idx].timestamp = new Date().toISOString();
-        await writeData(FEEDBACK_FILE, feedbacks);
-        res.status(200).json(feedbacks[idx]);
+        // Nur der Autor darf sein Feedback bearbeiten
+        if (!feedback.userId || feedback.userId !== req.user.id) {
+            throw new ForbiddenError('feedback_update_forbidden');
+        }
+        const current = normalizeFeedback(feedback);
+        const now = new Date().toISOString();
+        const previous = (await storage.find(FEEDBACK, { userId: feedback.userId })).filter(f => f.id !== feedbackId);
+        const findings = detectSpam(feedbackText, { previous });
+        // Bei Vorab-Moderation muss eine Änderung erneut freigegeben werden
+        let status = current.status === 'approved' ? initialStatus() : current.status;
+        if (findings.length > 0 && status !== 'rejected') status = 'flagged';
+        const updatedFeedback = await storage.update(FEEDBACK, feedbackId, {
+            ...current,
+            feedbackText,
+            updatedAt: now,
+            history: [...current.history, { feedbackText: current.feedbackText, editedAt: now }],
+            status,
+            flags: findings.length > 0 ? [...current.flags, spamFlag(findings, now)] : current.flags,
+            timestamp: undefined
+        });
+        if (findings.length > 0) {
+            req.log.info('Feedback automatisch gemeldet', { feedbackId, checks: findings.map(f => f.check) });
+        }
+        searchIndex.indexFeedback(updatedFeedback);
+        await recordChange(FEEDBACK, 'update', { before: feedback, after: updatedFeedback, actorId: req.user.id });
+        res.status(200).json(publicFeedback(updatedFeedback));
     } catch (err) {
         next(err);
     }
@@ -123,45 +325,82 @@ router.put('/:resourceId/feedback/:feedbackId', validateFeedback, async (req, re
 
 /**
  * DELETE /resources/:resourceId/feedback/:feedbackId
- * Löscht ein bestehendes Feedback.
+ * Löscht ein bestehendes Feedback samt aller Antworten darauf.
+ * Berechtigung: Autor des Feedbacks oder moderator
  * Antwort:
  *   - 204 No Content bei Erfolg
  *   - 404 wenn Ressource oder Feedback nicht existiert
  */
-/**
- * DELETE /resources/:resourceId/feedback/:feedbackId
- * Löscht ein bestehendes Feedback.
- * Antwort:
- *   - 204 No Content bei Erfolg
- *   - 404 wenn Ressource oder Feedback nicht existiert
- */
-router.delete('/:resourceId/feedback/:feedbackId', async (req, res, next) => {
+router.delete('/:resourceId/feedback/:feedbackId', requireRole('reader'), validate({ params: idParams('resourceId', 'feedbackId'), query: emptyQuery }), async (req, res, next) => {
     try {
         const { resourceId, feedbackId } = req.params;
         // Existiert die Ressource?
-        const resources = await readData(RESOURCES_FILE);
-        const resource = resources.find(r => r.id === resourceId);
+        const resource = await findActiveResource(resourceId);
         if (!resource) {
-            return res.status(404).json({ error: 'Ressource nicht gefunden.' });
+            throw new NotFoundError('resource_not_found');
+        }
+        const feedback = await storage.findById(FEEDBACK, feedbackId);
+        if (!feedback || feedback.resourceId !== resourceId) {
+            throw new NotFoundError('feedback_not_found');
         }
-        const feedbacks = await readData(FEEDBACK_FILE);
-        const idx = feedbacks.findIndex(f => f.id === feedbackId && f.resourceId === resourceId);
-        if (idx === -1) {
-            return res.status(404).json({ error: 'Feedback nicht gefunden.' });
+        if (!isOwnerOrHasRole(req.user, feedback.userId)) {
+            throw new ForbiddenError('feedback_delete_forbidden');
+        }
+        const thread = await storage.find(FEEDBACK, { resourceId });
+        const replyIds = collectReplyIds(thread, feedbackId);
+        for (const id of [feedbackId, ...replyIds]) {
+            await storage.remove(FEEDBACK, id);
+            searchIndex.removeFeedback({ id, resourceId });
+            await recordChange(FEEDBACK, 'delete', { before: thread.find(f => f.id === id), actorId: req.user.id });
         }
-        feedbacks.splice(idx, 1);
-        await writeData(FEEDBACK_FILE, feedbacks);
         res.status(204).send();
     } catch (err) {
         next(err);
     }
 });
-// ...entfernt, da bereits oben deklariert...
-
 
-// =====================
-// Rating-Endpunkte
-// =====================
+/**
+ * POST /resources/:resourceId/feedback/:feedbackId/flag
+ * Meldet ein Feedback zur Prüfung durch Moderatoren. Jeder Nutzer kann ein Feedback einmal
+ * melden; weitere Meldungen ändern nichts. Ausgeblendet (Status "flagged") wird es erst ab
+ * FEEDBACK_FLAG_THRESHOLD (Standard 3) offenen Meldungen seit der letzten Moderation oder
+ * sofort bei einer Meldung durch einen Moderator; bis dahin steht es sichtbar in der
+ * Moderations-Warteschlange.
+ * Berechtigung: angemeldeter Nutzer (reader)
+ * Erwartet: { reason (optional) }
+ * Antwort:
+ *   - 202 Accepted, { id, status }
+ *   - 404 wenn Ressource (auch weich gelöscht) oder Feedback nicht existiert
+ */
+router.post('/:resourceId/feedback/:feedbackId/flag', requireRole('reader'), validate({ params: idParams('resourceId', 'feedbackId'), query: emptyQuery, body: feedbackFlagBody }), async (req, res, next) => {
+    try {
+        const { resourceId, feedbackId } = req.params;
+        const current = await withActiveResource(resourceId, async () => {
+            const feedback = await storage.findById(FEEDBACK, feedbackId);
+            if (!feedback || feedback.resourceId !== resourceId) {
+                throw new NotFoundError('feedback_not_found');
+            }
+            const normalized = normalizeFeedback(feedback);
+            if (normalized.flags.some(flag => flag.userId === req.user.id)) return normalized;
+            const flags = [...normalized.flags, {
+                userId: req.user.id,
+                reason: req.body.reason || null,
+                createdAt: new Date().toISOString()
+            }];
+            // Ein einzelner Nutzer kann kein Feedback ausblenden; abgelehntes und wartendes
+            // Feedback behält seinen Status
+            const hide = hasRole(req.user, 'moderator') || openFlags({ ...normalized, flags }).length >= flagThreshold();
+            const status = hide && normalized.status === 'approved' ? 'flagged' : normalized.status;
+            const updated = await storage.update(FEEDBACK, feedbackId, { ...normalized, flags, status, timestamp: undefined });
+            searchIndex.indexFeedback(updated);
+            await recordChange(FEEDBACK, 'update', { before: feedback, after: updated, actorId: req.user.id });
+            return updated;
+        });
+        res.status(202).json({ id: current.id, status: current.status });
+    } catch (err) {
+        next(err);
+    }
+});
 
 // =====================
 // Rating-Endpunkte
@@ -170,181 +409,563 @@ router.delete('/:resourceId/feedback/:feedbackId', async (req, res, next) => {
 /**
  * POST /resources/:id/rating
  * Bewertet eine Ressource mit 1-5 Sternen (ratingValue).
- * Erwartet: { ratingValue, userId (optional) }
- * Antwort: 201 Created bei Erfolg, gibt Rating-Objekt mit id zurück
+ * Berechtigung: angemeldeter Nutzer (reader); userId nur für Services und Admins;
+ * Rate-Limit je handelndem Nutzer (RATE_LIMIT_RATING), ungültige Anfragen zählen nicht
+ * Jeder Nutzer hat genau eine Bewertung je Ressource: eine erneute Bewertung
+ * aktualisiert die bestehende. Anonyme Bewertungen (ohne userId) werden abgelehnt.
+ * Erwartet: { ratingValue, userId }
+ * Antwort:
+ *   - 201 Created mit neuem Rating-Objekt
+ *   - 200 OK mit aktualisiertem Rating-Objekt, wenn der Nutzer bereits bewertet hatte
+ *   - 400 bei ungültigem Wert oder fehlender userId
+ *   - 404 wenn Ressource nicht existiert
+ *   - 429 wenn das Rate-Limit erschöpft ist (Retry-After)
  */
+router.post('/:id/rating', requireRole('reader'), validate({ params: idParams('id'), query: emptyQuery, body: ratingBody }), rateLimit('rating', RATING_RATE_LIMIT), async (req, res, next) => {
+    try {
+        const resourceId = req.params.id;
+        const { ratingValue } = req.body;
+        const userId = resolveActingUserId(req, req.body.userId);
+        if (!userId) {
+            throw new ForbiddenError('rating_own_name_only');
+        }
+        // Bewertung je (resourceId, userId) anlegen oder aktualisieren; die Sperre der Bewertung
+        // verhindert doppelte Bewertungen bei gleichzeitigen Anfragen desselben Nutzers
+        const { rating, created } = await withActiveResource(resourceId, () => withFileLock(`rating:${resourceId}:${userId}`, async () => {
+            const [existing] = await storage.find(RATINGS, { resourceId, userId });
+            const now = new Date().toISOString();
+            if (existing) {
+                const updated = await storage.update(RATINGS, existing.id, { ratingValue, updatedAt: now });
+                ratingStats.changeRating(existing, updated);
+                await recordChange(RATINGS, 'update', { before: existing, after: updated, actorId: req.user.id });
+                return { rating: updated, created: false };
+            }
+            const newRating = { id: uuidv4(), resourceId, userId, ratingValue, createdAt: now };
+            await storage.insert(RATINGS, newRating);
+            ratingStats.recordRating(newRating);
+            await recordChange(RATINGS, 'create', { after: newRating, actorId: req.user.id });
+            return { rating: newRating, created: true };
+        }));
+        if (created) {
+            publishEvent('rating.created', { rating }, { actorId: req.user.id, resourceId });
+        }
+        res.status(created ? 201 : 200).json(rating);
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
- * POST /resources/:id/rating
- * Bewertet eine Ressource mit 1-5 Sternen (ratingValue).
- * Erwartet: { ratingValue, userId (optional) }
- * Antwort: 201 Created bei Erfolg, gibt Rating-Objekt mit id zurück
+ * GET /resources/:resourceId/rating/:ratingId
+ * Gibt eine einzelne Bewertung zurück.
+ * Antwort: 200 OK mit Rating-Objekt, 404 wenn Ressource (auch weich gelöscht) oder Rating nicht existiert
  */
-router.post('/:id/rating', validateRating, async (req, res, next) => {
+router.get('/:resourceId/rating/:ratingId', validate({ params: idParams('resourceId', 'ratingId'), query: emptyQuery }), async (req, res, next) => {
     try {
-        const resourceId = req.params.id;
-        const { ratingValue, userId } = req.body;
-        // Existiert die Ressource?
-        const resources = await readData(RESOURCES_FILE);
-        const resource = resources.find(r => r.id === resourceId);
-        if (!resource) {
-            return res.status(404).json({ error: 'Ressource nicht gefunden.' });
-        }
-        // Bewertung speichern
-        const ratings = await readData(RATINGS_FILE);
-        const newRating = { id: uuidv4(), resourceId, ratingValue: parseInt(ratingValue, 10) };
-        if (userId) newRating.userId = userId;
-        ratings.push(newRating);
-        await writeData(RATINGS_FILE, ratings);
-        res.status(201).json(newRating);
+        const { resourceId, ratingId } = req.params;
+        if (!await findActiveResource(resourceId)) {
+            throw new NotFoundError('resource_not_found');
+        }
+        const rating = await storage.findById(RATINGS, ratingId);
+        if (!rating || rating.resourceId !== resourceId) {
+            throw new NotFoundError('rating_not_found');
+        }
+        res.json(rating);
     } catch (err) {
         next(err);
     }
 });
 
 /**
- * DELETE /resources/:resourceId/rating/:ratingId
- * Löscht ein Rating anhand seiner ID für eine Ressource.
- * Antwort: 204 No Content bei Erfolg, 404 wenn nicht gefunden
+ * PUT /resources/:resourceId/rating/:ratingId
+ * Ändert den Wert einer bestehenden Bewertung.
+ * Berechtigung: Autor der Bewertung oder moderator
+ * Erwartet: { ratingValue }
+ * Antwort:
+ *   - 200 OK mit aktualisiertem Rating-Objekt
+ *   - 400 bei ungültigem Wert
+ *   - 404 wenn Ressource oder Rating nicht existiert
+ */
+router.put('/:resourceId/rating/:ratingId', requireRole('reader'), validate({ params: idParams('resourceId', 'ratingId'), query: emptyQuery, body: ratingUpdateBody }), async (req, res, next) => {
+    try {
+        const { resourceId, ratingId } = req.params;
+        const { ratingValue } = req.body;
+        const updated = await withActiveResource(resourceId, async () => {
+            const found = await storage.findById(RATINGS, ratingId);
+            if (!found || found.resourceId !== resourceId) {
+                throw new NotFoundError('rating_not_found');
+            }
+            if (!isOwnerOrHasRole(req.user, found.userId)) {
+                throw new ForbiddenError('rating_update_forbidden');
+            }
+            // Dieselbe Sperre wie POST /resources/:id/rating, damit nicht beide ihre Änderung
+            // auf denselben alten Stand in den Aggregaten anwenden
+            return withFileLock(`rating:${resourceId}:${found.userId}`, async () => {
+                const rating = await storage.findById(RATINGS, ratingId);
+                if (!rating) {
+                    throw new NotFoundError('rating_not_found');
+                }
+                const changed = await storage.update(RATINGS, ratingId, { ratingValue, updatedAt: new Date().toISOString() });
+                ratingStats.changeRating(rating, changed);
+                await recordChange(RATINGS, 'update', { before: rating, after: changed, actorId: req.user.id });
+                return changed;
+            });
+        });
+        res.json(updated);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /resources/:id/ratings
+ * Listet die Bewertungen einer Ressource.
+ * Query: limit, offset oder cursor, sort (ratingValue, createdAt, updatedAt; "-" für absteigend)
+ * Antwort: { data, pagination } und Link-Header, 404 wenn Ressource nicht existiert
  */
+router.get('/:id/ratings', validate({ params: idParams('id'), query: ratingListQuery }), async (req, res, next) => {
+    try {
+        const resourceId = req.params.id;
+        const listQuery = parseListQuery(req.query, {
+            sortable: RATING_SORTABLE_FIELDS,
+            selectable: [],
+            defaultSort: '-createdAt'
+        });
+        const resource = await findActiveResource(resourceId);
+        if (!resource) {
+            throw new NotFoundError('resource_not_found');
+        }
+        const page = paginate(await storage.find(RATINGS, { resourceId }), listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * DELETE /resources/:resourceId/rating/:ratingId
  * Löscht ein Rating anhand seiner ID für eine Ressource.
+ * Berechtigung: Autor der Bewertung oder moderator
  * Antwort: 204 No Content bei Erfolg, 404 wenn nicht gefunden
  */
-router.delete('/:resourceId/rating/:ratingId', async (req, res, next) => {
+router.delete('/:resourceId/rating/:ratingId', requireRole('reader'), validate({ params: idParams('resourceId', 'ratingId'), query: emptyQuery }), async (req, res, next) => {
     try {
         const { resourceId, ratingId } = req.params;
         // Existiert die Ressource?
-        const resources = await readData(RESOURCES_FILE);
-        const resource = resources.find(r => r.id === resourceId);
+        const resource = await findActiveResource(resourceId);
         if (!resource) {
-            return res.status(404).json({ error: 'Ressource nicht gefunden.' });
+            throw new NotFoundError('resource_not_found');
         }
-        const ratings = await readData(RATINGS_FILE);
-        const idx = ratings.findIndex(r => r.id === ratingId && r.resourceId === resourceId);
-        if (idx === -1) {
-            return res.status(404).json({ error: 'Rating nicht gefunden.' });
+        const rating = await storage.findById(RATINGS, ratingId);
+        if (!rating || rating.resourceId !== resourceId) {
+            throw new NotFoundError('rating_not_found');
         }
-        ratings.splice(idx, 1);
-        await writeData(RATINGS_FILE, ratings);
+        if (!isOwnerOrHasRole(req.user, rating.userId)) {
+            throw new ForbiddenError('rating_delete_forbidden');
+        }
+        await storage.remove(RATINGS, ratingId);
+        ratingStats.removeRating(rating);
+        await recordChange(RATINGS, 'delete', { before: rating, actorId: req.user.id });
         res.status(204).send();
     } catch (err) {
         next(err);
     }
 });
 
+/**
+ * GET /resources/:id/ratings/summary
+ * Liefert die Bewertungsstatistik einer Ressource.
+ * Antwort: { resourceId, count, mean, averageRating, histogram: { 1..5 }, bayesianScore }
+ *   - 404 wenn Ressource nicht existiert
+ */
+router.get('/:id/ratings/summary', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const resourceId = req.params.id;
+        const resource = await findActiveResource(resourceId);
+        if (!resource) {
+            throw new NotFoundError('resource_not_found');
+        }
+        res.json(await ratingStats.getSummary(resourceId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /resources/top-rated
+ * Liefert die am besten bewerteten Ressourcen, sortiert nach Bayes-Score
+ * (siehe helpers/rating_stats.js), damit wenige Bewertungen nicht überbewertet werden.
+ * Query: limit (1-100, Standard 10), minCount (Mindestanzahl Bewertungen, Standard 1)
+ * Antwort: Array von Ressourcen mit ratingSummary
+ */
+router.get('/top-rated', validate({ query: topRatedQuery }), async (req, res, next) => {
+    try {
+        const { limit = 10, minCount = 1 } = req.validatedQuery;
+        const [ranking, resources] = await Promise.all([
+            ratingStats.getRanking({ minCount }),
+            storage.find(RESOURCES, { deletedAt: null })
+        ]);
+        const byId = new Map(resources.map(r => [r.id, r]));
+        const result = ranking
+            .filter(summary => byId.has(summary.resourceId))
+            .slice(0, limit)
+            .map(({ resourceId, ...ratingSummary }) => ({ ...byId.get(resourceId), ratingSummary }));
+        res.json(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
 // =====================
-// Ressourcen Endpunkte
+// Linkprüfung
 // =====================
 
 /**
- * GET /resources/search
- * Filtert Ressourcen nach Typ (?type=...)
- * Gibt alle Ressourcen zurück, wenn kein Filter gesetzt ist.
+ * GET /resources/broken
+ * Listet aktive Ressourcen, deren Link bei der letzten Prüfung nicht erreichbar war
+ * (siehe helpers/link_checker.js).
+ * Query: flagged=true (nur nach mehreren Fehlschlägen markierte), limit, offset oder cursor,
+ *   sort (consecutiveFailures, lastChecked, resourceId; Standard: -consecutiveFailures)
+ * Antwort: { data, pagination } und Link-Header; jeder Eintrag enthält resourceId, url, httpStatus,
+ *   finalUrl, error, lastChecked, lastOk, consecutiveFailures, flagged und resource
+ *   ({ id, title, type, authorId })
  */
+router.get('/broken', validate({ query: brokenLinksQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, {
+            sortable: ['consecutiveFailures', 'lastChecked', 'resourceId'],
+            selectable: [],
+            defaultSort: '-consecutiveFailures'
+        });
+        let broken = await findBrokenLinks();
+        if (req.validatedQuery.flagged !== undefined) {
+            broken = broken.filter(entry => entry.flagged === req.validatedQuery.flagged);
+        }
+        const page = paginate(broken, listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
- * GET /resources/search
- * Filtert Ressourcen nach Typ (?type=...)
- * Gibt alle Ressourcen zurück, wenn kein Filter gesetzt ist.
+ * GET /resources/:id/link-status
+ * Gibt das Ergebnis der letzten Linkprüfung einer Ressource zurück.
+ * Antwort:
+ *   - 200 OK mit { resourceId, url, status (ok, broken, unchecked), httpStatus, finalUrl,
+ *     redirects, error, lastChecked, lastOk, consecutiveFailures, flagged }
+ *   - 404 wenn die Ressource nicht existiert
  */
-router.get('/search', async (req, res, next) => {
+router.get('/:id/link-status', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
     try {
-        const { type } = req.query;
-        const resources = await readData(RESOURCES_FILE);
-        let filtered = resources;
-        if (type) {
-            filtered = resources.filter(r => r.type.toLowerCase() === type.toLowerCase());
+        const resource = await findActiveResource(req.params.id);
+        if (!resource) {
+            throw new NotFoundError('resource_not_found');
         }
-        res.json(filtered);
+        res.json(await getLinkStatus(resource));
     } catch (err) {
         next(err);
     }
 });
 
 /**
- * GET /resources
- * Gibt alle Ressourcen als Array zurück.
+ * POST /resources/:id/link-status
+ * Prüft den Link einer Ressource sofort, statt auf den Hintergrundjob zu warten.
+ * Berechtigung: moderator
+ * Antwort: 200 OK mit dem neuen Linkstatus (wie GET), 404 wenn die Ressource nicht existiert
  */
+router.post('/:id/link-status', requireRole('moderator'), validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const resource = await findActiveResource(req.params.id);
+        if (!resource) {
+            throw new NotFoundError('resource_not_found');
+        }
+        await checkResourceLink(resource);
+        res.json(await getLinkStatus(await findActiveResource(resource.id) || resource));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =====================
+// Import und Export
+// =====================
+
+// Größter Request-Body für CSV- und NDJSON-Importe
+const IMPORT_BODY_LIMIT = '5mb';
+
 /**
- * GET /resources
- * Gibt alle Ressourcen als Array zurück.
+ * POST /resources/import
+ * Importiert viele Ressourcen auf einmal aus CSV (Kopfzeile title,type,url[,description][,authorId]
+ * [,tagIds][,categoryId], Komma oder Semikolon, Tag-IDs durch | getrennt), NDJSON oder einem
+ * JSON-Array (siehe helpers/resource_import.js). Tags und Kategorie müssen existieren.
+ * Das Format ergibt sich aus dem Content-Type (text/csv, application/x-ndjson, application/json)
+ * oder aus ?format=.
+ * Berechtigung: contributor; authorId wie bei POST /resources
+ * Query:
+ *   - mode: create (Standard, bestehende URLs sind Fehler) oder upsert (bestehende aktualisieren)
+ *   - dryRun: true prüft nur und speichert nichts
+ * Antwort:
+ *   - 200 OK mit Bericht { mode, dryRun, total, created, updated, unchanged, failed,
+ *     rows: [{ row, status, id, errors }] }
+ *   - 400 bei leerem, zu großem oder nicht lesbarem Import
+ *   - 415 wenn das Format nicht erkannt wird
  */
-router.get('/', async (req, res, next) => {
+router.post('/import', requireRole('contributor'), express.text({ type: [...IMPORT_CONTENT_TYPES.csv, ...IMPORT_CONTENT_TYPES.ndjson], limit: IMPORT_BODY_LIMIT }), validate({ query: resourceImportQuery }), async (req, res, next) => {
     try {
-        const resources = await readData(RESOURCES_FILE);
-        res.json(resources);
+        const { mode = 'create', dryRun = false } = req.validatedQuery;
+        const format = req.validatedQuery.format || detectFormat(req.get('Content-Type'));
+        if (!format) {
+            throw new AppError(415, 'import_unsupported_format');
+        }
+        const report = await importResources(parseImport(req.body, format), { mode, dryRun, user: req.user });
+        if (!dryRun) {
+            for (const row of report.rows.filter(r => r.status === 'created' || r.status === 'updated')) {
+                const resource = await storage.findById(RESOURCES, row.id);
+                publishEvent(`resource.${row.status}`, { resource }, { actorId: req.user.id, resourceId: row.id });
+            }
+        }
+        const locale = resolveLocale(req);
+        report.rows = report.rows.map(row => (row.errors ? { ...row, errors: localizeDetails(row.errors, locale) } : row));
+        res.json(report);
     } catch (err) {
         next(err);
     }
 });
 
 /**
- * POST /resources
- * Legt eine neue Ressource an.
- * Erwartet: { title, type, authorId, url }
- * Antwort: Neu erstellte Ressource (Status 201)
+ * GET /resources/export
+ * Exportiert alle Ressourcen als Download (gestreamt).
+ * Query:
+ *   - format: csv, ndjson oder json (Standard)
+ *   - includeStats: true ergänzt averageRating, ratingCount und feedbackCount
+ * Antwort: 200 OK mit Content-Disposition attachment (resources-JJJJ-MM-TT.<format>)
  */
+router.get('/export', validate({ query: resourceExportQuery }), async (req, res, next) => {
+    try {
+        const { format = 'json', includeStats = false } = req.validatedQuery;
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        const chunks = exportResources(format, { includeStats });
+        // Erstes Stück vor dem Setzen der Header holen, damit Lesefehler noch als Fehlerantwort gehen
+        let chunk = await chunks.next();
+        res.attachment(`resources-${new Date().toISOString().slice(0, 10)}.${extension}`);
+        res.set('Content-Type', contentType);
+        while (!chunk.done) {
+            if (!res.write(chunk.value)) await once(res, 'drain');
+            chunk = await chunks.next();
+        }
+        res.end();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =====================
+// Ressourcen-Endpunkte
+// =====================
+
+/**
+ * GET /resources/search
+ * Volltextsuche über Titel, Typ, URL-Host und Feedback-Texte (?q=...),
+ * optional eingeschränkt nach Typ (?type=...), Tags (?tag=, IDs oder Slugs, kommagetrennt)
+ * und Kategorie samt Unterkategorien (?category=, ID oder Slug).
+ * Antwort: { query, total, results, facets }, Treffer nach Relevanz sortiert mit score und
+ *   highlights (Titel und Feedback-Ausschnitte HTML-maskiert mit <mark>-Markierung); facets zählt die
+ *   Treffer je Tag ({ id, slug, name, count }) und je Typ ({ value, count }).
+ * Ohne q werden alle Ressourcen (ggf. gefiltert) ohne Ranking geliefert.
+ */
+router.get('/search', validate({ query: searchQuery }), async (req, res, next) => {
+    try {
+        const { q, type } = req.query;
+        const matchesTaxonomy = await taxonomyFilter(req.validatedQuery);
+        const matches = r => (!type || r.type.toLowerCase() === type.toLowerCase()) && matchesTaxonomy(r);
+        let results;
+        if (q && q.trim()) {
+            const hits = await searchIndex.search(q);
+            results = hits
+                .filter(hit => matches(hit.resource))
+                .map(hit => ({ ...hit.resource, score: hit.score, highlights: hit.highlights }));
+        } else {
+            const resources = await storage.find(RESOURCES, { deletedAt: null });
+            results = resources.filter(matches);
+        }
+        res.json({ query: q || null, total: results.length, results, facets: await facetCounts(results) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /resources
+ * Gibt eine Seite von Ressourcen inklusive averageRating zurück.
+ * Query-Parameter:
+ *   - limit (1-100, Standard 20), offset oder cursor (aus pagination.nextCursor)
+ *   - sort: kommagetrennte Felder, "-" für absteigend (z.B. sort=title,-averageRating,-createdAt)
+ *   - Filter: type (kommagetrennt), authorId, minRating, createdFrom, createdTo (ISO 8601),
+ *     tag (IDs oder Slugs, kommagetrennt), category (ID oder Slug, einschließlich Unterkategorien)
+ *   - fields: kommagetrennte Feldauswahl (z.B. fields=id,title)
+ * Antwort: { data, pagination: { total, limit, offset, hasMore, nextCursor } } und Link-Header
+ *   - 400 bei ungültigen Parametern
+ */
+router.get('/', validate({ query: resourceListQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, {
+            sortable: SORTABLE_FIELDS,
+            selectable: SELECTABLE_FIELDS,
+            defaultSort: 'createdAt'
+        });
+        const createdFrom = parseDateParam(req.query.createdFrom, 'createdFrom');
+        const createdTo = parseDateParam(req.query.createdTo, 'createdTo');
+
+        const { type, authorId, minRating } = req.validatedQuery;
+        const types = type ? String(type).split(',').map(t => t.trim().toLowerCase()) : null;
+        const [resources, averages, matchesTaxonomy] = await Promise.all([
+            storage.find(RESOURCES, { deletedAt: null }),
+            ratingStats.getAverageRatings(),
+            taxonomyFilter(req.validatedQuery)
+        ]);
+
+        const filtered = resources
+            .map(r => ({ ...r, averageRating: averages.get(r.id) ?? null }))
+            .filter(r => !types || types.includes(String(r.type).toLowerCase()))
+            .filter(r => !authorId || r.authorId === authorId)
+            .filter(r => minRating === undefined || (r.averageRating !== null && r.averageRating >= minRating))
+            .filter(r => !createdFrom || (r.createdAt && new Date(r.createdAt) >= createdFrom))
+            .filter(r => !createdTo || (r.createdAt && new Date(r.createdAt) <= createdTo))
+            .filter(matchesTaxonomy);
+
+        const page = paginate(filtered, listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * POST /resources
- * Legt eine neue Ressource an.
- * Erwartet: { title, type, authorId, url }
- * Antwort: Neu erstellte Ressource (Status 201)
+ * Legt eine neue Ressource an. Eine Ressource mit derselben (normalisierten oder
+ * kanonischen) URL gilt als Dublette.
+ * Berechtigung: contributor; authorId ist der angemeldete Nutzer
+ * Query:
+ *   - enrich=true: lädt die Seite und ergänzt fehlende title, type und description aus
+ *     Open Graph, oEmbed und HTML-Meta; die Metadaten werden unter metadata gespeichert
+ *   - onDuplicate: reject (Standard, 409) oder warn (anlegen, Hinweis unter warnings)
+ * Erwartet: { title, type, url, description (optional), authorId, tagIds (optional),
+ *   categoryId (optional) }; mit enrich=true genügt { url }
+ * Antwort:
+ *   - 201 Created mit der Ressource (bei Hinweisen zusätzlich warnings: [{ field, code, message }])
+ *   - 400 bei ungültigen Feldern (z.B. title fehlt und die Seite liefert keinen), unbekannten
+ *     Tags oder Kategorie
+ *   - 409 wenn die URL bereits zu einer Ressource gehört (details mit deren id)
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requireRole('contributor'), validate({ query: resourceCreateQuery, body: resourceDraftBody }), async (req, res, next) => {
     try {
-        const { title, type, url, authorId } = req.body;
-        // authorId ist optional
-        if (!title || !type || !url) {
-            return res.status(400).json({ error: 'Fehlende Felder.' });
-        }
-        const resources = await readData(RESOURCES_FILE);
-        const newResource = { id: uuidv4(), title, type, url };
-        if (authorId) newResource.authorId = authorId;
-        resources.push(newResource);
-        await writeData(RESOURCES_FILE, resources);
-        res.status(201).json(newResource);
+        const { enrich = false, onDuplicate = 'reject' } = req.validatedQuery;
+        // authorId ist der angemeldete Nutzer
+        const authorId = resolveActingUserId(req, req.body.authorId);
+        if (!authorId) {
+            throw new ForbiddenError('resource_own_name_only');
+        }
+        const warnings = [];
+        let metadata = null;
+        let body = req.body;
+        if (enrich) {
+            const enrichment = await enrichUrl(req.body.url);
+            metadata = enrichment.metadata;
+            // Angaben aus dem Request haben Vorrang vor den Vorschlägen
+            body = { ...enrichment.suggestion, ...req.body };
+            if (enrichment.error) {
+                warnings.push({ field: 'url', code: 'metadata_unavailable', params: { reason: enrichment.error } });
+            }
+        }
+        // Pflichtfelder und Formate prüft das Schema (nach der Anreicherung)
+        const { value, errors } = validateValue(resourceBody, body);
+        if (errors.length > 0) {
+            throw new ValidationError('invalid_request', {}, { details: errors });
+        }
+        await assertValidTaxonomy(value);
+        const { title, type, url, description, tagIds, categoryId } = value;
+        // Dieselbe Sperre wie der Import, damit eine URL nicht gleichzeitig doppelt angelegt wird
+        const newResource = await withFileLock('resources:import', async () => {
+            const duplicates = await findDuplicates(url, metadata?.canonicalUrl);
+            if (duplicates.length > 0 && onDuplicate === 'reject') {
+                throw new ConflictError('resource_duplicate_url', { id: duplicates[0].id }, {
+                    details: duplicates.map(d => ({ field: 'url', code: 'duplicate_url', params: { id: d.id } }))
+                });
+            }
+            for (const duplicate of duplicates) {
+                warnings.push({ field: 'url', code: 'duplicate_url', params: { id: duplicate.id } });
+            }
+            const resource = { id: uuidv4(), title, type, url };
+            if (description) resource.description = description;
+            if (authorId) resource.authorId = authorId;
+            if (tagIds && tagIds.length > 0) resource.tagIds = tagIds;
+            if (categoryId) resource.categoryId = categoryId;
+            if (metadata) resource.metadata = metadata;
+            resource.createdAt = new Date().toISOString();
+            await storage.insert(RESOURCES, resource);
+            return resource;
+        });
+        searchIndex.indexResource(newResource);
+        await recordChange(RESOURCES, 'create', { after: newResource, actorId: req.user.id });
+        publishEvent('resource.created', { resource: newResource }, { actorId: req.user.id, resourceId: newResource.id });
+        if (warnings.length > 0) {
+            res.status(201).json({ ...newResource, warnings: localizeDetails(warnings, resolveLocale(req)) });
+        } else {
+            res.status(201).json(newResource);
+        }
     } catch (err) {
         next(err);
     }
 });
 
 /**
- * GET /resources/:id
- * Gibt eine einzelne Ressource anhand ihrer ID zurück und liefert averageRating und feedbacks.
+ * POST /resources/enrich
+ * Schlägt title, type und description für eine URL vor, ohne eine Ressource anzulegen
+ * (siehe helpers/url_metadata.js), und nennt bereits vorhandene Ressourcen mit derselben URL.
+ * Berechtigung: contributor
+ * Erwartet: { url }
+ * Antwort: 200 OK mit { url, suggestion: { title, type, description }, metadata (null, wenn die
+ *   Seite nicht geladen werden konnte), error, duplicates: [{ id, title, url }] }
  */
+router.post('/enrich', requireRole('contributor'), validate({ query: emptyQuery, body: enrichBody }), async (req, res, next) => {
+    try {
+        const { url } = req.body;
+        const { metadata, suggestion, error } = await enrichUrl(url);
+        const duplicates = await findDuplicates(url, metadata?.canonicalUrl);
+        res.json({
+            url,
+            suggestion,
+            metadata,
+            error,
+            duplicates: duplicates.map(({ id, title, url: duplicateUrl }) => ({ id, title, url: duplicateUrl }))
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
  * GET /resources/:id
  * Gibt eine einzelne Ressource anhand ihrer ID zurück und liefert averageRating und feedbacks.
+ * Die Antwort trägt ETag und Last-Modified des gespeicherten Datensatzes (ohne averageRating
+ * und feedbacks); bei passendem If-None-Match bzw. If-Modified-Since antwortet der Server
+ * mit 304 Not Modified ohne Body.
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
     try {
-        const resourceId = req.params.id;
-        const resources = await readData(RESOURCES_FILE);
-        const resource = resources.find(r => r.id === resourceId);
+        const resource = await findActiveResource(req.params.id);
         if (!resource) {
-            return res.status(404).json({ error: 'Ressource nicht gefunden.' });
-        }
-        // Durchschnittliche Bewertung berechnen
-        let averageRating = null;
-        try {
-            const ratings = await readData(RATINGS_FILE);
-            const relevant = ratings.filter(r => r.resourceId === resourceId);
-            if (relevant.length > 0) {
-                averageRating = relevant.reduce((sum, r) => sum + r.ratingValue, 0) / relevant.length;
-                averageRating = Math.round(averageRating * 10) / 10;
-            }
-        } catch (e) {
-            averageRating = null;
-        }
-        // Feedbacks zur Ressource laden
-        let feedbacks = [];
-        try {
-            const allFeedbacks = await readData(FEEDBACK_FILE);
-            feedbacks = allFeedbacks.filter(f => f.resourceId === resourceId);
-        } catch (e) {
-            feedbacks = [];
-        }
-        res.json({ ...resource, averageRating, feedbacks });
+            throw new NotFoundError('resource_not_found');
+        }
+        // Express beantwortet passende If-None-Match- bzw. If-Modified-Since-Header mit 304
+        const { representation, etag, lastModified } = await resourceValidators(resource);
+        res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+        if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+        res.json(representation);
     } catch (err) {
         next(err);
     }
@@ -352,34 +973,55 @@ router.get('/:id', async (req, res, next) => {
 
 /**
  * PUT /resources/:id
- * Aktualisiert eine bestehende Ressource vollständig.
- * Erwartet: { title, type, authorId, url }
- * Antwort: Aktualisierte Ressource
+ * Aktualisiert eine bestehende Ressource vollständig; nicht übergebene optionale Felder
+ * (description, tagIds, categoryId) werden entfernt. Fehlt authorId, bleibt der Autor erhalten.
+ * Für Teiländerungen siehe PATCH /resources/:id.
+ * Berechtigung: Autor (authorId) mit Rolle contributor oder moderator
+ * Erwartet: { title, type, authorId, url, description (optional), tagIds (optional), categoryId (optional) };
+ *   optional If-Match mit dem ETag aus GET /resources/:id
+ * Antwort: Aktualisierte Ressource mit neuem ETag, 400 bei unbekannten Tags oder Kategorie,
+ *   412 wenn If-Match nicht zum aktuellen Stand passt
  */
+router.put('/:id', requireRole('contributor'), validate({ params: idParams('id'), query: emptyQuery, body: resourceBody }), async (req, res, next) => {
+    try {
+        // Pflichtfelder und Formate prüft das Schema
+        const updated = await modifyResource(req, 'resource_update_forbidden', existing => replaceContent(existing, req.body, req.user));
+        publishEvent('resource.updated', { resource: updated }, { actorId: req.user.id, resourceId: updated.id });
+        sendWithEtag(res, updated);
+    } catch (err) {
+        next(err);
+    }
+});
+
 /**
- * PUT /resources/:id
- * Aktualisiert eine bestehende Ressource vollständig.
- * Erwartet: { title, type, authorId, url }
- * Antwort: Aktualisierte Ressource
+ * PATCH /resources/:id
+ * Ändert einzelne Felder einer Ressource per JSON Merge Patch (RFC 7396): übergebene Felder
+ * ersetzen die bestehenden, null entfernt ein optionales Feld, alle übrigen bleiben erhalten.
+ * Berechtigung: Autor (authorId) mit Rolle contributor oder moderator
+ * Erwartet: Content-Type application/merge-patch+json (oder application/json),
+ *   z.B. { "title": "Neuer Titel", "categoryId": null }; optional If-Match mit dem ETag
+ * Antwort:
+ *   - 200 OK mit der aktualisierten Ressource und neuem ETag
+ *   - 400 wenn das Ergebnis ungültig ist (z.B. Pflichtfeld entfernt) oder Tags/Kategorie unbekannt sind
+ *   - 404 wenn die Ressource nicht existiert
+ *   - 412 wenn If-Match nicht zum aktuellen Stand passt
+ *   - 415 bei anderem Content-Type
  */
-router.put('/:id', async (req, res, next) => {
+router.patch('/:id', requireRole('contributor'), express.json({ type: MERGE_PATCH_CONTENT_TYPES }), validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
     try {
-        const resourceId = req.params.id;
-        const { title, type, url, authorId } = req.body;
-        // authorId ist optional
-        if (!title || !type || !url) {
-            return res.status(400).json({ error: 'Fehlende Felder.' });
-        }
-        const resources = await readData(RESOURCES_FILE);
-        const idx = resources.findIndex(r => r.id === resourceId);
-        if (idx === -1) {
-            return res.status(404).json({ error: 'Ressource nicht gefunden.' });
-        }
-        const updatedResource = { id: resourceId, title, type, url };
-        if (authorId) updatedResource.authorId = authorId;
-        resources[idx] = updatedResource;
-        await writeData(RESOURCES_FILE, resources);
-        res.json(resources[idx]);
+        if (!req.is(MERGE_PATCH_CONTENT_TYPES)) {
+            throw new AppError(415, 'unsupported_media_type');
+        }
+        const updated = await modifyResource(req, 'resource_update_forbidden', existing => {
+            const current = Object.fromEntries(CONTENT_FIELDS.filter(f => existing[f] !== undefined).map(f => [f, existing[f]]));
+            const { value, errors } = validateValue(resourceBody, applyMergePatch(current, req.body));
+            if (errors.length > 0) {
+                throw new ValidationError('invalid_request', {}, { details: errors });
+            }
+            return replaceContent(existing, value, req.user);
+        });
+        publishEvent('resource.updated', { resource: updated }, { actorId: req.user.id, resourceId: updated.id });
+        sendWithEtag(res, updated);
     } catch (err) {
         next(err);
     }
@@ -388,30 +1030,123 @@ router.put('/:id', async (req, res, next) => {
 /**
  * DELETE /resources/:id
  * Löscht eine Ressource anhand ihrer ID.
- * Antwort: Status 204 (No Content) bei Erfolg
+ * Berechtigung: Autor (authorId) mit Rolle contributor oder moderator
+ * Query: mode=hard (endgültig, samt Bewertungen und Feedback) oder mode=soft
+ *   (Grabstein mit deletedAt, wiederherstellbar); Standard über RESOURCE_DELETE_MODE, sonst hard
+ * Header: optional If-Match mit dem ETag aus GET /resources/:id
+ * Antwort: Status 204 (No Content) bei Erfolg, 412 wenn If-Match nicht zum aktuellen Stand passt
+ */
+router.delete('/:id', requireRole('contributor'), validate({ params: idParams('id'), query: resourceDeleteQuery }), async (req, res, next) => {
+    try {
+        const resourceId = req.params.id;
+        const mode = req.validatedQuery.mode || (process.env.RESOURCE_DELETE_MODE === 'soft' ? 'soft' : 'hard');
+        const deleted = await modifyResource(req, 'resource_delete_forbidden', async existing => {
+            if (mode === 'soft') await softDeleteResource(resourceId, req.user.id);
+            else await deleteResourceCascade(resourceId, req.user.id);
+            return existing;
+        });
+        publishEvent('resource.deleted', { resource: deleted, mode }, { actorId: req.user.id, resourceId });
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /resources/:id/restore
+ * Stellt eine weich gelöschte Ressource samt Bewertungen und Feedback wieder her.
+ * Berechtigung: moderator
+ * Antwort:
+ *   - 200 OK mit wiederhergestellter Ressource
+ *   - 404 wenn die Ressource nicht existiert
+ *   - 409 wenn die Ressource nicht gelöscht ist
  */
+router.post('/:id/restore', requireRole('moderator'), validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const resourceId = req.params.id;
+        const existing = await storage.findById(RESOURCES, resourceId);
+        if (!existing) {
+            throw new NotFoundError('resource_not_found');
+        }
+        if (!existing.deletedAt) {
+            throw new ConflictError('resource_not_deleted');
+        }
+        const restored = await restoreResource(resourceId, req.user.id);
+        publishEvent('resource.updated', { resource: restored }, { actorId: req.user.id, resourceId });
+        res.json(restored);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =====================
+// Versionen und Audit-Log
+// =====================
+
 /**
- * DELETE /resources/:id
- * Löscht eine Ressource anhand ihrer ID.
- * Antwort: Status 204 (No Content) bei Erfolg
+ * GET /resources/:id/history
+ * Listet die Versionen einer Ressource aus dem Audit-Log (siehe helpers/audit.js).
+ * Query: limit, offset oder cursor, sort (version, timestamp; Standard: version)
+ * Antwort: { data, pagination } und Link-Header; jeder Eintrag enthält version, action
+ *   (create, update, delete, restore, revert), actorId, timestamp, changes
+ *   ({ feld: { from, to } }) und snapshot (Zustand nach der Änderung)
+ *   - 404 wenn die Ressource nicht existiert
  */
-router.delete('/:id', async (req, res, next) => {
+router.get('/:id/history', validate({ params: idParams('id'), query: historyListQuery }), async (req, res, next) => {
     try {
         const resourceId = req.params.id;
-        const resources = await readData(RESOURCES_FILE);
-        // IDs sind UUIDs, direkter Vergleich
-        const idx = resources.findIndex(r => r.id === resourceId);
-        if (idx === -1) {
-            return res.status(404).json({ error: 'Ressource nicht gefunden.' });
-        }
-        resources.splice(idx, 1);
-        await writeData(RESOURCES_FILE, resources);
-        res.status(204).send();
+        const listQuery = parseListQuery(req.query, {
+            sortable: ['version', 'timestamp'],
+            selectable: [],
+            defaultSort: 'version'
+        });
+        const resource = await findActiveResource(resourceId);
+        if (!resource) {
+            throw new NotFoundError('resource_not_found');
+        }
+        const page = paginate(await findAuditEntries({ entityType: 'resource', entityId: resourceId }), listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
     } catch (err) {
         next(err);
     }
 });
 
+/**
+ * POST /resources/:id/revert
+ * Setzt die Inhaltsfelder (title, type, url, tagIds, categoryId; authorId nur durch Moderatoren)
+ * auf den Stand einer früheren Version zurück. Das Zurücksetzen ist selbst eine neue Version
+ * (action revert).
+ * Berechtigung: Autor (authorId) mit Rolle contributor oder moderator
+ * Erwartet: { version }; optional If-Match mit dem ETag aus GET /resources/:id
+ * Antwort:
+ *   - 200 OK mit der aktualisierten Ressource und neuem ETag
+ *   - 404 wenn Ressource oder Version nicht existiert
+ *   - 409 wenn die Version eine endgültige Löschung ist
+ *   - 412 wenn If-Match nicht zum aktuellen Stand passt
+ */
+router.post('/:id/revert', requireRole('contributor'), validate({ params: idParams('id'), query: emptyQuery, body: revertBody }), async (req, res, next) => {
+    try {
+        const resourceId = req.params.id;
+        const { version } = req.body;
+        const reverted = await modifyResource(req, 'resource_update_forbidden', async () => {
+            const entry = await findResourceVersion(resourceId, version);
+            if (!entry) {
+                throw new NotFoundError('resource_version_not_found', { version });
+            }
+            if (!entry.snapshot) {
+                throw new ConflictError('resource_version_not_revertible', { version });
+            }
+            // Den Autor setzen nur Moderatoren zurück
+            const fields = hasRole(req.user, 'moderator') ? CONTENT_FIELDS : CONTENT_FIELDS.filter(f => f !== 'authorId');
+            return revertResource(resourceId, entry, fields, req.user.id);
+        });
+        publishEvent('resource.updated', { resource: reverted }, { actorId: req.user.id, resourceId: reverted.id });
+        sendWithEtag(res, reverted);
+    } catch (err) {
+        next(err);
+    }
+});
 
 // Exportiert den Router für die Verwendung in server.js
 export default router;
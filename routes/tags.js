@@ -0,0 +1,143 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from '../helpers/data_manager.js';
+import { parseListQuery, paginate, buildLinkHeader } from '../helpers/list_query.js';
+import { slugFor, assertSlugAvailable, countResourcesByTag, removeTagFromResources } from '../helpers/taxonomy.js';
+import { validate } from '../middleware/validation.js';
+import { NotFoundError } from '../helpers/errors.js';
+import { requireRole } from '../middleware/auth.js';
+import { idParams, emptyQuery } from '../schemas/resources.js';
+import { tagBody, tagListQuery, TAG_SORTABLE_FIELDS } from '../schemas/taxonomy.js';
+
+// Router-Instanz für alle /tags-Routen (frei zuordenbare Schlagworte für Ressourcen)
+const router = express.Router();
+
+// Sammlung der Tags (siehe helpers/data_manager.js)
+const TAGS = 'tags';
+
+// =====================
+// Tag-Endpunkte
+// =====================
+
+/**
+ * GET /tags
+ * Listet alle Tags mit der Anzahl aktiver Ressourcen (resourceCount).
+ * Query: limit, offset oder cursor, sort (name, slug, resourceCount, createdAt, updatedAt)
+ * Antwort: { data, pagination } und Link-Header
+ */
+router.get('/', validate({ query: tagListQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, {
+            sortable: TAG_SORTABLE_FIELDS,
+            selectable: [],
+            defaultSort: 'name'
+        });
+        const [tags, counts] = await Promise.all([storage.find(TAGS), countResourcesByTag()]);
+        const page = paginate(tags.map(tag => ({ ...tag, resourceCount: counts.get(tag.id) || 0 })), listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /tags
+ * Legt einen Tag an; ohne slug wird er aus dem Namen abgeleitet.
+ * Berechtigung: contributor
+ * Erwartet: { name, slug (optional), description (optional) }
+ * Antwort:
+ *   - 201 Created mit dem Tag
+ *   - 400 bei ungültigen Feldern
+ *   - 409 wenn der Slug bereits vergeben ist
+ */
+router.post('/', requireRole('contributor'), validate({ query: emptyQuery, body: tagBody }), async (req, res, next) => {
+    try {
+        const slug = slugFor(req.body);
+        // Die Sperre verhindert doppelte Slugs bei gleichzeitigen Anfragen
+        const tag = await storage.withFileLock('tags:slug', async () => {
+            await assertSlugAvailable(TAGS, slug, null);
+            const now = new Date().toISOString();
+            const newTag = { id: uuidv4(), name: req.body.name, slug, description: req.body.description, createdAt: now, updatedAt: now };
+            await storage.insert(TAGS, newTag);
+            return newTag;
+        });
+        res.status(201).json({ ...tag, resourceCount: 0 });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /tags/:id
+ * Gibt einen Tag mit der Anzahl aktiver Ressourcen zurück.
+ * Antwort: 200 OK, 404 wenn der Tag nicht existiert
+ */
+router.get('/:id', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const tag = await storage.findById(TAGS, req.params.id);
+        if (!tag) {
+            throw new NotFoundError('tag_not_found');
+        }
+        const counts = await countResourcesByTag();
+        res.json({ ...tag, resourceCount: counts.get(tag.id) || 0 });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /tags/:id
+ * Ersetzt Name, Slug und Beschreibung eines Tags; die Zuordnungen bleiben erhalten.
+ * Berechtigung: moderator
+ * Antwort: 200 OK mit dem Tag, 400 bei ungültigen Feldern, 404 wenn er nicht existiert,
+ *   409 wenn der Slug bereits vergeben ist
+ */
+router.put('/:id', requireRole('moderator'), validate({ params: idParams('id'), query: emptyQuery, body: tagBody }), async (req, res, next) => {
+    try {
+        const slug = slugFor(req.body);
+        const updated = await storage.withFileLock('tags:slug', async () => {
+            const existing = await storage.findById(TAGS, req.params.id);
+            if (!existing) {
+                throw new NotFoundError('tag_not_found');
+            }
+            await assertSlugAvailable(TAGS, slug, existing.id);
+            return storage.update(TAGS, existing.id, {
+                name: req.body.name,
+                slug,
+                description: req.body.description,
+                updatedAt: new Date().toISOString()
+            });
+        });
+        const counts = await countResourcesByTag();
+        res.json({ ...updated, resourceCount: counts.get(updated.id) || 0 });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /tags/:id
+ * Löscht einen Tag und entfernt ihn aus allen Ressourcen.
+ * Berechtigung: moderator
+ * Antwort: 204 No Content, 404 wenn der Tag nicht existiert
+ */
+router.delete('/:id', requireRole('moderator'), validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const existing = await storage.findById(TAGS, req.params.id);
+        if (!existing) {
+            throw new NotFoundError('tag_not_found');
+        }
+        await removeTagFromResources(existing.id, req.user.id);
+        await storage.remove(TAGS, existing.id);
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
@@ -0,0 +1,181 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from '../helpers/data_manager.js';
+import { withFileLock } from '../helpers/data_manager.js';
+import { parseListQuery, paginate, buildLinkHeader } from '../helpers/list_query.js';
+import { recommendForUser } from '../helpers/recommendations.js';
+import { resourceSummaries } from '../helpers/collections.js';
+import { findActiveResource } from '../helpers/resource_lifecycle.js';
+import { resolveLocale } from '../helpers/messages.js';
+import { ForbiddenError, NotFoundError } from '../helpers/errors.js';
+import { validate } from '../middleware/validation.js';
+import { requireRole, resolveActingUserId } from '../middleware/auth.js';
+import { userParams, ratingListQuery, recommendationQuery, emptyQuery, RATING_SORTABLE_FIELDS } from '../schemas/resources.js';
+import { bookmarkParams, bookmarkListQuery, BOOKMARK_SORTABLE_FIELDS } from '../schemas/collections.js';
+
+// Router-Instanz für alle /users-Routen
+const router = express.Router();
+
+// Sammlung der Lesezeichen (siehe helpers/data_manager.js)
+const BOOKMARKS = 'bookmarks';
+
+/**
+ * Stellt sicher, dass die Anfrage auf die Daten des Nutzers aus dem Pfad zugreifen darf:
+ * Nutzer nur auf ihre eigenen, Services und Admins auf die aller Nutzer.
+ *
+ * @param {import('express').Request} req - Anfrage (nach requireRole)
+ * @param {string} [forbiddenCode='user_data_forbidden'] - Meldungsschlüssel bei fremden Daten
+ * @throws {ForbiddenError} Bei fremden Daten (403)
+ */
+function assertOwnUser(req, forbiddenCode = 'user_data_forbidden') {
+    if (!resolveActingUserId(req, req.params.userId)) {
+        throw new ForbiddenError(forbiddenCode);
+    }
+}
+
+/**
+ * Stellt sicher, dass die Anfrage die Lesezeichen des Nutzers aus dem Pfad verwalten darf.
+ *
+ * @param {import('express').Request} req - Anfrage (nach requireRole)
+ * @throws {ForbiddenError} Bei fremden Lesezeichen (403)
+ */
+function assertOwnBookmarks(req) {
+    assertOwnUser(req, 'bookmark_forbidden');
+}
+
+// =====================
+// Nutzer-Endpunkte
+// =====================
+
+/**
+ * GET /users/:userId/ratings
+ * Listet alle Bewertungen eines Nutzers (Grundlage für Empfehlungen im Learning-Path-Generator).
+ * Berechtigung: reader; Nutzer nur die eigenen, Services und Admins die aller Nutzer
+ * Query: limit, offset oder cursor, sort (ratingValue, createdAt, updatedAt; "-" für absteigend)
+ * Antwort: { data, pagination } und Link-Header, 403 bei fremden Bewertungen
+ */
+router.get('/:userId/ratings', requireRole('reader'), validate({ params: userParams(), query: ratingListQuery }), async (req, res, next) => {
+    try {
+        assertOwnUser(req);
+        const listQuery = parseListQuery(req.query, {
+            sortable: RATING_SORTABLE_FIELDS,
+            selectable: [],
+            defaultSort: '-createdAt'
+        });
+        const page = paginate(await storage.find('ratings', { userId: req.params.userId }), listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /users/:userId/recommendations
+ * Empfiehlt Ressourcen, die der Nutzer noch nicht bewertet hat (für den Learning-Path-Generator):
+ * zuerst per kollaborativem Filtern über ähnlich bewertete Ressourcen, dann nach inhaltlicher
+ * Ähnlichkeit (Typ, Tags, Titel) zu gut bewerteten Ressourcen und zuletzt nach Beliebtheit,
+ * für Nutzer ohne Bewertungen nach Beliebtheit und zuletzt die neuesten Ressourcen
+ * (siehe helpers/recommendations.js).
+ * Berechtigung: reader; Nutzer nur für sich selbst, Services und Admins für alle Nutzer
+ * Query: limit (1-50, Standard: 10), type (nur Ressourcen dieses Typs)
+ * Antwort: { userId, data: [{ resource, source (collaborative, content, popular, recent), score,
+ *   explanation: { code, message, basedOn: [{ id, title }] } }] }, 403 für fremde Nutzer
+ */
+router.get('/:userId/recommendations', requireRole('reader'), validate({ params: userParams(), query: recommendationQuery }), async (req, res, next) => {
+    try {
+        assertOwnUser(req);
+        const { limit = 10, type } = req.validatedQuery;
+        const data = await recommendForUser(req.params.userId, { limit, type, locale: resolveLocale(req) });
+        res.json({ userId: req.params.userId, data });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /users/:userId/bookmarks
+ * Listet die Lesezeichen eines Nutzers mit Zusammenfassung der Ressource (id, title, type,
+ * url, averageRating); Lesezeichen auf gelöschte Ressourcen werden ausgelassen.
+ * Berechtigung: der Nutzer selbst (Services und Admins für alle Nutzer)
+ * Query: limit, offset oder cursor, sort (createdAt; "-" für absteigend, Standard: neueste zuerst)
+ * Antwort: { data: [{ id, userId, resourceId, createdAt, resource }], pagination } und Link-Header
+ */
+router.get('/:userId/bookmarks', requireRole('reader'), validate({ params: userParams(), query: bookmarkListQuery }), async (req, res, next) => {
+    try {
+        assertOwnBookmarks(req);
+        const listQuery = parseListQuery(req.query, {
+            sortable: BOOKMARK_SORTABLE_FIELDS,
+            selectable: [],
+            defaultSort: '-createdAt'
+        });
+        const bookmarks = await storage.find(BOOKMARKS, { userId: req.params.userId });
+        const summaries = new Map((await resourceSummaries(bookmarks.map(b => b.resourceId))).map(r => [r.id, r]));
+        const page = paginate(bookmarks
+            .filter(bookmark => summaries.has(bookmark.resourceId))
+            .map(bookmark => ({ ...bookmark, resource: summaries.get(bookmark.resourceId) })), listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /users/:userId/bookmarks/:resourceId
+ * Setzt ein Lesezeichen auf eine Ressource (idempotent: ein Lesezeichen je Nutzer und Ressource).
+ * Berechtigung: der Nutzer selbst (Services und Admins für alle Nutzer)
+ * Antwort:
+ *   - 201 Created mit dem neuen Lesezeichen { id, userId, resourceId, createdAt }
+ *   - 200 OK mit dem bestehenden Lesezeichen
+ *   - 404 wenn die Ressource nicht existiert
+ */
+router.put('/:userId/bookmarks/:resourceId', requireRole('reader'), validate({ params: bookmarkParams, query: emptyQuery }), async (req, res, next) => {
+    try {
+        assertOwnBookmarks(req);
+        const { userId, resourceId } = req.params;
+        // Die Sperre der Ressource verhindert, dass sie zwischen Prüfung und Speichern endgültig
+        // gelöscht wird; die des Lesezeichens doppelte Lesezeichen bei gleichzeitigen Anfragen
+        const { bookmark, created } = await withFileLock(`resource:${resourceId}`, async () => {
+            if (!await findActiveResource(resourceId)) {
+                throw new NotFoundError('resource_not_found');
+            }
+            return withFileLock(`bookmark:${userId}:${resourceId}`, async () => {
+                const [existing] = await storage.find(BOOKMARKS, { userId, resourceId });
+                if (existing) return { bookmark: existing, created: false };
+                const newBookmark = { id: uuidv4(), userId, resourceId, createdAt: new Date().toISOString() };
+                await storage.insert(BOOKMARKS, newBookmark);
+                return { bookmark: newBookmark, created: true };
+            });
+        });
+        res.status(created ? 201 : 200).json(bookmark);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /users/:userId/bookmarks/:resourceId
+ * Entfernt ein Lesezeichen.
+ * Berechtigung: der Nutzer selbst (Services und Admins für alle Nutzer)
+ * Antwort: 204 No Content, 404 wenn kein Lesezeichen auf die Ressource besteht
+ */
+router.delete('/:userId/bookmarks/:resourceId', requireRole('reader'), validate({ params: bookmarkParams, query: emptyQuery }), async (req, res, next) => {
+    try {
+        assertOwnBookmarks(req);
+        const { userId, resourceId } = req.params;
+        const removed = await storage.removeWhere(BOOKMARKS, { userId, resourceId });
+        if (removed === 0) {
+            throw new NotFoundError('bookmark_not_found');
+        }
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
@@ -0,0 +1,174 @@
+// =====================
+// Imports und Initialisierung
+// =====================
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import * as storage from '../helpers/data_manager.js';
+import { parseListQuery, paginate, buildLinkHeader } from '../helpers/list_query.js';
+import { generateSecret, withoutSecret } from '../helpers/webhooks.js';
+import { validate } from '../middleware/validation.js';
+import { NotFoundError } from '../helpers/errors.js';
+import { requireRole } from '../middleware/auth.js';
+import { idParams, emptyQuery } from '../schemas/resources.js';
+import { webhookBody, webhookListQuery, deliveryListQuery } from '../schemas/webhooks.js';
+
+// Router-Instanz für alle /webhooks-Routen (Abonnements für Domain-Events, nur für Admins)
+const router = express.Router();
+router.use(requireRole('admin'));
+
+// Sammlungen (siehe helpers/data_manager.js)
+const WEBHOOKS = 'webhooks';
+const DELIVERIES = 'webhook_deliveries';
+
+/**
+ * Lädt einen Webhook oder wirft 404.
+ *
+ * @param {string} id - ID des Webhooks
+ * @returns {Promise<Object>} Gespeicherter Webhook
+ * @throws {NotFoundError} Wenn der Webhook nicht existiert
+ */
+async function findWebhook(id) {
+    const webhook = await storage.findById(WEBHOOKS, id);
+    if (!webhook) {
+        throw new NotFoundError('webhook_not_found');
+    }
+    return webhook;
+}
+
+// =====================
+// Webhook-Endpunkte
+// =====================
+
+/**
+ * GET /webhooks
+ * Listet alle Webhooks (ohne secret).
+ * Berechtigung: admin
+ * Query: limit, offset oder cursor, sort (url, createdAt, updatedAt; Standard: createdAt)
+ * Antwort: { data, pagination } und Link-Header
+ */
+router.get('/', validate({ query: webhookListQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, {
+            sortable: ['url', 'createdAt', 'updatedAt'],
+            selectable: [],
+            defaultSort: 'createdAt'
+        });
+        const page = paginate((await storage.find(WEBHOOKS)).map(withoutSecret), listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * POST /webhooks
+ * Registriert einen Webhook für die angegebenen Event-Typen.
+ * Berechtigung: admin
+ * Erwartet: { url, events: [resource.created, resource.updated, resource.deleted, rating.created,
+ *   feedback.created], description (optional), active (optional, Standard true), secret (optional) }
+ * Antwort:
+ *   - 201 Created mit dem Webhook einschließlich secret (wird nur hier ausgegeben; ohne
+ *     Angabe wird es erzeugt)
+ *   - 400 bei ungültigen Feldern
+ */
+router.post('/', validate({ query: emptyQuery, body: webhookBody }), async (req, res, next) => {
+    try {
+        const { url, events, description, active = true, secret = generateSecret() } = req.body;
+        const now = new Date().toISOString();
+        const webhook = { id: uuidv4(), url, events, description, active, secret, createdBy: req.user.id, createdAt: now, updatedAt: now };
+        await storage.insert(WEBHOOKS, webhook);
+        res.status(201).json(webhook);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /webhooks/:id
+ * Gibt einen Webhook (ohne secret) zurück.
+ * Berechtigung: admin
+ * Antwort: 200 OK, 404 wenn der Webhook nicht existiert
+ */
+router.get('/:id', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        res.json(withoutSecret(await findWebhook(req.params.id)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * PUT /webhooks/:id
+ * Ersetzt URL, Event-Typen, Beschreibung und Status eines Webhooks. Mit secret wird das
+ * Secret ausgetauscht, sonst bleibt es erhalten. Deaktivierte Webhooks erhalten keine
+ * Zustellungen; offene werden beim nächsten Versuch abgebrochen (status cancelled).
+ * Berechtigung: admin
+ * Antwort: 200 OK mit dem Webhook (ohne secret), 400 bei ungültigen Feldern, 404 wenn er nicht existiert
+ */
+router.put('/:id', validate({ params: idParams('id'), query: emptyQuery, body: webhookBody }), async (req, res, next) => {
+    try {
+        const existing = await findWebhook(req.params.id);
+        const { url, events, description, active = true, secret = existing.secret } = req.body;
+        const updated = await storage.update(WEBHOOKS, existing.id, {
+            url,
+            events,
+            description,
+            active,
+            secret,
+            updatedAt: new Date().toISOString()
+        });
+        res.json(withoutSecret(updated));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * DELETE /webhooks/:id
+ * Löscht einen Webhook samt Zustellungsprotokoll.
+ * Berechtigung: admin
+ * Antwort: 204 No Content, 404 wenn der Webhook nicht existiert
+ */
+router.delete('/:id', validate({ params: idParams('id'), query: emptyQuery }), async (req, res, next) => {
+    try {
+        const existing = await findWebhook(req.params.id);
+        await storage.remove(WEBHOOKS, existing.id);
+        await storage.removeWhere(DELIVERIES, { webhookId: existing.id });
+        res.status(204).send();
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * GET /webhooks/:id/deliveries
+ * Listet das Zustellungsprotokoll eines Webhooks: je Event status (pending, succeeded, failed,
+ * cancelled), alle Versuche (attempts mit Zeitpunkt, responseStatus, error, durationMs),
+ * nextAttemptAt und das zugestellte Event (payload).
+ * Berechtigung: admin
+ * Query: status, eventType, limit, offset oder cursor, sort (createdAt, updatedAt; Standard: -createdAt)
+ * Antwort: { data, pagination } und Link-Header, 404 wenn der Webhook nicht existiert
+ */
+router.get('/:id/deliveries', validate({ params: idParams('id'), query: deliveryListQuery }), async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(req.query, {
+            sortable: ['createdAt', 'updatedAt'],
+            selectable: [],
+            defaultSort: '-createdAt'
+        });
+        const webhook = await findWebhook(req.params.id);
+        const { status, eventType } = req.validatedQuery;
+        const filter = { webhookId: webhook.id };
+        if (status) filter.status = status;
+        if (eventType) filter.eventType = eventType;
+        const page = paginate(await storage.find(DELIVERIES, filter), listQuery);
+        res.set('Link', buildLinkHeader(req, page.pagination));
+        res.json(page);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Exportiert den Router für die Verwendung in server.js
+export default router;
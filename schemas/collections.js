@@ -0,0 +1,70 @@
+/**
+ * schemas/collections.js
+ *
+ * Deklarative Schemas für Body und Query der /collections-Routen (Sammlungen) und der
+ * Lesezeichen unter /users/:userId/bookmarks.
+ * Eine Sammlung ist eine benannte, geordnete Liste von Ressourcen-IDs eines Nutzers, die
+ * privat (nur für den Eigentümer) oder öffentlich (für alle lesbar) ist.
+ *
+ * @fileoverview Schemas für Sammlungen und Lesezeichen.
+ */
+
+import { idSchema, userIdSchema } from './resources.js';
+
+// Sichtbarkeit einer Sammlung
+export const COLLECTION_VISIBILITY = ['private', 'public'];
+
+// Erlaubte Felder für Sortierung in GET /collections
+export const COLLECTION_SORTABLE_FIELDS = ['id', 'title', 'resourceCount', 'createdAt', 'updatedAt'];
+
+// Erlaubte Felder für Sortierung in GET /users/:userId/bookmarks
+export const BOOKMARK_SORTABLE_FIELDS = ['createdAt'];
+
+// Body für POST /collections und PUT /collections/:id
+export const collectionBody = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', maxLength: 2000 },
+        visibility: { type: 'string', enum: COLLECTION_VISIBILITY },
+        userId: userIdSchema,
+        resourceIds: { type: 'array', items: idSchema, uniqueItems: true, maxItems: 500 }
+    },
+    required: ['title'],
+    additionalProperties: false
+};
+
+// Query für GET /collections
+export const collectionListQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 200, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' },
+        userId: userIdSchema,
+        visibility: { type: 'string', enum: COLLECTION_VISIBILITY },
+        resourceId: idSchema
+    },
+    additionalProperties: false
+};
+
+// Pfadparameter für PUT/DELETE /users/:userId/bookmarks/:resourceId
+export const bookmarkParams = {
+    type: 'object',
+    properties: { userId: userIdSchema, resourceId: idSchema },
+    required: ['userId', 'resourceId'],
+    additionalProperties: false
+};
+
+// Query für GET /users/:userId/bookmarks
+export const bookmarkListQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 100, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' }
+    },
+    additionalProperties: false
+};
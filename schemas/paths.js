@@ -0,0 +1,73 @@
+/**
+ * schemas/paths.js
+ *
+ * Deklarative Schemas für Body und Query der /paths-Routen (Lernpfade).
+ * Ein Lernpfad besteht aus Abschnitten (sections) mit geordneten Einträgen (items),
+ * die je auf eine Ressource verweisen und optional Voraussetzungen (prerequisites,
+ * IDs anderer Ressourcen desselben Pfads) und eine geschätzte Dauer in Minuten haben.
+ *
+ * @fileoverview Schemas für Lernpfade.
+ */
+
+import { idSchema, userIdSchema } from './resources.js';
+
+// Schwierigkeitsgrade von Lernpfaden und Einträgen
+export const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Erlaubte Felder für Sortierung in GET /paths
+export const PATH_SORTABLE_FIELDS = ['id', 'title', 'difficulty', 'estimatedMinutes', 'createdAt', 'updatedAt'];
+
+// Ein Eintrag eines Abschnitts
+const pathItemSchema = {
+    type: 'object',
+    properties: {
+        resourceId: idSchema,
+        estimatedMinutes: { type: 'integer', minimum: 1, maximum: 10000 },
+        difficulty: { type: 'string', enum: DIFFICULTY_LEVELS },
+        prerequisites: { type: 'array', items: idSchema, uniqueItems: true, maxItems: 50 },
+        note: { type: 'string', maxLength: 500 }
+    },
+    required: ['resourceId'],
+    additionalProperties: false
+};
+
+// Ein Abschnitt des Lernpfads
+const pathSectionSchema = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', maxLength: 2000 },
+        items: { type: 'array', items: pathItemSchema, minItems: 1, maxItems: 200 }
+    },
+    required: ['title', 'items'],
+    additionalProperties: false
+};
+
+// Body für POST /paths und PUT /paths/:id
+export const pathBody = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', maxLength: 2000 },
+        difficulty: { type: 'string', enum: DIFFICULTY_LEVELS },
+        authorId: userIdSchema,
+        sections: { type: 'array', items: pathSectionSchema, minItems: 1, maxItems: 50 }
+    },
+    required: ['title', 'sections'],
+    additionalProperties: false
+};
+
+// Query für GET /paths
+export const pathListQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 200, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' },
+        difficulty: { type: 'string', enum: DIFFICULTY_LEVELS },
+        authorId: userIdSchema,
+        resourceId: idSchema
+    },
+    additionalProperties: false
+};
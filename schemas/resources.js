@@ -0,0 +1,328 @@
+/**
+ * schemas/resources.js
+ *
+ * Deklarative Schemas für Body, Query und Pfadparameter der /resources-Routen.
+ * Die Schemas folgen einer Teilmenge von JSON Schema (type, properties, required,
+ * additionalProperties, enum, minLength/maxLength, minimum/maximum, pattern, format),
+ * werden von middleware/validation.js geprüft und lassen sich direkt für die
+ * API-Dokumentation wiederverwenden.
+ *
+ * @fileoverview Schemas für Ressourcen, Bewertungen und Feedback.
+ */
+
+// Erlaubte Ressourcentypen
+export const RESOURCE_TYPES = ['Kurs', 'Video', 'Blogpost', 'Artikel', 'Buch', 'Podcast', 'Tutorial', 'Dokumentation'];
+
+// Gemeinsame Bausteine
+export const idSchema = { type: 'string', minLength: 1, maxLength: 100, pattern: '^[A-Za-z0-9_-]+$' };
+export const userIdSchema = { type: 'string', minLength: 1, maxLength: 100, pattern: '^[A-Za-z0-9_.@-]+$' };
+
+/**
+ * Pfadparameter mit den angegebenen ID-Namen.
+ *
+ * @param {...string} names - Namen der Pfadparameter (z.B. 'resourceId', 'feedbackId')
+ * @returns {Object} Schema für req.params
+ */
+export function idParams(...names) {
+    return {
+        type: 'object',
+        properties: Object.fromEntries(names.map(name => [name, idSchema])),
+        required: names,
+        additionalProperties: false
+    };
+}
+
+// Tag-Filter: kommagetrennte IDs oder Slugs (siehe schemas/taxonomy.js)
+const tagFilterSchema = { type: 'string', maxLength: 500, pattern: '^[A-Za-z0-9_-]+(,[A-Za-z0-9_-]+)*$' };
+
+// Body für POST /resources und PUT /resources/:id (tagIds und categoryId verweisen auf /tags und /categories)
+export const resourceBody = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        type: { type: 'string', enum: RESOURCE_TYPES },
+        url: { type: 'string', format: 'uri', maxLength: 2048 },
+        description: { type: 'string', minLength: 1, maxLength: 2000 },
+        authorId: userIdSchema,
+        tagIds: { type: 'array', items: idSchema, uniqueItems: true, maxItems: 20 },
+        categoryId: idSchema
+    },
+    required: ['title', 'type', 'url'],
+    additionalProperties: false
+};
+
+// Body für POST /resources: mit enrich=true genügt die URL, title und type ergänzen die Metadaten
+export const resourceDraftBody = {
+    ...resourceBody,
+    required: ['url']
+};
+
+// Query für POST /resources (onDuplicate: reject = 409 bei bekannter URL, warn = anlegen mit Warnung)
+export const resourceCreateQuery = {
+    type: 'object',
+    properties: {
+        enrich: { type: 'boolean' },
+        onDuplicate: { type: 'string', enum: ['reject', 'warn'] }
+    },
+    additionalProperties: false
+};
+
+// Body für POST /resources/enrich
+export const enrichBody = {
+    type: 'object',
+    properties: {
+        url: resourceBody.properties.url
+    },
+    required: ['url'],
+    additionalProperties: false
+};
+
+/**
+ * Pfadparameter mit einer Nutzer-ID (z.B. /users/:userId/ratings).
+ *
+ * @returns {Object} Schema für req.params
+ */
+export function userParams() {
+    return {
+        type: 'object',
+        properties: { userId: userIdSchema },
+        required: ['userId'],
+        additionalProperties: false
+    };
+}
+
+// Body für POST /resources/:id/rating (eine Bewertung je Nutzer und Ressource).
+// userId stammt aus der Anmeldung; nur Services und Admins dürfen sie angeben.
+export const ratingBody = {
+    type: 'object',
+    properties: {
+        ratingValue: { type: 'integer', minimum: 1, maximum: 5 },
+        userId: userIdSchema
+    },
+    required: ['ratingValue'],
+    additionalProperties: false
+};
+
+// Body für PUT /resources/:resourceId/rating/:ratingId
+export const ratingUpdateBody = {
+    type: 'object',
+    properties: {
+        ratingValue: { type: 'integer', minimum: 1, maximum: 5 }
+    },
+    required: ['ratingValue'],
+    additionalProperties: false
+};
+
+// Erlaubte Sortierfelder für Bewertungslisten
+export const RATING_SORTABLE_FIELDS = ['id', 'ratingValue', 'createdAt', 'updatedAt'];
+
+// Query für GET /resources/:id/ratings und GET /users/:userId/ratings
+export const ratingListQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 100, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' }
+    },
+    additionalProperties: false
+};
+
+// Query für GET /users/:userId/recommendations
+export const recommendationQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 50 },
+        type: { type: 'string', enum: RESOURCE_TYPES }
+    },
+    additionalProperties: false
+};
+
+// Mögliche Moderationsstatus eines Feedbacks
+export const FEEDBACK_STATUS_VALUES = ['pending', 'approved', 'rejected', 'flagged'];
+
+// Body für POST /resources/:resourceId/feedback (userId wie bei ratingBody, parentId für Antworten)
+export const feedbackBody = {
+    type: 'object',
+    properties: {
+        feedbackText: { type: 'string', minLength: 10, maxLength: 500 },
+        parentId: idSchema,
+        userId: userIdSchema
+    },
+    required: ['feedbackText'],
+    additionalProperties: false
+};
+
+// Body für PUT /resources/:resourceId/feedback/:feedbackId
+export const feedbackUpdateBody = {
+    type: 'object',
+    properties: {
+        feedbackText: { type: 'string', minLength: 10, maxLength: 500 }
+    },
+    required: ['feedbackText'],
+    additionalProperties: false
+};
+
+// Body für POST /resources/:resourceId/feedback/:feedbackId/flag
+export const feedbackFlagBody = {
+    type: 'object',
+    properties: {
+        reason: { type: 'string', minLength: 3, maxLength: 200 }
+    },
+    additionalProperties: false
+};
+
+// Body für PUT /moderation/feedback/:feedbackId
+export const moderationDecisionBody = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: ['approved', 'rejected'] },
+        note: { type: 'string', maxLength: 500 }
+    },
+    required: ['status'],
+    additionalProperties: false
+};
+
+// Query für GET /moderation/feedback
+export const moderationQueueQuery = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: FEEDBACK_STATUS_VALUES },
+        resourceId: idSchema,
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 }
+    },
+    additionalProperties: false
+};
+
+// Query für GET /resources
+export const resourceListQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 200, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' },
+        fields: { type: 'string', maxLength: 200, pattern: '^[A-Za-z]+(,[A-Za-z]+)*$' },
+        type: { type: 'string', maxLength: 200 },
+        authorId: userIdSchema,
+        minRating: { type: 'number', minimum: 1, maximum: 5 },
+        createdFrom: { type: 'string', format: 'date-time' },
+        createdTo: { type: 'string', format: 'date-time' },
+        tag: tagFilterSchema,
+        category: idSchema
+    },
+    additionalProperties: false
+};
+
+// Query für GET /resources/search
+export const searchQuery = {
+    type: 'object',
+    properties: {
+        q: { type: 'string', maxLength: 200 },
+        type: { type: 'string', maxLength: 50 },
+        tag: tagFilterSchema,
+        category: idSchema
+    },
+    additionalProperties: false
+};
+
+// Query für Routen ohne Query-Parameter
+export const emptyQuery = {
+    type: 'object',
+    properties: {},
+    additionalProperties: false
+};
+
+// Query für GET /resources/top-rated
+export const topRatedQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        minCount: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+};
+
+// Query für GET /resources/broken (flagged: nur Ressourcen mit Markierung linkBroken)
+export const brokenLinksQuery = {
+    type: 'object',
+    properties: {
+        flagged: { type: 'boolean' },
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 100, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' }
+    },
+    additionalProperties: false
+};
+
+// Query für DELETE /resources/:id (hard: endgültig mit Bewertungen und Feedback, soft: Grabstein)
+export const resourceDeleteQuery = {
+    type: 'object',
+    properties: {
+        mode: { type: 'string', enum: ['hard', 'soft'] }
+    },
+    additionalProperties: false
+};
+
+// Query für POST /resources/import (format überschreibt die Erkennung über den Content-Type)
+export const resourceImportQuery = {
+    type: 'object',
+    properties: {
+        format: { type: 'string', enum: ['csv', 'ndjson', 'json'] },
+        mode: { type: 'string', enum: ['create', 'upsert'] },
+        dryRun: { type: 'boolean' }
+    },
+    additionalProperties: false
+};
+
+// Query für GET /resources/export
+export const resourceExportQuery = {
+    type: 'object',
+    properties: {
+        format: { type: 'string', enum: ['csv', 'ndjson', 'json'] },
+        includeStats: { type: 'boolean' }
+    },
+    additionalProperties: false
+};
+
+// Query für GET /resources/:id/history
+export const historyListQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 100, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' }
+    },
+    additionalProperties: false
+};
+
+// Body für POST /resources/:id/revert
+export const revertBody = {
+    type: 'object',
+    properties: {
+        version: { type: 'integer', minimum: 1 }
+    },
+    required: ['version'],
+    additionalProperties: false
+};
+
+// Query für GET /admin/audit
+export const auditLogQuery = {
+    type: 'object',
+    properties: {
+        entityType: { type: 'string', enum: ['resource', 'rating', 'feedback'] },
+        entityId: idSchema,
+        resourceId: idSchema,
+        actorId: userIdSchema,
+        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'revert'] },
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 100, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' }
+    },
+    additionalProperties: false
+};
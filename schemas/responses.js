@@ -0,0 +1,476 @@
+/**
+ * schemas/responses.js
+ *
+ * Schemas der Antworten für die OpenAPI-Beschreibung (siehe helpers/openapi.js).
+ * Anders als die Request-Schemas werden sie nicht zur Laufzeit geprüft; sie beschreiben die
+ * Felder, auf die sich Clients verlassen können. Gespeicherte Datensätze dürfen zusätzliche
+ * Felder tragen (z.B. metadata, linkBroken oder deletedAt), daher ist additionalProperties
+ * nur bei fest aufgebauten Objekten ausgeschlossen.
+ *
+ * @fileoverview Antwort-Schemas für Ressourcen, Bewertungen, Feedback und Fehler.
+ */
+
+import {
+    RESOURCE_TYPES, FEEDBACK_STATUS_VALUES, idSchema, userIdSchema, resourceBody
+} from './resources.js';
+
+// Zeitpunkt im Format ISO 8601
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { type: ['string', 'null'], format: 'date-time' };
+
+// Fehlerantwort nach RFC 7807 (siehe middleware/error_handler.js)
+export const Problem = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', examples: ['/problems/resource-not-found'] },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+        code: { type: 'string', examples: ['resource_not_found'] },
+        requestId: { type: 'string' },
+        details: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/FieldError' }
+        }
+    },
+    required: ['type', 'title', 'status', 'detail', 'code']
+};
+
+// Einzelfehler bzw. Hinweis zu einem Feld (details in Problem, warnings in POST /resources)
+export const FieldError = {
+    type: 'object',
+    properties: {
+        location: { type: 'string', enum: ['body', 'query', 'params'] },
+        field: { type: 'string' },
+        code: { type: 'string', examples: ['required'] },
+        message: { type: 'string' }
+    },
+    required: ['field', 'code', 'message']
+};
+
+// Seiteninformation der Listen (siehe helpers/list_query.js)
+export const Pagination = {
+    type: 'object',
+    properties: {
+        total: { type: 'integer', minimum: 0 },
+        limit: { type: 'integer', minimum: 1 },
+        offset: { type: 'integer', minimum: 0 },
+        hasMore: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'] }
+    },
+    required: ['total', 'limit', 'offset', 'hasMore', 'nextCursor'],
+    additionalProperties: false
+};
+
+// Gespeicherte Ressource
+export const Resource = {
+    type: 'object',
+    properties: {
+        id: idSchema,
+        title: resourceBody.properties.title,
+        type: { type: 'string', enum: RESOURCE_TYPES },
+        url: resourceBody.properties.url,
+        description: resourceBody.properties.description,
+        authorId: userIdSchema,
+        tagIds: { type: 'array', items: idSchema },
+        categoryId: idSchema,
+        metadata: {
+            type: 'object',
+            description: 'Metadaten der Seite aus POST /resources?enrich=true (Open Graph, oEmbed, HTML-Meta)'
+        },
+        linkBroken: { type: 'boolean', description: 'Gesetzt, wenn der Link mehrfach nicht erreichbar war' },
+        linkBrokenSince: timestamp,
+        createdAt: timestamp,
+        updatedAt: timestamp
+    },
+    required: ['id', 'title', 'type', 'url']
+};
+
+// Ressource mit Durchschnittsbewertung (Listen)
+export const ResourceSummary = {
+    allOf: [
+        { $ref: '#/components/schemas/Resource' },
+        {
+            type: 'object',
+            properties: { averageRating: { type: ['number', 'null'], minimum: 1, maximum: 5 } }
+        }
+    ]
+};
+
+// Ressource mit Durchschnittsbewertung und freigegebenem Feedback als Thread (GET /resources/:id)
+export const ResourceDetail = {
+    allOf: [
+        { $ref: '#/components/schemas/Resource' },
+        {
+            type: 'object',
+            properties: {
+                averageRating: { type: ['number', 'null'], minimum: 1, maximum: 5 },
+                feedbacks: { type: 'array', items: { $ref: '#/components/schemas/FeedbackThread' } }
+            },
+            required: ['averageRating', 'feedbacks']
+        }
+    ]
+};
+
+// Angelegte Ressource mit Hinweisen (POST /resources mit onDuplicate=warn oder fehlgeschlagenem enrich)
+export const CreatedResource = {
+    allOf: [
+        { $ref: '#/components/schemas/Resource' },
+        {
+            type: 'object',
+            properties: {
+                warnings: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } }
+            }
+        }
+    ]
+};
+
+// Bewertung (eine je Nutzer und Ressource)
+export const Rating = {
+    type: 'object',
+    properties: {
+        id: idSchema,
+        resourceId: idSchema,
+        userId: userIdSchema,
+        ratingValue: { type: 'integer', minimum: 1, maximum: 5 },
+        createdAt: timestamp,
+        updatedAt: timestamp
+    },
+    required: ['id', 'resourceId', 'userId', 'ratingValue']
+};
+
+// Bewertungsstatistik (siehe helpers/rating_stats.js)
+export const RatingSummary = {
+    type: 'object',
+    properties: {
+        resourceId: idSchema,
+        count: { type: 'integer', minimum: 0 },
+        mean: { type: ['number', 'null'] },
+        averageRating: { type: ['number', 'null'] },
+        histogram: {
+            type: 'object',
+            properties: Object.fromEntries([1, 2, 3, 4, 5].map(stars => [stars, { type: 'integer', minimum: 0 }])),
+            required: ['1', '2', '3', '4', '5']
+        },
+        bayesianScore: { type: 'number' }
+    },
+    required: ['resourceId', 'count', 'mean', 'averageRating', 'histogram', 'bayesianScore']
+};
+
+// Ressource mit Bewertungsstatistik (GET /resources/top-rated)
+export const TopRatedResource = {
+    allOf: [
+        { $ref: '#/components/schemas/Resource' },
+        {
+            type: 'object',
+            properties: {
+                ratingSummary: {
+                    type: 'object',
+                    properties: {
+                        count: { type: 'integer' },
+                        mean: { type: ['number', 'null'] },
+                        averageRating: { type: ['number', 'null'] },
+                        histogram: { type: 'object' },
+                        bayesianScore: { type: 'number' }
+                    },
+                    required: ['count', 'averageRating', 'bayesianScore']
+                }
+            },
+            required: ['ratingSummary']
+        }
+    ]
+};
+
+// Feedback zu einer Ressource (Antworten verweisen über parentId auf das übergeordnete Feedback)
+export const Feedback = {
+    type: 'object',
+    properties: {
+        id: idSchema,
+        resourceId: idSchema,
+        userId: { type: ['string', 'null'] },
+        parentId: { type: ['string', 'null'] },
+        feedbackText: { type: 'string' },
+        status: { type: 'string', enum: FEEDBACK_STATUS_VALUES },
+        createdAt: nullableTimestamp,
+        updatedAt: nullableTimestamp,
+        history: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { feedbackText: { type: 'string' }, editedAt: timestamp },
+                required: ['feedbackText', 'editedAt']
+            }
+        },
+        flags: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    userId: { type: 'string' },
+                    reason: { type: ['string', 'null'] },
+                    // Automatische Meldung der Spam-Prüfung (userId system:spam-check)
+                    automatic: { type: 'boolean' },
+                    findings: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { check: { type: 'string', enum: ['duplicate_text', 'link_density', 'profanity'] } },
+                            required: ['check']
+                        }
+                    },
+                    createdAt: timestamp
+                },
+                required: ['userId', 'createdAt']
+            }
+        },
+        moderation: {
+            type: 'object',
+            properties: { by: { type: 'string' }, at: timestamp, note: { type: ['string', 'null'] } }
+        },
+        // Zeitpunkt der ersten Freigabe (Event feedback.created)
+        publishedAt: nullableTimestamp
+    },
+    required: ['id', 'resourceId', 'feedbackText']
+};
+
+// Freigegebenes Feedback mit verschachtelten Antworten (siehe helpers/feedback.js buildThread)
+export const FeedbackThread = {
+    allOf: [
+        { $ref: '#/components/schemas/Feedback' },
+        {
+            type: 'object',
+            properties: {
+                replies: { type: 'array', items: { $ref: '#/components/schemas/FeedbackThread' } }
+            }
+        }
+    ]
+};
+
+// Ergebnis einer Meldung (POST /resources/:resourceId/feedback/:feedbackId/flag)
+export const FlagResult = {
+    type: 'object',
+    properties: {
+        id: idSchema,
+        status: { type: 'string', enum: FEEDBACK_STATUS_VALUES }
+    },
+    required: ['id', 'status'],
+    additionalProperties: false
+};
+
+// Ergebnis der Linkprüfung (siehe helpers/link_checker.js)
+export const LinkStatus = {
+    type: 'object',
+    properties: {
+        resourceId: idSchema,
+        url: { type: 'string' },
+        status: { type: 'string', enum: ['ok', 'broken', 'unchecked'] },
+        httpStatus: { type: ['integer', 'null'] },
+        finalUrl: { type: ['string', 'null'] },
+        redirects: { type: 'integer', minimum: 0 },
+        error: { type: ['string', 'null'], enum: ['invalid_url', 'blocked_url', 'timeout', 'network_error', 'too_many_redirects', 'http_error', null] },
+        lastChecked: nullableTimestamp,
+        lastOk: nullableTimestamp,
+        consecutiveFailures: { type: 'integer', minimum: 0 },
+        flagged: { type: 'boolean' }
+    },
+    required: ['resourceId', 'url', 'status', 'lastChecked', 'consecutiveFailures', 'flagged']
+};
+
+// Defekter Link mit Kurzfassung der Ressource (GET /resources/broken)
+export const BrokenLink = {
+    allOf: [
+        { $ref: '#/components/schemas/LinkStatus' },
+        {
+            type: 'object',
+            properties: {
+                resource: {
+                    type: 'object',
+                    properties: { id: idSchema, title: { type: 'string' }, type: { type: 'string' }, authorId: userIdSchema },
+                    required: ['id', 'title', 'type']
+                }
+            },
+            required: ['resource']
+        }
+    ]
+};
+
+// Eintrag im Audit-Log (siehe helpers/audit.js)
+export const AuditEntry = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        entityType: { type: 'string', enum: ['resource', 'rating', 'feedback'] },
+        entityId: { type: 'string' },
+        resourceId: { type: 'string' },
+        version: { type: 'integer', minimum: 1 },
+        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'revert'] },
+        actorId: { type: ['string', 'null'] },
+        timestamp,
+        changes: {
+            type: 'object',
+            description: 'Geänderte Felder: { feld: { from, to } }',
+            additionalProperties: {
+                type: 'object',
+                properties: { from: {}, to: {} }
+            }
+        },
+        snapshot: { type: ['object', 'null'], description: 'Zustand nach der Änderung (null bei endgültiger Löschung)' },
+        details: { type: 'object' }
+    },
+    required: ['id', 'entityType', 'entityId', 'version', 'action', 'actorId', 'timestamp', 'changes']
+};
+
+// Suchtreffer (GET /resources/search; score und highlights nur bei Suche mit q)
+export const SearchResult = {
+    type: 'object',
+    properties: {
+        query: { type: ['string', 'null'] },
+        total: { type: 'integer', minimum: 0 },
+        results: {
+            type: 'array',
+            items: {
+                allOf: [
+                    { $ref: '#/components/schemas/Resource' },
+                    {
+                        type: 'object',
+                        properties: {
+                            score: { type: 'number' },
+                            highlights: {
+                                type: 'object',
+                                properties: {
+                                    title: { type: 'string', description: 'Titel HTML-maskiert mit <mark>-Markierung' },
+                                    feedback: { type: 'array', items: { type: 'string' }, description: 'Ausschnitte HTML-maskiert mit <mark>-Markierung' }
+                                }
+                            }
+                        }
+                    }
+                ]
+            }
+        },
+        facets: {
+            type: 'object',
+            properties: {
+                tags: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { id: idSchema, slug: { type: 'string' }, name: { type: 'string' }, count: { type: 'integer' } },
+                        required: ['id', 'count']
+                    }
+                },
+                types: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { value: { type: 'string' }, count: { type: 'integer' } },
+                        required: ['value', 'count']
+                    }
+                }
+            },
+            required: ['tags', 'types']
+        }
+    },
+    required: ['query', 'total', 'results', 'facets']
+};
+
+// Bericht eines Imports (siehe helpers/resource_import.js)
+export const ImportReport = {
+    type: 'object',
+    properties: {
+        mode: { type: 'string', enum: ['create', 'upsert'] },
+        dryRun: { type: 'boolean' },
+        total: { type: 'integer', minimum: 0 },
+        created: { type: 'integer', minimum: 0 },
+        updated: { type: 'integer', minimum: 0 },
+        unchanged: { type: 'integer', minimum: 0 },
+        failed: { type: 'integer', minimum: 0 },
+        rows: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    row: { type: 'integer', minimum: 1 },
+                    status: { type: 'string', enum: ['created', 'updated', 'unchanged', 'failed'] },
+                    id: idSchema,
+                    errors: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } }
+                },
+                required: ['row', 'status']
+            }
+        }
+    },
+    required: ['mode', 'dryRun', 'total', 'created', 'updated', 'unchanged', 'failed', 'rows']
+};
+
+// Vorschläge zu einer URL (POST /resources/enrich)
+export const Enrichment = {
+    type: 'object',
+    properties: {
+        url: { type: 'string' },
+        suggestion: {
+            type: 'object',
+            properties: {
+                title: { type: ['string', 'null'] },
+                type: { type: ['string', 'null'] },
+                description: { type: ['string', 'null'] }
+            }
+        },
+        metadata: { type: ['object', 'null'] },
+        error: { type: ['string', 'null'] },
+        duplicates: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { id: idSchema, title: { type: 'string' }, url: { type: 'string' } },
+                required: ['id', 'title', 'url']
+            }
+        }
+    },
+    required: ['url', 'suggestion', 'metadata', 'error', 'duplicates']
+};
+
+// Empfehlung für einen Nutzer (siehe helpers/recommendations.js)
+export const Recommendation = {
+    type: 'object',
+    properties: {
+        resource: { $ref: '#/components/schemas/ResourceSummary' },
+        source: { type: 'string', enum: ['collaborative', 'content', 'popular', 'recent'] },
+        score: { type: 'number' },
+        explanation: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', enum: ['collaborative', 'content', 'popular', 'recent'] },
+                message: { type: 'string', examples: ['Weil Sie "Node.js Grundlagen" gut bewertet haben: ...'] },
+                basedOn: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { id: idSchema, title: { type: 'string' } },
+                        required: ['id', 'title']
+                    }
+                }
+            },
+            required: ['code', 'message', 'basedOn']
+        }
+    },
+    required: ['resource', 'source', 'score', 'explanation'],
+    additionalProperties: false
+};
+
+/**
+ * Schema einer Listenantwort { data, pagination }.
+ *
+ * @param {string} itemSchema - Name des Eintragsschemas unter components.schemas
+ * @returns {Object} Schema der Seite
+ */
+export function pageOf(itemSchema) {
+    return {
+        type: 'object',
+        properties: {
+            data: { type: 'array', items: { $ref: `#/components/schemas/${itemSchema}` } },
+            pagination: { $ref: '#/components/schemas/Pagination' }
+        },
+        required: ['data', 'pagination'],
+        additionalProperties: false
+    };
+}
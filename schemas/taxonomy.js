@@ -0,0 +1,56 @@
+/**
+ * schemas/taxonomy.js
+ *
+ * Deklarative Schemas für Body und Query der /tags- und /categories-Routen.
+ * Tags werden Ressourcen frei zugeordnet (tagIds), Kategorien bilden über parentId
+ * einen Baum (z.B. Webentwicklung > Backend > Express); eine Ressource gehört zu
+ * höchstens einer Kategorie (categoryId). Der slug wird aus dem Namen abgeleitet,
+ * wenn er fehlt, und dient in Filtern als lesbare Alternative zur ID.
+ *
+ * @fileoverview Schemas für Tags und Kategorien.
+ */
+
+import { idSchema } from './resources.js';
+
+// Kleinbuchstaben, Ziffern und einzelne Bindestriche (z.B. "web-entwicklung")
+export const slugSchema = { type: 'string', minLength: 1, maxLength: 100, pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' };
+
+// Erlaubte Felder für Sortierung in GET /tags
+export const TAG_SORTABLE_FIELDS = ['id', 'name', 'slug', 'resourceCount', 'createdAt', 'updatedAt'];
+
+// Body für POST /tags und PUT /tags/:id
+export const tagBody = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        slug: slugSchema,
+        description: { type: 'string', maxLength: 500 }
+    },
+    required: ['name'],
+    additionalProperties: false
+};
+
+// Query für GET /tags
+export const tagListQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        cursor: { type: 'string', maxLength: 500 },
+        sort: { type: 'string', maxLength: 200, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' }
+    },
+    additionalProperties: false
+};
+
+// Body für POST /categories und PUT /categories/:id (ohne parentId: oberste Ebene)
+export const categoryBody = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        slug: slugSchema,
+        description: { type: 'string', maxLength: 500 },
+        parentId: idSchema
+    },
+    required: ['name'],
+    additionalProperties: false
+};
@@ -0,0 +1,60 @@
+/**
+ * schemas/webhooks.js
+ *
+ * Deklarative Schemas für Body und Query der /webhooks- und /events-Routen.
+ * Ein Webhook abonniert einen oder mehrere Event-Typen (siehe helpers/events.js) und
+ * erhält jedes passende Event als signierten POST an seine URL (siehe helpers/webhooks.js).
+ *
+ * @fileoverview Schemas für Webhooks, Zustellungsprotokoll und Event-Stream.
+ */
+
+import { EVENT_TYPES } from '../helpers/events.js';
+
+// Gemeinsame Listen-Parameter
+const listProperties = {
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+    offset: { type: 'integer', minimum: 0 },
+    cursor: { type: 'string', maxLength: 500 },
+    sort: { type: 'string', maxLength: 100, pattern: '^[-+]?[A-Za-z]+(,[-+]?[A-Za-z]+)*$' }
+};
+
+// Body für POST /webhooks und PUT /webhooks/:id (ohne secret wird beim Anlegen eines erzeugt)
+export const webhookBody = {
+    type: 'object',
+    properties: {
+        url: { type: 'string', format: 'uri', maxLength: 2048 },
+        events: { type: 'array', items: { type: 'string', enum: EVENT_TYPES }, minItems: 1, uniqueItems: true },
+        description: { type: 'string', maxLength: 500 },
+        active: { type: 'boolean' },
+        secret: { type: 'string', minLength: 16, maxLength: 200 }
+    },
+    required: ['url', 'events'],
+    additionalProperties: false
+};
+
+// Query für GET /webhooks
+export const webhookListQuery = {
+    type: 'object',
+    properties: { ...listProperties },
+    additionalProperties: false
+};
+
+// Query für GET /webhooks/:id/deliveries
+export const deliveryListQuery = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: ['pending', 'succeeded', 'failed', 'cancelled'] },
+        eventType: { type: 'string', enum: EVENT_TYPES },
+        ...listProperties
+    },
+    additionalProperties: false
+};
+
+// Query für GET /events (types: kommagetrennte Event-Typen, Standard: alle)
+export const eventStreamQuery = {
+    type: 'object',
+    properties: {
+        types: { type: 'string', maxLength: 500, pattern: '^[a-z]+\\.[a-z]+(,[a-z]+\\.[a-z]+)*$' }
+    },
+    additionalProperties: false
+};
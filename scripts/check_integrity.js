@@ -0,0 +1,27 @@
+/**
+ * scripts/check_integrity.js
+ *
+ * Prüft die Datenhaltung auf verwaiste, doppelte und schemawidrige Datensätze
+ * (siehe helpers/integrity.js) und gibt den Bericht als JSON aus.
+ * Mit --repair werden verwaiste und doppelte Datensätze bereinigt; das nur bei gestopptem
+ * Server, da die Sperren der Reparatur nicht über Prozessgrenzen wirken (bei laufendem
+ * Server stattdessen POST /admin/integrity/repair).
+ *
+ * Aufruf: npm run integrity [-- --repair] (Backend über STORAGE_BACKEND wie beim Server)
+ * Exit-Code 1, wenn Probleme gefunden und nicht repariert wurden.
+ *
+ * @fileoverview Kommandozeilenbefehl für die Integritätsprüfung.
+ */
+
+import 'dotenv/config';
+import { checkIntegrity } from '../helpers/integrity.js';
+import { closeStore } from '../helpers/data_manager.js';
+
+const repair = process.argv.includes('--repair');
+try {
+    const report = await checkIntegrity({ repair });
+    console.log(JSON.stringify(report, null, 2));
+    if (!report.ok && !repair) process.exitCode = 1;
+} finally {
+    await closeStore();
+}
@@ -0,0 +1,36 @@
+/**
+ * scripts/migrate_json_to_sqlite.js
+ *
+ * Importiert alle JSON-Dateien aus dem data-Ordner (DATA_DIR, Standard: data) in die
+ * SQLite-Datenbank.
+ * Jede Datei wird zu einer gleichnamigen Tabelle (resources.json -> resources).
+ * Bereits vorhandene Datensätze mit gleicher ID werden ersetzt, der Import ist also wiederholbar.
+ *
+ * Aufruf: npm run migrate (Datenbankpfad über SQLITE_FILE, Standard: data/catalog.db)
+ *
+ * @fileoverview Migrationsbefehl von den JSON-Dateien zum SQLite-Backend.
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { readData, dataDir } from '../helpers/data_manager.js';
+import { createStore } from '../helpers/storage/sqlite_store.js';
+
+const store = createStore();
+try {
+    // Derselbe Ordner, aus dem readData liest (DATA_DIR oder data)
+    const files = (await fs.readdir(dataDir())).filter(f => f.endsWith('.json')).sort();
+    for (const file of files) {
+        const records = await readData(file);
+        if (!Array.isArray(records)) {
+            console.warn(`Übersprungen: ${file} enthält kein Array.`);
+            continue;
+        }
+        const collection = path.basename(file, '.json');
+        const count = await store.importRecords(collection, records);
+        console.log(`${file}: ${count} Datensätze importiert.`);
+    }
+} finally {
+    await store.close();
+}
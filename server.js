@@ -6,82 +6,313 @@
  * @module server
  */
 import express from 'express';
+import http from 'http';
 
-// dotenv für Umgebungsvariablen laden (z.B. PORT)
+// dotenv für Umgebungsvariablen laden (z.B. PORT, STORAGE_BACKEND)
 import dotenv from 'dotenv';
 dotenv.config();
 
 // Ressourcen-Router und zentrale Logging-Middleware importieren
 import resourcesRouter from './routes/resources.js';
+import usersRouter from './routes/users.js';
+import moderationRouter from './routes/moderation.js';
+import pathsRouter from './routes/paths.js';
+import collectionsRouter from './routes/collections.js';
+import tagsRouter from './routes/tags.js';
+import categoriesRouter from './routes/categories.js';
+import adminRouter from './routes/admin.js';
+import webhooksRouter from './routes/webhooks.js';
+import eventsRouter, { closeEventStreams } from './routes/events.js';
+import healthRouter from './routes/health.js';
 import logger from './middleware/logger.js';
-
-// Express-App initialisieren
-const app = express();
-
-
-
-
-// Port aus Umgebungsvariablen oder Fallback (Standard: 5002)
-const port = process.env.PORT || 5002;
-
-
-
-
-// Middleware für JSON-Parsing (ermöglicht das Parsen von JSON-Bodies)
-app.use(express.json());
-
-// Zentrale Logging-Middleware: Loggt Methode, Pfad, Status und Dauer jeder Anfrage
-app.use(logger);
-
-
-
-
+import { authenticate, requireRole, assertAuthConfig } from './middleware/auth.js';
+import { notFoundHandler, errorHandler } from './middleware/error_handler.js';
+import { log } from './helpers/log.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from './helpers/metrics.js';
+import { startLinkChecker } from './helpers/link_checker.js';
+import { startWebhookDispatcher, stopWebhookDispatcher } from './helpers/webhooks.js';
+import { getOpenApiDocument } from './helpers/openapi.js';
+import { flushWrites, closeStore } from './helpers/data_manager.js';
+import { markShuttingDown, resetLifecycle } from './helpers/lifecycle.js';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Seite der interaktiven API-Dokumentation
+const DOCS_PAGE = fileURLToPath(new URL('./public/docs.html', import.meta.url));
+
+// Aktuelle API-Version: alle fachlichen Routen liegen unter diesem Präfix
+export const API_PREFIX = '/v1';
+
+// Zeitpunkt, ab dem die Pfade ohne Versionspräfix als veraltet gelten (Deprecation-Header)
+const UNVERSIONED_DEPRECATED_AT = new Date('2026-10-19T00:00:00Z');
+// Standard für die Abschaltung der Pfade ohne Versionspräfix (Sunset-Header)
+const DEFAULT_SUNSET_DATE = '2027-04-30T00:00:00Z';
 
 /**
- * GET /
- * Liefert eine Begrüßungsnachricht für die Startseite
+ * Fachliche Router mit ihren Pfaden. Sie werden unter API_PREFIX eingebunden und zusätzlich
+ * ohne Präfix als veralteter Alias.
  */
-app.get('/', (req, res) => {
-    res.send('Welcome to Resource Catalog');
-});
-
+const API_ROUTES = [
+    // Ressourcen
+    ['/resources', resourcesRouter],
+    // Nutzer (eigene Bewertungen, Empfehlungen, Lesezeichen)
+    ['/users', usersRouter],
+    // Moderation
+    ['/moderation', moderationRouter],
+    // Lernpfade
+    ['/paths', pathsRouter],
+    // Sammlungen
+    ['/collections', collectionsRouter],
+    // Taxonomie
+    ['/tags', tagsRouter],
+    ['/categories', categoriesRouter],
+    // Domain-Events: Webhook-Verwaltung und Server-Sent-Events-Stream
+    ['/webhooks', webhooksRouter],
+    ['/events', eventsRouter],
+    // Admin (Integritätsprüfung, Audit-Log)
+    ['/admin', adminRouter]
+];
 
 /**
- * POST /restart
- * Beendet den Node-Prozess, damit nodemon automatisch neu startet
+ * Liest eine Zahl aus einer Umgebungsvariable (zur Laufzeit, damit Tests sie setzen können).
+ *
+ * @param {string} name - Name der Umgebungsvariable
+ * @param {number} fallback - Standardwert
+ * @returns {number} Wert
  */
-app.post('/restart', (req, res) => {
-    res.status(200).json({ message: 'Server wird neu gestartet...' });
-    // Kurze Verzögerung, damit die Antwort gesendet wird
-    setTimeout(() => {
-        process.exit(0);
-    }, 300);
-});
-
-
-
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
 
 /**
- * Zentrale Fehlerbehandlung: Fängt alle Fehler ab und gibt konsistente Fehlermeldungen zurück
+ * Liefert das Abschaltdatum der Pfade ohne Versionspräfix (API_SUNSET_DATE, ISO-Datum).
+ *
+ * @returns {Date} Abschaltdatum
  */
-app.use((err, req, res, next) => {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
-});
-
-
+function getSunsetDate() {
+    const date = new Date(process.env.API_SUNSET_DATE || DEFAULT_SUNSET_DATE);
+    return Number.isNaN(date.getTime()) ? new Date(DEFAULT_SUNSET_DATE) : date;
+}
 
+/**
+ * Middleware für den veralteten Alias ohne Versionspräfix: kennzeichnet die Antwort mit
+ * Deprecation (RFC 9745) und Sunset (RFC 8594). Clients sollen auf API_PREFIX umstellen.
+ */
+function deprecatedAlias(req, res, next) {
+    res.set('Deprecation', `@${Math.floor(UNVERSIONED_DEPRECATED_AT.getTime() / 1000)}`);
+    res.set('Sunset', getSunsetDate().toUTCString());
+    next();
+}
 
 /**
- * Bindet den Ressourcen-Router für alle /resources-Routen ein
+ * Erzeugt die Express-App mit allen Middlewares und Routen, ohne einen Port zu öffnen
+ * (z.B. für Tests mit einem In-Process-Server).
+ *
+ * @param {Object} [options={}] - Optionen
+ * @param {function(): void} [options.onRestart] - Wird nach der Antwort auf POST /restart
+ *   aufgerufen; ohne diese Option gibt es die Route nicht
+ * @returns {import('express').Express} Konfigurierte App
  */
-app.use('/resources', resourcesRouter);
+export function createApp({ onRestart } = {}) {
+    // Express-App initialisieren
+    const app = express();
+
+    // Starke ETags für alle GET-Antworten; passende If-None-Match-Header ergeben 304 Not Modified
+    app.set('etag', 'strong');
+
+    // Zentrale Logging-Middleware: vergibt die Request-ID (X-Request-Id), loggt jede Anfrage
+    // als JSON-Zeile und erfasst die HTTP-Metriken (zuerst, damit auch Parserfehler erfasst werden)
+    app.use(logger);
+
+    // Middleware für JSON-Parsing (ermöglicht das Parsen von JSON-Bodies)
+    app.use(express.json());
+
+    // Authentifizierung: setzt req.user aus Bearer-Token oder API-Key (anonym: null)
+    app.use(authenticate);
+
+    /**
+     * GET /
+     * Liefert eine Begrüßungsnachricht für die Startseite
+     */
+    app.get('/', (req, res) => {
+        res.send('Welcome to Resource Catalog');
+    });
+
+    /**
+     * GET /health/live, GET /health/ready
+     * Liveness- und Readiness-Prüfung für Orchestrierung und Load Balancer (routes/health.js)
+     */
+    app.use('/health', healthRouter);
+
+    /**
+     * GET /metrics
+     * Liefert Anfragezahlen, Antwortzeiten je Route und Status sowie die Lese- und
+     * Schreibdauer der Datendateien im Prometheus-Textformat (siehe helpers/metrics.js)
+     */
+    app.get('/metrics', (req, res) => {
+        res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+    });
+
+    /**
+     * GET /openapi.json
+     * Liefert die OpenAPI-3.1-Beschreibung der Ressourcen-, Bewertungs- und Feedback-Routen
+     * (siehe helpers/openapi.js), z.B. zum Erzeugen typisierter Clients
+     */
+    app.get('/openapi.json', (req, res) => {
+        res.json(getOpenApiDocument());
+    });
+
+    /**
+     * GET /docs
+     * Interaktive API-Dokumentation auf Basis von /openapi.json (public/docs.html)
+     */
+    app.get('/docs', (req, res) => {
+        res.sendFile(DOCS_PAGE);
+    });
+
+    /**
+     * POST /restart
+     * Fährt den Server über onRestart geordnet herunter (siehe startServer), damit nodemon bzw.
+     * der Prozessmanager ihn neu startet (nur für Admins)
+     */
+    if (onRestart) {
+        app.post('/restart', requireRole('admin'), (req, res) => {
+            // Erst nach dem Senden der Antwort herunterfahren
+            res.on('finish', () => onRestart());
+            res.status(200).json({ message: 'Server wird neu gestartet...' });
+        });
+    }
+
+    /**
+     * Bindet die fachlichen Router unter /v1 ein (z.B. /v1/resources)
+     */
+    const api = express.Router();
+    for (const [path, router] of API_ROUTES) api.use(path, router);
+    app.use(API_PREFIX, api);
+
+    /**
+     * Veralteter Alias ohne Versionspräfix (z.B. /resources) mit Deprecation- und Sunset-Header
+     */
+    app.use(API_ROUTES.map(([path]) => path), deprecatedAlias);
+    app.use(api);
+
+    /**
+     * Unbekannte Routen: 404 im Problem-Details-Format
+     */
+    app.use(notFoundHandler);
+
+    /**
+     * Zentrale Fehlerbehandlung (nach allen Routern registriert): beantwortet alle Fehler
+     * einheitlich als application/problem+json (RFC 7807), siehe middleware/error_handler.js
+     */
+    app.use(errorHandler);
+
+    return app;
+}
 
+/**
+ * Startet den Server samt Hintergrunddiensten (Linkprüfung, Webhook-Zustellung).
+ *
+ * Das zurückgegebene shutdown() fährt geordnet herunter: /health/ready meldet 503, der Server
+ * nimmt keine neuen Verbindungen mehr an, laufende Anfragen werden beendet (spätestens nach
+ * SHUTDOWN_TIMEOUT_MS werden verbliebene Verbindungen getrennt), Event-Streams geschlossen,
+ * die Hintergrunddienste gestoppt und alle offenen Schreibvorgänge auf die Datendateien
+ * abgeschlossen, bevor das Storage-Backend geschlossen wird.
+ *
+ * POST /restart ruft onRestart mit diesem shutdown() auf; ohne die Option wird nur
+ * heruntergefahren, der Prozess selbst läuft weiter.
+ *
+ * @param {Object} [options={}] - Optionen
+ * @param {number|string} [options.port] - Port (Standard: PORT bzw. 5002; 0 = freier Port)
+ * @param {function(function(): Promise<void>): void} [options.onRestart] - Neustart nach POST /restart,
+ *   erhält shutdown() (Standard: nur shutdown())
+ * @returns {Promise<{ app: import('express').Express, server: import('http').Server, port: number, shutdown: function(): Promise<void> }>}
+ * @throws {Error} Wenn JWT_SECRET fehlt oder unsicher ist (siehe assertAuthConfig)
+ */
+export async function startServer({ port = process.env.PORT || 5002, onRestart = stop => stop() } = {}) {
+    // Ohne sichere JWT-Konfiguration gar nicht erst starten
+    assertAuthConfig();
+    resetLifecycle();
+    const app = createApp({ onRestart: () => onRestart(shutdown) });
+    const server = http.createServer(app);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+    const actualPort = server.address().port;
+    log.info(`Server is running at http://localhost:${actualPort}`, { port: actualPort });
+
+    // Hintergrundprüfung der Ressourcen-URLs (siehe helpers/link_checker.js)
+    const stopLinkChecker = startLinkChecker();
+    // Zustellung der Domain-Events an Webhooks (siehe helpers/webhooks.js)
+    startWebhookDispatcher().catch(err => log.error('Webhook-Zustellung konnte nicht starten', { err }));
+
+    let closing = null;
+    const shutdown = () => {
+        // Mehrfache Aufrufe (z.B. zweites Signal) warten auf dasselbe Herunterfahren
+        if (closing) return closing;
+        closing = (async () => {
+            markShuttingDown();
+            log.info('Server fährt herunter');
+            const closed = new Promise(resolve => server.close(() => resolve()));
+            closeEventStreams();
+            // Keep-Alive-Verbindungen trennen, sobald ihre laufende Anfrage beantwortet ist
+            server.closeIdleConnections();
+            const idleTimer = setInterval(() => server.closeIdleConnections(), 100);
+            idleTimer.unref();
+            const forceTimer = setTimeout(() => {
+                log.warn('Offene Verbindungen werden nach Zeitlimit getrennt');
+                server.closeAllConnections();
+            }, envNumber('SHUTDOWN_TIMEOUT_MS', 10000));
+            forceTimer.unref();
+            await closed;
+            clearInterval(idleTimer);
+            clearTimeout(forceTimer);
+
+            await stopLinkChecker();
+            stopWebhookDispatcher();
+            // Eingereihte Schreibvorgänge (auch aus Hintergrundaufgaben) abschließen
+            await flushWrites();
+            await closeStore();
+            log.info('Server beendet');
+        })();
+        return closing;
+    };
+
+    return { app, server, port: actualPort, shutdown };
+}
 
+/**
+ * Fährt den Server geordnet herunter und beendet danach den Prozess.
+ *
+ * @param {function(): Promise<void>} shutdown - shutdown() aus startServer
+ */
+function shutdownAndExit(shutdown) {
+    shutdown().then(
+        () => process.exit(0),
+        err => {
+            log.error('Herunterfahren fehlgeschlagen', { err });
+            process.exit(1);
+        }
+    );
+}
 
 /**
- * Startet den Server und gibt die URL aus
+ * Direkter Start (node server.js): Server starten und bei SIGTERM/SIGINT oder POST /restart
+ * geordnet beenden (nodemon bzw. der Prozessmanager startet ihn neu)
  */
-app.listen(port, () => {
-    console.log(`Server is running at http://localhost:${port}`);
-});
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const { shutdown } = await startServer({ onRestart: shutdownAndExit }).catch(err => {
+        log.error('Server konnte nicht starten', { err });
+        process.exit(1);
+    });
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.once(signal, () => {
+            log.info('Signal empfangen', { signal });
+            shutdownAndExit(shutdown);
+        });
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Tests für middleware/auth.js: Prüfung der JWT-Konfiguration beim Start, Anmeldung per
+ * Bearer-Token und API-Key sowie Rollen- und Eigentümerprüfung der schreibenden Routen.
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET, startTestServer, request, token } from './support.js';
+import { assertAuthConfig } from '../middleware/auth.js';
+
+process.env.API_KEYS = 'auth-test-key:auth-test-service:contributor';
+
+afterEach(() => {
+    process.env.JWT_SECRET = JWT_SECRET;
+    delete process.env.JWT_PUBLIC_KEY;
+});
+
+test('HS256 ohne, mit zu kurzem oder mit Platzhalter-Secret wird abgelehnt', () => {
+    for (const secret of ['', 'kurz', 'change-me', 'CHANGE-ME', 'your-256-bit-secret', 'change-this-secret-in-production']) {
+        process.env.JWT_SECRET = secret;
+        assert.throws(() => assertAuthConfig(), /JWT_SECRET/, JSON.stringify(secret));
+    }
+    delete process.env.JWT_SECRET;
+    assert.throws(() => assertAuthConfig(), /JWT_SECRET fehlt/);
+});
+
+test('ein zufälliges Secret mit 32 Bytes wird akzeptiert', () => {
+    process.env.JWT_SECRET = 'a'.repeat(31);
+    assert.throws(() => assertAuthConfig(), /zu kurz/);
+    process.env.JWT_SECRET = '0123456789abcdef0123456789abcdef';
+    assert.doesNotThrow(() => assertAuthConfig());
+});
+
+test('mit öffentlichem Schlüssel ist kein Secret nötig', () => {
+    delete process.env.JWT_SECRET;
+    process.env.JWT_PUBLIC_KEY = '-----BEGIN PUBLIC KEY-----\\n...\\n-----END PUBLIC KEY-----';
+    assert.doesNotThrow(() => assertAuthConfig());
+});
+
+test('startServer startet nicht mit unsicherem Secret', async () => {
+    process.env.JWT_SECRET = 'change-me';
+    const { startServer } = await import('../server.js');
+    await assert.rejects(startServer({ port: 0 }), /Platzhalter/);
+});
+
+test('ungültige Zugangsdaten werden mit 401 abgelehnt', async () => {
+    const app = await startTestServer();
+    try {
+        const get = headers => request(app.baseUrl, 'GET', '/v1/resources?limit=1', { headers });
+        assert.equal((await get({})).status, 200);
+        const cases = [
+            [{ Authorization: `Bearer ${jwt.sign({ sub: 'u1' }, 'ein-anderes-secret-mit-mindestens-32-bytes')}` }, 'token_invalid'],
+            [{ Authorization: `Bearer ${jwt.sign({ sub: 'u1', exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET)}` }, 'token_expired'],
+            [{ Authorization: `Bearer ${jwt.sign({ role: 'admin' }, JWT_SECRET)}` }, 'token_missing_sub'],
+            [{ Authorization: `Bearer ${jwt.sign({ sub: 'u1' }, JWT_SECRET, { algorithm: 'HS512' })}` }, 'token_invalid'],
+            [{ 'X-API-Key': 'falscher-key' }, 'invalid_api_key']
+        ];
+        for (const [headers, code] of cases) {
+            const { status, body } = await get(headers);
+            assert.equal(status, 401, code);
+            assert.equal(body.code, code);
+        }
+        assert.equal((await get({ Authorization: 'ApiKey auth-test-key' })).status, 200);
+    } finally {
+        await app.shutdown();
+    }
+});
+
+test('Rollen und Eigentum regeln schreibende Zugriffe', async () => {
+    const app = await startTestServer();
+    try {
+        const create = (auth, body = {}) => request(app.baseUrl, 'POST', '/v1/resources', {
+            auth, body: { title: 'Rollenprüfung', type: 'Kurs', url: `http://127.0.0.1:9/auth/${Math.random()}`, ...body }
+        });
+        assert.equal((await request(app.baseUrl, 'POST', '/v1/resources', { body: {} })).status, 401);
+        const reader = await create(token('auth-reader'));
+        assert.equal(reader.status, 403);
+        assert.equal(reader.body.code, 'role_required');
+        // Die höchste Rolle aus "roles" zählt
+        assert.equal((await create(jwt.sign({ sub: 'auth-multi', roles: ['reader', 'contributor'] }, JWT_SECRET))).status, 201);
+        // Über die API-Key-Rolle angelegt, im Namen eines Nutzers
+        const service = await request(app.baseUrl, 'POST', '/v1/resources', {
+            headers: { 'X-API-Key': 'auth-test-key' },
+            body: { title: 'Vom Service', type: 'Kurs', url: 'http://127.0.0.1:9/auth/service', authorId: 'auth-owner' }
+        });
+        assert.equal(service.status, 201);
+        assert.equal(service.body.authorId, 'auth-owner');
+        assert.equal((await create(token('auth-owner', 'contributor'), { authorId: 'someone-else' })).status, 403);
+
+        const { body: resource } = await create(token('auth-owner', 'contributor'));
+        const update = auth => request(app.baseUrl, 'PATCH', `/v1/resources/${resource.id}`, { auth, body: { description: 'Geändert' } });
+        const foreign = await update(token('auth-other', 'contributor'));
+        assert.equal(foreign.status, 403);
+        assert.equal(foreign.body.code, 'resource_update_forbidden');
+        assert.equal((await update(token('auth-owner', 'contributor'))).status, 200);
+        assert.equal((await update(token('auth-moderator', 'moderator'))).status, 200);
+        assert.equal((await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/restore`, { auth: token('auth-owner', 'contributor') })).status, 403);
+    } finally {
+        await app.shutdown();
+    }
+});
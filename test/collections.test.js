@@ -0,0 +1,75 @@
+/**
+ * Gleichzeitiges endgültiges Löschen einer Ressource und Verweise auf sie (Sammlungen,
+ * Lesezeichen): nach dem Löschen darf keine Sammlung und kein Lesezeichen mehr auf die
+ * Ressource zeigen.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token, readDataFile } from './support.js';
+
+const ROUNDS = 10;
+const author = token('race-author', 'contributor');
+const reader = token('race-reader');
+let app;
+
+before(async () => {
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('Lesezeichen und Sammlungen verweisen nach parallelem Löschen nicht auf die Ressource', async () => {
+    for (let round = 0; round < ROUNDS; round++) {
+        // Gesperrte Adresse, damit die Linkprüfung nichts abruft
+        const { body: resource } = await request(app.baseUrl, 'POST', '/v1/resources', {
+            auth: author, body: { title: `Wettlauf ${round}`, type: 'Kurs', url: `http://127.0.0.1:9/race/${round}` }
+        });
+        const { body: collection } = await request(app.baseUrl, 'POST', '/v1/collections', {
+            auth: reader, body: { title: `Wettlauf ${round}` }
+        });
+
+        const [deleted, bookmark, updated, created] = await Promise.all([
+            request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}?mode=hard`, { auth: author }),
+            request(app.baseUrl, 'PUT', `/v1/users/race-reader/bookmarks/${resource.id}`, { auth: reader }),
+            request(app.baseUrl, 'PUT', `/v1/collections/${collection.id}`, {
+                auth: reader, body: { title: `Wettlauf ${round}`, resourceIds: [resource.id] }
+            }),
+            request(app.baseUrl, 'POST', '/v1/collections', {
+                auth: reader, body: { title: `Neu ${round}`, resourceIds: [resource.id] }
+            })
+        ]);
+        assert.equal(deleted.status, 204);
+        assert.ok([201, 404].includes(bookmark.status), `Lesezeichen: ${bookmark.status}`);
+        assert.ok([200, 400].includes(updated.status), `PUT Sammlung: ${updated.status}`);
+        assert.ok([201, 400].includes(created.status), `POST Sammlung: ${created.status}`);
+
+        const bookmarks = await readDataFile('bookmarks.json');
+        assert.deepEqual(bookmarks.filter(b => b.resourceId === resource.id), []);
+        const collections = await readDataFile('collections.json');
+        assert.deepEqual(collections.filter(c => c.resourceIds.includes(resource.id)).map(c => c.id), []);
+    }
+});
+
+test('Sammlung ändern, die eine gelöschte Ressource enthielt', async () => {
+    const { body: resource } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title: 'Enthalten', type: 'Kurs', url: 'http://127.0.0.1:9/race/contained' }
+    });
+    const { body: collection } = await request(app.baseUrl, 'POST', '/v1/collections', {
+        auth: reader, body: { title: 'Mit Ressource', resourceIds: [resource.id] }
+    });
+    assert.deepEqual(collection.resourceIds, [resource.id]);
+
+    const [deleted, updated] = await Promise.all([
+        request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}?mode=hard`, { auth: author }),
+        request(app.baseUrl, 'PUT', `/v1/collections/${collection.id}`, {
+            auth: reader, body: { title: 'Umbenannt', resourceIds: [resource.id] }
+        })
+    ]);
+    assert.equal(deleted.status, 204);
+    assert.ok([200, 400].includes(updated.status), `PUT Sammlung: ${updated.status}`);
+    const stored = (await readDataFile('collections.json')).find(c => c.id === collection.id);
+    assert.deepEqual(stored.resourceIds, []);
+});
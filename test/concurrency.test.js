@@ -0,0 +1,60 @@
+/**
+ * Parallele Anfragen an die Bewertungs- und Feedback-Routen: keine Bewertung und kein
+ * Feedback darf durch gleichzeitige Schreibvorgänge verloren gehen.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token, readDataFile } from './support.js';
+
+const PARALLEL = 25;
+let app;
+let resourceId;
+
+before(async () => {
+    app = await startTestServer();
+    const { body } = await request(app.baseUrl, 'GET', '/v1/resources?limit=1');
+    resourceId = body.data[0].id;
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('parallele Bewertungen verschiedener Nutzer werden alle gespeichert', async () => {
+    const before = (await readDataFile('ratings.json')).length;
+    const responses = await Promise.all(Array.from({ length: PARALLEL }, (_, i) => request(app.baseUrl, 'POST',
+        `/v1/resources/${resourceId}/rating`, { auth: token(`parallel-rater-${i}`), body: { ratingValue: (i % 5) + 1 } })));
+    assert.deepEqual(responses.map(r => r.status), Array(PARALLEL).fill(201));
+
+    const ratings = await readDataFile('ratings.json');
+    assert.equal(ratings.length, before + PARALLEL);
+    for (const { body } of responses) {
+        assert.ok(ratings.some(r => r.id === body.id), `Bewertung ${body.id} fehlt`);
+    }
+    const summary = await request(app.baseUrl, 'GET', `/v1/resources/${resourceId}/ratings/summary`);
+    assert.equal(summary.body.count, ratings.filter(r => r.resourceId === resourceId).length);
+});
+
+test('parallele Bewertungen desselben Nutzers ergeben genau eine Bewertung', async () => {
+    const auth = token('parallel-same-user');
+    const responses = await Promise.all(Array.from({ length: 10 }, () => request(app.baseUrl, 'POST',
+        `/v1/resources/${resourceId}/rating`, { auth, body: { ratingValue: 3 } })));
+    assert.equal(responses.filter(r => r.status === 201).length, 1);
+    assert.equal(responses.filter(r => r.status === 200).length, 9);
+    const ratings = await readDataFile('ratings.json');
+    assert.equal(ratings.filter(r => r.resourceId === resourceId && r.userId === 'parallel-same-user').length, 1);
+});
+
+test('paralleles Feedback wird vollständig gespeichert', async () => {
+    const before = (await readDataFile('feedback.json')).length;
+    const responses = await Promise.all(Array.from({ length: PARALLEL }, (_, i) => request(app.baseUrl, 'POST',
+        `/v1/resources/${resourceId}/feedback`, { auth: token(`parallel-author-${i}`), body: { feedbackText: `Paralleles Feedback Nummer ${i}` } })));
+    assert.deepEqual(responses.map(r => r.status), Array(PARALLEL).fill(201));
+
+    const feedback = await readDataFile('feedback.json');
+    assert.equal(feedback.length, before + PARALLEL);
+    for (const { body } of responses) {
+        assert.ok(feedback.some(f => f.id === body.id), `Feedback ${body.id} fehlt`);
+    }
+});
@@ -0,0 +1,92 @@
+/**
+ * Bedingte Anfragen auf GET/PUT/PATCH/DELETE /v1/resources/:id: ETag des gespeicherten
+ * Datensatzes, 304 bei passendem If-None-Match und 412 bei veraltetem If-Match.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+
+const author = token('conditional-author', 'contributor');
+let app;
+
+/**
+ * Legt eine Ressource an (gesperrte Adresse, damit die Linkprüfung nichts abruft).
+ *
+ * @param {string} name - Eindeutiger Name
+ * @returns {Promise<Object>} Angelegte Ressource
+ */
+async function createResource(name) {
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title: name, type: 'Kurs', url: `http://127.0.0.1:9/conditional/${name}` }
+    });
+    assert.equal(status, 201);
+    return body;
+}
+
+/**
+ * Liefert den ETag aus GET /v1/resources/:id.
+ *
+ * @param {string} id - ID der Ressource
+ * @returns {Promise<string>} ETag
+ */
+async function etagOf(id) {
+    const { status, headers } = await request(app.baseUrl, 'GET', `/v1/resources/${id}`);
+    assert.equal(status, 200);
+    return headers.get('etag');
+}
+
+before(async () => {
+    process.env.RATE_LIMIT_RATING = '0';
+    process.env.RATE_LIMIT_FEEDBACK = '0';
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('Bewertungen und Feedback ändern den ETag nicht', async () => {
+    const resource = await createResource('aggregates');
+    const etag = await etagOf(resource.id);
+    await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth: token('conditional-rater'), body: { ratingValue: 5 } });
+    await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/feedback`, {
+        auth: token('conditional-writer'), body: { feedbackText: 'Hat mir sehr geholfen' }
+    });
+    const { body } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}`);
+    assert.equal(body.averageRating, 5);
+    assert.equal(await etagOf(resource.id), etag);
+
+    const patched = await request(app.baseUrl, 'PATCH', `/v1/resources/${resource.id}`, {
+        auth: author, body: { description: 'Mit Beschreibung' }, headers: { 'If-Match': etag }
+    });
+    assert.equal(patched.status, 200);
+    assert.notEqual(patched.headers.get('etag'), etag);
+    assert.equal(await etagOf(resource.id), patched.headers.get('etag'));
+});
+
+test('veraltetes If-Match wird mit 412 abgelehnt', async () => {
+    const resource = await createResource('stale');
+    const etag = await etagOf(resource.id);
+    const first = await request(app.baseUrl, 'PUT', `/v1/resources/${resource.id}`, {
+        auth: author, headers: { 'If-Match': etag },
+        body: { title: 'Neuer Titel', type: 'Kurs', url: resource.url }
+    });
+    assert.equal(first.status, 200);
+    const second = await request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}`, { auth: author, headers: { 'If-Match': etag } });
+    assert.equal(second.status, 412);
+    assert.equal(second.body.code, 'precondition_failed');
+    const third = await request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}`, {
+        auth: author, headers: { 'If-Match': first.headers.get('etag') }
+    });
+    assert.equal(third.status, 204);
+});
+
+test('passendes If-None-Match liefert 304', async () => {
+    const resource = await createResource('not-modified');
+    const etag = await etagOf(resource.id);
+    const { status } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}`, {
+        headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' }
+    });
+    assert.equal(status, 304);
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests für helpers/data_manager.js: serialisierte Schreibvorgänge, atomares Schreiben,
+ * Wiederherstellung beschädigter Dateien aus dem Backup (.bak) und die Migration aus DATA_DIR.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import Database from 'better-sqlite3';
+import { useTempDataDir } from './support.js';
+import { readData, writeData, updateData, flushWrites } from '../helpers/data_manager.js';
+
+let dataDir;
+
+before(async () => {
+    dataDir = await useTempDataDir();
+});
+
+test('gleichzeitige updateData-Aufrufe verlieren keine Änderung', async () => {
+    await writeData('counter.json', []);
+    await Promise.all(Array.from({ length: 50 }, (_, i) => updateData('counter.json', records => {
+        records.push({ id: String(i) });
+    })));
+    const records = await readData('counter.json');
+    assert.equal(records.length, 50);
+    assert.deepEqual(new Set(records.map(r => r.id)).size, 50);
+});
+
+test('atomares Schreiben hinterlässt keine temporären Dateien', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => writeData('atomic.json', [{ id: String(i) }])));
+    await flushWrites();
+    const files = await fs.readdir(dataDir);
+    assert.deepEqual(files.filter(f => f.endsWith('.tmp')), []);
+    // Der letzte eingereihte Schreibvorgang gewinnt
+    assert.deepEqual(await readData('atomic.json'), [{ id: '19' }]);
+});
+
+test('beschädigte ratings.json wird aus dem Backup wiederhergestellt', async () => {
+    const good = [{ id: 'r1', resourceId: '1', userId: 'u1', ratingValue: 4 }];
+    // Zweimal schreiben: das Backup enthält danach den ersten, gültigen Stand
+    await writeData('ratings.json', good);
+    await writeData('ratings.json', [...good, { id: 'r2', resourceId: '1', userId: 'u2', ratingValue: 5 }]);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dataDir, 'ratings.json.bak'), 'utf8')), good);
+
+    // Abgebrochener Schreibvorgang: Datei ist abgeschnitten
+    await fs.writeFile(path.join(dataDir, 'ratings.json'), '[{"id": "r1", "resour');
+    assert.deepEqual(await readData('ratings.json'), good);
+    // Die Datei selbst ist danach wieder gültig
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dataDir, 'ratings.json'), 'utf8')), good);
+});
+
+test('beschädigte Datei ohne gültiges Backup ergibt einen Fehler', async () => {
+    await fs.writeFile(path.join(dataDir, 'broken.json'), '{not json');
+    await assert.rejects(readData('broken.json'), /beschädigt/);
+});
+
+test('fehlende Datei ergibt ein leeres Array', async () => {
+    assert.deepEqual(await readData('missing.json'), []);
+});
+
+test('die Migration nach SQLite liest aus DATA_DIR', async () => {
+    // Eigener Ordner, damit die absichtlich beschädigten Dateien oben nicht mitgelesen werden
+    const sourceDir = path.join(dataDir, 'migration');
+    await fs.mkdir(sourceDir);
+    await fs.writeFile(path.join(sourceDir, 'migrated.json'), JSON.stringify([{ id: 'm1', title: 'Aus DATA_DIR' }]));
+    const file = path.join(sourceDir, 'migrated.db');
+    const { stdout } = await promisify(execFile)(process.execPath, ['scripts/migrate_json_to_sqlite.js'], {
+        env: { ...process.env, DATA_DIR: sourceDir, SQLITE_FILE: file },
+        timeout: 30000
+    });
+    assert.match(stdout, /migrated\.json: 1 Datensätze importiert/);
+    const db = new Database(file, { readonly: true });
+    try {
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM migrated').get().count, 1);
+    } finally {
+        db.close();
+    }
+});
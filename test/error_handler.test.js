@@ -0,0 +1,110 @@
+/**
+ * Tests für middleware/error_handler.js: einheitliche Antworten als application/problem+json
+ * mit Status aus helpers/errors.js, 4xx für Parserfehler, 500 ohne interne Details und
+ * Meldungen nach Accept-Language.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import express from 'express';
+import { startTestServer, request, token } from './support.js';
+import logger from '../middleware/logger.js';
+import { errorHandler, notFoundHandler } from '../middleware/error_handler.js';
+import { ConflictError } from '../helpers/errors.js';
+
+let app;
+
+before(async () => {
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('Fehler aus den Routen werden als Problem Details beantwortet', async () => {
+    const { status, headers, body } = await request(app.baseUrl, 'GET', '/v1/resources/does-not-exist', {
+        headers: { 'X-Request-Id': 'problem-test' }
+    });
+    assert.equal(status, 404);
+    assert.match(headers.get('content-type'), /^application\/problem\+json/);
+    assert.equal(headers.get('content-language'), 'de');
+    assert.deepEqual(body, {
+        type: '/problems/resource-not-found',
+        title: 'Nicht gefunden',
+        status: 404,
+        detail: 'Ressource nicht gefunden.',
+        instance: '/v1/resources/does-not-exist',
+        code: 'resource_not_found',
+        requestId: 'problem-test'
+    });
+
+    const route = await request(app.baseUrl, 'DELETE', '/v1/gibt-es-nicht');
+    assert.equal(route.status, 404);
+    assert.equal(route.body.detail, 'Die Route DELETE /v1/gibt-es-nicht existiert nicht.');
+});
+
+test('kaputtes JSON und zu große Anfragen ergeben 4xx statt 500', async () => {
+    const auth = token('problem-author', 'contributor');
+    const malformed = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth, body: '{"title": ', headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'malformed_json');
+
+    // express.json() nimmt standardmäßig höchstens 100 kB an
+    const tooLarge = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth, body: { title: 'x'.repeat(200 * 1024), type: 'Kurs', url: 'http://127.0.0.1:9/large' }
+    });
+    assert.equal(tooLarge.status, 413);
+    assert.equal(tooLarge.body.code, 'payload_too_large');
+
+    const unauthorized = await request(app.baseUrl, 'POST', '/v1/resources', { body: {} });
+    assert.equal(unauthorized.status, 401);
+    assert.equal(unauthorized.headers.get('www-authenticate'), 'Bearer');
+});
+
+test('Meldungen folgen Accept-Language', async () => {
+    const { headers, body } = await request(app.baseUrl, 'GET', '/v1/resources?minRating=viel', {
+        headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+    });
+    assert.equal(headers.get('content-language'), 'en');
+    assert.match(headers.get('vary'), /Accept-Language/);
+    assert.equal(body.title, 'Bad Request');
+    assert.deepEqual(body.details.map(d => [d.field, d.message]), [['minRating', 'Expected: number.']]);
+
+    // Nicht unterstützte Sprachen fallen auf Deutsch zurück
+    const { body: german } = await request(app.baseUrl, 'GET', '/v1/resources/does-not-exist', {
+        headers: { 'Accept-Language': 'fr' }
+    });
+    assert.equal(german.detail, 'Ressource nicht gefunden.');
+});
+
+test('unerwartete Fehler ergeben 500 ohne interne Details', async () => {
+    const local = express();
+    local.use(logger);
+    local.get('/conflict', (req, res, next) => next(new ConflictError('resource_not_deleted')));
+    local.get('/boom', () => {
+        throw new Error('geheime Interna: /etc/passwd');
+    });
+    local.use(notFoundHandler);
+    local.use(errorHandler);
+    const server = http.createServer(local).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    // Der 500 wird mit Stufe error geloggt; die Zeile gehört nicht in die Testausgabe
+    const write = process.stderr.write;
+    process.stderr.write = () => true;
+    try {
+        const { status, body } = await request(baseUrl, 'GET', '/boom');
+        assert.equal(status, 500);
+        assert.equal(body.code, 'internal_error');
+        assert.equal(JSON.stringify(body).includes('geheime'), false);
+        assert.equal((await request(baseUrl, 'GET', '/conflict')).status, 409);
+    } finally {
+        process.stderr.write = write;
+        server.close();
+    }
+});
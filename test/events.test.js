@@ -0,0 +1,155 @@
+/**
+ * Event-Stream (GET /v1/events) und Moderation: feedback.created erreicht Leser erst, wenn
+ * das Feedback freigegeben ist, auch bei der Nachlieferung über Last-Event-ID.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { startTestServer, request, token } from './support.js';
+
+const reader = token('events-reader');
+const moderator = token('events-moderator', 'moderator');
+let app;
+let resourceId;
+
+/**
+ * Öffnet den Event-Stream und sammelt die empfangenen Events.
+ *
+ * @param {Object} [headers={}] - Zusätzliche Header (z.B. Last-Event-ID)
+ * @returns {Promise<{ events: Array<Object>, close: function(): void }>} Empfangene Events
+ */
+async function openStream(headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${app.baseUrl}/v1/events`, {
+        headers: { Authorization: `Bearer ${reader}`, ...headers },
+        signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    (async () => {
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const data = buffer.slice(0, end).split('\n').find(line => line.startsWith('data: '));
+                if (data) events.push(JSON.parse(data.slice(6)));
+                buffer = buffer.slice(end + 2);
+            }
+        }
+    })().catch(() => {});
+    return { events, close: () => controller.abort() };
+}
+
+/**
+ * Wartet, bis eine Bedingung erfüllt ist (höchstens zwei Sekunden).
+ *
+ * @param {function(): boolean} condition - Bedingung
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 40 && !condition(); i++) await delay(50);
+}
+
+/**
+ * Liefert die feedback.created-Events zu einem Feedback.
+ *
+ * @param {Array<Object>} events - Empfangene Events
+ * @param {string} feedbackId - ID des Feedbacks
+ * @returns {Array<Object>} Passende Events
+ */
+function feedbackEvents(events, feedbackId) {
+    return events.filter(e => e.type === 'feedback.created' && e.data.feedback.id === feedbackId);
+}
+
+before(async () => {
+    app = await startTestServer();
+    const { body } = await request(app.baseUrl, 'GET', '/v1/resources?limit=1');
+    resourceId = body.data[0].id;
+});
+
+after(async () => {
+    delete process.env.FEEDBACK_MODERATION;
+    await app.shutdown();
+});
+
+test('wartendes Feedback wird erst mit der Freigabe veröffentlicht', async () => {
+    process.env.FEEDBACK_MODERATION = 'pre';
+    const stream = await openStream();
+    try {
+        const { body: pending } = await request(app.baseUrl, 'POST', `/v1/resources/${resourceId}/feedback`, {
+            auth: reader, body: { feedbackText: 'Wartet noch auf die Moderation' }
+        });
+        assert.equal(pending.status, 'pending');
+        await delay(200);
+        assert.deepEqual(feedbackEvents(stream.events, pending.id), []);
+
+        const approve = () => request(app.baseUrl, 'PUT', `/v1/moderation/feedback/${pending.id}`, {
+            auth: moderator, body: { status: 'approved' }
+        });
+        assert.equal((await approve()).status, 200);
+        await waitFor(() => feedbackEvents(stream.events, pending.id).length > 0);
+        const [event] = feedbackEvents(stream.events, pending.id);
+        assert.equal(event.data.feedback.status, 'approved');
+        assert.equal(event.data.feedback.flags, undefined);
+        assert.equal(event.data.feedback.moderation, undefined);
+
+        // Eine erneute Freigabe veröffentlicht nicht noch einmal
+        await approve();
+        await delay(200);
+        assert.equal(feedbackEvents(stream.events, pending.id).length, 1);
+    } finally {
+        stream.close();
+        delete process.env.FEEDBACK_MODERATION;
+    }
+});
+
+test('als Spam gemeldetes Feedback wird nicht veröffentlicht', async () => {
+    const stream = await openStream();
+    try {
+        const { body: flagged } = await request(app.baseUrl, 'POST', `/v1/resources/${resourceId}/feedback`, {
+            auth: reader, body: { feedbackText: 'Das ist doch bullshit' }
+        });
+        assert.equal(flagged.status, 'flagged');
+        await delay(200);
+        assert.deepEqual(feedbackEvents(stream.events, flagged.id), []);
+    } finally {
+        stream.close();
+    }
+});
+
+test('Nachlieferung über Last-Event-ID lässt nicht mehr sichtbares Feedback aus', async () => {
+    const first = await openStream();
+    let anchor;
+    let visibleId;
+    let hiddenId;
+    try {
+        const { body: created } = await request(app.baseUrl, 'POST', '/v1/resources', {
+            auth: token('events-author', 'contributor'), body: { title: 'Event-Anker', type: 'Kurs', url: 'http://127.0.0.1:9/events' }
+        });
+        await waitFor(() => first.events.some(e => e.resourceId === created.id));
+        anchor = first.events.find(e => e.resourceId === created.id).id;
+
+        const post = async feedbackText => (await request(app.baseUrl, 'POST', `/v1/resources/${resourceId}/feedback`, {
+            auth: reader, body: { feedbackText }
+        })).body.id;
+        visibleId = await post('Bleibt sichtbar');
+        hiddenId = await post('Wird später abgelehnt');
+        await waitFor(() => feedbackEvents(first.events, hiddenId).length > 0);
+        assert.equal(feedbackEvents(first.events, visibleId).length, 1);
+    } finally {
+        first.close();
+    }
+
+    await request(app.baseUrl, 'PUT', `/v1/moderation/feedback/${hiddenId}`, { auth: moderator, body: { status: 'rejected' } });
+    const replay = await openStream({ 'Last-Event-ID': anchor });
+    try {
+        await waitFor(() => feedbackEvents(replay.events, visibleId).length > 0);
+        await delay(200);
+        assert.equal(feedbackEvents(replay.events, visibleId).length, 1);
+        assert.deepEqual(feedbackEvents(replay.events, hiddenId), []);
+    } finally {
+        replay.close();
+    }
+});
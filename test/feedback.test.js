@@ -0,0 +1,144 @@
+/**
+ * Feedback: Antworten (parentId) im Thread, Meldungen mit Schwellwert und
+ * Moderations-Warteschlange sowie Antworten ohne die IDs der meldenden Nutzer.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+
+const author = token('feedback-author', 'contributor');
+const moderator = token('feedback-moderator', 'moderator');
+let app;
+
+/**
+ * Legt eine Ressource an (gesperrte Adresse, damit die Linkprüfung nichts abruft).
+ *
+ * @param {string} name - Eindeutiger Name
+ * @returns {Promise<Object>} Angelegte Ressource
+ */
+async function createResource(name) {
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title: name, type: 'Kurs', url: `http://127.0.0.1:9/feedback/${name}` }
+    });
+    assert.equal(status, 201);
+    return body;
+}
+
+/**
+ * Schreibt ein Feedback zu einer Ressource.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {Object} body - feedbackText, parentId (optional)
+ * @returns {Promise<Object>} Angelegtes Feedback
+ */
+async function postFeedback(resourceId, body) {
+    const { status, body: feedback } = await request(app.baseUrl, 'POST', `/v1/resources/${resourceId}/feedback`, {
+        auth: token('feedback-writer'), body
+    });
+    assert.equal(status, 201);
+    return feedback;
+}
+
+/**
+ * Meldet ein Feedback.
+ *
+ * @param {string} resourceId - ID der Ressource
+ * @param {string} feedbackId - ID des Feedbacks
+ * @param {string} auth - Token des meldenden Nutzers
+ * @returns {Promise<{ status: number, body: Object }>} Antwort
+ */
+function flag(resourceId, feedbackId, auth) {
+    return request(app.baseUrl, 'POST', `/v1/resources/${resourceId}/feedback/${feedbackId}/flag`, { auth, body: { reason: 'spam' } });
+}
+
+/**
+ * Liefert die IDs der Feedbacks in der Moderations-Warteschlange.
+ *
+ * @returns {Promise<Array<string>>} IDs
+ */
+async function queueIds() {
+    const { body } = await request(app.baseUrl, 'GET', '/v1/moderation/feedback?limit=100', { auth: moderator });
+    return body.data.map(f => f.id);
+}
+
+before(async () => {
+    process.env.RATE_LIMIT_FEEDBACK = '0';
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('Antworten erscheinen unter ihrem Feedback im Thread', async () => {
+    const resource = await createResource('thread');
+    const root = await postFeedback(resource.id, { feedbackText: 'Gute Übersicht' });
+    const reply = await postFeedback(resource.id, { feedbackText: 'Finde ich auch', parentId: root.id });
+    const { body } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}`);
+    const thread = body.feedbacks.find(f => f.id === root.id);
+    assert.deepEqual(thread.replies.map(r => r.id), [reply.id]);
+    assert.equal(body.feedbacks.some(f => f.id === reply.id), false);
+
+    const missingParent = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/feedback`, {
+        auth: token('feedback-writer'), body: { feedbackText: 'Antwort ins Leere', parentId: 'does-not-exist' }
+    });
+    assert.equal(missingParent.status, 404);
+    assert.equal(missingParent.body.code, 'parent_feedback_not_found');
+});
+
+test('erst mehrere Meldungen blenden ein Feedback aus', async () => {
+    const resource = await createResource('threshold');
+    const feedback = await postFeedback(resource.id, { feedbackText: 'Umstrittene Meinung' });
+
+    const first = await flag(resource.id, feedback.id, token('feedback-flagger-1'));
+    assert.equal(first.status, 202);
+    assert.deepEqual(first.body, { id: feedback.id, status: 'approved' });
+    // Wiederholte Meldungen desselben Nutzers zählen nicht
+    assert.equal((await flag(resource.id, feedback.id, token('feedback-flagger-1'))).body.status, 'approved');
+    assert.equal((await flag(resource.id, feedback.id, token('feedback-flagger-2'))).body.status, 'approved');
+    assert.ok((await queueIds()).includes(feedback.id));
+    const { body: visible } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}`);
+    assert.ok(visible.feedbacks.some(f => f.id === feedback.id));
+
+    assert.equal((await flag(resource.id, feedback.id, token('feedback-flagger-3'))).body.status, 'flagged');
+    const { body: hidden } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}`);
+    assert.equal(hidden.feedbacks.some(f => f.id === feedback.id), false);
+
+    // Nach der Freigabe zählen nur neue Meldungen
+    await request(app.baseUrl, 'PUT', `/v1/moderation/feedback/${feedback.id}`, { auth: moderator, body: { status: 'approved' } });
+    assert.equal((await queueIds()).includes(feedback.id), false);
+    assert.equal((await flag(resource.id, feedback.id, token('feedback-flagger-4'))).body.status, 'approved');
+});
+
+test('eine Meldung durch einen Moderator blendet sofort aus', async () => {
+    const resource = await createResource('moderator-flag');
+    const feedback = await postFeedback(resource.id, { feedbackText: 'Eindeutig unpassend' });
+    const { status, body } = await flag(resource.id, feedback.id, moderator);
+    assert.equal(status, 202);
+    assert.equal(body.status, 'flagged');
+});
+
+test('Antworten an Autoren enthalten keine Meldungen', async () => {
+    const resource = await createResource('no-flags');
+    const feedback = await postFeedback(resource.id, { feedbackText: 'Erste Fassung' });
+    assert.equal(feedback.flags, undefined);
+    await flag(resource.id, feedback.id, token('feedback-secret-flagger'));
+
+    const { status, body } = await request(app.baseUrl, 'PUT', `/v1/resources/${resource.id}/feedback/${feedback.id}`, {
+        auth: token('feedback-writer'), body: { feedbackText: 'Zweite Fassung' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.feedbackText, 'Zweite Fassung');
+    assert.equal(body.flags, undefined);
+    assert.equal(JSON.stringify(body).includes('feedback-secret-flagger'), false);
+});
+
+test('Feedback weich gelöschter Ressourcen kann nicht gemeldet werden', async () => {
+    const resource = await createResource('soft-deleted');
+    const feedback = await postFeedback(resource.id, { feedbackText: 'Bald unsichtbar' });
+    assert.equal((await request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}?mode=soft`, { auth: author })).status, 204);
+    const { status, body } = await flag(resource.id, feedback.id, token('feedback-late-flagger'));
+    assert.equal(status, 404);
+    assert.equal(body.code, 'resource_not_found');
+});
@@ -0,0 +1,104 @@
+/**
+ * Änderungen an Ressourcen per JSON Merge Patch (helpers/merge_patch.js), Versionen aus dem
+ * Audit-Log (GET /v1/resources/:id/history) und Zurücksetzen auf eine frühere Version.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+import { applyMergePatch } from '../helpers/merge_patch.js';
+
+const author = token('history-author', 'contributor');
+const MERGE_PATCH = { 'Content-Type': 'application/merge-patch+json' };
+let app;
+let resource;
+
+/**
+ * Sendet einen Merge Patch an die Ressource dieses Tests.
+ *
+ * @param {Object} changes - Merge Patch
+ * @param {Object} [options] - auth (Standard: Autor) und headers
+ * @returns {Promise<{ status: number, headers: Headers, body: Object }>} Antwort
+ */
+function patch(changes, { auth = author, headers = MERGE_PATCH } = {}) {
+    return request(app.baseUrl, 'PATCH', `/v1/resources/${resource.id}`, { auth, body: JSON.stringify(changes), headers });
+}
+
+before(async () => {
+    app = await startTestServer();
+    ({ body: resource } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author,
+        body: { title: 'Version eins', type: 'Kurs', url: 'http://127.0.0.1:9/history', description: 'Erste Beschreibung' }
+    }));
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('applyMergePatch folgt RFC 7396', () => {
+    const target = { title: 'A', meta: { level: 1, lang: 'de' }, tagIds: ['x', 'y'] };
+    assert.deepEqual(applyMergePatch(target, { meta: { lang: null, source: 'import' }, tagIds: ['z'], title: null }), {
+        meta: { level: 1, source: 'import' }, tagIds: ['z']
+    });
+    assert.deepEqual(target.meta, { level: 1, lang: 'de' });
+    assert.deepEqual(applyMergePatch(target, ['ersetzt']), ['ersetzt']);
+    assert.deepEqual(applyMergePatch('text', { a: { b: null } }), { a: {} });
+});
+
+test('PATCH ändert nur übergebene Felder, null entfernt optionale Felder', async () => {
+    const { status, headers, body } = await patch({ title: 'Version zwei', description: null });
+    assert.equal(status, 200);
+    assert.ok(headers.get('etag'));
+    assert.equal(body.title, 'Version zwei');
+    assert.equal(body.description, undefined);
+    assert.equal(body.url, resource.url);
+    assert.equal(body.type, 'Kurs');
+
+    const required = await patch({ url: null });
+    assert.equal(required.status, 400);
+    assert.deepEqual(required.body.details.map(d => [d.field, d.code]), [['url', 'required']]);
+
+    const unsupported = await patch({ title: 'Text' }, { headers: { 'Content-Type': 'text/plain' } });
+    assert.equal(unsupported.status, 415);
+    const foreign = await patch({ title: 'Fremd' }, { auth: token('history-other', 'contributor') });
+    assert.equal(foreign.status, 403);
+});
+
+test('GET /history liefert jede Version mit Änderungen und Stand', async () => {
+    const { status, body } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}/history`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(entry => [entry.version, entry.action, entry.actorId]), [
+        [1, 'create', 'history-author'],
+        [2, 'update', 'history-author']
+    ]);
+    assert.deepEqual(body.data[1].changes.title, { from: 'Version eins', to: 'Version zwei' });
+    assert.deepEqual(body.data[1].changes.description, { from: 'Erste Beschreibung', to: null });
+    assert.equal(body.data[1].snapshot.title, 'Version zwei');
+
+    const { body: newest } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}/history?sort=-version&limit=1`);
+    assert.equal(newest.data[0].version, 2);
+    assert.equal((await request(app.baseUrl, 'GET', '/v1/resources/does-not-exist/history')).status, 404);
+});
+
+test('revert stellt eine frühere Version als neue Version wieder her', async () => {
+    const { status, body } = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/revert`, {
+        auth: author, body: { version: 1 }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.title, 'Version eins');
+    assert.equal(body.description, 'Erste Beschreibung');
+
+    const { body: history } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}/history?sort=-version&limit=1`);
+    assert.equal(history.data[0].version, 3);
+    assert.equal(history.data[0].action, 'revert');
+    assert.deepEqual(history.data[0].details, { revertedTo: 1 });
+
+    const missing = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/revert`, { auth: author, body: { version: 99 } });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'resource_version_not_found');
+    const foreign = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/revert`, {
+        auth: token('history-other', 'contributor'), body: { version: 2 }
+    });
+    assert.equal(foreign.status, 403);
+});
@@ -0,0 +1,142 @@
+/**
+ * Ressourcen-Import (POST /v1/resources/import, helpers/resource_import.js und helpers/csv.js):
+ * Parsen von CSV, NDJSON und JSON mit Zeilennummern, dryRun, Abgleich nach normalisierter URL
+ * und Bericht je Zeile.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+import { parseImport } from '../helpers/resource_import.js';
+import { ValidationError } from '../helpers/errors.js';
+
+const importer = token('import-author', 'contributor');
+let app;
+
+/**
+ * Sendet einen Import.
+ *
+ * @param {string} body - Import als Text
+ * @param {string} contentType - Content-Type
+ * @param {string} [query=''] - Query-String (mit führendem ?)
+ * @param {Object} [headers={}] - Weitere Header
+ * @returns {Promise<{ status: number, headers: Headers, body: Object }>} Antwort
+ */
+function postImport(body, contentType, query = '', headers = {}) {
+    return request(app.baseUrl, 'POST', `/v1/resources/import${query}`, {
+        auth: importer, body, headers: { 'Content-Type': contentType, ...headers }
+    });
+}
+
+/**
+ * Sucht eine Ressource dieses Tests über ihren Titel.
+ *
+ * @param {string} title - Titel
+ * @returns {Promise<Array<Object>>} Treffer
+ */
+async function findByTitle(title) {
+    const { body } = await request(app.baseUrl, 'GET', '/v1/resources?authorId=import-author&limit=100');
+    return body.data.filter(r => r.title === title);
+}
+
+before(async () => {
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('CSV mit Semikolon, Anführungszeichen und BOM wird mit Zeilennummern gelesen', () => {
+    const rows = parseImport('\uFEFFtitle;type;url;description\r\n'
+        + '"Semikolon; im Titel";Kurs;https://example.org/a;"Zeile eins\nZeile zwei"\r\n'
+        + '\r\n'
+        + '"Mit ""Zitat""";Video;https://example.org/b;\r\n', 'csv');
+    assert.deepEqual(rows, [
+        {
+            row: 2,
+            data: { title: 'Semikolon; im Titel', type: 'Kurs', url: 'https://example.org/a', description: 'Zeile eins\nZeile zwei' }
+        },
+        // Der Zeilenumbruch im Feld zählt mit; leere Zeilen werden übersprungen
+        { row: 5, data: { title: 'Mit "Zitat"', type: 'Video', url: 'https://example.org/b' } }
+    ]);
+});
+
+test('NDJSON und JSON melden unlesbare Zeilen einzeln', () => {
+    const ndjson = parseImport('{"title":"A"}\n\n{kaputt\n[1,2]\n', 'ndjson');
+    assert.deepEqual(ndjson.map(r => [r.row, r.errors ? r.errors[0].code : 'ok']), [
+        [1, 'ok'], [3, 'invalid_json'], [4, 'invalid_row']
+    ]);
+    assert.deepEqual(parseImport([{ title: 'A' }, 'text'], 'json').map(r => [r.row, r.errors ? r.errors[0].code : 'ok']), [
+        [1, 'ok'], [2, 'invalid_row']
+    ]);
+
+    const codeOf = fn => {
+        try {
+            fn();
+        } catch (err) {
+            assert.ok(err instanceof ValidationError);
+            return err.code;
+        }
+        return null;
+    };
+    assert.equal(codeOf(() => parseImport({ title: 'A' }, 'json')), 'import_invalid_body');
+    assert.equal(codeOf(() => parseImport('title,type,url\r\n', 'csv')), 'import_empty');
+    assert.equal(codeOf(() => parseImport('\n  \n', 'ndjson')), 'import_empty');
+});
+
+test('dryRun prüft nur und speichert nichts', async () => {
+    const csv = 'title,type,url\r\nTrockenlauf,Kurs,http://127.0.0.1:9/import/dry\r\nOhne Typ,,http://127.0.0.1:9/import/x\r\n';
+    const { status, body } = await postImport(csv, 'text/csv', '?dryRun=true');
+    assert.equal(status, 200);
+    assert.deepEqual(
+        { dryRun: body.dryRun, total: body.total, created: body.created, failed: body.failed },
+        { dryRun: true, total: 2, created: 1, failed: 1 }
+    );
+    assert.deepEqual(body.rows[1].errors.map(e => [e.field, e.code]), [['type', 'required']]);
+    assert.deepEqual(await findByTitle('Trockenlauf'), []);
+});
+
+test('upsert gleicht nach normalisierter URL ab und meldet jede Zeile', async () => {
+    const first = await postImport('{"title":"Upsert","type":"Kurs","url":"http://127.0.0.1:9/import/Upsert"}\n', 'application/x-ndjson');
+    assert.equal(first.body.created, 1);
+    const id = first.body.rows[0].id;
+
+    // Gleiche URL mit abschließendem Schrägstrich und Fragment
+    const ndjson = '{"title":"Upsert geändert","type":"Kurs","url":"http://127.0.0.1:9/import/Upsert/#teil"}\n'
+        + '{"title":"Neu","type":"Video","url":"http://127.0.0.1:9/import/neu"}\n'
+        + '{"title":"Doppelt","type":"Video","url":"http://127.0.0.1:9/import/neu/"}\n';
+    const { body } = await postImport(ndjson, 'application/x-ndjson', '?mode=upsert');
+    assert.deepEqual(body.rows.map(r => [r.row, r.status]), [[1, 'updated'], [2, 'created'], [3, 'failed']]);
+    assert.equal(body.rows[0].id, id);
+    assert.equal(body.rows[2].errors[0].code, 'duplicate_in_file');
+    assert.equal(body.rows[2].errors[0].message, 'Die URL kommt bereits in Zeile 2 vor.');
+    assert.equal((await findByTitle('Upsert geändert'))[0].id, id);
+
+    const again = await postImport(ndjson.split('\n')[0], 'application/x-ndjson', '?mode=upsert');
+    assert.equal(again.body.unchanged, 1);
+
+    // Ohne upsert ist eine bestehende URL ein Fehler, die Meldung folgt Accept-Language
+    const { body: create } = await postImport('[{"title":"Nochmal","type":"Kurs","url":"http://127.0.0.1:9/import/neu"}]', 'application/json', '', {
+        'Accept-Language': 'en'
+    });
+    assert.equal(create.failed, 1);
+    assert.equal(create.rows[0].errors[0].code, 'duplicate_url');
+    assert.match(create.rows[0].errors[0].message, /^A resource with this URL already exists/);
+});
+
+test('unbekannte Formate und fremde Ressourcen werden abgelehnt', async () => {
+    const unsupported = await postImport('title,type,url', 'text/plain');
+    assert.equal(unsupported.status, 415);
+    assert.equal(unsupported.body.code, 'import_unsupported_format');
+
+    const empty = await postImport('[]', 'application/json');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.code, 'import_empty');
+
+    const { body } = await request(app.baseUrl, 'POST', '/v1/resources/import?mode=upsert', {
+        auth: token('import-other', 'contributor'),
+        body: [{ title: 'Übernahme', type: 'Kurs', url: 'http://127.0.0.1:9/import/Upsert' }]
+    });
+    assert.equal(body.rows[0].errors[0].code, 'not_owner');
+});
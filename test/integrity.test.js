@@ -0,0 +1,148 @@
+/**
+ * Löschen von Ressourcen: endgültig samt Bewertungen, Feedback und Verweisen (auch gleichzeitig
+ * mit neuen Bewertungen und Feedbacks), weich mit Wiederherstellung sowie Integritätsprüfung
+ * und -reparatur (GET und POST /v1/admin/integrity) bei laufendem Server.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { startTestServer, request, token, readDataFile } from './support.js';
+import { insert, withFileLock } from '../helpers/data_manager.js';
+
+const ROUNDS = 10;
+const author = token('integrity-author', 'contributor');
+const admin = token('integrity-admin', 'admin');
+let app;
+
+/**
+ * Legt eine Ressource an (gesperrte Adresse, damit die Linkprüfung nichts abruft).
+ *
+ * @param {string} name - Eindeutiger Name
+ * @returns {Promise<Object>} Angelegte Ressource
+ */
+async function createResource(name) {
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title: name, type: 'Kurs', url: `http://127.0.0.1:9/integrity/${name}` }
+    });
+    assert.equal(status, 201);
+    return body;
+}
+
+before(async () => {
+    process.env.RATE_LIMIT_RATING = '0';
+    process.env.RATE_LIMIT_FEEDBACK = '0';
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('paralleles Löschen hinterlässt keine verwaisten Bewertungen oder Feedbacks', async () => {
+    for (let round = 0; round < ROUNDS; round++) {
+        const resource = await createResource(`race-${round}`);
+        const { body: existing } = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, {
+            auth: token('integrity-rater-0'), body: { ratingValue: 2 }
+        });
+        const responses = await Promise.all([
+            request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}?mode=hard`, { auth: author }),
+            request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth: token('integrity-rater-1'), body: { ratingValue: 4 } }),
+            request(app.baseUrl, 'PUT', `/v1/resources/${resource.id}/rating/${existing.id}`, { auth: token('integrity-rater-0'), body: { ratingValue: 5 } }),
+            request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/feedback`, { auth: token('integrity-writer'), body: { feedbackText: `Feedback im Wettlauf ${round}` } })
+        ]);
+        assert.equal(responses[0].status, 204);
+        for (const { status } of responses.slice(1)) {
+            assert.ok([200, 201, 404].includes(status), `Status ${status}`);
+        }
+        assert.deepEqual((await readDataFile('ratings.json')).filter(r => r.resourceId === resource.id), []);
+        assert.deepEqual((await readDataFile('feedback.json')).filter(f => f.resourceId === resource.id), []);
+    }
+});
+
+test('die Reparatur wartet auf die Sperre der Ressource und prüft erneut', async () => {
+    const resource = await createResource('repair');
+    await insert('ratings', { id: 'orphan-rating', resourceId: 'missing-resource', userId: 'u1', ratingValue: 3, createdAt: new Date().toISOString() });
+
+    // Solange die Sperre gehalten wird, darf die Reparatur die verwaiste Bewertung nicht löschen
+    let release;
+    const held = withFileLock('resource:missing-resource', () => new Promise(resolve => {
+        release = resolve;
+    }));
+    const repair = request(app.baseUrl, 'POST', '/v1/admin/integrity/repair', { auth: admin });
+    await delay(200);
+    assert.ok((await readDataFile('ratings.json')).some(r => r.id === 'orphan-rating'));
+    release();
+    await held;
+
+    const { status, body } = await repair;
+    assert.equal(status, 200);
+    assert.ok(body.repaired.ratings >= 1);
+    assert.equal((await readDataFile('ratings.json')).some(r => r.id === 'orphan-rating'), false);
+    // Bewertungen bestehender Ressourcen bleiben erhalten
+    const { body: rating } = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth: token('integrity-rater-2'), body: { ratingValue: 4 } });
+    await request(app.baseUrl, 'POST', '/v1/admin/integrity/repair', { auth: admin });
+    assert.ok((await readDataFile('ratings.json')).some(r => r.id === rating.id));
+});
+
+test('weich gelöschte Ressourcen sind verborgen und lassen sich wiederherstellen', async () => {
+    const resource = await createResource('soft');
+    await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth: token('integrity-soft-rater'), body: { ratingValue: 5 } });
+    assert.equal((await request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}?mode=soft`, { auth: author })).status, 204);
+
+    assert.equal((await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}`)).status, 404);
+    const { body: list } = await request(app.baseUrl, 'GET', '/v1/resources?authorId=integrity-author&limit=100');
+    assert.equal(list.data.some(r => r.id === resource.id), false);
+    // Bewertungen bleiben für die Wiederherstellung erhalten
+    assert.equal((await readDataFile('ratings.json')).filter(r => r.resourceId === resource.id).length, 1);
+    assert.equal((await readDataFile('resources.json')).find(r => r.id === resource.id).deletedBy, 'integrity-author');
+
+    const restorePath = `/v1/resources/${resource.id}/restore`;
+    assert.equal((await request(app.baseUrl, 'POST', restorePath, { auth: author })).status, 403);
+    const restored = await request(app.baseUrl, 'POST', restorePath, { auth: token('integrity-moderator', 'moderator') });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.deletedAt, undefined);
+    const { body } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}`);
+    assert.equal(body.averageRating, 5);
+    const again = await request(app.baseUrl, 'POST', restorePath, { auth: token('integrity-moderator', 'moderator') });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'resource_not_deleted');
+});
+
+test('endgültiges Löschen entfernt Bewertungen, Feedback und Verweise', async () => {
+    const resource = await createResource('hard');
+    const kept = await createResource('hard-kept');
+    await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth: token('integrity-hard-rater'), body: { ratingValue: 3 } });
+    await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/feedback`, { auth: token('integrity-hard-writer'), body: { feedbackText: 'Wird mitgelöscht' } });
+    const { body: collection } = await request(app.baseUrl, 'POST', '/v1/collections', {
+        auth: author, body: { title: 'Löschprobe', resourceIds: [resource.id, kept.id] }
+    });
+
+    assert.equal((await request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}?mode=hard`, { auth: author })).status, 204);
+    assert.equal((await readDataFile('resources.json')).some(r => r.id === resource.id), false);
+    assert.deepEqual((await readDataFile('ratings.json')).filter(r => r.resourceId === resource.id), []);
+    assert.deepEqual((await readDataFile('feedback.json')).filter(f => f.resourceId === resource.id), []);
+    assert.deepEqual((await readDataFile('collections.json')).find(c => c.id === collection.id).resourceIds, [kept.id]);
+    assert.equal((await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/restore`, { auth: token('integrity-moderator', 'moderator') })).status, 404);
+});
+
+test('die Integritätsprüfung meldet verwaiste und doppelte Datensätze', async () => {
+    const resource = await createResource('report');
+    await insert('feedback', { id: 'orphan-feedback', resourceId: 'gone-resource', userId: 'u1', feedbackText: 'Verwaist', status: 'approved', createdAt: new Date().toISOString() });
+    const duplicate = { resourceId: resource.id, userId: 'integrity-twice', ratingValue: 4, createdAt: new Date().toISOString() };
+    await insert('ratings', { id: 'duplicate-rating-1', ...duplicate });
+    await insert('ratings', { id: 'duplicate-rating-2', ...duplicate });
+
+    assert.equal((await request(app.baseUrl, 'GET', '/v1/admin/integrity', { auth: author })).status, 403);
+    const { status, body } = await request(app.baseUrl, 'GET', '/v1/admin/integrity', { auth: admin });
+    assert.equal(status, 200);
+    assert.equal(body.ok, false);
+    assert.ok(body.orphanedFeedback.includes('orphan-feedback'));
+    assert.equal(body.duplicateRatings.length, 1);
+    // Die Prüfung allein ändert nichts
+    assert.ok((await readDataFile('feedback.json')).some(f => f.id === 'orphan-feedback'));
+
+    const { body: repaired } = await request(app.baseUrl, 'POST', '/v1/admin/integrity/repair', { auth: admin });
+    assert.ok(repaired.repaired.feedback >= 1);
+    assert.equal((await readDataFile('ratings.json')).filter(r => r.userId === 'integrity-twice').length, 1);
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests für helpers/link_checker.js mit dem Standard-Client (createFetchClient) gegen einen
+ * lokalen Stub-Server: HEAD-Fallback, Weiterleitungen, Zeitlimit, Fehlschläge in Folge und
+ * Markierung linkBroken.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { useTempDataDir } from './support.js';
+import { insert, findById } from '../helpers/data_manager.js';
+import { checkUrl, checkResourceLink, createFetchClient, setHttpClient } from '../helpers/link_checker.js';
+
+let server;
+let base;
+let previousClient;
+// Vom Stub empfangene Anfragen (Methode und Pfad)
+const received = [];
+// Antwortet /flaky mit 500, solange true
+let flakyDown = true;
+
+before(async () => {
+    await useTempDataDir();
+    process.env.LINK_CHECK_FLAG_AFTER = '3';
+    server = http.createServer((req, res) => {
+        received.push(`${req.method} ${req.url}`);
+        const redirect = /^\/redirect\/(\d+)$/.exec(req.url);
+        if (req.url === '/ok') {
+            res.writeHead(200).end();
+        } else if (req.url === '/no-head') {
+            res.writeHead(req.method === 'HEAD' ? 405 : 200).end();
+        } else if (redirect) {
+            const remaining = Number(redirect[1]);
+            if (remaining === 0) res.writeHead(200).end();
+            else res.writeHead(302, { Location: `/redirect/${remaining - 1}` }).end();
+        } else if (req.url === '/to-localhost') {
+            res.writeHead(302, { Location: `http://localhost:${server.address().port}/ok` }).end();
+        } else if (req.url === '/slow') {
+            setTimeout(() => res.writeHead(200).end(), 1000).unref();
+        } else if (req.url === '/flaky') {
+            res.writeHead(flakyDown ? 500 : 200).end();
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    // Der Stub läuft auf 127.0.0.1 und ist nur deshalb erlaubt
+    previousClient = setHttpClient(createFetchClient({ allowedHosts: ['127.0.0.1'] }));
+});
+
+after(async () => {
+    setHttpClient(previousClient);
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('erreichbare URL ist ok', async () => {
+    assert.deepEqual(await checkUrl(`${base}/ok`), { ok: true, httpStatus: 200, finalUrl: `${base}/ok`, redirects: 0, error: null });
+});
+
+test('HEAD mit 405 wird per GET wiederholt', async () => {
+    received.length = 0;
+    const result = await checkUrl(`${base}/no-head`);
+    assert.equal(result.ok, true);
+    assert.equal(result.httpStatus, 200);
+    assert.deepEqual(received, ['HEAD /no-head', 'GET /no-head']);
+});
+
+test('Weiterleitungen werden bis zur Höchstzahl verfolgt', async () => {
+    const followed = await checkUrl(`${base}/redirect/3`, { maxRedirects: 3 });
+    assert.equal(followed.ok, true);
+    assert.equal(followed.redirects, 3);
+    assert.equal(followed.finalUrl, `${base}/redirect/0`);
+
+    const tooMany = await checkUrl(`${base}/redirect/4`, { maxRedirects: 3 });
+    assert.equal(tooMany.ok, false);
+    assert.equal(tooMany.error, 'too_many_redirects');
+    assert.equal(tooMany.httpStatus, 302);
+    assert.equal(tooMany.redirects, 3);
+});
+
+test('Zeitüberschreitung ergibt timeout', async () => {
+    const result = await checkUrl(`${base}/slow`, { timeoutMs: 100 });
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'timeout');
+});
+
+test('interne Adressen werden auch über Weiterleitungen nicht abgefragt', async () => {
+    const direct = await checkUrl(`http://localhost:${server.address().port}/ok`, { client: createFetchClient() });
+    assert.equal(direct.error, 'blocked_url');
+    received.length = 0;
+    const redirected = await checkUrl(`${base}/to-localhost`);
+    assert.equal(redirected.error, 'blocked_url');
+    assert.equal(redirected.finalUrl, `http://localhost:${server.address().port}/ok`);
+    assert.deepEqual(received, ['HEAD /to-localhost']);
+});
+
+test('DNS-Rebinding zwischen Prüfung und Verbindung wird abgelehnt', async () => {
+    // Erste Auflösung (Prüfung) öffentlich, jede weitere auf den Stub unter 127.0.0.1
+    let lookups = 0;
+    const lookup = async () => [{ address: lookups++ === 0 ? '93.184.216.34' : '127.0.0.1' }];
+    received.length = 0;
+    const result = await checkUrl(`http://rebind.test:${server.address().port}/ok`, { client: createFetchClient({ lookup }) });
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'blocked_url');
+    assert.ok(lookups >= 2);
+    assert.deepEqual(received, []);
+});
+
+test('Fehlschläge in Folge werden gezählt und markieren die Ressource ab dem Schwellwert', async () => {
+    const resource = { id: 'flaky-resource', title: 'Wackelig', type: 'Artikel', url: `${base}/flaky` };
+    await insert('resources', resource);
+
+    for (const expected of [1, 2]) {
+        const status = await checkResourceLink(resource);
+        assert.equal(status.status, 'broken');
+        assert.equal(status.consecutiveFailures, expected);
+        assert.equal((await findById('resources', resource.id)).linkBroken, undefined);
+    }
+    const third = await checkResourceLink(resource);
+    assert.equal(third.consecutiveFailures, 3);
+    const flagged = await findById('resources', resource.id);
+    assert.equal(flagged.linkBroken, true);
+    assert.equal(flagged.linkBrokenSince, third.lastChecked);
+
+    // Wieder erreichbar: Zähler zurückgesetzt, Markierung entfernt
+    flakyDown = false;
+    const recovered = await checkResourceLink(resource);
+    assert.equal(recovered.status, 'ok');
+    assert.equal(recovered.consecutiveFailures, 0);
+    assert.equal((await findById('resources', resource.id)).linkBroken, undefined);
+});
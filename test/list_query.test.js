@@ -0,0 +1,105 @@
+/**
+ * Ressourcenliste (GET /v1/resources): Offset- und Cursor-Paginierung mit Link-Header,
+ * Sortierung über mehrere Felder, kombinierbare Filter und Feldauswahl.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+
+// Eigener Autor, damit der authorId-Filter nur die Ressourcen dieses Tests liefert
+const AUTHOR_ID = 'list-author';
+const author = token(AUTHOR_ID, 'contributor');
+const TITLES = [['Delta', 'Kurs'], ['Alpha', 'Video'], ['Echo', 'Kurs'], ['Charlie', 'Video'], ['Bravo', 'Kurs']];
+const created = new Map();
+let app;
+
+/**
+ * Ruft eine Seite der Ressourcen dieses Tests ab.
+ *
+ * @param {string} [query=''] - Weitere Query-Parameter (mit führendem &)
+ * @returns {Promise<{ status: number, headers: Headers, body: Object }>} Antwort
+ */
+function list(query = '') {
+    return request(app.baseUrl, 'GET', `/v1/resources?authorId=${AUTHOR_ID}${query}`);
+}
+
+before(async () => {
+    process.env.RATE_LIMIT_RATING = '0';
+    app = await startTestServer();
+    for (const [title, type] of TITLES) {
+        const { status, body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+            auth: author, body: { title, type, url: `http://127.0.0.1:9/list/${title}` }
+        });
+        assert.equal(status, 201);
+        created.set(title, body);
+    }
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('Offset-Paginierung liefert Metadaten und Link-Header', async () => {
+    const { status, headers, body } = await list('&sort=title&limit=2&offset=2');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(r => r.title), ['Charlie', 'Delta']);
+    assert.equal(body.pagination.total, 5);
+    assert.equal(body.pagination.offset, 2);
+    assert.equal(body.pagination.hasMore, true);
+    const link = headers.get('link');
+    assert.match(link, /[?&]offset=4[^>]*>; rel="next"/);
+    assert.match(link, /[?&]offset=0[^>]*>; rel="prev"/);
+});
+
+test('Cursor-Paginierung durchläuft alle Ressourcen ohne Lücken', async () => {
+    const titles = [];
+    let cursor = null;
+    do {
+        const { body } = await list(`&sort=-title&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+        titles.push(...body.data.map(r => r.title));
+        cursor = body.pagination.nextCursor;
+    } while (cursor);
+    assert.deepEqual(titles, ['Echo', 'Delta', 'Charlie', 'Bravo', 'Alpha']);
+
+    const conflict = await list('&cursor=abc&offset=1');
+    assert.equal(conflict.status, 400);
+    assert.equal(conflict.body.code, 'cursor_offset_conflict');
+});
+
+test('Sortierung über mehrere Felder und nach averageRating', async () => {
+    const { body } = await list('&sort=type,-title');
+    assert.deepEqual(body.data.map(r => r.title), ['Echo', 'Delta', 'Bravo', 'Charlie', 'Alpha']);
+
+    await request(app.baseUrl, 'POST', `/v1/resources/${created.get('Alpha').id}/rating`, { auth: token('list-rater'), body: { ratingValue: 5 } });
+    await request(app.baseUrl, 'POST', `/v1/resources/${created.get('Bravo').id}/rating`, { auth: token('list-rater'), body: { ratingValue: 2 } });
+    const { body: byRating } = await list('&sort=-averageRating,title&limit=3');
+    assert.deepEqual(byRating.data.map(r => [r.title, r.averageRating]), [['Alpha', 5], ['Bravo', 2], ['Charlie', null]]);
+
+    const invalid = await list('&sort=url');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_sort_field');
+});
+
+test('Filter lassen sich kombinieren', async () => {
+    const { body: videos } = await list('&type=Video&sort=title');
+    assert.deepEqual(videos.data.map(r => r.title), ['Alpha', 'Charlie']);
+
+    const { body: rated } = await list('&minRating=4');
+    assert.deepEqual(rated.data.map(r => r.title), ['Alpha']);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { body: none } = await list(`&createdFrom=${encodeURIComponent(future)}`);
+    assert.equal(none.pagination.total, 0);
+    const { body: all } = await list(`&createdTo=${encodeURIComponent(future)}&type=kurs,video`);
+    assert.equal(all.pagination.total, 5);
+});
+
+test('fields liefert nur die ausgewählten Felder', async () => {
+    const { body } = await list('&fields=id,title&sort=title&limit=1');
+    assert.deepEqual(body.data, [{ id: created.get('Alpha').id, title: 'Alpha' }]);
+
+    const unknown = await list('&fields=id,secret');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'unknown_fields');
+});
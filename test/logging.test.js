@@ -0,0 +1,97 @@
+/**
+ * Tests für middleware/logger.js und GET /metrics: Request-IDs (übernommen oder erzeugt),
+ * genau eine JSON-Logzeile je Anfrage mit Routenmuster und Metriken je Route statt je ID.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request } from './support.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+let app;
+
+/**
+ * Führt eine Funktion aus und sammelt die dabei nach stdout geschriebenen JSON-Logzeilen.
+ *
+ * @param {function(): Promise<void>} fn - Auszuführende Funktion
+ * @returns {Promise<Array<Object>>} Logzeilen
+ */
+async function captureLogs(fn) {
+    const lines = [];
+    const write = process.stdout.write;
+    const level = process.env.LOG_LEVEL;
+    process.env.LOG_LEVEL = 'info';
+    process.stdout.write = (chunk, ...rest) => {
+        const text = String(chunk);
+        if (text.startsWith('{"time"')) {
+            lines.push(...text.trim().split('\n').map(line => JSON.parse(line)));
+            return true;
+        }
+        return write.call(process.stdout, chunk, ...rest);
+    };
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = write;
+        process.env.LOG_LEVEL = level;
+    }
+    return lines;
+}
+
+before(async () => {
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('X-Request-Id wird übernommen oder neu erzeugt', async () => {
+    const own = await request(app.baseUrl, 'GET', '/v1/resources?limit=1', { headers: { 'X-Request-Id': 'client-4711' } });
+    assert.equal(own.headers.get('x-request-id'), 'client-4711');
+    const generated = await request(app.baseUrl, 'GET', '/v1/resources?limit=1');
+    assert.match(generated.headers.get('x-request-id'), UUID_PATTERN);
+    // Ungültige IDs (z.B. mit Leerzeichen oder zu lang) werden ersetzt
+    for (const id of ['mit leerzeichen', 'x'.repeat(129)]) {
+        const replaced = await request(app.baseUrl, 'GET', '/v1/resources?limit=1', { headers: { 'X-Request-Id': id } });
+        assert.match(replaced.headers.get('x-request-id'), UUID_PATTERN);
+    }
+});
+
+test('jede Anfrage ergibt genau eine Logzeile mit Request-ID und Routenmuster', async () => {
+    const logs = await captureLogs(async () => {
+        await request(app.baseUrl, 'GET', '/v1/resources/1', { headers: { 'X-Request-Id': 'log-test-1' } });
+        await request(app.baseUrl, 'GET', '/v1/resources/does-not-exist', { headers: { 'X-Request-Id': 'log-test-2' } });
+    });
+    const [first] = logs.filter(line => line.requestId === 'log-test-1');
+    assert.equal(logs.filter(line => line.requestId === 'log-test-1').length, 1);
+    assert.equal(first.level, 'info');
+    assert.equal(first.msg, 'Anfrage abgeschlossen');
+    assert.equal(first.route, '/v1/resources/:id');
+    assert.equal(first.status, 200);
+    assert.equal(typeof first.durationMs, 'number');
+
+    const notFound = logs.filter(line => line.requestId === 'log-test-2');
+    assert.equal(notFound.length, 1);
+    assert.equal(notFound[0].status, 404);
+});
+
+test('Fehlerantworten tragen die Request-ID', async () => {
+    const { status, body } = await request(app.baseUrl, 'GET', '/v1/resources/does-not-exist', { headers: { 'X-Request-Id': 'problem-id' } });
+    assert.equal(status, 404);
+    assert.equal(body.requestId, 'problem-id');
+});
+
+test('GET /metrics zählt Anfragen je Routenmuster', async () => {
+    await request(app.baseUrl, 'GET', '/v1/resources/2');
+    await request(app.baseUrl, 'GET', '/gibt-es-nicht');
+    const { status, headers, body } = await request(app.baseUrl, 'GET', '/metrics');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain/);
+    assert.match(body, /^# TYPE http_requests_total counter$/m);
+    assert.match(body, /^http_requests_total\{method="GET",route="\/v1\/resources\/:id",status="200"\} \d+$/m);
+    assert.match(body, /^http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m);
+    assert.match(body, /^http_request_duration_seconds_bucket\{method="GET",route="\/v1\/resources\/:id",status="200",le="\+Inf"\} \d+$/m);
+    assert.doesNotMatch(body, /route="\/v1\/resources\/2"/);
+    assert.match(body, /^data_file_operation_duration_seconds_count\{operation="read",file="resources\.json"\} \d+$/m);
+});
@@ -0,0 +1,261 @@
+/**
+ * Konformität der API mit der OpenAPI-Beschreibung (helpers/openapi.js): Jede dokumentierte
+ * Operation der Ressourcen-, Bewertungs- und Feedback-Routen wird gegen den In-Process-Server
+ * aufgerufen; Status, Content-Type und Body jeder Antwort müssen dokumentiert sein und den
+ * Schemas aus schemas/responses.js entsprechen.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+import { getOpenApiDocument } from '../helpers/openapi.js';
+
+const spec = getOpenApiDocument();
+const tokens = {
+    reader: token('oas-reader', 'reader'),
+    contributor: token('oas-contributor', 'contributor'),
+    moderator: token('oas-moderator', 'moderator')
+};
+let app;
+// Aufgerufene Operationen (operationId)
+const covered = new Set();
+
+before(async () => {
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+/**
+ * Löst einen lokalen $ref (#/components/...) im Dokument auf.
+ *
+ * @param {Object} schema - Schema oder Verweis
+ * @returns {Object} Aufgelöstes Schema
+ */
+function resolve(schema) {
+    if (!schema?.$ref) return schema;
+    const target = schema.$ref.slice(2).split('/').reduce((node, key) => node?.[key], spec);
+    assert.ok(target, `Verweis ${schema.$ref} zeigt ins Leere`);
+    return resolve(target);
+}
+
+/**
+ * Liefert den JSON-Typnamen eines Werts.
+ *
+ * @param {*} value - Wert
+ * @returns {string} Typname
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Prüft einen Wert gegen ein Schema (die in schemas/responses.js genutzte Teilmenge von
+ * JSON Schema 2020-12) und sammelt die Abweichungen.
+ *
+ * @param {Object} schema - Schema oder Verweis
+ * @param {*} value - Wert
+ * @param {string} path - Pfad für Meldungen
+ * @param {string[]} errors - Gesammelte Abweichungen
+ */
+function check(schema, value, path, errors) {
+    schema = resolve(schema);
+    if (!schema) return;
+    for (const part of schema.allOf || []) check(part, value, path, errors);
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const actual = typeOf(value);
+        if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            errors.push(`${path}: Typ ${actual} statt ${types.join('|')}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: ${JSON.stringify(value)} nicht in enum`);
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: kleiner als ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: größer als ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: zu kurz`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: zu lang`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: passt nicht zu ${schema.pattern}`);
+        if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) errors.push(`${path}: kein Zeitpunkt`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+    }
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (!(name in value)) errors.push(`${path}: ${name} fehlt`);
+        }
+        for (const [name, item] of Object.entries(value)) {
+            if (name in properties) check(properties[name], item, `${path}.${name}`, errors);
+            else if (schema.additionalProperties === false) errors.push(`${path}: ${name} ist nicht beschrieben`);
+            else if (typeof schema.additionalProperties === 'object') check(schema.additionalProperties, item, `${path}.${name}`, errors);
+        }
+    }
+}
+
+/**
+ * Ruft eine dokumentierte Operation auf und prüft die Antwort gegen das Dokument.
+ *
+ * @param {string} method - Methode in Kleinbuchstaben (wie im Dokument)
+ * @param {string} template - Pfad aus dem Dokument, z.B. /resources/{id}
+ * @param {Object} [options={}] - Optionen
+ * @param {Object} [options.params={}] - Werte der Pfadparameter
+ * @param {string} [options.query=''] - Query-String mit ?
+ * @param {string} [options.as] - Rolle des Aufrufers (reader, contributor, moderator)
+ * @param {*} [options.body] - Body (Objekt als JSON, String unverändert mit options.type)
+ * @param {string} [options.type] - Content-Type eines String-Bodys
+ * @param {Object} [options.headers={}] - Weitere Header
+ * @param {number} [options.expect] - Erwarteter Status
+ * @returns {Promise<{ status: number, headers: Headers, body: * }>} Antwort
+ */
+async function call(method, template, { params = {}, query = '', as, body, type, headers = {}, expect } = {}) {
+    const operation = spec.paths[template]?.[method];
+    assert.ok(operation, `${method.toUpperCase()} ${template} ist nicht dokumentiert`);
+    covered.add(operation.operationId);
+
+    const urlPath = template.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+    const response = await request(app.baseUrl, method.toUpperCase(), `/v1${urlPath}${query}`, {
+        auth: as && tokens[as],
+        body,
+        headers: type ? { ...headers, 'Content-Type': type } : headers
+    });
+
+    const label = `${method.toUpperCase()} ${urlPath}${query} -> ${response.status}`;
+    if (expect !== undefined) assert.equal(response.status, expect, `${label}: ${JSON.stringify(response.body)}`);
+    const documented = resolve(operation.responses[response.status]);
+    assert.ok(documented, `${label}: Status nicht dokumentiert`);
+    if (!documented.content) {
+        assert.ok(response.body === null || response.body === '', `${label}: Body ohne Beschreibung`);
+        return response;
+    }
+    const contentType = (response.headers.get('content-type') || '').split(';')[0];
+    const media = documented.content[contentType];
+    assert.ok(media, `${label}: Content-Type ${contentType} nicht dokumentiert`);
+    const errors = [];
+    check(media.schema, response.body, label, errors);
+    assert.deepEqual(errors, [], errors.join('\n'));
+    return response;
+}
+
+test('GET /openapi.json liefert das Dokument aus getOpenApiDocument()', async () => {
+    const { status, body } = await request(app.baseUrl, 'GET', '/openapi.json');
+    assert.equal(status, 200);
+    assert.deepEqual(body, JSON.parse(JSON.stringify(spec)));
+});
+
+test('Ressourcen-Operationen entsprechen dem Dokument', async () => {
+    // Die URL zeigt auf eine gesperrte Adresse, damit enrich und die Linkprüfung nichts abrufen
+    const url = 'http://127.0.0.1:9/oas';
+    const created = await call('post', '/resources', {
+        as: 'contributor', expect: 201,
+        body: { title: 'OAS-Test', type: 'Kurs', url, description: 'Beschreibung' }
+    });
+    const id = created.body.id;
+    await call('post', '/resources', { as: 'contributor', expect: 409, body: { title: 'Dublette', type: 'Kurs', url } });
+    await call('post', '/resources', { as: 'contributor', query: '?onDuplicate=warn&enrich=true', expect: 201, body: { title: 'Dublette', type: 'Kurs', url } });
+    await call('post', '/resources', { as: 'contributor', expect: 400, body: { type: 'Kurs' } });
+    await call('post', '/resources', { expect: 401, body: { title: 'x', type: 'Kurs', url: 'http://127.0.0.1:9/x' } });
+    await call('post', '/resources', { as: 'reader', expect: 403, body: { title: 'x', type: 'Kurs', url: 'http://127.0.0.1:9/x' } });
+
+    await call('get', '/resources', { query: '?limit=2', expect: 200 });
+    await call('get', '/resources', { query: '?limit=abc', expect: 400 });
+    await call('get', '/resources/search', { query: '?q=OAS', expect: 200 });
+    const detail = await call('get', '/resources/{id}', { params: { id }, expect: 200 });
+    // fetch setzt bei If-None-Match sonst Cache-Control: no-cache, wodurch Express kein 304 sendet
+    await call('get', '/resources/{id}', {
+        params: { id }, expect: 304,
+        headers: { 'If-None-Match': detail.headers.get('etag'), 'Cache-Control': 'max-age=0' }
+    });
+    await call('get', '/resources/{id}', { params: { id: 'unbekannt' }, expect: 404 });
+
+    await call('put', '/resources/{id}', {
+        params: { id }, as: 'contributor', expect: 412, headers: { 'If-Match': '"veraltet"' },
+        body: { title: 'OAS', type: 'Video', url }
+    });
+    await call('put', '/resources/{id}', { params: { id }, as: 'contributor', expect: 200, body: { title: 'OAS-Test neu', type: 'Video', url } });
+    await call('patch', '/resources/{id}', {
+        params: { id }, as: 'contributor', expect: 200,
+        body: JSON.stringify({ description: 'Neu' }), type: 'application/merge-patch+json'
+    });
+    await call('patch', '/resources/{id}', { params: { id }, as: 'contributor', expect: 415, body: 'x', type: 'text/plain' });
+    await call('get', '/resources/{id}/history', { params: { id }, expect: 200 });
+    await call('post', '/resources/{id}/revert', { params: { id }, as: 'contributor', expect: 200, body: { version: 1 } });
+    await call('post', '/resources/{id}/revert', { params: { id }, as: 'contributor', expect: 404, body: { version: 99 } });
+
+    await call('post', '/resources/enrich', { as: 'contributor', expect: 200, body: { url } });
+    await call('post', '/resources/import', {
+        as: 'contributor', query: '?dryRun=true', expect: 200,
+        body: 'title,type,url\r\nImport,Kurs,https://example.org/import\r\n,Kurs,kaputt\r\n', type: 'text/csv'
+    });
+    await call('post', '/resources/import', { as: 'contributor', expect: 415, body: '<x/>', type: 'application/xml' });
+    await call('get', '/resources/export', { query: '?format=json', expect: 200 });
+
+    await call('post', '/resources/{id}/link-status', { params: { id }, as: 'moderator', expect: 200 });
+    await call('get', '/resources/{id}/link-status', { params: { id }, expect: 200 });
+    const broken = await call('get', '/resources/broken', { expect: 200 });
+    assert.ok(broken.body.data.some(entry => entry.resourceId === id && entry.error === 'blocked_url'));
+
+    await call('delete', '/resources/{id}', { params: { id }, as: 'contributor', query: '?mode=soft', expect: 204 });
+    await call('post', '/resources/{id}/restore', { params: { id }, as: 'moderator', expect: 200 });
+    await call('post', '/resources/{id}/restore', { params: { id }, as: 'moderator', expect: 409 });
+    await call('delete', '/resources/{id}', { params: { id }, as: 'contributor', expect: 204 });
+});
+
+test('Bewertungs- und Feedback-Operationen entsprechen dem Dokument', async () => {
+    const { body: resource } = await call('post', '/resources', {
+        as: 'contributor', expect: 201,
+        body: { title: 'OAS-Bewertungen', type: 'Artikel', url: 'http://127.0.0.1:9/ratings' }
+    });
+    const resourceId = resource.id;
+
+    const rating = await call('post', '/resources/{id}/rating', { params: { id: resourceId }, as: 'reader', expect: 201, body: { ratingValue: 4 } });
+    await call('post', '/resources/{id}/rating', { params: { id: resourceId }, as: 'reader', expect: 200, body: { ratingValue: 5 } });
+    await call('post', '/resources/{id}/rating', { params: { id: resourceId }, as: 'reader', expect: 400, body: { ratingValue: 9 } });
+    const ratingId = rating.body.id;
+    await call('get', '/resources/{id}/ratings', { params: { id: resourceId }, expect: 200 });
+    await call('get', '/resources/{id}/ratings/summary', { params: { id: resourceId }, expect: 200 });
+    await call('get', '/resources/{resourceId}/rating/{ratingId}', { params: { resourceId, ratingId }, expect: 200 });
+    await call('put', '/resources/{resourceId}/rating/{ratingId}', { params: { resourceId, ratingId }, as: 'reader', expect: 200, body: { ratingValue: 3 } });
+    await call('put', '/resources/{resourceId}/rating/{ratingId}', { params: { resourceId, ratingId }, as: 'contributor', expect: 403, body: { ratingValue: 3 } });
+    await call('get', '/resources/top-rated', { expect: 200 });
+    await call('get', '/users/{userId}/ratings', { params: { userId: 'oas-reader' }, as: 'reader', expect: 200 });
+    await call('get', '/users/{userId}/ratings', { params: { userId: 'oas-reader' }, expect: 401 });
+    await call('get', '/users/{userId}/recommendations', { params: { userId: 'oas-reader' }, as: 'reader', expect: 200 });
+    await call('get', '/users/{userId}/recommendations', { params: { userId: 'oas-contributor' }, as: 'reader', expect: 403 });
+
+    const feedback = await call('post', '/resources/{resourceId}/feedback', {
+        params: { resourceId }, as: 'reader', expect: 201, body: { feedbackText: 'Sehr hilfreiches Material' }
+    });
+    const feedbackId = feedback.body.id;
+    await call('post', '/resources/{resourceId}/feedback', {
+        params: { resourceId }, as: 'contributor', expect: 201, body: { feedbackText: 'Antwort auf das Feedback', parentId: feedbackId }
+    });
+    await call('put', '/resources/{resourceId}/feedback/{feedbackId}', {
+        params: { resourceId, feedbackId }, as: 'reader', expect: 200, body: { feedbackText: 'Sehr hilfreiches Material!' }
+    });
+    await call('get', '/resources/{id}', { params: { id: resourceId }, expect: 200 });
+    await call('post', '/resources/{resourceId}/feedback/{feedbackId}/flag', {
+        params: { resourceId, feedbackId }, as: 'contributor', expect: 202, body: { reason: 'spam' }
+    });
+    await call('get', '/moderation/feedback', { as: 'moderator', expect: 200 });
+    await call('get', '/moderation/feedback', { as: 'reader', expect: 403 });
+    await call('put', '/moderation/feedback/{feedbackId}', { params: { feedbackId }, as: 'moderator', expect: 200, body: { status: 'approved', note: 'ok' } });
+
+    await call('delete', '/resources/{resourceId}/feedback/{feedbackId}', { params: { resourceId, feedbackId }, as: 'reader', expect: 204 });
+    await call('delete', '/resources/{resourceId}/rating/{ratingId}', { params: { resourceId, ratingId }, as: 'reader', expect: 204 });
+    await call('get', '/resources/{resourceId}/rating/{ratingId}', { params: { resourceId, ratingId }, expect: 404 });
+});
+
+test('jede dokumentierte Operation wurde geprüft', () => {
+    const documented = Object.values(spec.paths).flatMap(operations => Object.values(operations).map(op => op.operationId));
+    assert.deepEqual(documented.filter(id => !covered.has(id)), []);
+});
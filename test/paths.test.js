@@ -0,0 +1,119 @@
+/**
+ * Lernpfade (routes/paths.js, helpers/learning_paths.js): Prüfung der Verweise, Reihenfolge
+ * nach Voraussetzungen, Zyklenerkennung und Bereinigung beim endgültigen Löschen.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+import { topologicalOrder } from '../helpers/learning_paths.js';
+
+const author = token('path-author', 'contributor');
+const ids = {};
+let app;
+
+/**
+ * Baut einen Lernpfad mit einem Abschnitt je Gruppe von Einträgen.
+ *
+ * @param {...Array<[string, string[]?]>} sections - Einträge als [Name, Voraussetzungen]
+ * @returns {Object} Lernpfad
+ */
+function pathOf(...sections) {
+    return {
+        title: 'Testpfad',
+        sections: sections.map((items, i) => ({
+            title: `Abschnitt ${i + 1}`,
+            items: items.map(([name, prerequisites]) => ({
+                resourceId: ids[name] || name,
+                ...(prerequisites ? { prerequisites: prerequisites.map(p => ids[p] || p) } : {})
+            }))
+        }))
+    };
+}
+
+/**
+ * Übersetzt Ressourcen-IDs zurück in die Namen dieses Tests.
+ *
+ * @param {string[]} resourceIds - Ressourcen-IDs
+ * @returns {string[]} Namen
+ */
+function names(resourceIds) {
+    return resourceIds.map(id => Object.keys(ids).find(name => ids[name] === id));
+}
+
+before(async () => {
+    app = await startTestServer();
+    for (const name of ['a', 'b', 'c', 'd']) {
+        const { body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+            auth: author, body: { title: `Pfad ${name}`, type: 'Kurs', url: `http://127.0.0.1:9/paths/${name}` }
+        });
+        ids[name] = body.id;
+    }
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('die Reihenfolge hält die gespeicherte Reihenfolge so weit wie möglich ein', () => {
+    const stored = topologicalOrder(pathOf([['a'], ['b', ['a']], ['c']]));
+    assert.equal(stored.respectsStoredOrder, true);
+    assert.deepEqual(names(stored.order.map(item => item.resourceId)), ['a', 'b', 'c']);
+
+    // d braucht c: c rückt vor d, a bleibt vorne
+    const moved = topologicalOrder(pathOf([['a'], ['d', ['c']]], [['c', ['a']], ['b']]));
+    assert.equal(moved.respectsStoredOrder, false);
+    assert.deepEqual(names(moved.order.map(item => item.resourceId)), ['a', 'c', 'd', 'b']);
+});
+
+test('Zyklen werden mit den beteiligten Ressourcen gemeldet', () => {
+    const { order, cycle } = topologicalOrder(pathOf([['a'], ['b', ['d']], ['c', ['b']], ['d', ['c', 'a']]]));
+    assert.deepEqual(order, []);
+    assert.deepEqual(names(cycle), ['b', 'd', 'c', 'b']);
+});
+
+test('POST /paths lehnt Zyklen mit 409 ab', async () => {
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/paths', {
+        auth: author, body: pathOf([['a', ['b']]], [['b', ['a']]])
+    });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'path_cycle');
+    assert.equal(body.details[0].code, 'prerequisite_cycle');
+    assert.deepEqual(names(body.details[0].resourceIds), ['a', 'b', 'a']);
+    assert.match(body.details[0].message, /Zyklus: .+ → .+ → .+\.$/);
+});
+
+test('ungültige Verweise ergeben 400 mit allen Feldern', async () => {
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/paths', {
+        auth: author, body: pathOf([['a', ['a']], ['missing'], ['b', ['c']]], [['a']])
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map(d => [d.field, d.code]), [
+        ['sections[0].items[0].prerequisites[0]', 'self_prerequisite'],
+        ['sections[0].items[1].resourceId', 'unknown_resource'],
+        ['sections[0].items[2].prerequisites[0]', 'unknown_prerequisite'],
+        ['sections[1].items[0].resourceId', 'duplicate_resource']
+    ]);
+});
+
+test('GET /paths/:id/order liefert die Reihenfolge, Löschen bereinigt den Pfad', async () => {
+    const { status, body: path } = await request(app.baseUrl, 'POST', '/v1/paths', {
+        auth: author, body: pathOf([['b', ['a']], ['a'], ['c', ['b']]])
+    });
+    assert.equal(status, 201);
+    const { body: order } = await request(app.baseUrl, 'GET', `/v1/paths/${path.id}/order`);
+    assert.equal(order.respectsStoredOrder, false);
+    assert.deepEqual(names(order.order.map(item => item.resourceId)), ['a', 'b', 'c']);
+
+    // Ein Zyklus im gespeicherten Pfad kann nicht entstehen: PUT prüft wie POST
+    const cyclic = await request(app.baseUrl, 'PUT', `/v1/paths/${path.id}`, {
+        auth: author, body: pathOf([['a', ['c']], ['b', ['a']], ['c', ['b']]])
+    });
+    assert.equal(cyclic.status, 409);
+
+    assert.equal((await request(app.baseUrl, 'DELETE', `/v1/resources/${ids.a}?mode=hard`, { auth: author })).status, 204);
+    const { body: cleaned } = await request(app.baseUrl, 'GET', `/v1/paths/${path.id}`);
+    assert.deepEqual(cleaned.sections[0].items.map(item => [names([item.resourceId])[0], item.prerequisites]), [
+        ['b', []], ['c', [ids.b]]
+    ]);
+});
@@ -0,0 +1,72 @@
+/**
+ * Rate-Limits der Bewertungs- und Feedback-Routen: erst wird validiert, dann gezählt, damit
+ * ungültige Anfragen kein Kontingent verbrauchen. Gezählt wird je handelndem Nutzer, Services
+ * haben zusätzlich ein Kontingent je API-Key.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+
+let app;
+let resourceId;
+
+before(async () => {
+    process.env.RATE_LIMIT_RATING = '2/60';
+    process.env.RATE_LIMIT_FEEDBACK = '2/60';
+    process.env.RATE_LIMIT_RATING_CLIENT = '4/60';
+    process.env.API_KEYS = 'rate-limit-key:rate-limit-service:reader';
+    app = await startTestServer();
+    const { body } = await request(app.baseUrl, 'GET', '/v1/resources?limit=1');
+    resourceId = body.data[0].id;
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('ungültige Bewertungen verbrauchen kein Kontingent', async () => {
+    const auth = token('rate-limit-rater');
+    const rate = ratingValue => request(app.baseUrl, 'POST', `/v1/resources/${resourceId}/rating`, { auth, body: { ratingValue } });
+    for (let i = 0; i < 3; i++) {
+        const invalid = await rate(9);
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.headers.get('ratelimit-remaining'), null);
+    }
+    assert.equal((await rate(4)).status, 201);
+    assert.equal((await rate(5)).status, 200);
+    const limited = await rate(3);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
+
+test('ungültiges Feedback verbraucht kein Kontingent', async () => {
+    const auth = token('rate-limit-author');
+    const post = feedbackText => request(app.baseUrl, 'POST', `/v1/resources/${resourceId}/feedback`, { auth, body: { feedbackText } });
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await post('')).status, 400);
+    }
+    assert.equal((await post('Erstes gültiges Feedback')).status, 201);
+    assert.equal((await post('Zweites gültiges Feedback')).status, 201);
+    assert.equal((await post('Drittes gültiges Feedback')).status, 429);
+});
+
+test('Services werden je handelndem Nutzer und zusätzlich je API-Key gezählt', async () => {
+    const rate = (userId, headers = { 'X-API-Key': 'rate-limit-key' }) => request(app.baseUrl, 'POST', `/v1/resources/${resourceId}/rating`, {
+        headers, body: { ratingValue: 4, userId }
+    });
+    assert.equal((await rate('rate-limit-a')).status, 201);
+    assert.equal((await rate('rate-limit-a')).status, 200);
+    assert.equal((await rate('rate-limit-a')).status, 429);
+    // Der Nutzer selbst teilt sich das Kontingent mit dem Service, der für ihn handelt
+    assert.equal((await rate(undefined, { Authorization: `Bearer ${token('rate-limit-a')}` })).status, 429);
+    // Fremde userIds ohne Berechtigung verbrauchen nichts
+    assert.equal((await rate('rate-limit-b', { Authorization: `Bearer ${token('rate-limit-c')}` })).status, 403);
+
+    // Wechselnde userIds umgehen das Kontingent je API-Key nicht
+    assert.equal((await rate('rate-limit-b')).status, 201);
+    assert.equal((await rate('rate-limit-c')).status, 201);
+    const limited = await rate('rate-limit-d');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('ratelimit-limit'), '4');
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests für helpers/rating_stats.js: Bayes-Score und globaler Durchschnitt ohne Bewertungen
+ * weich gelöschter Ressourcen.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './support.js';
+import { writeData } from '../helpers/data_manager.js';
+import * as ratingStats from '../helpers/rating_stats.js';
+
+before(async () => {
+    await useTempDataDir();
+    process.env.RATING_PRIOR_WEIGHT = '2';
+    await writeData('resources.json', [
+        { id: 'active', title: 'Aktiv' },
+        { id: 'deleted', title: 'Gelöscht', deletedAt: '2026-01-01T00:00:00.000Z' }
+    ]);
+    await writeData('ratings.json', [
+        { id: 'r1', resourceId: 'active', userId: 'u1', ratingValue: 4 },
+        { id: 'r2', resourceId: 'active', userId: 'u2', ratingValue: 2 },
+        { id: 'r3', resourceId: 'deleted', userId: 'u1', ratingValue: 1 },
+        { id: 'r4', resourceId: 'deleted', userId: 'u2', ratingValue: 1 }
+    ]);
+});
+
+test('Bewertungen weich gelöschter Ressourcen zählen nicht zum globalen Durchschnitt', async () => {
+    // Globaler Durchschnitt 3 (nur "active"): (2 * 3 + 6) / (2 + 2) = 3
+    const summary = await ratingStats.getSummary('active');
+    assert.equal(summary.bayesianScore, 3);
+    // Die Aggregate der gelöschten Ressource bleiben erhalten
+    assert.equal((await ratingStats.getSummary('deleted')).count, 2);
+});
+
+test('Wiederherstellen und erneutes Löschen schreiben den globalen Durchschnitt fort', async () => {
+    await ratingStats.ensureStats();
+    ratingStats.setResourceDeleted('deleted', false);
+    // Globaler Durchschnitt 2 (alle vier Bewertungen): (2 * 2 + 6) / (2 + 2) = 2.5
+    assert.equal((await ratingStats.getSummary('active')).bayesianScore, 2.5);
+    ratingStats.setResourceDeleted('deleted', true);
+    assert.equal((await ratingStats.getSummary('active')).bayesianScore, 3);
+});
@@ -0,0 +1,90 @@
+/**
+ * Bewertungen: eine Bewertung je Nutzer und Ressource (Upsert), Ändern per PUT, konsistente
+ * Aggregate bei gleichzeitigem POST und PUT und 404 für weich gelöschte Ressourcen.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token, readDataFile } from './support.js';
+
+const author = token('ratings-author', 'contributor');
+let app;
+
+/**
+ * Legt eine Ressource an (gesperrte Adresse, damit die Linkprüfung nichts abruft).
+ *
+ * @param {string} name - Eindeutiger Name
+ * @returns {Promise<Object>} Angelegte Ressource
+ */
+async function createResource(name) {
+    const { body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title: name, type: 'Kurs', url: `http://127.0.0.1:9/ratings/${name}` }
+    });
+    return body;
+}
+
+before(async () => {
+    process.env.RATE_LIMIT_RATING = '0';
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('eine erneute Bewertung aktualisiert die bestehende', async () => {
+    const resource = await createResource('upsert');
+    const auth = token('ratings-upsert');
+    const first = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth, body: { ratingValue: 2 } });
+    assert.equal(first.status, 201);
+    const second = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth, body: { ratingValue: 5 } });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.id, first.body.id);
+    assert.equal(second.body.ratingValue, 5);
+
+    const { body: list } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}/ratings`);
+    assert.deepEqual(list.data.map(r => [r.id, r.ratingValue]), [[first.body.id, 5]]);
+});
+
+test('fremde Bewertungen dürfen nur Moderatoren ändern', async () => {
+    const resource = await createResource('foreign');
+    const { body: rating } = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, {
+        auth: token('ratings-owner'), body: { ratingValue: 3 }
+    });
+    const path = `/v1/resources/${resource.id}/rating/${rating.id}`;
+    assert.equal((await request(app.baseUrl, 'PUT', path, { auth: token('ratings-other'), body: { ratingValue: 1 } })).status, 403);
+    const moderated = await request(app.baseUrl, 'PUT', path, { auth: token('ratings-moderator', 'moderator'), body: { ratingValue: 1 } });
+    assert.equal(moderated.status, 200);
+    assert.equal(moderated.body.ratingValue, 1);
+});
+
+test('gleichzeitiges POST und PUT derselben Bewertung lässt die Aggregate konsistent', async () => {
+    const resource = await createResource('aggregates');
+    const auth = token('ratings-racer');
+    const { body: rating } = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth, body: { ratingValue: 1 } });
+    for (let round = 0; round < 10; round++) {
+        await Promise.all([
+            request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth, body: { ratingValue: 2 + (round % 2) } }),
+            request(app.baseUrl, 'PUT', `/v1/resources/${resource.id}/rating/${rating.id}`, { auth, body: { ratingValue: 4 + (round % 2) } })
+        ]);
+    }
+    const stored = (await readDataFile('ratings.json')).filter(r => r.resourceId === resource.id);
+    assert.equal(stored.length, 1);
+    const { body: summary } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}/ratings/summary`);
+    assert.equal(summary.count, 1);
+    assert.equal(summary.mean, stored[0].ratingValue);
+});
+
+test('Bewertungen weich gelöschter Ressourcen sind nicht abrufbar', async () => {
+    const resource = await createResource('soft-deleted');
+    const { body: rating } = await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, {
+        auth: token('ratings-soft'), body: { ratingValue: 4 }
+    });
+    const path = `/v1/resources/${resource.id}/rating/${rating.id}`;
+    assert.equal((await request(app.baseUrl, 'GET', path)).status, 200);
+    assert.equal((await request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}?mode=soft`, { auth: author })).status, 204);
+    const hidden = await request(app.baseUrl, 'GET', path);
+    assert.equal(hidden.status, 404);
+    assert.equal(hidden.body.code, 'resource_not_found');
+    assert.equal((await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}/ratings`)).status, 404);
+});
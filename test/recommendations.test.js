@@ -0,0 +1,86 @@
+/**
+ * Empfehlungen und Bewertungen eines Nutzers (GET /v1/users/:userId/recommendations und
+ * /ratings): Zugriff nur auf die eigenen Daten, Empfehlungen auch ohne Bewertungen im Katalog.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startTestServer, useTempDataDir, request, token } from './support.js';
+
+const author = token('recommendations-author', 'contributor');
+let app;
+
+/**
+ * Legt eine Ressource an (gesperrte Adresse, damit die Linkprüfung nichts abruft).
+ *
+ * @param {string} title - Titel
+ * @returns {Promise<Object>} Angelegte Ressource
+ */
+async function createResource(title) {
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title, type: 'Kurs', url: `http://127.0.0.1:9/recommendations/${encodeURIComponent(title)}` }
+    });
+    assert.equal(status, 201);
+    return body;
+}
+
+/**
+ * Ruft die Empfehlungen eines Nutzers ab.
+ *
+ * @param {string} userId - Nutzer aus dem Pfad
+ * @param {Object} [options={}] - auth (Bearer-Token) oder headers
+ * @returns {Promise<{ status: number, body: Object }>} Antwort
+ */
+function recommendations(userId, options = {}) {
+    return request(app.baseUrl, 'GET', `/v1/users/${userId}/recommendations?limit=5`, options);
+}
+
+before(async () => {
+    // Katalog ohne Bewertungen: auch Beliebtheit liefert dann keine Empfehlungen
+    const dir = await useTempDataDir();
+    await fs.writeFile(path.join(dir, 'ratings.json'), '[]');
+    process.env.API_KEYS = 'recommendations-key:recommendations-service:reader';
+    process.env.RATE_LIMIT_RATING = '0';
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('Nutzer ohne Bewertungen erhalten die neuesten Ressourcen', async () => {
+    const newest = await createResource('Gerade erst erschienen');
+    const { status, body } = await recommendations('recommendations-new', { auth: token('recommendations-new') });
+    assert.equal(status, 200);
+    assert.ok(body.data.length > 1);
+    assert.ok(body.data.every(entry => entry.source === 'recent'));
+    assert.equal(body.data[0].resource.id, newest.id);
+    assert.equal(body.data[0].explanation.code, 'recent');
+});
+
+test('gut bewertete Ressourcen ergeben inhaltlich ähnliche Empfehlungen', async () => {
+    const liked = await createResource('Photosynthese für Einsteiger');
+    const similar = await createResource('Photosynthese für Fortgeschrittene');
+    const auth = token('recommendations-fan');
+    await request(app.baseUrl, 'POST', `/v1/resources/${liked.id}/rating`, { auth, body: { ratingValue: 5 } });
+    const { body } = await recommendations('recommendations-fan', { auth });
+    assert.equal(body.data[0].resource.id, similar.id);
+    assert.equal(body.data[0].source, 'content');
+    assert.deepEqual(body.data[0].explanation.basedOn.map(entry => entry.id), [liked.id]);
+    assert.equal(body.data.some(entry => entry.resource.id === liked.id), false);
+});
+
+test('Empfehlungen und Bewertungen sind nur für den eigenen Nutzer abrufbar', async () => {
+    for (const suffix of ['recommendations?limit=5', 'ratings']) {
+        const url = `/v1/users/recommendations-owner/${suffix}`;
+        assert.equal((await request(app.baseUrl, 'GET', url)).status, 401);
+        const foreign = await request(app.baseUrl, 'GET', url, { auth: token('recommendations-other') });
+        assert.equal(foreign.status, 403);
+        assert.equal(foreign.body.code, 'user_data_forbidden');
+        assert.equal((await request(app.baseUrl, 'GET', url, { auth: token('recommendations-owner') })).status, 200);
+        assert.equal((await request(app.baseUrl, 'GET', url, { auth: token('recommendations-admin', 'admin') })).status, 200);
+        assert.equal((await request(app.baseUrl, 'GET', url, { headers: { 'X-API-Key': 'recommendations-key' } })).status, 200);
+    }
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests für helpers/resource_import.js und helpers/resource_export.js: Tags und Kategorie
+ * werden beim Import geprüft und übernommen und bleiben bei Export und erneutem Import erhalten.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './support.js';
+import { writeData, find } from '../helpers/data_manager.js';
+import { parseImport, importResources } from '../helpers/resource_import.js';
+import { exportResources } from '../helpers/resource_export.js';
+
+const admin = { id: 'admin-1', role: 'admin', type: 'user' };
+
+/**
+ * Sammelt den Export in einen String.
+ *
+ * @param {string} format - csv, ndjson oder json
+ * @returns {Promise<string>} Export
+ */
+async function exportText(format) {
+    let text = '';
+    for await (const chunk of exportResources(format)) text += chunk;
+    return text;
+}
+
+before(async () => {
+    await useTempDataDir();
+    await writeData('resources.json', []);
+    await writeData('tags.json', [
+        { id: 'tag-js', name: 'JavaScript', slug: 'javascript' },
+        { id: 'tag-css', name: 'CSS', slug: 'css' }
+    ]);
+    await writeData('categories.json', [{ id: 'cat-web', name: 'Web', slug: 'web', parentId: null }]);
+});
+
+test('unbekannte Tags und Kategorien ergeben Fehler je Zeile', async () => {
+    const rows = parseImport('title,type,url,tagIds,categoryId\r\n'
+        + 'Gut,Artikel,https://example.org/gut,tag-js|tag-css,cat-web\r\n'
+        + 'Schlecht,Artikel,https://example.org/schlecht,tag-js|tag-unbekannt,cat-unbekannt\r\n', 'csv');
+    const report = await importResources(rows, { user: admin, dryRun: true });
+    assert.equal(report.created, 1);
+    assert.equal(report.failed, 1);
+    assert.deepEqual(report.rows[1].errors.map(e => [e.field, e.code]), [
+        ['tagIds[1]', 'unknown_tag'],
+        ['categoryId', 'unknown_category']
+    ]);
+});
+
+test('CSV-Export mit Tags und Kategorie lässt sich unverändert wieder importieren', async () => {
+    const rows = parseImport([
+        { title: 'Mit Tags', type: 'Artikel', url: 'https://example.org/tags', tagIds: ['tag-css', 'tag-js'], categoryId: 'cat-web' },
+        { title: 'Ohne Tags', type: 'Artikel', url: 'https://example.org/ohne' }
+    ], 'json');
+    const created = await importResources(rows, { user: admin });
+    assert.equal(created.created, 2);
+    const saved = (await find('resources')).find(r => r.url === 'https://example.org/tags');
+    assert.deepEqual(saved.tagIds, ['tag-css', 'tag-js']);
+    assert.equal(saved.categoryId, 'cat-web');
+
+    const csv = await exportText('csv');
+    assert.match(csv, /tag-css\|tag-js,cat-web/);
+    const report = await importResources(parseImport(csv, 'csv'), { user: admin, mode: 'upsert' });
+    assert.equal(report.unchanged, 2);
+    assert.equal(report.failed, 0);
+
+    // Geänderte Tags werden beim Upsert übernommen
+    const changed = csv.replace('tag-css|tag-js', 'tag-js');
+    const updated = await importResources(parseImport(changed, 'csv'), { user: admin, mode: 'upsert' });
+    assert.equal(updated.updated, 1);
+    assert.deepEqual((await find('resources')).find(r => r.url === 'https://example.org/tags').tagIds, ['tag-js']);
+});
@@ -0,0 +1,71 @@
+/**
+ * Volltextsuche (GET /v1/resources/search): Ranking nach Feldgewichtung, Präfixtreffer und
+ * HTML-maskierte Markierungen in den highlights.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+
+const author = token('search-author', 'contributor');
+let app;
+
+/**
+ * Legt eine Ressource an (gesperrte Adresse, damit die Linkprüfung nichts abruft).
+ *
+ * @param {Object} fields - title, description
+ * @returns {Promise<Object>} Angelegte Ressource
+ */
+async function createResource(fields) {
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { type: 'Kurs', url: `http://127.0.0.1:9/search/${encodeURIComponent(fields.title)}`, ...fields }
+    });
+    assert.equal(status, 201);
+    return body;
+}
+
+/**
+ * Sucht nach q.
+ *
+ * @param {string} q - Suchanfrage
+ * @returns {Promise<Object>} Antwort-Body
+ */
+async function search(q) {
+    const { status, body } = await request(app.baseUrl, 'GET', `/v1/resources/search?q=${encodeURIComponent(q)}`);
+    assert.equal(status, 200);
+    return body;
+}
+
+before(async () => {
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('Treffer im Titel stehen vor Treffern in der Beschreibung', async () => {
+    const inDescription = await createResource({ title: 'Einführung ins Basteln', description: 'Alles über Zauberwürfel und Tricks' });
+    const inTitle = await createResource({ title: 'Zauberwürfel für Fortgeschrittene' });
+    const ids = (await search('zauberwürfel')).results.map(r => r.id);
+    assert.ok(ids.includes(inDescription.id));
+    assert.ok(ids.indexOf(inTitle.id) < ids.indexOf(inDescription.id));
+});
+
+test('Präfixe und gebeugte Formen finden das Wort', async () => {
+    const resource = await createResource({ title: 'Quantenverschränkungen verstehen' });
+    for (const q of ['quantenverschr', 'Quantenverschränkung']) {
+        const { results } = await search(q);
+        assert.ok(results.some(r => r.id === resource.id), q);
+    }
+    assert.deepEqual((await search('der und die')).results, []);
+});
+
+test('highlights maskieren HTML im gespeicherten Text', async () => {
+    const resource = await createResource({ title: '<img src=x onerror=alert(1)> Tom & Jerry Kaleidoskop' });
+    const { results } = await search('kaleidoskop');
+    const hit = results.find(r => r.id === resource.id);
+    assert.equal(hit.highlights.title, '&lt;img src=x onerror=alert(1)&gt; Tom &amp; Jerry <mark>Kaleidoskop</mark>');
+    // Die Ressource selbst bleibt unverändert
+    assert.equal(hit.title, resource.title);
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests für server.js: createApp() ohne offenen Port, POST /restart über den übergebenen
+ * Callback statt eines Signals an den eigenen Prozess und geordnetes Herunterfahren mit
+ * shutdown() aus startServer().
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import { useTempDataDir, request, token } from './support.js';
+
+let createApp;
+let startServer;
+
+before(async () => {
+    await useTempDataDir();
+    ({ createApp, startServer } = await import('../server.js'));
+});
+
+/**
+ * Startet eine App aus createApp() auf einem freien Port.
+ *
+ * @param {import('express').Express} app - App
+ * @returns {Promise<{ baseUrl: string, close: function(): Promise<void> }>} Adresse und Schließen
+ */
+async function listen(app) {
+    const server = http.createServer(app);
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+test('POST /restart ruft onRestart nach der Antwort auf', async () => {
+    let restarts = 0;
+    const { baseUrl, close } = await listen(createApp({ onRestart: () => restarts++ }));
+    try {
+        assert.equal((await request(baseUrl, 'POST', '/restart', { auth: token('reader-1') })).status, 403);
+        assert.equal(restarts, 0);
+        const response = await request(baseUrl, 'POST', '/restart', { auth: token('admin-1', 'admin') });
+        assert.equal(response.status, 200);
+        assert.equal(restarts, 1);
+    } finally {
+        await close();
+    }
+});
+
+test('ohne onRestart gibt es POST /restart nicht', async () => {
+    const { baseUrl, close } = await listen(createApp());
+    try {
+        assert.equal((await request(baseUrl, 'POST', '/restart', { auth: token('admin-1', 'admin') })).status, 404);
+    } finally {
+        await close();
+    }
+});
+
+test('POST /restart fährt den In-Process-Server über shutdown() herunter, der Prozess läuft weiter', async () => {
+    const { server, port, shutdown } = await startServer({ port: 0 });
+    const baseUrl = `http://127.0.0.1:${port}`;
+    assert.equal((await request(baseUrl, 'GET', '/health/ready')).status, 200);
+
+    const closed = once(server, 'close');
+    const response = await request(baseUrl, 'POST', '/restart', { auth: token('admin-1', 'admin') });
+    assert.equal(response.status, 200);
+    await closed;
+    assert.equal(server.listening, false);
+    // Ein weiterer Aufruf wartet auf dasselbe Herunterfahren
+    await shutdown();
+    await assert.rejects(fetch(`${baseUrl}/health/live`));
+});
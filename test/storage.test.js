@@ -0,0 +1,101 @@
+/**
+ * Storage-Adapter (helpers/storage/json_store.js und sqlite_store.js): dieselbe
+ * Repository-Schnittstelle mit gleichem Verhalten, und die API auf dem SQLite-Backend.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { useTempDataDir, startTestServer, request, token } from './support.js';
+import { createStore as createJsonStore } from '../helpers/storage/json_store.js';
+import { createStore as createSqliteStore } from '../helpers/storage/sqlite_store.js';
+
+let dataDir;
+
+before(async () => {
+    dataDir = await useTempDataDir();
+});
+
+/**
+ * Prüft die Repository-Schnittstelle eines Adapters.
+ *
+ * @param {Object} store - Adapter (siehe helpers/data_manager.js)
+ */
+async function checkContract(store) {
+    await store.insert('things', { id: 't1', resourceId: 'r1', userId: 'u1', value: 1, active: true });
+    await store.insert('things', { id: 't2', resourceId: 'r1', userId: 'u2', value: 2, deletedAt: '2024-01-01T00:00:00.000Z' });
+    await store.insert('things', { id: 't3', resourceId: 'r2', userId: 'u1', value: 3 });
+
+    assert.deepEqual(await store.findById('things', 't1'), { id: 't1', resourceId: 'r1', userId: 'u1', value: 1, active: true });
+    assert.equal(await store.findById('things', 'missing'), null);
+    assert.equal(await store.findById('unknown_collection', 't1'), null);
+
+    // Einfügereihenfolge, Gleichheitsfilter und null für fehlende Felder
+    assert.deepEqual((await store.find('things')).map(t => t.id), ['t1', 't2', 't3']);
+    assert.deepEqual((await store.find('things', { resourceId: 'r1', userId: 'u2' })).map(t => t.id), ['t2']);
+    assert.deepEqual((await store.find('things', { deletedAt: null })).map(t => t.id), ['t1', 't3']);
+    assert.deepEqual((await store.find('things', { value: 3 })).map(t => t.id), ['t3']);
+    assert.deepEqual((await store.find('things', { active: true })).map(t => t.id), ['t1']);
+
+    // undefined entfernt ein Feld, die id bleibt unverändert
+    const updated = await store.update('things', 't2', { id: 'other', value: 20, deletedAt: undefined });
+    assert.deepEqual(updated, { id: 't2', resourceId: 'r1', userId: 'u2', value: 20 });
+    assert.deepEqual(await store.findById('things', 't2'), updated);
+    assert.equal(await store.update('things', 'missing', { value: 1 }), null);
+
+    assert.equal(await store.remove('things', 't3'), true);
+    assert.equal(await store.remove('things', 't3'), false);
+    assert.equal(await store.removeWhere('things', { resourceId: 'r1' }), 2);
+    assert.deepEqual(await store.find('things'), []);
+}
+
+test('JSON-Adapter erfüllt die Repository-Schnittstelle', async () => {
+    const store = createJsonStore();
+    try {
+        await checkContract(store);
+    } finally {
+        await store.close();
+    }
+});
+
+test('SQLite-Adapter erfüllt die Repository-Schnittstelle', async () => {
+    const store = createSqliteStore({ file: path.join(dataDir, 'contract.db') });
+    try {
+        await checkContract(store);
+    } finally {
+        await store.close();
+    }
+});
+
+test('SQLite-Adapter übernimmt importierte Datensätze wiederholbar', async () => {
+    const store = createSqliteStore({ file: path.join(dataDir, 'import.db') });
+    try {
+        const records = [{ id: 'a', title: 'Erster' }, { id: 'b', title: 'Zweiter' }];
+        assert.equal(await store.importRecords('resources', records), 2);
+        assert.equal(await store.importRecords('resources', [{ id: 'a', title: 'Ersetzt' }]), 1);
+        assert.deepEqual((await store.find('resources')).map(r => r.title), ['Ersetzt', 'Zweiter']);
+    } finally {
+        await store.close();
+    }
+});
+
+test('die API arbeitet mit STORAGE_BACKEND=sqlite', async () => {
+    process.env.STORAGE_BACKEND = 'sqlite';
+    process.env.SQLITE_FILE = path.join(dataDir, 'api.db');
+    process.env.RATE_LIMIT_RATING = '0';
+    const app = await startTestServer();
+    try {
+        const { status, body: resource } = await request(app.baseUrl, 'POST', '/v1/resources', {
+            auth: token('storage-author', 'contributor'), body: { title: 'Im SQLite-Backend', type: 'Kurs', url: 'http://127.0.0.1:9/storage' }
+        });
+        assert.equal(status, 201);
+        await request(app.baseUrl, 'POST', `/v1/resources/${resource.id}/rating`, { auth: token('storage-rater'), body: { ratingValue: 4 } });
+        const { body } = await request(app.baseUrl, 'GET', `/v1/resources/${resource.id}`);
+        assert.equal(body.title, 'Im SQLite-Backend');
+        assert.equal(body.averageRating, 4);
+    } finally {
+        await app.shutdown();
+        delete process.env.SQLITE_FILE;
+        process.env.STORAGE_BACKEND = 'json';
+    }
+});
@@ -0,0 +1,112 @@
+/**
+ * test/support.js
+ *
+ * Gemeinsame Hilfsfunktionen der Tests (node --test): eigener data-Ordner je Testdatei,
+ * Tokens und ein In-Process-Server über startServer() aus server.js.
+ *
+ * Jede Testdatei läuft in einem eigenen Prozess; useTempDataDir() kopiert die JSON-Dateien
+ * aus data/ in ein temporäres Verzeichnis (DATA_DIR), damit Tests die eingecheckten Daten
+ * nicht verändern.
+ *
+ * @fileoverview Testumgebung, Tokens und HTTP-Hilfen für die Tests.
+ */
+
+import fs from 'fs/promises';
+import { rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import jwt from 'jsonwebtoken';
+
+const __filename = fileURLToPath(import.meta.url);
+const SOURCE_DATA_DIR = path.join(path.dirname(__filename), '..', 'data');
+
+// Secret der Test-Tokens
+export const JWT_SECRET = 'test-secret-for-node-test-only-0123456789';
+
+// Umgebung der Tests: keine Hintergrundprüfung der Links, nur Fehler im Log
+process.env.JWT_SECRET = JWT_SECRET;
+process.env.STORAGE_BACKEND = 'json';
+process.env.LINK_CHECK_INTERVAL_MINUTES = '0';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+/**
+ * Legt einen temporären data-Ordner mit Kopien der JSON-Dateien aus data/ an und setzt DATA_DIR.
+ *
+ * @returns {Promise<string>} Pfad des Ordners
+ */
+export async function useTempDataDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-test-'));
+    for (const file of await fs.readdir(SOURCE_DATA_DIR)) {
+        if (file.endsWith('.json')) await fs.copyFile(path.join(SOURCE_DATA_DIR, file), path.join(dir, file));
+    }
+    process.env.DATA_DIR = dir;
+    // Aufräumen, wenn der Testprozess endet
+    process.once('exit', () => rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Liest eine Datendatei direkt aus dem data-Ordner der Tests.
+ *
+ * @param {string} fileName - Dateiname (z.B. 'ratings.json')
+ * @returns {Promise<Array>} Inhalt
+ */
+export async function readDataFile(fileName) {
+    return JSON.parse(await fs.readFile(path.join(process.env.DATA_DIR, fileName), 'utf8'));
+}
+
+/**
+ * Erzeugt ein Bearer-Token.
+ *
+ * @param {string} sub - Nutzer-ID
+ * @param {string} [role='reader'] - Rolle
+ * @returns {string} JWT
+ */
+export function token(sub, role = 'reader') {
+    return jwt.sign({ sub, role }, JWT_SECRET);
+}
+
+/**
+ * Startet den Server auf einem freien Port (mit temporärem data-Ordner, falls noch keiner gesetzt ist).
+ *
+ * @returns {Promise<{ baseUrl: string, shutdown: function(): Promise<void>, server: import('http').Server }>}
+ */
+export async function startTestServer() {
+    if (!process.env.DATA_DIR) await useTempDataDir();
+    const { startServer } = await import('../server.js');
+    const { server, port, shutdown } = await startServer({ port: 0 });
+    return { baseUrl: `http://127.0.0.1:${port}`, server, shutdown };
+}
+
+/**
+ * Sendet eine Anfrage und liest die Antwort (JSON, falls vorhanden).
+ *
+ * @param {string} baseUrl - Basis-URL des Servers
+ * @param {string} method - HTTP-Methode
+ * @param {string} urlPath - Pfad (z.B. /v1/resources)
+ * @param {Object} [options={}] - Optionen
+ * @param {string} [options.auth] - Bearer-Token
+ * @param {*} [options.body] - JSON-Body (ein String wird unverändert gesendet, Content-Type über headers)
+ * @param {Object} [options.headers] - Weitere Header
+ * @returns {Promise<{ status: number, headers: Headers, body: * }>} Antwort
+ */
+export async function request(baseUrl, method, urlPath, { auth, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (auth) init.headers.Authorization = `Bearer ${auth}`;
+    if (typeof body === 'string') {
+        init.body = body;
+    } else if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+    }
+    const response = await fetch(`${baseUrl}${urlPath}`, init);
+    const text = await response.text();
+    let parsed = text;
+    try {
+        parsed = text ? JSON.parse(text) : null;
+    } catch {
+        // kein JSON
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+}
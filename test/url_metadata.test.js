@@ -0,0 +1,125 @@
+/**
+ * Tests für helpers/url_guard.js und den Standard-Client von helpers/url_metadata.js:
+ * keine Abrufe nicht öffentlicher Adressen, auch nicht über Weiterleitungen oder oEmbed.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { assertFetchableUrl, isPublicAddress } from '../helpers/url_guard.js';
+import { createFetchClient, enrichUrl } from '../helpers/url_metadata.js';
+
+let server;
+let base;
+// Nur der Stub unter 127.0.0.1 ist erlaubt; localhost zeigt auf dieselbe, aber gesperrte Adresse
+const client = createFetchClient({ allowedHosts: ['127.0.0.1'] });
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const port = server.address().port;
+        if (req.url === '/page') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<html><head><title>Stub-Seite</title>'
+                + `<link rel="alternate" type="application/json+oembed" href="http://localhost:${port}/oembed"></head></html>`);
+        } else if (req.url === '/to-page') {
+            res.writeHead(302, { Location: '/page' });
+            res.end();
+        } else if (req.url === '/to-localhost') {
+            res.writeHead(302, { Location: `http://localhost:${port}/page` });
+            res.end();
+        } else if (req.url === '/to-metadata') {
+            res.writeHead(301, { Location: 'http://169.254.169.254/latest/meta-data/' });
+            res.end();
+        } else if (req.url === '/loop') {
+            res.writeHead(302, { Location: '/loop' });
+            res.end();
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('nicht öffentliche Adressen werden erkannt', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0',
+        '100.64.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1',
+        // IPv4-kompatibel und 6to4 mit eingebetteter privater Adresse
+        '::127.0.0.1', '::a9fe:a9fe', '2002:7f00:1::1', '2002:a9fe:a9fe::1', '2002:c0a8:101::']) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946', '2002:808:808::1']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+});
+
+test('assertFetchableUrl lehnt andere Protokolle und interne Hosts ab', async () => {
+    const publicLookup = async () => [{ address: '93.184.216.34' }];
+    const privateLookup = async () => [{ address: '93.184.216.34' }, { address: '10.0.0.5' }];
+    await assert.rejects(assertFetchableUrl('file:///etc/passwd'), { code: 'blocked_url', reason: 'protocol' });
+    await assert.rejects(assertFetchableUrl('ftp://example.org/'), { code: 'blocked_url' });
+    await assert.rejects(assertFetchableUrl('http://localhost/'), { code: 'blocked_url', reason: 'address' });
+    await assert.rejects(assertFetchableUrl('http://[::1]:8080/'), { code: 'blocked_url' });
+    await assert.rejects(assertFetchableUrl('http://169.254.169.254/latest/meta-data/'), { code: 'blocked_url' });
+    await assert.rejects(assertFetchableUrl('http://intern.example/', { lookup: privateLookup }), { code: 'blocked_url' });
+    await assert.doesNotReject(assertFetchableUrl('https://example.org/', { lookup: publicLookup }));
+});
+
+test('der Standard-Client ruft keine Loopback-Adresse ab', async () => {
+    const result = await enrichUrl(`http://localhost:${server.address().port}/page`, { client: createFetchClient() });
+    assert.equal(result.metadata, null);
+    assert.equal(result.error, 'blocked_url');
+});
+
+test('Weiterleitungen werden verfolgt und jede Station geprüft', async () => {
+    const followed = await enrichUrl(`${base}/to-page`, { client });
+    assert.equal(followed.error, null);
+    assert.equal(followed.metadata.finalUrl, `${base}/page`);
+    assert.equal(followed.metadata.title, 'Stub-Seite');
+
+    assert.equal((await enrichUrl(`${base}/to-localhost`, { client })).error, 'blocked_url');
+    assert.equal((await enrichUrl(`${base}/to-metadata`, { client })).error, 'blocked_url');
+    assert.equal((await enrichUrl(`${base}/loop`, { client })).error, 'too_many_redirects');
+});
+
+test('ein oEmbed-Endpunkt auf einer internen Adresse wird nicht abgerufen', async () => {
+    let oembedRequests = 0;
+    server.on('request', req => {
+        if (req.url === '/oembed') oembedRequests++;
+    });
+    const result = await enrichUrl(`${base}/page`, { client });
+    assert.equal(result.error, null);
+    assert.equal(result.metadata.title, 'Stub-Seite');
+    assert.equal(oembedRequests, 0);
+});
+
+test('die Verbindung geht an die geprüfte Adresse, nicht an eine zweite Auflösung', async () => {
+    const port = server.address().port;
+    // Ein Host, den nur die übergebene Namensauflösung kennt: fetch darf ihn nicht selbst auflösen
+    const pinned = createFetchClient({ allowedHosts: ['stub.test'], lookup: async () => [{ address: '127.0.0.1' }] });
+    const result = await enrichUrl(`http://stub.test:${port}/page`, { client: pinned });
+    assert.equal(result.error, null);
+    assert.equal(result.metadata.title, 'Stub-Seite');
+});
+
+test('DNS-Rebinding zwischen Prüfung und Verbindung wird abgelehnt', async () => {
+    let lookups = 0;
+    let requests = 0;
+    const countRequests = () => requests++;
+    server.on('request', countRequests);
+    // Erste Auflösung (Prüfung) öffentlich, danach Loopback
+    const rebinding = async () => [{ address: lookups++ === 0 ? '93.184.216.34' : '127.0.0.1' }];
+    try {
+        const result = await enrichUrl(`http://rebind.test:${server.address().port}/page`, {
+            client: createFetchClient({ lookup: rebinding })
+        });
+        assert.equal(result.error, 'blocked_url');
+        assert.ok(lookups >= 2);
+        assert.equal(requests, 0);
+    } finally {
+        server.off('request', countRequests);
+    }
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests für middleware/validation.js: Prüfung gegen die Schemas aus schemas/ (Typen, Enums,
+ * Längen, URL-Format, unbekannte Felder) und 400 mit allen fehlerhaften Feldern.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, request, token } from './support.js';
+import { validateValue } from '../middleware/validation.js';
+import { resourceBody, resourceListQuery } from '../schemas/resources.js';
+
+const author = token('validation-author', 'contributor');
+let app;
+
+/**
+ * Liefert die Fehler einer Prüfung als "feld:code".
+ *
+ * @param {Object} schema - Schema
+ * @param {*} value - Wert
+ * @param {Object} [options] - Optionen für validateValue
+ * @returns {Array<string>} Fehler
+ */
+function errorsOf(schema, value, options) {
+    return validateValue(schema, value, options).errors.map(e => `${e.field}:${e.code}`);
+}
+
+before(async () => {
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+});
+
+test('gültige Ressourcen werden getrimmt übernommen', () => {
+    const { value, errors } = validateValue(resourceBody, {
+        title: '  Node.js Grundlagen  ', type: 'Kurs', url: 'https://example.com/node', tagIds: ['tag-1']
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(value.title, 'Node.js Grundlagen');
+});
+
+test('jedes fehlerhafte Feld wird mit Code gemeldet', () => {
+    assert.deepEqual(errorsOf(resourceBody, {
+        title: '', type: 'Comic', url: 'javascript:alert(1)', tagIds: ['a', 'a', 'b c'], extra: true
+    }).sort(), [
+        'extra:unknown_field',
+        'tagIds:duplicate_items',
+        'tagIds[2]:pattern_mismatch',
+        'title:required',
+        'type:invalid_enum',
+        'url:invalid_format'
+    ]);
+    assert.deepEqual(errorsOf(resourceBody, { title: 'x'.repeat(201), type: 'Kurs' }).sort(), ['title:too_long', 'url:required']);
+    assert.deepEqual(errorsOf(resourceBody, { title: 42, type: 'Kurs', url: 'ftp://example.com' }).sort(), [
+        'title:invalid_type', 'url:invalid_format'
+    ]);
+});
+
+test('Query-Parameter werden in den Schematyp umgewandelt', () => {
+    const { value, errors } = validateValue(resourceListQuery, { limit: '5', minRating: '3.5' }, { coerce: true });
+    assert.deepEqual(errors, []);
+    assert.equal(value.limit, 5);
+    assert.equal(value.minRating, 3.5);
+    assert.deepEqual(errorsOf(resourceListQuery, { minRating: 'viel' }, { coerce: true }), ['minRating:invalid_type']);
+    assert.deepEqual(errorsOf(resourceListQuery, { minRating: '9' }, { coerce: true }), ['minRating:too_large']);
+});
+
+test('ungültige Anfragen werden mit 400 und allen Feldern abgelehnt', async () => {
+    const { status, headers, body } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title: 'Falscher Typ', type: 'Comic', url: 'nicht-einmal-eine-url', rating: 5 }
+    });
+    assert.equal(status, 400);
+    assert.match(headers.get('content-type'), /^application\/problem\+json/);
+    assert.equal(body.code, 'invalid_request');
+    assert.deepEqual(body.details.map(d => `${d.location}.${d.field}:${d.code}`).sort(), [
+        'body.rating:unknown_field',
+        'body.type:invalid_enum',
+        'body.url:invalid_format'
+    ]);
+    assert.ok(body.details.every(d => typeof d.message === 'string' && d.message.length > 0));
+
+    const query = await request(app.baseUrl, 'GET', '/v1/resources?minRating=abc&unknown=1');
+    assert.equal(query.status, 400);
+    assert.deepEqual(query.body.details.map(d => `${d.location}.${d.field}:${d.code}`).sort(), [
+        'query.minRating:invalid_type',
+        'query.unknown:unknown_field'
+    ]);
+});
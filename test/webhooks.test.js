@@ -0,0 +1,153 @@
+/**
+ * Webhooks (routes/webhooks.js, helpers/webhooks.js): HMAC-Signatur der Zustellungen,
+ * Wiederholungen mit Backoff bis WEBHOOK_MAX_ATTEMPTS und Zustellungsprotokoll.
+ * Der HTTP-Client ist durch einen Stub ersetzt, der nach Pfad antwortet.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { setTimeout as delay } from 'timers/promises';
+import { startTestServer, request, token } from './support.js';
+import { setHttpClient, signPayload } from '../helpers/webhooks.js';
+
+const admin = token('webhook-admin', 'admin');
+const author = token('webhook-author', 'contributor');
+const SECRET = 'test-secret-0123456789';
+// Vom Stub empfangene Zustellungen: { url, headers, body }
+const received = [];
+// Antworten für /retry in dieser Reihenfolge (Error = Netzwerkfehler)
+const retryResponses = [500, new Error('ECONNRESET'), 200];
+let previousClient;
+let app;
+
+/**
+ * Registriert einen Webhook.
+ *
+ * @param {string} name - Pfad beim Stub (ok, retry, down)
+ * @param {string[]} events - Abonnierte Event-Typen
+ * @param {Object} [extra={}] - Weitere Felder (z.B. active)
+ * @returns {Promise<Object>} Webhook
+ */
+async function register(name, events, extra = {}) {
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/webhooks', {
+        auth: admin, body: { url: `http://127.0.0.1:9/hooks/${name}`, events, secret: SECRET, ...extra }
+    });
+    assert.equal(status, 201);
+    return body;
+}
+
+/**
+ * Wartet, bis der Webhook keine offenen Zustellungen mehr hat.
+ *
+ * @param {Object} webhook - Webhook
+ * @returns {Promise<Array<Object>>} Zustellungen
+ */
+async function settledDeliveries(webhook) {
+    const deadline = Date.now() + 5000;
+    for (;;) {
+        const { body } = await request(app.baseUrl, 'GET', `/v1/webhooks/${webhook.id}/deliveries`, { auth: admin });
+        if (body.data.length > 0 && body.data.every(d => d.status !== 'pending')) return body.data;
+        if (Date.now() > deadline) assert.fail(`Zustellungen bleiben offen: ${JSON.stringify(body.data)}`);
+        await delay(20);
+    }
+}
+
+before(async () => {
+    process.env.WEBHOOK_RETRY_BASE_MS = '10';
+    process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+    previousClient = setHttpClient(async (url, { headers, body }) => {
+        received.push({ url, headers, body });
+        if (url.endsWith('/down')) return { status: 503 };
+        if (url.endsWith('/retry')) {
+            const response = retryResponses.shift();
+            if (response instanceof Error) throw response;
+            return { status: response };
+        }
+        return { status: 204 };
+    });
+    app = await startTestServer();
+});
+
+after(async () => {
+    await app.shutdown();
+    setHttpClient(previousClient);
+    delete process.env.WEBHOOK_RETRY_BASE_MS;
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+});
+
+test('nur Admins verwalten Webhooks, das Secret wird nur beim Anlegen ausgegeben', async () => {
+    const forbidden = await request(app.baseUrl, 'POST', '/v1/webhooks', {
+        auth: author, body: { url: 'http://127.0.0.1:9/hooks/x', events: ['resource.created'] }
+    });
+    assert.equal(forbidden.status, 403);
+
+    const { status, body } = await request(app.baseUrl, 'POST', '/v1/webhooks', {
+        auth: admin, body: { url: 'http://127.0.0.1:9/hooks/generated', events: ['rating.created'] }
+    });
+    assert.equal(status, 201);
+    assert.match(body.secret, /^[A-Za-z0-9_-]{32}$/);
+    const { body: stored } = await request(app.baseUrl, 'GET', `/v1/webhooks/${body.id}`, { auth: admin });
+    assert.equal(stored.secret, undefined);
+});
+
+test('Zustellungen sind mit HMAC-SHA256 über Zeitstempel und Body signiert', async () => {
+    const webhook = await register('ok', ['resource.created']);
+    const inactive = await register('inactive', ['resource.created'], { active: false });
+    const { body: resource } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title: 'Signiert', type: 'Kurs', url: 'http://127.0.0.1:9/webhooks/signed' }
+    });
+
+    const [delivery] = await settledDeliveries(webhook);
+    assert.equal(delivery.status, 'succeeded');
+    assert.deepEqual(delivery.attempts.map(a => [a.attempt, a.responseStatus, a.error]), [[1, 204, null]]);
+
+    const sent = received.find(r => r.url.endsWith('/ok'));
+    const event = JSON.parse(sent.body);
+    assert.equal(event.type, 'resource.created');
+    assert.equal(event.data.resource.id, resource.id);
+    assert.equal(sent.headers['X-Webhook-Id'], webhook.id);
+    assert.equal(sent.headers['X-Webhook-Event'], 'resource.created');
+    assert.equal(sent.headers['X-Webhook-Delivery'], delivery.id);
+    // Die Signatur lässt sich wie beim Empfänger unabhängig nachrechnen
+    const timestamp = sent.headers['X-Webhook-Timestamp'];
+    const expected = createHmac('sha256', SECRET).update(`${timestamp}.${sent.body}`).digest('hex');
+    assert.equal(sent.headers['X-Webhook-Signature'], `sha256=${expected}`);
+    assert.notEqual(signPayload('anderes-secret', Number(timestamp), sent.body), sent.headers['X-Webhook-Signature']);
+
+    // Inaktive Webhooks erhalten nichts
+    assert.equal(received.some(r => r.url.endsWith('/inactive')), false);
+    const { body: none } = await request(app.baseUrl, 'GET', `/v1/webhooks/${inactive.id}/deliveries`, { auth: admin });
+    assert.deepEqual(none.data, []);
+});
+
+test('fehlgeschlagene Versuche werden wiederholt und protokolliert', async () => {
+    const retry = await register('retry', ['resource.updated']);
+    const down = await register('down', ['resource.deleted']);
+    const { body: resource } = await request(app.baseUrl, 'POST', '/v1/resources', {
+        auth: author, body: { title: 'Wiederholt', type: 'Kurs', url: 'http://127.0.0.1:9/webhooks/retry' }
+    });
+    await request(app.baseUrl, 'PUT', `/v1/resources/${resource.id}`, {
+        auth: author, body: { title: 'Wiederholt, geändert', type: 'Kurs', url: resource.url }
+    });
+    await request(app.baseUrl, 'DELETE', `/v1/resources/${resource.id}`, { auth: author });
+
+    const [recovered] = await settledDeliveries(retry);
+    assert.equal(recovered.status, 'succeeded');
+    assert.deepEqual(recovered.attempts.map(a => [a.responseStatus, a.error]), [
+        [500, 'http_error'], [null, 'network_error'], [200, null]
+    ]);
+    assert.ok(recovered.deliveredAt);
+
+    const [failed] = await settledDeliveries(down);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts.length, 3);
+    assert.equal(failed.nextAttemptAt, undefined);
+    // Alle Versuche tragen dieselbe Delivery-ID
+    const sent = received.filter(r => r.url.endsWith('/down'));
+    assert.equal(sent.length, 3);
+    assert.ok(sent.every(r => r.headers['X-Webhook-Delivery'] === failed.id));
+
+    const { body: filtered } = await request(app.baseUrl, 'GET', `/v1/webhooks/${down.id}/deliveries?status=succeeded`, { auth: admin });
+    assert.deepEqual(filtered.data, []);
+});